@@ -0,0 +1,51 @@
+-- The Order table and OrderReservation.allocationType were in the schema
+-- before any migration created them (databases set up with `db push` already
+-- have them), so they are created only if missing.
+
+-- CreateTable
+CREATE TABLE IF NOT EXISTS "Order" (
+    "id" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "owner" TEXT NOT NULL,
+    "tradingPair" TEXT NOT NULL,
+    "orderType" TEXT NOT NULL,
+    "orderMode" TEXT NOT NULL,
+    "price" TEXT,
+    "stopPrice" TEXT,
+    "quantity" TEXT NOT NULL,
+    "filled" TEXT NOT NULL DEFAULT '0',
+    "status" TEXT NOT NULL DEFAULT 'OPEN',
+    "allocationContractId" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Order_pkey" PRIMARY KEY ("id")
+);
+
+-- AlterTable
+ALTER TABLE "OrderReservation" ADD COLUMN IF NOT EXISTS "allocationType" TEXT NOT NULL DEFAULT 'EXCHANGE';
+
+-- CreateIndex
+CREATE UNIQUE INDEX IF NOT EXISTS "Order_orderId_key" ON "Order"("orderId");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "Order_owner_idx" ON "Order"("owner");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "Order_tradingPair_idx" ON "Order"("tradingPair");
+
+-- CreateIndex
+CREATE INDEX IF NOT EXISTS "Order_status_idx" ON "Order"("status");
+
+-- AddForeignKey
+DO $$ BEGIN
+    ALTER TABLE "Order" ADD CONSTRAINT "Order_owner_fkey" FOREIGN KEY ("owner") REFERENCES "User"("partyId") ON DELETE RESTRICT ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "expiresAt" TIMESTAMP(3),
+ADD COLUMN     "timeInForce" TEXT NOT NULL DEFAULT 'GTC';
+
+-- CreateIndex
+CREATE INDEX "Order_timeInForce_expiresAt_idx" ON "Order"("timeInForce", "expiresAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "postOnly" BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,7 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "cancelReason" TEXT,
+ADD COLUMN     "stpMode" TEXT NOT NULL DEFAULT 'NONE';
+
+-- AlterTable
+ALTER TABLE "PendingSettlement" ADD COLUMN     "cancelReason" TEXT,
+ADD COLUMN     "stpMode" TEXT;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "maxSlippageBps" INTEGER,
+ADD COLUMN     "slippageLimitPrice" TEXT;
@@ -0,0 +1,6 @@
+-- AlterTable
+ALTER TABLE "StopLossOrder" ADD COLUMN     "limitPrice" TEXT,
+ADD COLUMN     "stopType" TEXT NOT NULL DEFAULT 'STOP_LOSS',
+ADD COLUMN     "trailingExtreme" TEXT,
+ADD COLUMN     "trailingOffset" TEXT,
+ADD COLUMN     "trailingOffsetType" TEXT;
@@ -0,0 +1,43 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN     "groupId" TEXT;
+
+-- AlterTable
+ALTER TABLE "StopLossOrder" ADD COLUMN     "groupId" TEXT;
+
+-- CreateTable
+CREATE TABLE "OrderGroup" (
+    "id" TEXT NOT NULL,
+    "partyId" TEXT NOT NULL,
+    "tradingPair" TEXT NOT NULL,
+    "groupType" TEXT NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'PENDING_ENTRY',
+    "exitSide" TEXT NOT NULL,
+    "quantity" TEXT NOT NULL,
+    "entryOrderId" TEXT,
+    "entryPrice" TEXT,
+    "takeProfitPrice" TEXT NOT NULL,
+    "stopPrice" TEXT NOT NULL,
+    "stopLimitPrice" TEXT,
+    "takeProfitOrderId" TEXT,
+    "stopOrderId" TEXT,
+    "filledLegOrderId" TEXT,
+    "cancelReason" TEXT,
+    "reconcileOrderId" TEXT,
+    "reconcileError" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "OrderGroup_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "Order_groupId_idx" ON "Order"("groupId");
+
+-- CreateIndex
+CREATE INDEX "OrderGroup_partyId_idx" ON "OrderGroup"("partyId");
+
+-- CreateIndex
+CREATE INDEX "OrderGroup_status_idx" ON "OrderGroup"("status");
+
+-- CreateIndex
+CREATE INDEX "OrderGroup_entryOrderId_idx" ON "OrderGroup"("entryOrderId");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "Market" (
+    "symbol" TEXT NOT NULL,
+    "baseSymbol" TEXT NOT NULL,
+    "quoteSymbol" TEXT NOT NULL,
+    "tickSize" TEXT NOT NULL,
+    "lotSize" TEXT NOT NULL,
+    "minNotional" TEXT,
+    "maxNotional" TEXT,
+    "pricePrecision" INTEGER NOT NULL,
+    "status" TEXT NOT NULL DEFAULT 'ACTIVE',
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Market_pkey" PRIMARY KEY ("symbol")
+);
+
+-- CreateIndex
+CREATE INDEX "Market_status_idx" ON "Market"("status");
@@ -0,0 +1,16 @@
+-- CreateTable
+CREATE TABLE "Candle" (
+    "tradingPair" TEXT NOT NULL,
+    "interval" TEXT NOT NULL,
+    "openTime" TIMESTAMP(3) NOT NULL,
+    "open" TEXT NOT NULL,
+    "high" TEXT NOT NULL,
+    "low" TEXT NOT NULL,
+    "close" TEXT NOT NULL,
+    "volume" TEXT NOT NULL,
+    "quoteVolume" TEXT NOT NULL,
+    "tradeCount" INTEGER NOT NULL DEFAULT 0,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "Candle_pkey" PRIMARY KEY ("tradingPair","interval","openTime")
+);
@@ -0,0 +1,26 @@
+-- CreateTable
+CREATE TABLE "ExecutionReport" (
+    "id" TEXT NOT NULL,
+    "partyId" TEXT NOT NULL,
+    "orderId" TEXT NOT NULL,
+    "tradingPair" TEXT NOT NULL,
+    "side" TEXT,
+    "eventType" TEXT NOT NULL,
+    "fillPrice" TEXT,
+    "fillQuantity" TEXT,
+    "cumulativeQuantity" TEXT NOT NULL,
+    "remainingQuantity" TEXT NOT NULL,
+    "tradeId" TEXT,
+    "settlementStatus" TEXT,
+    "triggerPrice" TEXT,
+    "reason" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ExecutionReport_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ExecutionReport_partyId_createdAt_idx" ON "ExecutionReport"("partyId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "ExecutionReport_orderId_idx" ON "ExecutionReport"("orderId");
@@ -0,0 +1,19 @@
+-- CreateTable
+CREATE TABLE "ApiKey" (
+    "id" TEXT NOT NULL,
+    "partyId" TEXT NOT NULL,
+    "label" TEXT,
+    "scopes" TEXT[],
+    "ipAllowlist" TEXT[],
+    "secretSalt" TEXT NOT NULL,
+    "secretHash" TEXT NOT NULL,
+    "expiresAt" TIMESTAMP(3),
+    "lastUsedAt" TIMESTAMP(3),
+    "revokedAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "ApiKey_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "ApiKey_partyId_idx" ON "ApiKey"("partyId");
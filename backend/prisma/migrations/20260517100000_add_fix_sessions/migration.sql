@@ -0,0 +1,25 @@
+-- CreateTable
+CREATE TABLE "FixSession" (
+    "id" TEXT NOT NULL,
+    "partyId" TEXT NOT NULL,
+    "apiKeyId" TEXT NOT NULL,
+    "nextInSeqNum" INTEGER NOT NULL DEFAULT 1,
+    "nextOutSeqNum" INTEGER NOT NULL DEFAULT 1,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FixSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "FixMessage" (
+    "sessionId" TEXT NOT NULL,
+    "seqNum" INTEGER NOT NULL,
+    "msgType" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "FixMessage_pkey" PRIMARY KEY ("sessionId","seqNum")
+);
+
+-- CreateIndex
+CREATE INDEX "FixSession_partyId_idx" ON "FixSession"("partyId");
@@ -0,0 +1,35 @@
+-- CreateTable
+CREATE TABLE "CancelOnDisconnectSession" (
+    "id" TEXT NOT NULL,
+    "partyId" TEXT NOT NULL,
+    "transport" TEXT NOT NULL,
+    "timeoutMs" INTEGER NOT NULL,
+    "tradingPair" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "CancelOnDisconnectSession_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "CancelOnDisconnectEvent" (
+    "id" TEXT NOT NULL,
+    "sessionId" TEXT NOT NULL,
+    "partyId" TEXT NOT NULL,
+    "event" TEXT NOT NULL,
+    "orderId" TEXT,
+    "tradingPair" TEXT,
+    "detail" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "CancelOnDisconnectEvent_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "CancelOnDisconnectSession_partyId_idx" ON "CancelOnDisconnectSession"("partyId");
+
+-- CreateIndex
+CREATE INDEX "CancelOnDisconnectEvent_partyId_createdAt_idx" ON "CancelOnDisconnectEvent"("partyId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "CancelOnDisconnectEvent_sessionId_idx" ON "CancelOnDisconnectEvent"("sessionId");
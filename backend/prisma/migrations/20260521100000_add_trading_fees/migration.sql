@@ -0,0 +1,12 @@
+-- AlterTable
+ALTER TABLE "ExecutionReport" ADD COLUMN     "fee" TEXT,
+ADD COLUMN     "feeAsset" TEXT,
+ADD COLUMN     "liquidity" TEXT;
+
+-- AlterTable
+ALTER TABLE "Market" ADD COLUMN     "makerFeeBps" INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN     "takerFeeBps" INTEGER NOT NULL DEFAULT 0;
+
+-- AlterTable
+ALTER TABLE "TradeSettlement" ADD COLUMN     "fee" TEXT,
+ADD COLUMN     "liquidity" TEXT;
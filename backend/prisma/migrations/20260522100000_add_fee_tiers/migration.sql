@@ -0,0 +1,22 @@
+-- CreateTable
+CREATE TABLE "FeeTier" (
+    "id" TEXT NOT NULL,
+    "quoteSymbol" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "minVolume" TEXT NOT NULL,
+    "makerFeeBps" INTEGER NOT NULL,
+    "takerFeeBps" INTEGER NOT NULL,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "FeeTier_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE INDEX "TradeSettlement_partyId_createdAt_idx" ON "TradeSettlement"("partyId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "FeeTier_quoteSymbol_idx" ON "FeeTier"("quoteSymbol");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "FeeTier_quoteSymbol_name_key" ON "FeeTier"("quoteSymbol", "name");
@@ -0,0 +1,44 @@
+-- CreateTable
+CREATE TABLE "AdminAccount" (
+    "id" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "partyId" TEXT,
+    "oidcSubject" TEXT,
+    "permissions" TEXT[],
+    "disabled" BOOLEAN NOT NULL DEFAULT false,
+    "lastLoginAt" TIMESTAMP(3),
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" TIMESTAMP(3) NOT NULL,
+
+    CONSTRAINT "AdminAccount_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateTable
+CREATE TABLE "AdminAuditLog" (
+    "id" TEXT NOT NULL,
+    "adminId" TEXT,
+    "actor" TEXT NOT NULL,
+    "authMethod" TEXT,
+    "permission" TEXT NOT NULL,
+    "method" TEXT NOT NULL,
+    "path" TEXT NOT NULL,
+    "body" JSONB,
+    "statusCode" INTEGER,
+    "outcome" TEXT NOT NULL,
+    "ip" TEXT,
+    "createdAt" TIMESTAMP(3) NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT "AdminAuditLog_pkey" PRIMARY KEY ("id")
+);
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AdminAccount_partyId_key" ON "AdminAccount"("partyId");
+
+-- CreateIndex
+CREATE UNIQUE INDEX "AdminAccount_oidcSubject_key" ON "AdminAccount"("oidcSubject");
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_adminId_createdAt_idx" ON "AdminAuditLog"("adminId", "createdAt");
+
+-- CreateIndex
+CREATE INDEX "AdminAuditLog_createdAt_idx" ON "AdminAuditLog"("createdAt");
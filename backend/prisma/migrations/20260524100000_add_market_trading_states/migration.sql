@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "Market" ADD COLUMN     "resumeAt" TIMESTAMP(3),
+ADD COLUMN     "resumeStatus" TEXT,
+ADD COLUMN     "statusReason" TEXT;
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "TradeSettlement" ADD COLUMN     "tradedAt" TIMESTAMP(3);
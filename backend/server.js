@@ -66,6 +66,24 @@ if (isVercel) {
       getAutoAcceptService().stop();
     } catch (_) { /* not critical */ }
 
+    // Stop cancel-on-disconnect timers (armed sessions are restored on start)
+    try {
+      const { getCancelOnDisconnectService } = require('./src/services/cancelOnDisconnectService');
+      getCancelOnDisconnectService().stop();
+    } catch (_) { /* not critical */ }
+
+    // Stop the circuit breaker's resume timer (timed states survive in the DB)
+    try {
+      const { getMarketCircuitBreakerService } = require('./src/services/marketCircuitBreakerService');
+      getMarketCircuitBreakerService().stop();
+    } catch (_) { /* not critical */ }
+
+    // Log FIX sessions out so initiators see a clean Logout
+    try {
+      const { getFixGateway } = require('./src/services/fixGateway');
+      getFixGateway().stop().catch(() => {});
+    } catch (_) { /* not critical */ }
+
     if (server && typeof server.close === 'function') {
       server.close(() => {
         console.log('Server closed');
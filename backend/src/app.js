@@ -83,6 +83,11 @@ function createApp() {
   const app = express();
   const server = http.createServer(app);
 
+  // req.ip is only the client address once the proxies in front of us are trusted
+  if (config.server.trustProxy !== null) {
+    app.set('trust proxy', config.server.trustProxy);
+  }
+
   // ── Vercel: Lazy SDK init middleware ──
   // Ensures the Canton SDK is initialized before any API request is processed.
   // On local server, this is skipped (SDK init happens in startServer).
@@ -137,6 +142,9 @@ function createApp() {
       "x-user-id", 
       "x-public-key", 
       "x-party-id", 
+      "X-API-KEY",
+      "X-API-TIMESTAMP",
+      "X-API-SIGNATURE",
       "X-Requested-With",
       "Accept",
       "Origin"
@@ -146,7 +154,13 @@ function createApp() {
     preflightContinue: false,
     maxAge: 86400, // 24 hours
   }));
-  app.use(express.json({ limit: '10mb' }));
+  app.use(express.json({
+    limit: '10mb',
+    // API-key requests are signed over the exact body bytes
+    verify: (req, res, buf) => {
+      if (req.headers['x-api-key']) req.rawBody = buf.toString('utf8');
+    },
+  }));
   app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
   // Security headers (Milestone 4)
@@ -264,16 +278,10 @@ async function initializeReadModel() {
         const { getStreamingReadModel } = require('./services/streamingReadModel');
         const streaming = getStreamingReadModel();
         if (streaming?.isReady()) {
-          // Push order book changes to subscribed frontend clients
+          // Order book channels are served by the L2 feed (orderBookFeedService);
+          // here we only push each owner's own order events
           streaming.on('orderCreated', (order) => {
             if (!global.broadcastWebSocket) return;
-            if (order.tradingPair) {
-              global.broadcastWebSocket(`orderbook:${order.tradingPair}`, {
-                type: 'ORDER_CREATED',
-                order,
-              });
-            }
-            // Also push to user-specific order channel
             if (order.owner) {
               global.broadcastWebSocket(`orders:${order.owner}`, {
                 type: 'ORDER_CREATED',
@@ -283,14 +291,6 @@ async function initializeReadModel() {
           });
           streaming.on('orderArchived', (order) => {
             if (!global.broadcastWebSocket) return;
-            if (order.tradingPair) {
-              global.broadcastWebSocket(`orderbook:${order.tradingPair}`, {
-                type: 'ORDER_ARCHIVED',
-                orderId: order.orderId,
-                contractId: order.contractId,
-              });
-            }
-            // Also push to user-specific order channel
             if (order.owner) {
               global.broadcastWebSocket(`orders:${order.owner}`, {
                 type: 'ORDER_ARCHIVED',
@@ -439,6 +439,10 @@ async function startServer() {
     console.log('🔄 Initializing Read Model from Canton ledger...');
     await initializeReadModel();
 
+    // Load the market registry before anything matches against it
+    const { getMarketRegistry } = require('./services/marketRegistryService');
+    const markets = await getMarketRegistry().refresh();
+    console.log(`✅ Market registry loaded (${markets.size} market(s))`);
 
     // Start matching engine if enabled
     if (config.matchingEngine.enabled) {
@@ -470,6 +474,68 @@ async function startServer() {
       console.warn('⚠️  Stop-loss service not available:', error.message);
     }
 
+    // OHLCV candles — live from trade events, caught up from TradeSettlement
+    console.log('');
+    console.log('🕯️  Starting Candle Service...');
+    try {
+      const { getCandleService } = require('./services/candleService');
+      await getCandleService().start();
+    } catch (error) {
+      console.warn('⚠️  Candle service not available:', error.message);
+    }
+
+    // Rolling 24h ticker stats, pushed on ticker:<pair>
+    console.log('');
+    console.log('📊 Starting Ticker Service...');
+    try {
+      const { getTickerService } = require('./services/tickerService');
+      await getTickerService().start();
+    } catch (error) {
+      console.warn('⚠️  Ticker service not available:', error.message);
+    }
+
+    // L2 order book feed: snapshot on subscribe, sequenced DELTAs after
+    console.log('');
+    console.log('📚 Starting Order Book Feed...');
+    try {
+      const { getOrderBookFeed } = require('./services/orderBookFeedService');
+      getOrderBookFeed().start();
+    } catch (error) {
+      console.warn('⚠️  Order book feed not available:', error.message);
+    }
+
+    // Dead-man's switches armed before a restart get a fresh timeout
+    console.log('');
+    console.log('⏱️  Starting Cancel-on-Disconnect Service...');
+    try {
+      const { getCancelOnDisconnectService } = require('./services/cancelOnDisconnectService');
+      await getCancelOnDisconnectService().start();
+    } catch (error) {
+      console.warn('⚠️  Cancel-on-disconnect service not available:', error.message);
+    }
+
+    // Price-move circuit breaker; also lifts timed halts when they run out
+    console.log('');
+    console.log('🚨 Starting Market Circuit Breaker...');
+    try {
+      const { getMarketCircuitBreakerService } = require('./services/marketCircuitBreakerService');
+      getMarketCircuitBreakerService().start();
+    } catch (error) {
+      console.warn('⚠️  Market circuit breaker not available:', error.message);
+    }
+
+    // FIX 4.4 acceptor (order entry + market data) for institutional members
+    if (config.fix.enabled) {
+      console.log('');
+      console.log('🔌 Starting FIX Gateway...');
+      try {
+        const { getFixGateway } = require('./services/fixGateway');
+        await getFixGateway().start();
+      } catch (error) {
+        console.warn('⚠️  FIX gateway not available:', error.message);
+      }
+    }
+
     // ACS Cleanup Service — archives completed contracts to keep ACS lean
     console.log('');
     console.log('🧹 Starting ACS Cleanup Service...');
@@ -22,11 +22,26 @@ const {
   buildInstrumentId,
 } = require('./constants');
 
+/**
+ * TRUST_PROXY → Express 'trust proxy' value: true/false, a hop count, or a
+ * comma-separated list of proxy addresses/subnets. Unset → null (not configured).
+ */
+function parseTrustProxy(value) {
+  if (value === undefined || value.trim() === '') return null;
+  const v = value.trim();
+  if (v === 'true') return true;
+  if (v === 'false') return false;
+  if (/^\d+$/.test(v)) return parseInt(v, 10);
+  return v.split(',').map(s => s.trim()).filter(Boolean);
+}
+
 const config = {
   // Server
   server: {
     port: parseInt(process.env.PORT || '3001', 10),
     env: process.env.NODE_ENV || 'development',
+    // How many proxies sit in front of the app; req.ip (API-key IP allowlists) depends on it
+    trustProxy: parseTrustProxy(process.env.TRUST_PROXY),
   },
 
   // WebSocket
@@ -122,6 +137,17 @@ const config = {
     baseUrl: process.env.KEYCLOAK_BASE_URL,
     realm: process.env.KEYCLOAK_REALM || 'canton-devnet',
     tokenUrl: process.env.KEYCLOAK_TOKEN_URL,
+    // Expected `aud` of OIDC tokens presented to the admin API (unset = not checked)
+    adminAudience: process.env.KEYCLOAK_ADMIN_AUDIENCE || null,
+  },
+
+  // Admin API. The first admins are created from these lists (comma
+  // separated) with every permission; manage the rest via /api/admin/accounts.
+  // The cron secret lets a scheduler call /api/match/trigger.
+  admin: {
+    bootstrapPartyIds: (process.env.ADMIN_BOOTSTRAP_PARTY_IDS || '').split(',').map(s => s.trim()).filter(Boolean),
+    bootstrapOidcSubjects: (process.env.ADMIN_BOOTSTRAP_OIDC_SUBJECTS || '').split(',').map(s => s.trim()).filter(Boolean),
+    cronSecret: process.env.CRON_SECRET || null,
   },
 
   // Matching engine — ENABLED by default.
@@ -132,6 +158,52 @@ const config = {
     intervalMs: parseInt(process.env.MATCHING_ENGINE_INTERVAL_MS || '5000', 10),
   },
 
+  // API key signing secrets are derived from this value and never stored.
+  // Required in production and for the FIX gateway (see validate).
+  apiKeys: {
+    masterSecret: process.env.API_KEY_MASTER_SECRET || null,
+  },
+
+  // FIX 4.4 acceptor for institutional order entry and market data.
+  // Off unless FIX_GATEWAY_ENABLED=true; logons authenticate with API keys.
+  fix: {
+    enabled: process.env.FIX_GATEWAY_ENABLED === 'true',
+    port: parseInt(process.env.FIX_GATEWAY_PORT || '9878', 10),
+    host: process.env.FIX_GATEWAY_HOST || '0.0.0.0',
+    senderCompId: process.env.FIX_SENDER_COMP_ID || 'CLOBEX',
+  },
+
+  // Trading fees are sent to this party (hosted on the operator's
+  // participant), which also pays maker rebates; unset, fees stay with the
+  // operator party and rebates are not allowed.
+  fees: {
+    collectorPartyId: process.env.FEE_COLLECTOR_PARTY_ID || null,
+  },
+
+  // Cancel-on-disconnect (dead-man's switch): bounds on the heartbeat
+  // timeout a client may arm a session with.
+  cancelOnDisconnect: {
+    minTimeoutMs: parseInt(process.env.CANCEL_ON_DISCONNECT_MIN_TIMEOUT_MS || '1000', 10),
+    maxTimeoutMs: parseInt(process.env.CANCEL_ON_DISCONNECT_MAX_TIMEOUT_MS || '300000', 10),
+  },
+
+  // Call auctions: a newly listed market, or a halted one resuming, collects
+  // orders for callMs and opens at one uncrossing price (0 = open directly).
+  auction: {
+    callMs: parseInt(process.env.AUCTION_CALL_MS || '60000', 10),
+  },
+
+  // Circuit breaker: a market whose last price moves more than movePct
+  // (0 = off) within windowMs is put in `status` for haltMs.
+  marketCircuitBreaker: {
+    movePct: parseFloat(process.env.MARKET_BREAKER_MOVE_PCT || '0'),
+    windowMs: parseInt(process.env.MARKET_BREAKER_WINDOW_MS || '300000', 10),
+    haltMs: parseInt(process.env.MARKET_BREAKER_HALT_MS || '300000', 10),
+    status: ['HALTED', 'CANCEL_ONLY', 'AUCTION'].includes((process.env.MARKET_BREAKER_STATUS || '').toUpperCase())
+      ? process.env.MARKET_BREAKER_STATUS.toUpperCase()
+      : 'HALTED',
+  },
+
   // TradingApp pattern: tokens flow only between users (no operator custody).
   // When true: self-allocation at order placement, both parties sign at match.
   // Default true for client compliance (no app provider jurisdiction).
@@ -177,6 +249,11 @@ const config = {
       errors.push('OAUTH_CLIENT_SECRET is required');
     }
 
+    // Without a fixed master secret issued API keys stop working on restart
+    if (!this.apiKeys.masterSecret && (this.server.env === 'production' || this.fix.enabled)) {
+      errors.push('API_KEY_MASTER_SECRET is required in production and when FIX_GATEWAY_ENABLED=true');
+    }
+
     if (errors.length > 0) {
       console.error('='.repeat(60));
       console.error('CONFIGURATION VALIDATION FAILED');
@@ -210,6 +287,7 @@ const config = {
       server: {
         port: this.server.port,
         env: this.server.env,
+        trustProxy: this.server.trustProxy,
       },
       canton: {
         jsonApiBase: this.canton.jsonApiBase || '(not set)',
@@ -9,6 +9,10 @@ const CantonAdmin = require('../services/canton-admin');
 const tokenProvider = require('../services/tokenProvider');
 const { success, error } = require('../utils/response');
 const asyncHandler = require('../middleware/asyncHandler');
+const { getMarketRegistry } = require('../services/marketRegistryService');
+const { getCandleService } = require('../services/candleService');
+const { getFeeTierService } = require('../services/feeTierService');
+const { getAdminAuthService } = require('../services/adminAuthService');
 const config = require('../config');
 
 class AdminController {
@@ -175,6 +179,111 @@ class AdminController {
       } catch (_) { /* ignore */ }
     }
   });
+
+  /**
+   * List every market in the registry, delisted ones included
+   */
+  getMarkets = asyncHandler(async (req, res) => {
+    const registry = getMarketRegistry();
+    await registry.refresh();
+    const markets = registry.listMarkets({ includeDelisted: true });
+    return success(res, { markets }, 'Markets retrieved', 200);
+  });
+
+  /**
+   * List a new market
+   */
+  createMarket = asyncHandler(async (req, res) => {
+    const market = await getMarketRegistry().createMarket(req.body);
+    return success(res, { market }, `Market ${market.symbol} created`, 201);
+  });
+
+  /**
+   * Update a market's parameters or status (ACTIVE | POST_ONLY | CANCEL_ONLY |
+   * HALTED | AUCTION | DELISTED)
+   */
+  updateMarket = asyncHandler(async (req, res) => {
+    const symbol = decodeURIComponent(req.params.symbol);
+    const market = await getMarketRegistry().updateMarket(symbol, req.body);
+    return success(res, { market }, `Market ${market.symbol} updated`, 200);
+  });
+
+  /**
+   * Put a market in a trading state, optionally for a limited time
+   */
+  setTradingState = asyncHandler(async (req, res) => {
+    const symbol = decodeURIComponent(req.params.symbol);
+    const market = await getMarketRegistry().setTradingState(symbol, req.body);
+    return success(res, { market }, `Market ${market.symbol} is ${market.status}`, 200);
+  });
+
+  /**
+   * End a market's call auction; the matching engine uncrosses it next cycle
+   */
+  endAuction = asyncHandler(async (req, res) => {
+    const symbol = decodeURIComponent(req.params.symbol);
+    const market = await getMarketRegistry().endAuction(symbol, req.body || {});
+    return success(res, { market }, `Auction for ${market.symbol} ends on the next matching cycle`, 200);
+  });
+
+  /**
+   * The calling admin (set by requireAdmin)
+   */
+  getMe = asyncHandler(async (req, res) => {
+    return success(res, { account: req.admin.account, authMethod: req.admin.method }, 'Admin retrieved', 200);
+  });
+
+  getAccounts = asyncHandler(async (req, res) => {
+    const accounts = await getAdminAuthService().listAccounts();
+    return success(res, { accounts }, 'Admin accounts retrieved', 200);
+  });
+
+  createAccount = asyncHandler(async (req, res) => {
+    const account = await getAdminAuthService().createAccount(req.body);
+    return success(res, { account }, `Admin account ${account.name} created`, 201);
+  });
+
+  updateAccount = asyncHandler(async (req, res) => {
+    const account = await getAdminAuthService().updateAccount(req.params.id, req.body);
+    return success(res, { account }, `Admin account ${account.name} updated`, 200);
+  });
+
+  /**
+   * Admin audit log, newest first
+   */
+  getAudit = asyncHandler(async (req, res) => {
+    const { adminId = null, limit } = req.query;
+    const entries = await getAdminAuthService().listAudit({ adminId, limit });
+    return success(res, { entries, count: entries.length }, 'Audit log retrieved', 200);
+  });
+
+  /**
+   * Volume fee-tier ladders, keyed by quote asset
+   */
+  getFeeTiers = asyncHandler(async (req, res) => {
+    const service = getFeeTierService();
+    await service.refresh();
+    const ladders = await service.listLadders();
+    return success(res, { ladders }, 'Fee tiers retrieved', 200);
+  });
+
+  /**
+   * Replace one quote asset's ladder; an empty list removes it
+   */
+  setFeeTiers = asyncHandler(async (req, res) => {
+    const quoteSymbol = req.params.quoteSymbol.toUpperCase();
+    const tiers = await getFeeTierService().setLadder(quoteSymbol, req.body.tiers);
+    return success(res, { quoteSymbol, tiers }, `Fee tiers for ${quoteSymbol} updated`, 200);
+  });
+
+  /**
+   * Rebuild OHLCV candles from the TradeSettlement table
+   */
+  backfillCandles = asyncHandler(async (req, res) => {
+    const { tradingPair = null, since = null } = req.body || {};
+    const result = await getCandleService().backfill({ tradingPair, since });
+    return success(res, result, 'Candles rebuilt', 200);
+  });
 }
 
 module.exports = new AdminController();
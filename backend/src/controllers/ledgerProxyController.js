@@ -290,6 +290,7 @@ class LedgerProxyController {
    * body: { templateId, createArguments, actAs?: "user"|"operator", readAs?: "user"|"operator", challenge, signatureBase64 }
    *
    * For MVP we require wallet challenge signature for create/exercise.
+   * actAs / readAs "operator" also need an admin with settlement-ops (see ledgerProxyRoutes).
    */
   create = async (req, res) => {
     const userId = req.userId;
@@ -331,6 +332,7 @@ class LedgerProxyController {
   /**
    * POST /api/ledger/exercise
    * body: { templateId, contractId, choice, choiceArgument, actAs?: "user"|"operator", readAs?: "user"|"operator", challenge, signatureBase64 }
+   * As with create, the operator party needs an admin with settlement-ops.
    */
   exercise = async (req, res) => {
     const userId = req.userId;
@@ -70,6 +70,16 @@ class OrderController {
       quantity,
       partyId,
       stopPrice,
+      timeInForce,
+      expiresAt,
+      postOnly,
+      stpMode,
+      maxSlippageBps,
+      limitPrice,
+      trailingOffset,
+      trailingOffsetType,
+      groupId,
+      displayQuantity,
     } = req.body;
 
     rejectPrivateKeyMaterialInBody(req.body, 'POST /api/orders/place');
@@ -84,8 +94,17 @@ class OrderController {
       throw new ValidationError('Price is required for LIMIT orders');
     }
 
-    if (orderMode.toUpperCase() === 'STOP_LOSS' && !stopPrice) {
-      throw new ValidationError('stopPrice is required for STOP_LOSS orders');
+    const mode = orderMode.toUpperCase();
+    if ((mode === 'STOP_LOSS' || mode === 'STOP_LIMIT') && !stopPrice) {
+      throw new ValidationError(`stopPrice is required for ${mode} orders`);
+    }
+
+    if (mode === 'STOP_LIMIT' && !limitPrice) {
+      throw new ValidationError('limitPrice is required for STOP_LIMIT orders');
+    }
+
+    if (mode === 'TRAILING_STOP' && (!trailingOffset || !trailingOffsetType)) {
+      throw new ValidationError('trailingOffset and trailingOffsetType are required for TRAILING_STOP orders');
     }
 
     const decodedTradingPair = decodeURIComponent(tradingPair);
@@ -97,6 +116,13 @@ class OrderController {
       price,
       quantity,
       stopPrice: stopPrice || null,
+      limitPrice: limitPrice || null,
+      trailingOffset: trailingOffset ? `${trailingOffset} ${trailingOffsetType}` : null,
+      timeInForce: timeInForce || 'GTC',
+      postOnly: postOnly === true,
+      stpMode: stpMode || 'NONE',
+      groupId: groupId || null,
+      displayQuantity: displayQuantity || null,
       partyId: effectivePartyId.substring(0, 30) + '...'
     });
 
@@ -109,6 +135,16 @@ class OrderController {
       price,
       quantity,
       stopPrice: stopPrice || null,
+      limitPrice: limitPrice || null,
+      trailingOffset: trailingOffset || null,
+      trailingOffsetType: trailingOffsetType ? trailingOffsetType.toUpperCase() : null,
+      timeInForce: timeInForce || 'GTC',
+      expiresAt: expiresAt || null,
+      postOnly: postOnly === true,
+      stpMode: stpMode || 'NONE',
+      maxSlippageBps: maxSlippageBps ?? null,
+      groupId: groupId || null,
+      displayQuantity: displayQuantity || null,
     });
 
     // For external parties: return requiresSignature so frontend can sign
@@ -127,6 +163,20 @@ class OrderController {
         price: result.price,
         quantity: result.quantity,
         stopPrice: result.stopPrice,
+        limitPrice: result.limitPrice,
+        trailingOffset: result.trailingOffset,
+        trailingOffsetType: result.trailingOffsetType,
+        trailingExtreme: result.trailingExtreme,
+        timeInForce: result.timeInForce,
+        expiresAt: result.expiresAt,
+        postOnly: result.postOnly,
+        stpMode: result.stpMode,
+        maxSlippageBps: result.maxSlippageBps,
+        slippageLimitPrice: result.slippageLimitPrice,
+        estimatedAveragePrice: result.estimatedAveragePrice,
+        groupId: result.groupId,
+        groupRole: result.groupRole,
+        displayQuantity: result.displayQuantity,
         lockInfo: result.lockInfo,
         stage: result.stage || null,
         step: result.step || null,
@@ -139,7 +189,8 @@ class OrderController {
     console.log(`[OrderController] ✅ Order placed: ${result.orderId}`);
 
     // Register stop-loss with StopLossService if applicable
-    if (orderMode.toUpperCase() === 'STOP_LOSS' && result.contractId) {
+    const { STOP_ORDER_MODES } = require('../services/stopLossService');
+    if (STOP_ORDER_MODES.includes(mode) && result.contractId) {
       try {
         const { getStopLossService } = require('../services/stopLossService');
         const stopLossService = getStopLossService();
@@ -148,12 +199,19 @@ class OrderController {
           orderId: result.orderId,
           tradingPair: decodedTradingPair,
           orderType: orderType.toUpperCase(),
-          stopPrice: stopPrice,
+          stopType: mode,
+          // Trailing stops get their first level from the service
+          stopPrice: result.stopPrice || stopPrice,
+          limitPrice: result.limitPrice || null,
+          trailingOffset: result.trailingOffset || null,
+          trailingOffsetType: result.trailingOffsetType || null,
+          trailingExtreme: result.trailingExtreme || null,
+          groupId: result.groupId || null,
           partyId: effectivePartyId,
           quantity: quantity?.toString() || '0',
           allocationContractId: result.allocationContractId || null,
         });
-        console.log(`[OrderController] ✅ Stop-loss registered for ${result.orderId} (triggers at ${stopPrice})`);
+        console.log(`[OrderController] ✅ ${mode} registered for ${result.orderId} (triggers at ${result.stopPrice || stopPrice})`);
       } catch (slErr) {
         console.warn(`[OrderController] ⚠️ Failed to register stop-loss:`, slErr.message);
       }
@@ -256,7 +314,8 @@ class OrderController {
       return success(res, result, 'Step prepared. Sign the next hash and call /execute-place again.');
     }
 
-    if (orderMeta?.orderMode === 'STOP_LOSS' && result?.contractId && orderMeta?.orderId) {
+    const { STOP_ORDER_MODES } = require('../services/stopLossService');
+    if (STOP_ORDER_MODES.includes(orderMeta?.orderMode) && result?.contractId && orderMeta?.orderId) {
       try {
         const { getStopLossService } = require('../services/stopLossService');
         const stopLossService = getStopLossService();
@@ -265,7 +324,13 @@ class OrderController {
           orderId: orderMeta.orderId,
           tradingPair: orderMeta.tradingPair,
           orderType: orderMeta.orderType,
+          stopType: orderMeta.orderMode,
           stopPrice: orderMeta.stopPrice,
+          limitPrice: orderMeta.limitPrice || null,
+          trailingOffset: orderMeta.trailingOffset || null,
+          trailingOffsetType: orderMeta.trailingOffsetType || null,
+          trailingExtreme: orderMeta.trailingExtreme || null,
+          groupId: orderMeta.groupId || null,
           partyId,
           quantity: orderMeta.quantity?.toString() || '0',
           allocationContractId: result.allocationContractId || null,
@@ -352,6 +417,222 @@ class OrderController {
 
     return success(res, result, 'Order cancelled successfully');
   });
+
+  /**
+   * Place several orders with one signature
+   * POST /api/orders/batch
+   *
+   * Body: { partyId, orders: [ /place bodies without partyId or groupId ] }
+   */
+  placeBatch = asyncHandler(async (req, res) => {
+    rejectPrivateKeyMaterialInBody(req.body, 'POST /api/orders/batch');
+
+    const partyId = await this.resolveEffectivePartyId(req, req.body?.partyId);
+    const orders = (req.body.orders || []).map(order => ({
+      ...order,
+      tradingPair: decodeURIComponent(order.tradingPair),
+    }));
+
+    console.log(`[OrderController] Preparing batch of ${orders.length} order(s) for ${partyId.substring(0, 30)}...`);
+
+    const result = await this.orderService.placeOrderBatch(partyId, orders);
+
+    return success(res, result, 'Batch prepared. Sign the hash and call /execute-batch.');
+  });
+
+  /**
+   * Execute a prepared batch placement with user's signature
+   * POST /api/orders/execute-batch
+   *
+   * Body: { preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, batchMeta }
+   */
+  executeBatch = asyncHandler(async (req, res) => {
+    const { preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, batchMeta } = req.body;
+
+    rejectPrivateKeyMaterialInBody(req.body, 'POST /api/orders/execute-batch');
+
+    if (!preparedTransaction || !partyId || !signatureBase64 || !signedBy) {
+      throw new ValidationError('preparedTransaction, partyId, signatureBase64, and signedBy are required');
+    }
+    if (batchMeta?.partyId && batchMeta.partyId !== partyId) {
+      throw new ValidationError('batchMeta.partyId must match partyId (user-signed placement).');
+    }
+
+    const result = await this.orderService.executeOrderBatchPlacement(
+      preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, batchMeta || {}
+    );
+
+    const pairs = [...new Set(result.orders.map(o => o.tradingPair).filter(Boolean))];
+    if (pairs.length > 0) {
+      setTimeout(async () => {
+        const { getMatchingEngine } = require('../services/matching-engine');
+        for (const pair of pairs) {
+          try {
+            await getMatchingEngine().triggerMatchingCycle(pair);
+          } catch (triggerErr) {
+            console.warn(`[OrderController] Match trigger after batch failed for ${pair} (non-fatal): ${triggerErr.message}`);
+          }
+        }
+      }, 3000);
+    }
+
+    return success(res, { ...result, matchTriggered: pairs.length > 0 }, `${result.count} order(s) placed via interactive submission`, 201);
+  });
+
+  /**
+   * Cancel all of the caller's working orders, optionally for one pair / side
+   * POST /api/orders/cancel-all
+   *
+   * Body: { partyId, tradingPair?, side? }. Orders, ExchangeAllocations and
+   * Splice locks are released in one transaction; `remaining` > 0 means call again.
+   */
+  cancelAll = asyncHandler(async (req, res) => {
+    rejectPrivateKeyMaterialInBody(req.body, 'POST /api/orders/cancel-all');
+
+    const partyId = await this.resolveEffectivePartyId(req, req.body?.partyId);
+    const tradingPair = req.body?.tradingPair ? decodeURIComponent(req.body.tradingPair) : null;
+
+    console.log(`[OrderController] Cancel-all for ${partyId.substring(0, 30)}... (${tradingPair || 'all pairs'}, ${req.body?.side || 'both sides'})`);
+
+    const result = await this.orderService.cancelAllOrders(partyId, {
+      tradingPair,
+      side: req.body?.side || null,
+    });
+
+    if (!result.requiresSignature) {
+      return success(res, result, 'No open orders to cancel');
+    }
+    return success(res, result, 'Transaction prepared. Sign the hash and call /execute-cancel-all.');
+  });
+
+  /**
+   * Execute a prepared mass cancel with user's signature
+   * POST /api/orders/execute-cancel-all
+   *
+   * Body: { preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, cancelMeta }
+   */
+  executeCancelAll = asyncHandler(async (req, res) => {
+    const { preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, cancelMeta } = req.body;
+
+    rejectPrivateKeyMaterialInBody(req.body, 'POST /api/orders/execute-cancel-all');
+
+    if (!preparedTransaction || !partyId || !signatureBase64 || !signedBy) {
+      throw new ValidationError('preparedTransaction, partyId, signatureBase64, and signedBy are required');
+    }
+
+    const result = await this.orderService.executeCancelAll(
+      preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, cancelMeta || {}
+    );
+
+    return success(res, result, `${result.cancelled} order(s) cancelled via interactive submission`);
+  });
+
+  /**
+   * Amend a resting order in place
+   * POST /api/orders/:orderId/amend
+   *
+   * Body: { partyId, price?, quantity? } — quantity is the new total and can only go down.
+   * The order keeps its allocation; a price change loses time priority.
+   */
+  amend = asyncHandler(async (req, res) => {
+    const { orderId } = req.params;
+
+    rejectPrivateKeyMaterialInBody(req.body, 'POST /api/orders/:orderId/amend');
+
+    const partyId = await this.resolveEffectivePartyId(req, req.body?.partyId);
+    if (!partyId) {
+      throw new ValidationError('partyId is required');
+    }
+
+    console.log(`[OrderController] Amending order ${orderId}`);
+
+    const result = await this.orderService.amendOrder(orderId, partyId, {
+      price: req.body?.price,
+      quantity: req.body?.quantity,
+    });
+
+    return success(res, result, 'Transaction prepared. Sign the hash and call /execute-amend.');
+  });
+
+  /**
+   * Execute a prepared order amend with user's signature
+   * POST /api/orders/execute-amend
+   *
+   * Body: { preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, amendMeta }
+   */
+  executeAmend = asyncHandler(async (req, res) => {
+    const { preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, amendMeta } = req.body;
+
+    rejectPrivateKeyMaterialInBody(req.body, 'POST /api/orders/execute-amend');
+
+    if (!preparedTransaction || !partyId || !signatureBase64 || !signedBy) {
+      throw new ValidationError('preparedTransaction, partyId, signatureBase64, and signedBy are required');
+    }
+
+    const result = await this.orderService.executeOrderAmend(
+      preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, amendMeta || {}
+    );
+
+    // A repriced order may now cross the book
+    if (result.repriced && result.tradingPair) {
+      setTimeout(async () => {
+        try {
+          const { getMatchingEngine } = require('../services/matching-engine');
+          await getMatchingEngine().triggerMatchingCycle(result.tradingPair);
+        } catch (triggerErr) {
+          console.warn(`[OrderController] Match trigger after amend failed (non-fatal): ${triggerErr.message}`);
+        }
+      }, 3000);
+    }
+
+    return success(res, result, 'Order amended via interactive submission');
+  });
+
+  /**
+   * Create an OCO or bracket order group
+   * POST /api/orders/groups
+   *
+   * Returns the group and the legs to place now (each via /place with groupId).
+   * Bracket exit legs follow once the entry fills (ORDER_GROUP_ARMED on orders:<partyId>).
+   */
+  createGroup = asyncHandler(async (req, res) => {
+    rejectPrivateKeyMaterialInBody(req.body, 'POST /api/orders/groups');
+
+    const partyId = await this.resolveEffectivePartyId(req, req.body?.partyId);
+    const { getOrderGroupService } = require('../services/orderGroupService');
+    const result = await getOrderGroupService().createGroup({
+      ...req.body,
+      partyId,
+      tradingPair: decodeURIComponent(req.body.tradingPair),
+    });
+
+    return success(res, result, `${result.group.groupType} group created`, 201);
+  });
+
+  /**
+   * List the caller's order groups
+   * GET /api/orders/groups?status=ACTIVE
+   */
+  getGroups = asyncHandler(async (req, res) => {
+    const partyId = await this.resolveEffectivePartyId(req, req.query.partyId);
+    const { getOrderGroupService } = require('../services/orderGroupService');
+    const groups = await getOrderGroupService().getGroupsForParty(partyId, {
+      status: req.query.status || null,
+      limit: req.query.limit,
+    });
+    return success(res, { groups }, 'Order groups fetched successfully');
+  });
+
+  /**
+   * Get one order group, with the exit legs still to be placed if it is ARMED
+   * GET /api/orders/groups/:groupId
+   */
+  getGroup = asyncHandler(async (req, res) => {
+    const partyId = await this.resolveEffectivePartyId(req, req.query.partyId);
+    const { getOrderGroupService } = require('../services/orderGroupService');
+    const group = await getOrderGroupService().getGroup(req.params.groupId, partyId);
+    return success(res, { group }, 'Order group fetched successfully');
+  });
 }
 
 module.exports = new OrderController();
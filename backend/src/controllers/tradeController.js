@@ -10,7 +10,8 @@
  * 
  * Trade template is Settlement:Trade with fields:
  *   tradeId, operator, buyer, seller, baseInstrumentId, quoteInstrumentId,
- *   baseAmount, quoteAmount, price, buyOrderId, sellOrderId, timestamp
+ *   baseAmount, quoteAmount, price, buyOrderId, sellOrderId, timestamp,
+ *   buyerFee, sellerFee, feeCollector, takerSide (optional)
  * Signatory: operator. Observer: buyer, seller.
  */
 
@@ -69,11 +70,18 @@ class TradeController {
         .slice(0, limit);
     }
 
-    // Add role field for party-specific queries
-    const tradesWithRole = trades.map(trade => ({
-      ...trade,
-      role: trade.buyer === partyId ? 'buyer' : 'seller'
-    }));
+    // Add role, plus this party's fee and liquidity, for party-specific queries
+    const tradesWithRole = trades.map(trade => {
+      const side = trade.buyer === partyId ? 'BUY' : 'SELL';
+      const [base, quote] = String(trade.tradingPair || '').split('/');
+      return {
+        ...trade,
+        role: side === 'BUY' ? 'buyer' : 'seller',
+        fee: side === 'BUY' ? trade.buyerFee ?? null : trade.sellerFee ?? null,
+        feeAsset: side === 'BUY' ? base || null : quote || null,
+        liquidity: trade.takerSide ? (trade.takerSide === side ? 'TAKER' : 'MAKER') : null,
+      };
+    });
     
     return success(res, { 
       partyId, 
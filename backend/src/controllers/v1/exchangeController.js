@@ -18,6 +18,13 @@ const config = require('../../config');
 const cantonService = require('../../services/cantonService');
 const tokenProvider = require('../../services/tokenProvider');
 const { getReadModelService } = require('../../services/readModelService');
+const { getCandleService, CANDLE_INTERVALS } = require('../../services/candleService');
+const { getTickerService } = require('../../services/tickerService');
+const { getOrderBookService } = require('../../services/orderBookService');
+const { getExecutionReportService, EXECUTION_EVENT_TYPES } = require('../../services/executionReportService');
+const { getApiKeyService } = require('../../services/apiKeyService');
+const { getCancelOnDisconnectService } = require('../../services/cancelOnDisconnectService');
+const { getFeeTierService } = require('../../services/feeTierService');
 const OrderService = require('../../services/order-service');
 const asyncHandler = require('../../middleware/asyncHandler');
 const {
@@ -52,6 +59,48 @@ function success(res, data, ledgerMeta = null, statusCode = 200) {
   return res.status(statusCode).json(response);
 }
 
+/**
+ * Parse a time range bound: unix seconds, unix milliseconds or an ISO date
+ */
+function parseTimeParam(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const str = String(value);
+  let ms;
+  if (/^\d+$/.test(str)) {
+    const n = Number(str);
+    ms = n < 1e12 ? n * 1000 : n;
+  } else {
+    ms = Date.parse(str);
+  }
+  if (!Number.isFinite(ms)) {
+    throw new ValidationError(`${name} must be a unix timestamp or an ISO date`);
+  }
+  return new Date(ms);
+}
+
+/**
+ * Key management needs the wallet session itself, not an API key
+ */
+function requireSessionCaller(req) {
+  if (!req.walletId) {
+    throw new LedgerError(ErrorCodes.UNAUTHORIZED, 'Wallet authentication required');
+  }
+  if (req.apiKey) {
+    throw new LedgerError(ErrorCodes.FORBIDDEN, 'API keys can only be managed from a wallet session');
+  }
+  return req.walletId;
+}
+
+/**
+ * The authenticated party, for endpoints a wallet session or an API key may call
+ */
+function requireCaller(req) {
+  if (!req.walletId) {
+    throw new LedgerError(ErrorCodes.UNAUTHORIZED, 'Wallet authentication required');
+  }
+  return req.walletId;
+}
+
 /**
  * Generate error response
  */
@@ -111,6 +160,50 @@ class ExchangeController {
     }
   });
 
+  // ====================
+  // API KEYS
+  // ====================
+
+  /**
+   * POST /v1/api-keys
+   * Issue a scoped API key for the session's party.
+   * Body: { scopes: ['read'|'trade'|'transfer'], label?, ipAllowlist?, expiresAt? }
+   * The secret is in this response only.
+   */
+  createApiKey = asyncHandler(async (req, res) => {
+    const partyId = requireSessionCaller(req);
+
+    const { scopes, label, ipAllowlist, expiresAt } = req.body || {};
+    const { apiKey, secret } = await getApiKeyService().createKey(partyId, {
+      scopes,
+      label,
+      ipAllowlist: ipAllowlist || [],
+      expiresAt: expiresAt || null,
+    });
+
+    return success(res, { apiKey, secret }, null, 201);
+  });
+
+  /**
+   * GET /v1/api-keys
+   * List the session party's API keys (never their secrets)
+   */
+  listApiKeys = asyncHandler(async (req, res) => {
+    const partyId = requireSessionCaller(req);
+    const apiKeys = await getApiKeyService().listKeys(partyId);
+    return success(res, { apiKeys });
+  });
+
+  /**
+   * DELETE /v1/api-keys/:keyId
+   * Revoke one of the session party's API keys
+   */
+  revokeApiKey = asyncHandler(async (req, res) => {
+    const partyId = requireSessionCaller(req);
+    const apiKey = await getApiKeyService().revokeKey(partyId, req.params.keyId);
+    return success(res, { apiKey });
+  });
+
   // ====================
   // WALLETS
   // ====================
@@ -189,6 +282,15 @@ class ExchangeController {
     const effectiveType = (type || altType || 'LIMIT').toUpperCase();
     const effectiveQuantity = quantity;
     const stopPrice = req.body.stopLossPrice || req.body.stopPrice || null;
+    const timeInForce = (req.body.timeInForce || 'GTC').toUpperCase();
+    const expiresAt = req.body.expiresAt || null;
+    const postOnly = req.body.postOnly === true || req.body.postOnly === 'true';
+    const stpMode = (req.body.stpMode || 'NONE').toUpperCase();
+    const maxSlippageBps = req.body.maxSlippageBps ?? null;
+    const limitPrice = req.body.limitPrice || null;
+    const trailingOffset = req.body.trailingOffset || null;
+    const trailingOffsetType = req.body.trailingOffsetType ? String(req.body.trailingOffsetType).toUpperCase() : null;
+    const displayQuantity = req.body.displayQuantity || null;
 
     // Validation
     if (!effectivePair || !effectiveSide || !effectiveType || !effectiveQuantity) {
@@ -205,16 +307,37 @@ class ExchangeController {
       throw new ValidationError('Invalid side. Must be BUY or SELL');
     }
 
-    if (!['LIMIT', 'MARKET', 'STOP_LOSS'].includes(effectiveType)) {
-      throw new ValidationError('Invalid type. Must be LIMIT, MARKET, or STOP_LOSS');
+    if (!['LIMIT', 'MARKET', 'STOP_LOSS', 'STOP_LIMIT', 'TRAILING_STOP'].includes(effectiveType)) {
+      throw new ValidationError('Invalid type. Must be LIMIT, MARKET, STOP_LOSS, STOP_LIMIT, or TRAILING_STOP');
     }
 
-    if (effectiveType === 'STOP_LOSS') {
+    if (effectiveType === 'STOP_LOSS' || effectiveType === 'STOP_LIMIT') {
       if (!stopPrice || parseFloat(stopPrice) <= 0) {
-        throw new ValidationError('stopLossPrice (or stopPrice) is required and must be positive for STOP_LOSS orders');
+        throw new ValidationError(`stopLossPrice (or stopPrice) is required and must be positive for ${effectiveType} orders`);
       }
     }
 
+    if (effectiveType === 'STOP_LIMIT' && (!limitPrice || parseFloat(limitPrice) <= 0)) {
+      throw new ValidationError('limitPrice is required and must be positive for STOP_LIMIT orders');
+    }
+
+    if (effectiveType === 'TRAILING_STOP') {
+      if (!trailingOffset || parseFloat(trailingOffset) <= 0) {
+        throw new ValidationError('trailingOffset is required and must be positive for TRAILING_STOP orders');
+      }
+      if (!['ABSOLUTE', 'PERCENT'].includes(trailingOffsetType)) {
+        throw new ValidationError('trailingOffsetType must be ABSOLUTE or PERCENT for TRAILING_STOP orders');
+      }
+    }
+
+    if (!['GTC', 'IOC', 'FOK', 'GTD'].includes(timeInForce)) {
+      throw new ValidationError('Invalid timeInForce. Must be GTC, IOC, FOK, or GTD');
+    }
+
+    if (displayQuantity !== null && effectiveType !== 'LIMIT') {
+      throw new ValidationError('displayQuantity (iceberg) is only supported for LIMIT orders');
+    }
+
     // Get party from wallet auth OR request body (for legacy compat)
     const partyId = req.walletId || bodyPartyId || req.headers['x-user-id'];
     if (!partyId) {
@@ -233,6 +356,15 @@ class ExchangeController {
         price: price || null,
         quantity: effectiveQuantity,
         stopPrice,
+        limitPrice,
+        trailingOffset,
+        trailingOffsetType,
+        timeInForce,
+        expiresAt,
+        postOnly,
+        stpMode,
+        maxSlippageBps,
+        displayQuantity,
       });
 
       // If interactive signing is needed, return the prepared transaction
@@ -259,7 +391,17 @@ class ExchangeController {
           filledQuantity: '0',
           status: result.status || 'OPEN',
           createdAt: new Date().toISOString(),
-          stopPrice,
+          stopPrice: result.stopPrice || stopPrice,
+          limitPrice,
+          trailingOffset,
+          trailingOffsetType,
+          timeInForce,
+          expiresAt: result.expiresAt || null,
+          postOnly,
+          stpMode,
+          maxSlippageBps: result.maxSlippageBps ?? null,
+          slippageLimitPrice: result.slippageLimitPrice || null,
+          displayQuantity: result.displayQuantity || null,
           allocationContractId: result.allocationContractId || null,
         }
       }, {
@@ -325,6 +467,9 @@ class ExchangeController {
         status: order.status,
         createdAt: order.timestamp,
         stopPrice: order.stopPrice || null,
+        limitPrice: order.limitPrice || null,
+        trailingOffset: order.trailingOffset || null,
+        trailingOffsetType: order.trailingOffsetType || null,
         triggeredAt: order.triggeredAt || null,
       })),
       pagination: {
@@ -405,6 +550,117 @@ class ExchangeController {
     }
   });
 
+  /**
+   * GET /v1/executions
+   * The caller's execution reports, newest first — the history behind the
+   * executions:<partyId> WebSocket channel.
+   * Query: orderId, pair, eventType, from, to, limit, cursor (execId)
+   */
+  listExecutions = asyncHandler(async (req, res) => {
+    const partyId = req.walletId; // From wallet auth middleware
+    const { orderId, pair, cursor, limit } = req.query;
+
+    if (!partyId) {
+      throw new LedgerError(ErrorCodes.UNAUTHORIZED, 'Wallet authentication required');
+    }
+
+    const eventType = req.query.eventType ? String(req.query.eventType).toUpperCase() : null;
+    if (eventType && !EXECUTION_EVENT_TYPES.includes(eventType)) {
+      throw new ValidationError(`Invalid eventType. Must be one of ${EXECUTION_EVENT_TYPES.join(', ')}`);
+    }
+    const from = parseTimeParam(req.query.from, 'from');
+    const to = parseTimeParam(req.query.to, 'to');
+    if (from && to && from > to) {
+      throw new ValidationError('from must not be after to');
+    }
+
+    const { reports, nextCursor } = await getExecutionReportService().getHistory(partyId, {
+      orderId: orderId || null,
+      tradingPair: pair ? decodeURIComponent(pair).replace(/[-_]/, '/').toUpperCase() : null,
+      eventType,
+      from,
+      to,
+      limit,
+      cursor: cursor || null,
+    });
+
+    return success(res, {
+      executions: reports,
+      pagination: {
+        cursor: nextCursor,
+        hasMore: nextCursor !== null,
+      },
+    });
+  });
+
+  // ====================
+  // CANCEL-ON-DISCONNECT
+  // ====================
+
+  /**
+   * POST /v1/cancel-on-disconnect
+   * Arm a dead-man's switch: unless a heartbeat arrives every timeoutMs, the
+   * caller's working orders (or only tradingPair's) are cancelled.
+   * Body: { timeoutMs, tradingPair?, sessionId? } — sessionId re-arms an existing session
+   */
+  armCancelOnDisconnect = asyncHandler(async (req, res) => {
+    const partyId = requireCaller(req);
+    const { timeoutMs, tradingPair, sessionId } = req.body || {};
+    const session = await getCancelOnDisconnectService().arm(partyId, {
+      timeoutMs,
+      tradingPair: tradingPair || null,
+      transport: 'REST',
+      sessionId: sessionId || null,
+    });
+    return success(res, { session }, null, sessionId ? 200 : 201);
+  });
+
+  /**
+   * POST /v1/cancel-on-disconnect/heartbeat
+   * Restart the countdown of one session, or of all the caller's sessions.
+   * Body: { sessionId? }
+   */
+  cancelOnDisconnectHeartbeat = asyncHandler(async (req, res) => {
+    const partyId = requireCaller(req);
+    const sessions = getCancelOnDisconnectService().heartbeat(partyId, req.body?.sessionId || null);
+    return success(res, { sessions });
+  });
+
+  /**
+   * GET /v1/cancel-on-disconnect
+   * The caller's armed sessions and their audit trail, newest first
+   */
+  getCancelOnDisconnect = asyncHandler(async (req, res) => {
+    const partyId = requireCaller(req);
+    const service = getCancelOnDisconnectService();
+    const events = await service.getEvents(partyId, { limit: req.query.limit });
+    return success(res, { sessions: service.listSessions(partyId), events });
+  });
+
+  /**
+   * DELETE /v1/cancel-on-disconnect/:sessionId
+   */
+  disarmCancelOnDisconnect = asyncHandler(async (req, res) => {
+    const partyId = requireCaller(req);
+    const session = await getCancelOnDisconnectService().disarm(partyId, req.params.sessionId);
+    return success(res, { session });
+  });
+
+  // ====================
+  // ACCOUNT
+  // ====================
+
+  /**
+   * GET /v1/account/fee-tier
+   * The caller's volume tier per quote asset: rolling 30-day volume, the
+   * current tier and rates, and the volume still needed for the next tier
+   */
+  getFeeTier = asyncHandler(async (req, res) => {
+    const partyId = requireCaller(req);
+    const tiers = await getFeeTierService().getFeeTier(partyId);
+    return success(res, { partyId, tiers });
+  });
+
   // ====================
   // MARKET DATA
   // ====================
@@ -484,27 +740,52 @@ class ExchangeController {
 
   /**
    * GET /v1/tickers
-   * Get market tickers
+   * Rolling 24h statistics per listed market, with the current best bid/ask
    */
   getTickers = asyncHandler(async (req, res) => {
-    const requestId = crypto.randomUUID();
-
-    const readModel = getReadModelService();
-    const orderBooks = readModel?.getAllOrderBooks() || [];
+    const orderBooks = await getOrderBookService().getAllOrderBooks();
+    const tickerService = getTickerService();
 
     const tickers = orderBooks.map(ob => ({
-      symbol: ob.pair || ob.tradingPair,
-      lastPrice: ob.lastPrice || null,
-      bidPrice: ob.bids?.[0]?.price || null,
-      askPrice: ob.asks?.[0]?.price || null,
-      volume24h: '0.00',
-      change24h: '0.00',
-      changePercent24h: '0.00%'
+      ...tickerService.getTicker(ob.tradingPair),
+      bidPrice: ob.buyOrders?.[0]?.price ?? null,
+      askPrice: ob.sellOrders?.[0]?.price ?? null,
     }));
 
     return success(res, tickers);
   });
 
+  /**
+   * GET /v1/candles/:pair?interval=1h&from=&to=&limit=
+   * OHLCV candles, oldest first. Without `from`, the latest `limit` candles.
+   */
+  getCandles = asyncHandler(async (req, res) => {
+    const { pair } = req.params;
+    const interval = String(req.query.interval || '1h').toLowerCase();
+
+    if (!pair) {
+      throw new ValidationError('Trading pair is required');
+    }
+    if (!CANDLE_INTERVALS.includes(interval)) {
+      throw new ValidationError(`Invalid interval. Must be one of ${CANDLE_INTERVALS.join(', ')}`);
+    }
+    const from = parseTimeParam(req.query.from, 'from');
+    const to = parseTimeParam(req.query.to, 'to');
+    if (from && to && from > to) {
+      throw new ValidationError('from must not be after to');
+    }
+
+    // Accept BTC%2FUSDT as well as BTC-USDT / BTC_USDT
+    const decodedPair = decodeURIComponent(pair).replace(/[-_]/, '/').toUpperCase();
+    const candles = await getCandleService().getCandles(decodedPair, interval, {
+      from,
+      to,
+      limit: req.query.limit,
+    });
+
+    return success(res, { pair: decodedPair, interval, candles });
+  });
+
   // ====================
   // BALANCES
   // ====================
@@ -16,7 +16,10 @@ const errorHandler = (err, req, res, next) => {
   let message = err.message || 'Server Error';
 
   // Handle specific error types
-  if (err.name === 'ValidationError') {
+  if (err.name === 'LedgerError') {
+    statusCode = err.getHttpStatus();
+    message = err.message;
+  } else if (err.name === 'ValidationError') {
     statusCode = 400;
     message = err.message;
   } else if (err.name === 'UnauthorizedError') {
@@ -34,6 +37,12 @@ const errorHandler = (err, req, res, next) => {
   res.status(statusCode).json({
     success: false,
     error: message,
+    // LedgerError codes (and, for market-rule rejections, the offending field)
+    ...(err.name === 'LedgerError' && {
+      code: err.code,
+      ...(err.field && { field: err.field }),
+      ...(err.details && { details: err.details }),
+    }),
     ...(process.env.NODE_ENV === 'development' && { stack: err.stack }),
   });
 };
@@ -0,0 +1,62 @@
+/**
+ * Admin Authorization Middleware
+ *
+ * requireAdmin(permission) lets a request through only when its Bearer
+ * token belongs to an enabled admin account holding `permission` (see
+ * AdminAuthService). It sets req.admin = { account, method }.
+ *
+ * Refusals answer 401 (not an admin) or 403 (missing permission) and are
+ * written to the admin audit log, as is every write that gets through —
+ * once the response is sent, with its status. A router can apply
+ * requireAdmin('read-only') to all its routes and a stricter permission
+ * per route; the write is then audited once, under the stricter one.
+ */
+
+const { getAdminAuthService } = require('../services/adminAuthService');
+const { UnauthorizedError, ForbiddenError } = require('../utils/errors');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+const requireAdmin = (permission) => async (req, res, next) => {
+  const service = getAdminAuthService();
+  try {
+    if (req.admin === undefined) {
+      req.admin = await service.authenticate(req);
+    }
+  } catch (err) {
+    return next(err);
+  }
+
+  const auth = req.admin;
+  if (!service.hasPermission(auth, permission)) {
+    // Refused here after an earlier requireAdmin let it in: log the refusal only
+    if (req.adminAudit) req.adminAudit.denied = true;
+    await service.audit({ auth, req, permission, statusCode: auth ? 403 : 401, outcome: 'DENIED' });
+    return next(auth
+      ? new ForbiddenError(`Admin permission '${permission}' required`)
+      : new UnauthorizedError('Admin authentication required'));
+  }
+
+  if (!READ_METHODS.includes(req.method)) {
+    if (req.adminAudit) {
+      req.adminAudit.permission = permission;
+    } else {
+      req.adminAudit = { permission };
+      res.on('finish', () => {
+        if (req.adminAudit.denied) return;
+        service.audit({
+          auth,
+          req,
+          permission: req.adminAudit.permission,
+          statusCode: res.statusCode,
+          outcome: res.statusCode < 400 ? 'OK' : 'FAILED',
+        });
+      });
+    }
+  }
+  next();
+};
+
+module.exports = {
+  requireAdmin,
+};
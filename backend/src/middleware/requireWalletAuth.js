@@ -3,16 +3,69 @@
  * 
  * Verifies app-level session JWTs (NOT Keycloak tokens).
  * Extracts walletId from valid session and attaches to request.
+ *
+ * Requests carrying X-API-KEY are authenticated by their HMAC signature
+ * instead (see ApiKeyService) and additionally get req.apiKey, which
+ * requireScope() checks.
  */
 
 const authService = require('../services/authService');
-const { LedgerError } = require('../utils/ledgerError');
+const config = require('../config');
+const { LedgerError, ErrorCodes } = require('../utils/ledgerError');
+
+/**
+ * Authenticate an X-API-KEY request and attach its party and scopes.
+ * Answers 401/403 itself when the key or signature does not check out.
+ */
+const apiKeyAuth = async (req, res, next) => {
+  try {
+    // Only JSON bodies are kept byte for byte (see app.js); any other body
+    // would go unsigned
+    const hasBody = Number(req.headers['content-length'] || 0) > 0 || req.headers['transfer-encoding'] !== undefined;
+    if (hasBody && req.rawBody === undefined) {
+      throw new LedgerError(ErrorCodes.INVALID_REQUEST, 'API-key requests must send their body as application/json');
+    }
+
+    const { getApiKeyService } = require('../services/apiKeyService');
+    const key = await getApiKeyService().verifyRequest({
+      keyId: req.headers['x-api-key'],
+      timestamp: req.headers['x-api-timestamp'],
+      signature: req.headers['x-api-signature'],
+      method: req.method,
+      path: req.originalUrl,
+      body: req.rawBody || '',
+      // Without TRUST_PROXY, req.ip may be the proxy's address — allowlisted keys are refused
+      ip: config.server.trustProxy === null ? null : req.ip,
+    });
+
+    req.walletId = key.partyId;
+    req.sessionId = null;
+    req.apiKey = { keyId: key.keyId, scopes: key.scopes };
+    next();
+  } catch (error) {
+    if (error instanceof LedgerError) {
+      return res.status(error.getHttpStatus()).json(error.toJSON());
+    }
+    console.error('[WalletAuth] API key authentication failed:', error);
+    return res.status(500).json({
+      ok: false,
+      error: {
+        code: 'AUTH_ERROR',
+        message: 'Authentication error'
+      }
+    });
+  }
+};
 
 /**
  * Middleware to require valid wallet session
  * Sets req.walletId if authenticated
  */
 const requireWalletAuth = (req, res, next) => {
+  if (req.headers['x-api-key']) {
+    return apiKeyAuth(req, res, next);
+  }
+
   try {
     const authHeader = req.headers.authorization;
     
@@ -64,6 +117,11 @@ const requireWalletAuth = (req, res, next) => {
  * Sets req.walletId if authenticated, otherwise null
  */
 const optionalWalletAuth = (req, res, next) => {
+  // A key that was sent but does not verify is an error, not an anonymous call
+  if (req.headers['x-api-key']) {
+    return apiKeyAuth(req, res, next);
+  }
+
   try {
     const authHeader = req.headers.authorization;
     
@@ -94,7 +152,31 @@ const optionalWalletAuth = (req, res, next) => {
   }
 };
 
+/**
+ * Restrict API-key callers to keys holding `scope`, acting for their own
+ * party only (partyId in the path or body must be the key's). Session
+ * callers pass through unchanged. Place after requireWalletAuth /
+ * optionalWalletAuth.
+ */
+const requireScope = (scope) => (req, res, next) => {
+  if (!req.apiKey) return next();
+
+  if (!req.apiKey.scopes.includes(scope)) {
+    const err = new LedgerError(ErrorCodes.FORBIDDEN, `API key lacks the '${scope}' scope`);
+    return res.status(err.getHttpStatus()).json(err.toJSON());
+  }
+
+  const claimedParty = req.params?.partyId || req.body?.partyId;
+  if (claimedParty && claimedParty !== req.walletId) {
+    const err = new LedgerError(ErrorCodes.FORBIDDEN, 'API key cannot act for another party');
+    return res.status(err.getHttpStatus()).json(err.toJSON());
+  }
+
+  next();
+};
+
 module.exports = {
   requireWalletAuth,
-  optionalWalletAuth
+  optionalWalletAuth,
+  requireScope
 };
@@ -1,27 +1,83 @@
 /**
  * Admin Routes
+ *
+ * Every route needs an admin account (requireAdmin('read-only') below);
+ * writes additionally name the permission they need. See adminAuthService.
  */
 
 const express = require('express');
 const router = express.Router();
 const adminController = require('../controllers/adminController');
 const validate = require('../middleware/validator');
-const { createOrderBookSchema, uploadDarSchema } = require('../validators/adminValidators');
+const { requireAdmin } = require('../middleware/requireAdmin');
+const {
+  createOrderBookSchema,
+  uploadDarSchema,
+  createMarketSchema,
+  updateMarketSchema,
+  setTradingStateSchema,
+  endAuctionSchema,
+  setFeeTiersSchema,
+  backfillCandlesSchema,
+  createAdminAccountSchema,
+  updateAdminAccountSchema,
+} = require('../validators/adminValidators');
 const { getInstrumentService } = require('../services/instrumentService');
 const tokenProvider = require('../services/tokenProvider');
 const { success, error } = require('../utils/response');
 
+router.use(requireAdmin('read-only'));
+
+// GET /api/admin/me - The calling admin account and how it logged in
+router.get('/me', adminController.getMe);
+
+// GET /api/admin/accounts - Admin accounts
+router.get('/accounts', adminController.getAccounts);
+
+// POST /api/admin/accounts - Add an admin ({ name, partyId?, oidcSubject?, permissions })
+router.post('/accounts', requireAdmin('account-admin'), validate(createAdminAccountSchema), adminController.createAccount);
+
+// PATCH /api/admin/accounts/:id - Change name, permissions or disabled
+router.patch('/accounts/:id', requireAdmin('account-admin'), validate(updateAdminAccountSchema), adminController.updateAccount);
+
+// GET /api/admin/audit - Admin audit log, newest first (?adminId=&limit=)
+router.get('/audit', adminController.getAudit);
+
 // GET /api/admin/orderbooks - List all order books
 router.get('/orderbooks', adminController.getOrderBooks);
 
 // POST /api/admin/orderbooks/:tradingPair - Create OrderBook
-router.post('/orderbooks/:tradingPair', validate(createOrderBookSchema), adminController.createOrderBook);
+router.post('/orderbooks/:tradingPair', requireAdmin('market-admin'), validate(createOrderBookSchema), adminController.createOrderBook);
+
+// GET /api/admin/markets - Market registry, including delisted markets
+router.get('/markets', adminController.getMarkets);
+
+// POST /api/admin/markets - List a new market
+router.post('/markets', requireAdmin('market-admin'), validate(createMarketSchema), adminController.createMarket);
+
+// PATCH /api/admin/markets/:symbol - Change tick/lot/notional limits, maker/taker fees or status (symbol URL-encoded, e.g. BTC%2FUSDT)
+router.patch('/markets/:symbol', requireAdmin('market-admin'), validate(updateMarketSchema), adminController.updateMarket);
+
+// POST /api/admin/markets/:symbol/trading-state - Halt, resume, cancel-only or auction, optionally for durationMs
+router.post('/markets/:symbol/trading-state', requireAdmin('market-admin'), validate(setTradingStateSchema), adminController.setTradingState);
+
+// POST /api/admin/markets/:symbol/auction/end - Uncross a call auction on the next matching cycle
+router.post('/markets/:symbol/auction/end', requireAdmin('market-admin'), validate(endAuctionSchema), adminController.endAuction);
+
+// GET /api/admin/fee-tiers - Volume fee-tier ladders by quote asset
+router.get('/fee-tiers', adminController.getFeeTiers);
+
+// PUT /api/admin/fee-tiers/:quoteSymbol - Replace a ladder ({ tiers: [{ name, minVolume, makerFeeBps, takerFeeBps }] }; [] removes it)
+router.put('/fee-tiers/:quoteSymbol', requireAdmin('market-admin'), validate(setFeeTiersSchema), adminController.setFeeTiers);
+
+// POST /api/admin/candles/backfill - Rebuild OHLCV candles from TradeSettlement ({ tradingPair?, since? })
+router.post('/candles/backfill', requireAdmin('settlement-ops'), validate(backfillCandlesSchema), adminController.backfillCandles);
 
 // POST /api/admin/upload-dar - Upload DAR file
-router.post('/upload-dar', validate(uploadDarSchema), adminController.uploadDar);
+router.post('/upload-dar', requireAdmin('market-admin'), validate(uploadDarSchema), adminController.uploadDar);
 
 // POST /api/admin/bootstrap-instruments - Create standard instruments and trading pairs
-router.post('/bootstrap-instruments', async (req, res) => {
+router.post('/bootstrap-instruments', requireAdmin('market-admin'), async (req, res) => {
   try {
     console.log('[Admin] Bootstrapping standard instruments and trading pairs...');
     
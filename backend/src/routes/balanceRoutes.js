@@ -14,6 +14,7 @@ const router = express.Router();
 const Decimal = require('decimal.js');
 const { success, error } = require('../utils/response');
 const asyncHandler = require('../middleware/asyncHandler');
+const { requireAdmin } = require('../middleware/requireAdmin');
 const { ValidationError } = require('../utils/errors');
 const { getCantonSDKClient } = require('../services/canton-sdk-client');
 const { getAllNetTradeBalances } = require('../services/tradeSettlementService');
@@ -123,7 +124,7 @@ router.get('/:partyId', asyncHandler(async (req, res) => {
 // POST /api/balance/mint
 // Mint tokens by transferring from faucet via Canton SDK
 // ─────────────────────────────────────────────────────────
-router.post('/mint', asyncHandler(async (req, res) => {
+router.post('/mint', requireAdmin('minting'), asyncHandler(async (req, res) => {
   const { partyId, tokens } = req.body;
   
   if (!partyId) {
@@ -309,7 +310,7 @@ router.get('/v2/:partyId', asyncHandler(async (req, res) => {
  * POST /api/balance/v2/mint
  * Mint tokens via Canton SDK faucet transfer.
  */
-router.post('/v2/mint', asyncHandler(async (req, res) => {
+router.post('/v2/mint', requireAdmin('minting'), asyncHandler(async (req, res) => {
   const { partyId, tokens } = req.body;
   
   if (!partyId) {
@@ -21,6 +21,8 @@ const ledgerProxyRoutes = require('./ledgerProxyRoutes');
 const ledgerRoutes = require('./ledgerRoutes');
 const mintingRoutes = require('./mintingRoutes');
 const balanceRoutes = require('./balanceRoutes');
+const marketRoutes = require('./marketRoutes');
+const { requireAdmin } = require('../middleware/requireAdmin');
 
 // NEW: Wallet routes (External Party Onboarding - No Keycloak)
 const walletRoutes = require('./v1/walletRoutes');
@@ -34,6 +36,7 @@ const settlementRoutes = require('./settlementRoutes');
 
 // Mount routes (matching existing API structure)
 router.use('/orderbooks', orderBookRoutes);
+router.use('/markets', marketRoutes); // GET /api/markets (market registry)
 router.use('/orders', orderRoutes);
 router.use('/trades', tradeRoutes);
 router.use('/admin', adminRoutes);
@@ -66,7 +69,7 @@ router.use('/trades/v2', tradeRoutesV2); // GET /api/trades/v2 (DvP trades)
 router.use('/settlement', settlementRoutes); // TradingApp: /api/settlement/pending, prepare-withdraw, etc.
 
 // Matching Engine: On-demand trigger (CRITICAL for serverless/Vercel where background matching can't run)
-// Supports both POST (from frontend) and GET (from Vercel Cron)
+// Supports both POST (admins with settlement-ops) and GET (Vercel Cron, Bearer CRON_SECRET)
 // Rate-limited to prevent rapid-fire triggers causing duplicate matches on serverless.
 let _lastMatchTriggerTime = 0;
 const MATCH_COOLDOWN_MS = 30000; // 30 seconds between match cycles
@@ -95,7 +98,7 @@ const matchTriggerHandler = async (req, res) => {
     res.status(500).json({ ok: false, error: error.message });
   }
 };
-router.post('/match/trigger', matchTriggerHandler);
-router.get('/match/trigger', matchTriggerHandler); // For Vercel Cron
+router.post('/match/trigger', requireAdmin('settlement-ops'), matchTriggerHandler);
+router.get('/match/trigger', requireAdmin('settlement-ops'), matchTriggerHandler); // For Vercel Cron
 
 module.exports = router;
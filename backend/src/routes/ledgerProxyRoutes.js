@@ -9,9 +9,17 @@ const router = express.Router();
 const requireUserId = require('../middleware/requireUserId');
 const asyncHandler = require('../middleware/asyncHandler');
 const ledgerProxyController = require('../controllers/ledgerProxyController');
+const { requireAdmin } = require('../middleware/requireAdmin');
 
 router.use(requireUserId);
 
+// Submitting or reading as the operator party is an admin action
+const requireAdminForOperator = (req, res, next) => {
+  const { actAs, readAs } = req.body || {};
+  if (actAs !== 'operator' && readAs !== 'operator') return next();
+  return requireAdmin('settlement-ops')(req, res, next);
+};
+
 // Challenge for wallet-signed requests (MVP)
 router.get('/challenge', (req, res) => ledgerProxyController.issueChallenge(req, res));
 
@@ -19,8 +27,8 @@ router.get('/challenge', (req, res) => ledgerProxyController.issueChallenge(req,
 router.post('/query-active-contracts', asyncHandler(ledgerProxyController.queryActiveContracts));
 router.post('/fetch-contract', asyncHandler(ledgerProxyController.fetchContract));
 router.post('/fetch-contracts', asyncHandler(ledgerProxyController.fetchContracts));
-router.post('/create', asyncHandler(ledgerProxyController.create));
-router.post('/exercise', asyncHandler(ledgerProxyController.exercise));
+router.post('/create', requireAdminForOperator, asyncHandler(ledgerProxyController.create));
+router.post('/exercise', requireAdminForOperator, asyncHandler(ledgerProxyController.exercise));
 
 // Optional
 router.get('/connected-synchronizers', asyncHandler(ledgerProxyController.connectedSynchronizers));
@@ -0,0 +1,31 @@
+/**
+ * Market Routes
+ * Public, read-only view of the market registry
+ */
+
+const express = require('express');
+const router = express.Router();
+const asyncHandler = require('../middleware/asyncHandler');
+const { getMarketRegistry } = require('../services/marketRegistryService');
+const { success } = require('../utils/response');
+const { NotFoundError } = require('../utils/errors');
+
+// GET /api/markets - Listed markets (everything but DELISTED)
+router.get('/', asyncHandler(async (req, res) => {
+  const registry = getMarketRegistry();
+  await registry.ensureFresh();
+  return success(res, { markets: registry.listMarkets() }, 'Markets retrieved');
+}));
+
+// GET /api/markets/:symbol - One market (e.g., BTC%2FUSDT)
+router.get('/:symbol', asyncHandler(async (req, res) => {
+  const registry = getMarketRegistry();
+  await registry.ensureFresh();
+  const market = registry.getMarket(decodeURIComponent(req.params.symbol));
+  if (!market || market.status === 'DELISTED') {
+    throw new NotFoundError(`Market ${req.params.symbol} not found`);
+  }
+  return success(res, { market }, 'Market retrieved');
+}));
+
+module.exports = router;
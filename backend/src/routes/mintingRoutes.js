@@ -1,11 +1,14 @@
 /**
  * Minting Routes - Token deposit endpoints
  * NO HARDCODED VALUES - All amounts from request or environment
+ *
+ * Minting needs an admin account with the `minting` permission.
  */
 
 const express = require('express');
 const router = express.Router();
 const mintingController = require('../controllers/mintingController');
+const { requireAdmin } = require('../middleware/requireAdmin');
 
 /**
  * POST /api/testnet/mint-tokens
@@ -20,7 +23,7 @@ const mintingController = require('../controllers/mintingController');
  *   ]
  * }
  */
-router.post('/mint-tokens', mintingController.mintTestTokens);
+router.post('/mint-tokens', requireAdmin('minting'), mintingController.mintTestTokens);
 
 /**
  * POST /api/testnet/quick-mint
@@ -38,7 +41,7 @@ router.post('/mint-tokens', mintingController.mintTestTokens);
  * - MINT_SOL_AMOUNT
  * - MINT_USDT_AMOUNT
  */
-router.post('/quick-mint', mintingController.quickMint);
+router.post('/quick-mint', requireAdmin('minting'), mintingController.quickMint);
 
 /**
  * GET /api/testnet/balances/:partyId
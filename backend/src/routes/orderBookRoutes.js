@@ -5,6 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const orderBookController = require('../controllers/orderBookController');
+const { requireAdmin } = require('../middleware/requireAdmin');
 
 // GET /api/orderbooks - Get all OrderBooks
 router.get('/', orderBookController.getAll);
@@ -13,7 +14,7 @@ router.get('/', orderBookController.getAll);
 router.get('/trades', orderBookController.getAllTrades);
 
 // POST /api/orderbooks/:tradingPair - Create OrderBook (Admin)
-router.post('/:tradingPair', orderBookController.create);
+router.post('/:tradingPair', requireAdmin('market-admin'), orderBookController.create);
 
 // GET /api/orderbooks/:tradingPair - Get OrderBook by trading pair
 router.get('/:tradingPair', orderBookController.getByTradingPair);
@@ -6,7 +6,14 @@ const express = require('express');
 const router = express.Router();
 const orderController = require('../controllers/orderController');
 const validate = require('../middleware/validator');
-const { placeOrderSchema, cancelOrderSchema } = require('../validators/orderValidators');
+const {
+  placeOrderSchema,
+  cancelOrderSchema,
+  batchOrderSchema,
+  cancelAllOrdersSchema,
+  amendOrderSchema,
+  createOrderGroupSchema,
+} = require('../validators/orderValidators');
 
 // POST /api/orders/place - Place an order
 // For external parties: returns { requiresSignature: true, preparedTransaction, ... }
@@ -24,10 +31,40 @@ router.post('/cancel', validate(cancelOrderSchema), orderController.cancel);
 // POST /api/orders/execute-cancel - Execute prepared order cancellation with user's signature
 router.post('/execute-cancel', orderController.executeCancel);
 
+// POST /api/orders/batch - Prepare up to 50 orders as one transaction (one signature)
+// Sign the returned hash, then call POST /api/orders/execute-batch
+router.post('/batch', validate(batchOrderSchema), orderController.placeBatch);
+
+// POST /api/orders/execute-batch - Execute prepared batch placement with user's signature
+router.post('/execute-batch', orderController.executeBatch);
+
+// POST /api/orders/cancel-all - Cancel the caller's working orders (optionally by tradingPair / side)
+// Sign the returned hash, then call POST /api/orders/execute-cancel-all
+router.post('/cancel-all', validate(cancelAllOrdersSchema), orderController.cancelAll);
+
+// POST /api/orders/execute-cancel-all - Execute prepared mass cancel with user's signature
+router.post('/execute-cancel-all', orderController.executeCancelAll);
+
+// POST /api/orders/execute-amend - Execute prepared order amend with user's signature
+router.post('/execute-amend', orderController.executeAmend);
+
 // GET /api/orders/user/:partyId - Get user's active orders
 router.get('/user/:partyId', orderController.getUserOrders);
 
+// POST /api/orders/groups - Create an OCO / bracket group; legs are then placed via /place with groupId
+router.post('/groups', validate(createOrderGroupSchema), orderController.createGroup);
+
+// GET /api/orders/groups - List the caller's order groups
+router.get('/groups', orderController.getGroups);
+
+// GET /api/orders/groups/:groupId - Get one order group
+router.get('/groups/:groupId', orderController.getGroup);
+
 // POST /api/orders/:orderId/cancel - Cancel specific order
 router.post('/:orderId/cancel', orderController.cancelOrderById);
 
+// POST /api/orders/:orderId/amend - Change price and/or reduce quantity in place
+// Returns { requiresSignature: true, preparedTransaction, ... }; sign, then POST /api/orders/execute-amend
+router.post('/:orderId/amend', validate(amendOrderSchema), orderController.amend);
+
 module.exports = router;
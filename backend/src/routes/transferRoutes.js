@@ -16,6 +16,10 @@ const tokenProvider = require('../services/tokenProvider');
 const { success } = require('../utils/response');
 const { ValidationError } = require('../utils/errors');
 const { rejectPrivateKeyMaterialInBody } = require('../utils/nonCustodial');
+const { optionalWalletAuth, requireScope } = require('../middleware/requireWalletAuth');
+
+// Browser callers are unaffected; API-key callers need the transfer scope
+const transferAuth = [optionalWalletAuth, requireScope('transfer')];
 
 /**
  * GET /api/transfers/offers/:partyId
@@ -55,7 +59,7 @@ router.get('/offers/:partyId', asyncHandler(async (req, res) => {
  *   → Frontend signs the hash, then calls POST /api/transfers/execute-accept
  * For INTERNAL parties: Accepts directly and returns { success: true }
  */
-router.post('/accept', asyncHandler(async (req, res) => {
+router.post('/accept', transferAuth, asyncHandler(async (req, res) => {
   const { offerContractId, partyId, templateId, registrarParty } = req.body;
   
   if (!offerContractId || !partyId) {
@@ -112,7 +116,7 @@ router.post('/accept', asyncHandler(async (req, res) => {
  * The frontend must sign preparedTransactionHash with the user's Ed25519 private key,
  * then call /execute-accept with the signature.
  */
-router.post('/prepare-accept', asyncHandler(async (req, res) => {
+router.post('/prepare-accept', transferAuth, asyncHandler(async (req, res) => {
   const { offerContractId, partyId, templateId, registrarParty } = req.body;
   
   if (!offerContractId || !partyId) {
@@ -147,7 +151,7 @@ router.post('/prepare-accept', asyncHandler(async (req, res) => {
  * signedBy: The public key fingerprint (from onboarding) that signed
  * hashingSchemeVersion: From the prepare response (echoed back)
  */
-router.post('/execute-accept', asyncHandler(async (req, res) => {
+router.post('/execute-accept', transferAuth, asyncHandler(async (req, res) => {
   rejectPrivateKeyMaterialInBody(req.body, 'POST /api/transfers/execute-accept');
 
   const { preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion } = req.body;
@@ -13,7 +13,7 @@ const path = require('path');
 
 // Fix the controller path - routes are in src/routes/v1, controller is in src/controllers/v1
 const exchangeController = require('../../controllers/v1/exchangeController');
-const { requireWalletAuth } = require('../../middleware/requireWalletAuth');
+const { requireWalletAuth, requireScope } = require('../../middleware/requireWalletAuth');
 
 // ====================
 // AUTH (no auth middleware needed)
@@ -22,6 +22,19 @@ const { requireWalletAuth } = require('../../middleware/requireWalletAuth');
 // POST /v1/auth/exchange - Exchange OIDC token for ledger token
 router.post('/auth/exchange', exchangeController.exchangeToken);
 
+// ====================
+// API KEYS (wallet session only — a key cannot manage keys)
+// ====================
+
+// POST /v1/api-keys - Issue a scoped API key; the secret is returned once
+router.post('/api-keys', requireWalletAuth, exchangeController.createApiKey);
+
+// GET /v1/api-keys - List own API keys
+router.get('/api-keys', requireWalletAuth, exchangeController.listApiKeys);
+
+// DELETE /v1/api-keys/:keyId - Revoke an API key
+router.delete('/api-keys/:keyId', requireWalletAuth, exchangeController.revokeApiKey);
+
 // ====================
 // WALLETS (requires wallet auth)
 // ====================
@@ -30,17 +43,43 @@ router.post('/auth/exchange', exchangeController.exchangeToken);
 router.post('/wallets', requireWalletAuth, exchangeController.createWallet);
 
 // ====================
-// ORDERS (requires wallet auth)
+// ORDERS (requires wallet auth; API keys need the trade scope to write)
 // ====================
 
 // POST /v1/orders - Place a new order
-router.post('/orders', requireWalletAuth, exchangeController.placeOrder);
+router.post('/orders', requireWalletAuth, requireScope('trade'), exchangeController.placeOrder);
 
 // GET /v1/orders - List orders
-router.get('/orders', requireWalletAuth, exchangeController.listOrders);
+router.get('/orders', requireWalletAuth, requireScope('read'), exchangeController.listOrders);
 
 // POST /v1/orders/:contractId/cancel - Cancel an order
-router.post('/orders/:contractId/cancel', requireWalletAuth, exchangeController.cancelOrder);
+router.post('/orders/:contractId/cancel', requireWalletAuth, requireScope('trade'), exchangeController.cancelOrder);
+
+// GET /v1/executions - Own execution reports (?orderId=&pair=&eventType=&from=&to=&limit=&cursor=)
+router.get('/executions', requireWalletAuth, requireScope('read'), exchangeController.listExecutions);
+
+// ====================
+// CANCEL-ON-DISCONNECT (dead-man's switch; trade scope)
+// ====================
+
+// POST /v1/cancel-on-disconnect - Arm a session { timeoutMs, tradingPair?, sessionId? }
+router.post('/cancel-on-disconnect', requireWalletAuth, requireScope('trade'), exchangeController.armCancelOnDisconnect);
+
+// POST /v1/cancel-on-disconnect/heartbeat - Keep-alive { sessionId? } (omit to refresh all)
+router.post('/cancel-on-disconnect/heartbeat', requireWalletAuth, requireScope('trade'), exchangeController.cancelOnDisconnectHeartbeat);
+
+// GET /v1/cancel-on-disconnect - Armed sessions and the audit trail (?limit=)
+router.get('/cancel-on-disconnect', requireWalletAuth, requireScope('read'), exchangeController.getCancelOnDisconnect);
+
+// DELETE /v1/cancel-on-disconnect/:sessionId - Disarm a session
+router.delete('/cancel-on-disconnect/:sessionId', requireWalletAuth, requireScope('trade'), exchangeController.disarmCancelOnDisconnect);
+
+// ====================
+// ACCOUNT (requires wallet auth)
+// ====================
+
+// GET /v1/account/fee-tier - Own volume fee tier per quote asset
+router.get('/account/fee-tier', requireWalletAuth, requireScope('read'), exchangeController.getFeeTier);
 
 // ====================
 // MARKET DATA (public)
@@ -52,7 +91,10 @@ router.get('/orderbook/:pair', exchangeController.getOrderbook);
 // GET /v1/trades - Get recent trades
 router.get('/trades', exchangeController.getTrades);
 
-// GET /v1/tickers - Get market tickers
+// GET /v1/candles/:pair - OHLCV candles (?interval=1m|5m|15m|1h|4h|1d|1w&from=&to=&limit=)
+router.get('/candles/:pair', exchangeController.getCandles);
+
+// GET /v1/tickers - Rolling 24h market tickers
 router.get('/tickers', exchangeController.getTickers);
 
 // ====================
@@ -60,6 +102,6 @@ router.get('/tickers', exchangeController.getTickers);
 // ====================
 
 // GET /v1/balances/:partyId - Get party balances
-router.get('/balances/:partyId', requireWalletAuth, exchangeController.getBalances);
+router.get('/balances/:partyId', requireWalletAuth, requireScope('read'), exchangeController.getBalances);
 
 module.exports = router;
@@ -0,0 +1,276 @@
+/**
+ * Admin Auth Service — admin accounts, permissions and the audit trail
+ * PostgreSQL via Prisma (adminAccount, adminAuditLog tables).
+ *
+ * Admins authenticate with a Bearer token that is either
+ *   - an app session JWT from wallet-signature login (POST /api/auth/verify
+ *     or /v1/auth/unlock): the account is found by its partyId, or
+ *   - a Keycloak access token, verified by keycloak-mapper: the account is
+ *     found by its oidcSubject (`sub`).
+ *
+ * Permissions (see ADMIN_PERMISSIONS) are granted per account; read-only
+ * is implied by every account. When the table is empty the accounts in
+ * ADMIN_BOOTSTRAP_PARTY_IDS / ADMIN_BOOTSTRAP_OIDC_SUBJECTS are created
+ * with every permission.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { getDb } = require('./db');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+
+const ADMIN_PERMISSIONS = ['market-admin', 'settlement-ops', 'minting', 'account-admin', 'read-only'];
+const LOGIN_WRITE_MS = 60 * 1000;
+const MAX_AUDIT_STRING = 500;
+const SECRET_FIELD = /secret|token|password|signature|privatekey/i;
+
+function toAccount(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    partyId: row.partyId || null,
+    oidcSubject: row.oidcSubject || null,
+    permissions: row.permissions || [],
+    disabled: !!row.disabled,
+    lastLoginAt: row.lastLoginAt ? row.lastLoginAt.toISOString() : null,
+    createdAt: row.createdAt ? row.createdAt.toISOString() : null,
+  };
+}
+
+function normalizePermissions(permissions) {
+  if (!Array.isArray(permissions) || permissions.length === 0) {
+    throw new ValidationError(`permissions must list at least one of ${ADMIN_PERMISSIONS.join(', ')}`);
+  }
+  const unknown = permissions.filter(p => !ADMIN_PERMISSIONS.includes(p));
+  if (unknown.length) {
+    throw new ValidationError(`Unknown permission(s): ${unknown.join(', ')}`);
+  }
+  return Array.from(new Set(permissions));
+}
+
+// Request body as stored in the audit log: secrets masked, uploads summarised
+function auditBody(body) {
+  if (!body || typeof body !== 'object' || Object.keys(body).length === 0) return null;
+  const out = {};
+  for (const [key, value] of Object.entries(body)) {
+    if (SECRET_FIELD.test(key)) out[key] = '[redacted]';
+    else if (typeof value === 'string' && value.length > MAX_AUDIT_STRING) out[key] = `[${value.length} chars]`;
+    else out[key] = value;
+  }
+  return out;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+class AdminAuthService {
+  constructor() {
+    this._bootstrapped = null;
+    this._loginWrites = new Map(); // accountId → last lastLoginAt write
+  }
+
+  // ─── Authentication ───────────────────────────────────────────────────
+
+  /**
+   * Resolve the admin behind a request's Bearer token.
+   *
+   * @returns {Promise<{ account: Object|null, method: 'WALLET'|'OIDC'|'CRON' } | null>}
+   *   null when the request carries no usable credentials; account is null
+   *   for the cron secret
+   */
+  async authenticate(req) {
+    const header = req.headers.authorization || '';
+    if (!header.startsWith('Bearer ')) return null;
+    const token = header.substring(7).trim();
+    if (!token) return null;
+
+    if (config.admin.cronSecret && safeEqual(token, config.admin.cronSecret)) {
+      return { account: null, method: 'CRON' };
+    }
+
+    await this.ensureBootstrapped();
+    const db = getDb();
+
+    const authService = require('./authService');
+    const session = authService.verifySessionToken(token);
+    if (session?.walletId) {
+      return this.authenticateParty(session.walletId);
+    }
+
+    const { verifyOidcToken } = require('./keycloak-mapper');
+    const identity = await verifyOidcToken(token);
+    if (identity) {
+      const row = await db.adminAccount.findUnique({ where: { oidcSubject: identity.subject } });
+      return row && !row.disabled ? this._loggedIn(row, 'OIDC') : null;
+    }
+    return null;
+  }
+
+  /**
+   * The enabled admin account of a party that has already proved its
+   * identity (e.g. a WebSocket logged in with a session JWT), or null
+   */
+  async authenticateParty(partyId) {
+    await this.ensureBootstrapped();
+    const row = await getDb().adminAccount.findUnique({ where: { partyId } });
+    return row && !row.disabled ? this._loggedIn(row, 'WALLET') : null;
+  }
+
+  _loggedIn(row, method) {
+    const now = Date.now();
+    if (now - (this._loginWrites.get(row.id) || 0) >= LOGIN_WRITE_MS) {
+      this._loginWrites.set(row.id, now);
+      getDb().adminAccount.update({ where: { id: row.id }, data: { lastLoginAt: new Date(now) } }).catch(() => {});
+    }
+    return { account: toAccount(row), method };
+  }
+
+  /**
+   * Whether an authenticated caller holds `permission`. Every account can
+   * read; the cron secret may only trigger matching.
+   */
+  hasPermission(auth, permission) {
+    if (!auth) return false;
+    if (auth.method === 'CRON') return permission === 'settlement-ops';
+    if (permission === 'read-only') return true;
+    return auth.account.permissions.includes(permission);
+  }
+
+  async ensureBootstrapped() {
+    if (!this._bootstrapped) {
+      this._bootstrapped = this._bootstrap().catch((err) => {
+        this._bootstrapped = null;
+        throw err;
+      });
+    }
+    return this._bootstrapped;
+  }
+
+  async _bootstrap() {
+    const db = getDb();
+    if (await db.adminAccount.count() > 0) return;
+    const { bootstrapPartyIds, bootstrapOidcSubjects } = config.admin;
+    const seeds = [
+      ...bootstrapPartyIds.map(partyId => ({ name: `bootstrap:${partyId.substring(0, 20)}`, partyId })),
+      ...bootstrapOidcSubjects.map(oidcSubject => ({ name: `bootstrap:${oidcSubject}`, oidcSubject })),
+    ];
+    if (seeds.length === 0) {
+      console.warn('[AdminAuth] ⚠️ No admin accounts and no ADMIN_BOOTSTRAP_* set — admin routes are locked');
+      return;
+    }
+    await db.adminAccount.createMany({
+      data: seeds.map(seed => ({ ...seed, permissions: ADMIN_PERMISSIONS })),
+      skipDuplicates: true,
+    });
+    console.log(`[AdminAuth] 🌱 Created ${seeds.length} bootstrap admin account(s)`);
+  }
+
+  // ─── Accounts ─────────────────────────────────────────────────────────
+
+  async listAccounts() {
+    const rows = await getDb().adminAccount.findMany({ orderBy: { createdAt: 'asc' } });
+    return rows.map(toAccount);
+  }
+
+  async createAccount({ name, partyId = null, oidcSubject = null, permissions }) {
+    if (!name || !String(name).trim()) throw new ValidationError('name is required');
+    if (!partyId && !oidcSubject) {
+      throw new ValidationError('An admin account needs a partyId, an oidcSubject or both');
+    }
+    const db = getDb();
+    const clash = await db.adminAccount.findFirst({
+      where: { OR: [partyId && { partyId }, oidcSubject && { oidcSubject }].filter(Boolean) },
+    });
+    if (clash) throw new ConflictError(`That login already belongs to admin account ${clash.name}`);
+
+    const row = await db.adminAccount.create({
+      data: { name: String(name).trim(), partyId, oidcSubject, permissions: normalizePermissions(permissions) },
+    });
+    console.log(`[AdminAuth] ✅ Admin account ${row.name} created (${row.permissions.join(', ')})`);
+    return toAccount(row);
+  }
+
+  /**
+   * Change an account's name, permissions or disabled flag. The last
+   * enabled account-admin cannot lose that permission or be disabled.
+   */
+  async updateAccount(id, { name, permissions, disabled }) {
+    const db = getDb();
+    const existing = await db.adminAccount.findUnique({ where: { id } });
+    if (!existing) throw new NotFoundError(`Admin account ${id} not found`);
+
+    const data = {};
+    if (name !== undefined) data.name = String(name).trim();
+    if (permissions !== undefined) data.permissions = normalizePermissions(permissions);
+    if (disabled !== undefined) data.disabled = !!disabled;
+
+    const staysAccountAdmin = !(data.disabled ?? existing.disabled) &&
+      (data.permissions || existing.permissions).includes('account-admin');
+    if (!existing.disabled && existing.permissions.includes('account-admin') && !staysAccountAdmin) {
+      const others = await db.adminAccount.count({
+        where: { id: { not: id }, disabled: false, permissions: { has: 'account-admin' } },
+      });
+      if (others === 0) throw new ValidationError('Cannot remove the last enabled account-admin');
+    }
+
+    const row = await db.adminAccount.update({ where: { id }, data });
+    console.log(`[AdminAuth] ✅ Admin account ${row.name} updated`);
+    return toAccount(row);
+  }
+
+  // ─── Audit ────────────────────────────────────────────────────────────
+
+  /**
+   * Append one entry to the admin audit log. Never throws — a failed
+   * write is logged and the request goes on.
+   */
+  async audit({ auth, req, permission, statusCode = null, outcome }) {
+    try {
+      await getDb().adminAuditLog.create({
+        data: {
+          adminId: auth?.account?.id || null,
+          actor: auth?.account?.name || (auth?.method === 'CRON' ? 'cron' : req.ip || 'unknown'),
+          authMethod: auth?.method || null,
+          permission,
+          method: req.method,
+          path: req.originalUrl,
+          body: auditBody(req.body),
+          statusCode,
+          outcome,
+          ip: req.ip || null,
+        },
+      });
+    } catch (err) {
+      console.error(`[AdminAuth] ❌ Audit write failed for ${req.method} ${req.originalUrl}: ${err.message}`);
+    }
+  }
+
+  async listAudit({ adminId = null, limit = 100 } = {}) {
+    const take = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+    const rows = await getDb().adminAuditLog.findMany({
+      where: adminId ? { adminId } : {},
+      orderBy: { createdAt: 'desc' },
+      take,
+    });
+    return rows.map(row => ({ ...row, createdAt: row.createdAt.toISOString() }));
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getAdminAuthService() {
+  if (!instance) {
+    instance = new AdminAuthService();
+  }
+  return instance;
+}
+
+module.exports = {
+  AdminAuthService,
+  getAdminAuthService,
+  ADMIN_PERMISSIONS,
+};
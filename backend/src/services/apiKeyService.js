@@ -0,0 +1,313 @@
+/**
+ * API Key Service — scoped keys with HMAC request signing
+ *
+ * Bots authenticate v1 REST calls without a browser wallet session:
+ *
+ *   X-API-KEY        key id ("ak_…")
+ *   X-API-TIMESTAMP  unix milliseconds, within ±30s of server time
+ *   X-API-SIGNATURE  hex HMAC-SHA256(secret, timestamp + METHOD + path + body)
+ *
+ * `path` is the request path with its query string (e.g. /api/v1/orders?pair=CC%2FCBTC)
+ * and `body` the raw JSON body, empty for GET. Bodies of any other content
+ * type are refused.
+ *
+ * The signing secret is derived as HMAC(API_KEY_MASTER_SECRET, keyId:salt)
+ * and returned once at creation. Only its SHA-256 is stored, so a database
+ * dump is useless for signing; verification re-derives the secret and
+ * checks it against the stored hash before checking the signature.
+ *
+ * Keys are scoped (read / trade / transfer), optionally bound to an IP
+ * allowlist and an expiry, and can be revoked at any time.
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const config = require('../config');
+const { getDb } = require('./db');
+const { ValidationError, NotFoundError, LedgerError, ErrorCodes } = require('../utils/ledgerError');
+
+const API_KEY_SCOPES = ['read', 'trade', 'transfer'];
+const KEY_ID_PREFIX = 'ak_';
+const MAX_ACTIVE_KEYS_PER_PARTY = 20;
+const MAX_ALLOWLIST_ENTRIES = 50;
+const SIGNATURE_WINDOW_MS = 30 * 1000;
+const LAST_USED_WRITE_MS = 60 * 1000;
+
+function sha256(value) {
+  return crypto.createHash('sha256').update(value).digest('hex');
+}
+
+function safeEqualHex(a, b) {
+  const left = Buffer.from(String(a), 'hex');
+  const right = Buffer.from(String(b), 'hex');
+  return left.length > 0 && left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function normalizeIp(ip) {
+  const value = String(ip || '').trim();
+  // IPv4 clients on a dual-stack socket show up as ::ffff:a.b.c.d
+  return value.startsWith('::ffff:') && net.isIPv4(value.slice(7)) ? value.slice(7) : value;
+}
+
+function ipv4ToInt(ip) {
+  return ip.split('.').reduce((acc, octet) => ((acc << 8) + parseInt(octet, 10)) >>> 0, 0);
+}
+
+/**
+ * Validate one allowlist entry: an IPv4/IPv6 address or an IPv4 CIDR.
+ * Returns the normalised entry, or null if it is not usable.
+ */
+function parseAllowlistEntry(entry) {
+  const value = String(entry || '').trim();
+  if (net.isIP(value)) return normalizeIp(value);
+  const [base, bits] = value.split('/');
+  const prefix = Number(bits);
+  if (net.isIPv4(base) && Number.isInteger(prefix) && prefix >= 0 && prefix <= 32) {
+    return `${base}/${prefix}`;
+  }
+  return null;
+}
+
+function ipAllowed(allowlist, ip) {
+  if (!allowlist || allowlist.length === 0) return true;
+  const client = normalizeIp(ip);
+  for (const entry of allowlist) {
+    if (!entry.includes('/')) {
+      if (entry === client) return true;
+      continue;
+    }
+    if (!net.isIPv4(client)) continue;
+    const [base, bits] = entry.split('/');
+    const prefix = Number(bits);
+    const mask = prefix === 0 ? 0 : (~0 << (32 - prefix)) >>> 0;
+    if ((ipv4ToInt(client) & mask) === (ipv4ToInt(base) & mask)) return true;
+  }
+  return false;
+}
+
+function toApiKey(row) {
+  const now = Date.now();
+  let status = 'ACTIVE';
+  if (row.revokedAt) status = 'REVOKED';
+  else if (row.expiresAt && row.expiresAt.getTime() <= now) status = 'EXPIRED';
+
+  return {
+    keyId: row.id,
+    label: row.label,
+    scopes: row.scopes,
+    ipAllowlist: row.ipAllowlist,
+    status,
+    expiresAt: row.expiresAt ? row.expiresAt.toISOString() : null,
+    lastUsedAt: row.lastUsedAt ? row.lastUsedAt.toISOString() : null,
+    revokedAt: row.revokedAt ? row.revokedAt.toISOString() : null,
+    createdAt: row.createdAt.toISOString(),
+  };
+}
+
+function unauthorized(message) {
+  return new LedgerError(ErrorCodes.UNAUTHORIZED, message);
+}
+
+class ApiKeyService {
+  constructor() {
+    this.masterSecret = config.apiKeys.masterSecret;
+    if (!this.masterSecret) {
+      // config.validate refuses this in production and with FIX enabled
+      if (config.server.env === 'production') {
+        throw new Error('API_KEY_MASTER_SECRET is required in production');
+      }
+      this.masterSecret = crypto.randomBytes(64).toString('hex');
+      console.warn('[ApiKeys] ⚠️ API_KEY_MASTER_SECRET not set — using a random secret; issued keys stop working on restart');
+    }
+    this._recentSignatures = new Map(); // signature → expiry (replay guard)
+    this._lastUsedWrites = new Map();   // keyId → last lastUsedAt write
+  }
+
+  _deriveSecret(keyId, salt) {
+    return crypto.createHmac('sha256', this.masterSecret).update(`${keyId}:${salt}`).digest('hex');
+  }
+
+  // ─── Management ───────────────────────────────────────────────────────
+
+  /**
+   * Issue a key for a party. The secret is only ever returned here.
+   *
+   * @param {string} partyId
+   * @param {Object} options
+   * @param {string[]} options.scopes - subset of API_KEY_SCOPES; read is always added
+   * @param {string} [options.label]
+   * @param {string[]} [options.ipAllowlist] - IPs or IPv4 CIDRs
+   * @param {Date|string} [options.expiresAt]
+   * @returns {Promise<{ apiKey: Object, secret: string }>}
+   */
+  async createKey(partyId, { scopes, label = null, ipAllowlist = [], expiresAt = null } = {}) {
+    if (!partyId) throw new ValidationError('partyId is required');
+
+    const requested = (Array.isArray(scopes) ? scopes : [scopes]).filter(Boolean).map(s => String(s).toLowerCase());
+    const unknown = requested.filter(s => !API_KEY_SCOPES.includes(s));
+    if (requested.length === 0 || unknown.length > 0) {
+      throw new ValidationError(`scopes must be a non-empty list of ${API_KEY_SCOPES.join(', ')}`);
+    }
+    const grantedScopes = API_KEY_SCOPES.filter(s => s === 'read' || requested.includes(s));
+
+    if (!Array.isArray(ipAllowlist)) throw new ValidationError('ipAllowlist must be an array');
+    if (ipAllowlist.length > MAX_ALLOWLIST_ENTRIES) {
+      throw new ValidationError(`ipAllowlist can hold at most ${MAX_ALLOWLIST_ENTRIES} entries`);
+    }
+    const allowlist = [];
+    for (const entry of ipAllowlist) {
+      const parsed = parseAllowlistEntry(entry);
+      if (!parsed) throw new ValidationError(`Invalid ipAllowlist entry: ${entry}`);
+      if (!allowlist.includes(parsed)) allowlist.push(parsed);
+    }
+
+    let expiry = null;
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+      if (!Number.isFinite(expiry.getTime()) || expiry.getTime() <= Date.now()) {
+        throw new ValidationError('expiresAt must be a date in the future');
+      }
+    }
+
+    const db = getDb();
+    const active = await db.apiKey.count({
+      where: {
+        partyId,
+        revokedAt: null,
+        OR: [{ expiresAt: null }, { expiresAt: { gt: new Date() } }],
+      },
+    });
+    if (active >= MAX_ACTIVE_KEYS_PER_PARTY) {
+      throw new ValidationError(`A party can hold at most ${MAX_ACTIVE_KEYS_PER_PARTY} active API keys — revoke one first`);
+    }
+
+    const keyId = `${KEY_ID_PREFIX}${crypto.randomBytes(16).toString('hex')}`;
+    const salt = crypto.randomBytes(16).toString('hex');
+    const secret = this._deriveSecret(keyId, salt);
+
+    const row = await db.apiKey.create({
+      data: {
+        id: keyId,
+        partyId,
+        label: label ? String(label).substring(0, 100) : null,
+        scopes: grantedScopes,
+        ipAllowlist: allowlist,
+        secretSalt: salt,
+        secretHash: sha256(secret),
+        expiresAt: expiry,
+      },
+    });
+
+    console.log(`[ApiKeys] 🔑 Issued ${keyId} for ${partyId.substring(0, 30)}... (scopes: ${grantedScopes.join(', ')})`);
+    return { apiKey: toApiKey(row), secret };
+  }
+
+  async listKeys(partyId) {
+    const rows = await getDb().apiKey.findMany({
+      where: { partyId },
+      orderBy: { createdAt: 'desc' },
+    });
+    return rows.map(toApiKey);
+  }
+
+  async revokeKey(partyId, keyId) {
+    const db = getDb();
+    const row = await db.apiKey.findUnique({ where: { id: keyId } });
+    if (!row || row.partyId !== partyId) {
+      throw new NotFoundError('API key', keyId);
+    }
+    if (row.revokedAt) return toApiKey(row);
+
+    const revoked = await db.apiKey.update({
+      where: { id: keyId },
+      data: { revokedAt: new Date() },
+    });
+    console.log(`[ApiKeys] 🔒 Revoked ${keyId}`);
+    return toApiKey(revoked);
+  }
+
+  // ─── Request verification ─────────────────────────────────────────────
+
+  /**
+   * Authenticate one signed request.
+   *
+   * @param {Object} request
+   * @param {string|null} request.ip - Client address; null when it can't be trusted (TRUST_PROXY unset)
+   * @returns {Promise<{ partyId: string, keyId: string, scopes: string[] }>}
+   * @throws {LedgerError} UNAUTHORIZED for a bad key or signature, FORBIDDEN for a disallowed IP
+   */
+  async verifyRequest({ keyId, timestamp, signature, method, path, body = '', ip }) {
+    if (!keyId || !timestamp || !signature) {
+      throw unauthorized('X-API-KEY, X-API-TIMESTAMP and X-API-SIGNATURE are all required');
+    }
+
+    const ts = Number(timestamp);
+    if (!Number.isFinite(ts) || Math.abs(Date.now() - ts) > SIGNATURE_WINDOW_MS) {
+      throw unauthorized(`X-API-TIMESTAMP must be unix milliseconds within ${SIGNATURE_WINDOW_MS / 1000}s of server time`);
+    }
+
+    const row = await getDb().apiKey.findUnique({ where: { id: String(keyId) } });
+    if (!row) throw unauthorized('Unknown API key');
+    if (row.revokedAt) throw unauthorized('API key has been revoked');
+    if (row.expiresAt && row.expiresAt.getTime() <= Date.now()) throw unauthorized('API key has expired');
+
+    const secret = this._deriveSecret(row.id, row.secretSalt);
+    if (!safeEqualHex(sha256(secret), row.secretHash)) {
+      // The master secret changed since this key was issued
+      throw unauthorized('API key is no longer valid — issue a new one');
+    }
+
+    const expected = crypto.createHmac('sha256', secret)
+      .update(`${timestamp}${String(method).toUpperCase()}${path}${body || ''}`)
+      .digest('hex');
+    if (!safeEqualHex(expected, String(signature).toLowerCase())) {
+      throw unauthorized('Invalid request signature');
+    }
+
+    if (row.ipAllowlist?.length > 0 && !ip) {
+      throw new LedgerError(ErrorCodes.FORBIDDEN, 'This API key has an IP allowlist, but TRUST_PROXY is not configured on the server');
+    }
+    if (!ipAllowed(row.ipAllowlist, ip)) {
+      throw new LedgerError(ErrorCodes.FORBIDDEN, `Requests from ${normalizeIp(ip)} are not allowed for this API key`);
+    }
+
+    this._rememberSignature(expected);
+    this._touch(row.id);
+    return { partyId: row.partyId, keyId: row.id, scopes: row.scopes };
+  }
+
+  _rememberSignature(signature) {
+    const now = Date.now();
+    if (this._recentSignatures.has(signature)) {
+      throw unauthorized('Request signature already used');
+    }
+    for (const [sig, expiry] of this._recentSignatures) {
+      if (expiry > now) break;
+      this._recentSignatures.delete(sig);
+    }
+    this._recentSignatures.set(signature, now + 2 * SIGNATURE_WINDOW_MS);
+  }
+
+  _touch(keyId) {
+    const now = Date.now();
+    if (now - (this._lastUsedWrites.get(keyId) || 0) < LAST_USED_WRITE_MS) return;
+    this._lastUsedWrites.set(keyId, now);
+    getDb().apiKey.update({ where: { id: keyId }, data: { lastUsedAt: new Date(now) } }).catch(() => {});
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getApiKeyService() {
+  if (!instance) {
+    instance = new ApiKeyService();
+  }
+  return instance;
+}
+
+module.exports = {
+  ApiKeyService,
+  getApiKeyService,
+  API_KEY_SCOPES,
+};
@@ -172,7 +172,8 @@ class AuthService {
 
       return {
         walletId: payload.walletId,
-        sessionId: payload.sessionId
+        sessionId: payload.sessionId,
+        expiresAt: payload.exp ? payload.exp * 1000 : null
       };
 
     } catch (error) {
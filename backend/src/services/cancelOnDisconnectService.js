@@ -0,0 +1,400 @@
+/**
+ * Cancel-on-Disconnect Service — opt-in dead-man's switch for market makers
+ *
+ * A client arms a session with a heartbeat timeout. Every heartbeat restarts
+ * the countdown; when none arrives within timeoutMs the switch fires once and
+ * cancels the party's working orders (OPEN and PENDING_TRIGGER, optionally
+ * only one pair) on the operator's authority via
+ * MatchingEngine.cancelOrderForVenue — the ExpireOrder +
+ * Operator_Cancel_Settlement path OCO siblings and STP already use, so the
+ * allocation and reservation of each order are released as well.
+ *
+ * Private WebSocket (after { type: 'auth' }):
+ *   → { type: 'cancel_on_disconnect', timeoutMs, tradingPair? }
+ *   ← { type: 'cancel_on_disconnect_armed', session }
+ *   → { type: 'heartbeat', sessionId? }    ← { type: 'heartbeat_ack', sessions }
+ *   → { type: 'cancel_on_disconnect', enabled: false, sessionId? }
+ *   ← { type: 'cancel_on_disconnect_disarmed', session }
+ * REST: /api/v1/cancel-on-disconnect (arm, heartbeat, list, disarm).
+ *
+ * A session is not bound to the socket that armed it: a dropped connection
+ * leaves it armed, and a client that reconnects within the timeout keeps it
+ * alive by sending heartbeats with its sessionId.
+ *
+ * A switch that fires stays tripped, and its row stays stored, until it has
+ * seen the party's orders and cancelled them: while the streaming read model
+ * is not ready, or a cancel threw, it tries again every TRIGGER_RETRY_MS.
+ *
+ * Every arm, disarm and trigger, and every order the switch cancels or fails
+ * to cancel, is stored in CancelOnDisconnectEvent. The owner sees each cancel
+ * on orders:<partyId> (ORDER_EXPIRED, reason CANCEL_ON_DISCONNECT) and as a
+ * CANCELLED execution report, followed by one CANCEL_ON_DISCONNECT_TRIGGERED
+ * summary.
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+const { getDb } = require('./db');
+const { ValidationError, NotFoundError } = require('../utils/ledgerError');
+
+const CANCEL_REASON = 'CANCEL_ON_DISCONNECT';
+const SESSION_ID_PREFIX = 'cod-';
+const TRANSPORTS = ['WS', 'REST'];
+const WORKING_STATUSES = ['OPEN', 'PENDING_TRIGGER'];
+const MAX_SESSIONS_PER_PARTY = 10;
+const DEFAULT_EVENT_LIMIT = 100;
+const MAX_EVENT_LIMIT = 500;
+// A tripped switch that could not cancel everything tries again after this
+const TRIGGER_RETRY_MS = 5000;
+// Attempts for orders whose cancel threw; an unready read model retries until it is ready
+const MAX_TRIGGER_ATTEMPTS = 12;
+
+function toApiSession(session) {
+  return {
+    sessionId: session.id,
+    transport: session.transport,
+    timeoutMs: session.timeoutMs,
+    tradingPair: session.tradingPair,
+    lastHeartbeatAt: new Date(session.lastHeartbeatAt).toISOString(),
+    expiresAt: new Date(session.lastHeartbeatAt + session.timeoutMs).toISOString(),
+  };
+}
+
+function toApiEvent(row) {
+  return {
+    sessionId: row.sessionId,
+    event: row.event,
+    orderId: row.orderId,
+    tradingPair: row.tradingPair,
+    detail: row.detail,
+    timestamp: new Date(row.createdAt).toISOString(),
+  };
+}
+
+class CancelOnDisconnectService {
+  constructor() {
+    this.sessions = new Map(); // sessionId → { id, partyId, transport, timeoutMs, tradingPair, lastHeartbeatAt, timer }
+    this.tripped = new Map(); // sessionId → session that fired and is still cancelling
+    this._firing = Promise.resolve(); // triggered switches are worked off one at a time
+  }
+
+  /**
+   * Re-arm the sessions that were armed before a restart. Heartbeats are not
+   * persisted, so each one starts with a full timeout.
+   */
+  async start() {
+    let rows;
+    try {
+      rows = await getDb().cancelOnDisconnectSession.findMany();
+    } catch (err) {
+      console.warn(`[CancelOnDisconnect] ⚠️ Could not restore armed sessions: ${err.message}`);
+      return;
+    }
+    for (const row of rows) {
+      this._schedule({
+        id: row.id,
+        partyId: row.partyId,
+        transport: row.transport,
+        timeoutMs: row.timeoutMs,
+        tradingPair: row.tradingPair,
+      });
+    }
+    console.log(`[CancelOnDisconnect] ✅ Started (${rows.length} armed session(s) restored)`);
+  }
+
+  stop() {
+    for (const session of [...this.sessions.values(), ...this.tripped.values()]) clearTimeout(session.timer);
+    this.sessions.clear();
+    this.tripped.clear();
+  }
+
+  // ─── Client API ───────────────────────────────────────────────────────
+
+  /**
+   * Arm a new session, or change the timeout / pair of one of the party's
+   * sessions when sessionId is given. Counts as a heartbeat.
+   *
+   * @param {string} partyId
+   * @param {Object} options
+   * @param {number} options.timeoutMs - within config.cancelOnDisconnect bounds
+   * @param {string} [options.tradingPair] - only cancel this market's orders
+   * @param {string} [options.transport] - WS or REST, for the audit trail
+   * @param {string} [options.sessionId] - existing session to re-arm
+   * @returns {Promise<Object>} the armed session
+   */
+  async arm(partyId, { timeoutMs, tradingPair = null, transport = 'REST', sessionId = null } = {}) {
+    if (!partyId) throw new ValidationError('partyId is required');
+
+    const { minTimeoutMs, maxTimeoutMs } = config.cancelOnDisconnect;
+    const timeout = Number(timeoutMs);
+    if (!Number.isInteger(timeout) || timeout < minTimeoutMs || timeout > maxTimeoutMs) {
+      throw new ValidationError(`timeoutMs must be an integer between ${minTimeoutMs} and ${maxTimeoutMs}`);
+    }
+
+    let pair = null;
+    if (tradingPair) {
+      pair = String(tradingPair).replace(/[-_]/, '/').toUpperCase();
+      const { getMarketRegistry } = require('./marketRegistryService');
+      if (!getMarketRegistry().getMarket(pair)) {
+        throw new ValidationError(`Unknown market: ${pair}`);
+      }
+    }
+
+    let session;
+    if (sessionId) {
+      session = this._ownSession(partyId, sessionId);
+      if (!session) throw new NotFoundError('Cancel-on-disconnect session', sessionId);
+    } else {
+      const armed = this.listSessions(partyId).length;
+      if (armed >= MAX_SESSIONS_PER_PARTY) {
+        throw new ValidationError(`A party can arm at most ${MAX_SESSIONS_PER_PARTY} cancel-on-disconnect sessions — disarm one first`);
+      }
+      session = {
+        id: `${SESSION_ID_PREFIX}${crypto.randomUUID()}`,
+        partyId,
+        transport: TRANSPORTS.includes(transport) ? transport : 'REST',
+      };
+    }
+    session.timeoutMs = timeout;
+    session.tradingPair = pair;
+
+    try {
+      await getDb().cancelOnDisconnectSession.upsert({
+        where: { id: session.id },
+        create: {
+          id: session.id,
+          partyId,
+          transport: session.transport,
+          timeoutMs: timeout,
+          tradingPair: pair,
+        },
+        update: { timeoutMs: timeout, tradingPair: pair },
+      });
+    } catch (err) {
+      // Still armed in memory, it just will not survive a restart
+      console.warn(`[CancelOnDisconnect] ⚠️ Could not persist ${session.id}: ${err.message}`);
+    }
+
+    this._schedule(session);
+    await this._audit(session, 'ARMED', {
+      tradingPair: pair,
+      detail: `timeoutMs=${timeout} via ${session.transport}`,
+    });
+    console.log(`[CancelOnDisconnect] 🔒 Armed ${session.id} for ${partyId.substring(0, 30)}... (${timeout}ms, ${pair || 'all pairs'})`);
+    return toApiSession(session);
+  }
+
+  /**
+   * Restart the countdown of one session, or of every session the party has
+   * armed when sessionId is omitted.
+   *
+   * @returns {Object[]} the refreshed sessions
+   */
+  heartbeat(partyId, sessionId = null) {
+    let sessions;
+    if (sessionId) {
+      const session = this._ownSession(partyId, sessionId);
+      sessions = session ? [session] : [];
+    } else {
+      sessions = Array.from(this.sessions.values()).filter(s => s.partyId === partyId);
+    }
+    if (sessions.length === 0) {
+      throw new NotFoundError('Cancel-on-disconnect session', sessionId || partyId);
+    }
+    for (const session of sessions) this._schedule(session);
+    return sessions.map(toApiSession);
+  }
+
+  async disarm(partyId, sessionId) {
+    const session = this._ownSession(partyId, sessionId);
+    if (!session) throw new NotFoundError('Cancel-on-disconnect session', sessionId);
+
+    this._unschedule(session);
+    await this._forget(session);
+    await this._audit(session, 'DISARMED', { tradingPair: session.tradingPair });
+    console.log(`[CancelOnDisconnect] 🔓 Disarmed ${session.id}`);
+    return toApiSession(session);
+  }
+
+  listSessions(partyId) {
+    return Array.from(this.sessions.values())
+      .filter(s => s.partyId === partyId)
+      .map(toApiSession);
+  }
+
+  /**
+   * A party's audit trail, newest first
+   */
+  async getEvents(partyId, { limit = DEFAULT_EVENT_LIMIT } = {}) {
+    const take = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_EVENT_LIMIT, 1), MAX_EVENT_LIMIT);
+    const rows = await getDb().cancelOnDisconnectEvent.findMany({
+      where: { partyId },
+      orderBy: { createdAt: 'desc' },
+      take,
+    });
+    return rows.map(toApiEvent);
+  }
+
+  // ─── Internals ────────────────────────────────────────────────────────
+
+  _ownSession(partyId, sessionId) {
+    const session = this.sessions.get(sessionId);
+    return session && session.partyId === partyId ? session : null;
+  }
+
+  _schedule(session) {
+    clearTimeout(session.timer);
+    session.lastHeartbeatAt = Date.now();
+    session.timer = setTimeout(() => this._fire(session.id), session.timeoutMs);
+    if (session.timer.unref) session.timer.unref();
+    this.sessions.set(session.id, session);
+  }
+
+  _unschedule(session) {
+    clearTimeout(session.timer);
+    session.timer = null;
+    this.sessions.delete(session.id);
+  }
+
+  async _forget(session) {
+    try {
+      await getDb().cancelOnDisconnectSession.delete({ where: { id: session.id } });
+    } catch (_) { /* never persisted, or already gone */ }
+  }
+
+  _fire(sessionId) {
+    const session = this.sessions.get(sessionId) || this.tripped.get(sessionId);
+    if (!session) return;
+
+    // One-shot: the client has to arm again after it reconnects
+    this._unschedule(session);
+    this.tripped.set(session.id, session);
+    this._firing = this._firing
+      .then(() => this._cancelWorkingOrders(session))
+      .catch((err) => {
+        console.error(`[CancelOnDisconnect] ❌ Trigger of ${sessionId} failed: ${err.message}`);
+        return false;
+      })
+      // The row goes last so a crash mid-way re-arms the switch on restart
+      .then(async (done) => {
+        if (!done) {
+          session.timer = setTimeout(() => this._fire(session.id), TRIGGER_RETRY_MS);
+          if (session.timer.unref) session.timer.unref();
+          return;
+        }
+        this.tripped.delete(session.id);
+        await this._forget(session);
+      });
+  }
+
+  /**
+   * Cancel the session's working orders.
+   *
+   * @returns {Promise<boolean>} false when the switch has to try again: the
+   *   read model is not ready, or a cancel threw and attempts are left
+   */
+  async _cancelWorkingOrders(session) {
+    const { partyId, tradingPair } = session;
+    session.attempts = (session.attempts || 0) + 1;
+    if (session.attempts === 1) {
+      const silentMs = Date.now() - session.lastHeartbeatAt;
+      console.warn(`[CancelOnDisconnect] ⏰ No heartbeat on ${session.id} for ${silentMs}ms — cancelling ${partyId.substring(0, 30)}...'s ${tradingPair || 'working'} orders`);
+      await this._audit(session, 'TRIGGERED', { tradingPair, detail: `no heartbeat for ${silentMs}ms` });
+    }
+
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    const { getMatchingEngine } = require('./matching-engine');
+    const streaming = getStreamingReadModel();
+    const engine = getMatchingEngine();
+
+    // Without the read model the party's orders are unknown: stay tripped
+    if (!streaming?.isReady()) {
+      if (session.attempts === 1) {
+        console.warn(`[CancelOnDisconnect] ⚠️ Read model not ready — ${session.id} retries every ${TRIGGER_RETRY_MS}ms`);
+        await this._audit(session, 'TRIGGER_DEFERRED', { tradingPair, detail: 'read model not ready' });
+      }
+      return false;
+    }
+
+    const isWorking = (order) => order && WORKING_STATUSES.includes(order.status)
+      && (!tradingPair || order.tradingPair === tradingPair);
+    const orders = streaming.getOrdersForParty(partyId).filter(isWorking);
+
+    const cancelled = [];
+    const failed = [];
+    let threw = false;
+    for (const order of orders) {
+      // Cancelling one leg of an order group can close its sibling first
+      if (!isWorking(streaming.findOrderByOrderId(order.orderId))) continue;
+
+      let ok = false;
+      let detail = 'not cancelled (already filled or closed, or the ledger refused)';
+      try {
+        ok = await engine.cancelOrderForVenue(order.orderId, CANCEL_REASON);
+      } catch (err) {
+        detail = err.message;
+        threw = true;
+      }
+
+      if (ok) {
+        cancelled.push(order.orderId);
+        if (order.status === 'PENDING_TRIGGER') {
+          const { getStopLossService } = require('./stopLossService');
+          await getStopLossService().unregisterStopLoss(order.orderId).catch(() => {});
+        }
+        await this._audit(session, 'ORDER_CANCELLED', { orderId: order.orderId, tradingPair: order.tradingPair });
+      } else {
+        failed.push(order.orderId);
+        await this._audit(session, 'ORDER_CANCEL_FAILED', { orderId: order.orderId, tradingPair: order.tradingPair, detail });
+      }
+    }
+
+    const retrying = threw && session.attempts < MAX_TRIGGER_ATTEMPTS;
+    console.log(`[CancelOnDisconnect] ✅ ${session.id}: cancelled ${cancelled.length}, failed ${failed.length}${retrying ? ` — retrying in ${TRIGGER_RETRY_MS}ms` : ''}`);
+    if (global.broadcastWebSocket) {
+      global.broadcastWebSocket(`orders:${partyId}`, {
+        type: 'CANCEL_ON_DISCONNECT_TRIGGERED',
+        sessionId: session.id,
+        tradingPair,
+        cancelled,
+        failed,
+        retrying,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    return !retrying;
+  }
+
+  async _audit(session, event, { orderId = null, tradingPair = null, detail = null } = {}) {
+    try {
+      await getDb().cancelOnDisconnectEvent.create({
+        data: {
+          sessionId: session.id,
+          partyId: session.partyId,
+          event,
+          orderId,
+          tradingPair,
+          detail: detail ? String(detail).substring(0, 500) : null,
+        },
+      });
+    } catch (err) {
+      console.warn(`[CancelOnDisconnect] ⚠️ Could not store ${event} for ${session.id}: ${err.message}`);
+    }
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getCancelOnDisconnectService() {
+  if (!instance) {
+    instance = new CancelOnDisconnectService();
+  }
+  return instance;
+}
+
+module.exports = {
+  CancelOnDisconnectService,
+  getCancelOnDisconnectService,
+  CANCEL_ON_DISCONNECT_REASON: CANCEL_REASON,
+};
@@ -0,0 +1,337 @@
+/**
+ * Candle Service — server-side OHLCV aggregation
+ *
+ * Keeps one candle per market, interval and bucket in PostgreSQL (model
+ * Candle) so charts survive reloads and every interval is computed once.
+ *
+ *   Live     → StreamingReadModel 'tradeCreated' updates every interval's
+ *              current bucket and pushes it on `candles:<pair>`.
+ *   Backfill → rebuilds candles from TradeSettlement, bucketed by tradedAt —
+ *              the same Trade contract timestamp the live path uses. Runs on startup from
+ *              the last stored week onwards (covers downtime and the trades
+ *              replayed while the read model bootstraps, which the live path
+ *              ignores) and on demand via POST /api/admin/candles/backfill.
+ *
+ * Writes go through one queue so a live update never interleaves with a
+ * rebuild of the same bucket.
+ */
+
+const Decimal = require('decimal.js');
+const { getDb } = require('./db');
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const INTERVALS = {
+  '1m': MINUTE_MS,
+  '5m': 5 * MINUTE_MS,
+  '15m': 15 * MINUTE_MS,
+  '1h': HOUR_MS,
+  '4h': 4 * HOUR_MS,
+  '1d': DAY_MS,
+  '1w': 7 * DAY_MS,
+};
+// The epoch fell on a Thursday; shift weekly buckets so they open on Monday
+const WEEK_ALIGN_MS = 3 * DAY_MS;
+
+const DEFAULT_LIMIT = 500;
+const MAX_LIMIT = 1000;
+const RECENT_TRADE_IDS = 5000;
+
+/**
+ * Start of the bucket containing `ms` for the given interval.
+ */
+function bucketStart(ms, interval) {
+  const size = INTERVALS[interval];
+  const shift = interval === '1w' ? WEEK_ALIGN_MS : 0;
+  return Math.floor((ms + shift) / size) * size - shift;
+}
+
+function emptyCandle(tradingPair, interval, openTime) {
+  return {
+    tradingPair,
+    interval,
+    openTime: new Date(openTime),
+    open: null,
+    high: null,
+    low: null,
+    close: null,
+    volume: '0',
+    quoteVolume: '0',
+    tradeCount: 0,
+  };
+}
+
+/**
+ * Fold one trade into a candle. Trades are applied in time order, so the
+ * first one sets the open and the latest one the close.
+ */
+function applyTrade(candle, price, quantity) {
+  const p = new Decimal(price);
+  const q = new Decimal(quantity);
+  return {
+    ...candle,
+    open: candle.open ?? p.toString(),
+    high: candle.high === null ? p.toString() : Decimal.max(candle.high, p).toString(),
+    low: candle.low === null ? p.toString() : Decimal.min(candle.low, p).toString(),
+    close: p.toString(),
+    volume: new Decimal(candle.volume).plus(q).toString(),
+    quoteVolume: new Decimal(candle.quoteVolume).plus(p.times(q)).toString(),
+    tradeCount: candle.tradeCount + 1,
+  };
+}
+
+function toApiCandle(row) {
+  const openTime = new Date(row.openTime);
+  return {
+    time: Math.floor(openTime.getTime() / 1000),
+    openTime: openTime.toISOString(),
+    open: row.open,
+    high: row.high,
+    low: row.low,
+    close: row.close,
+    volume: row.volume,
+    quoteVolume: row.quoteVolume,
+    tradeCount: row.tradeCount,
+  };
+}
+
+class CandleService {
+  constructor() {
+    this.isRunning = false;
+    this._current = new Map();        // `${pair}|${interval}` → latest candle
+    this._recentTradeIds = new Set(); // live-path dedupe, insertion ordered
+    this._queue = Promise.resolve();
+    this._onTradeCreated = null;
+  }
+
+  _enqueue(task) {
+    const run = this._queue.then(task);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  // ─── Lifecycle ────────────────────────────────────────────────────────
+
+  async start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    const streaming = getStreamingReadModel();
+    this._onTradeCreated = (trade) => {
+      // Bootstrap replays historical trades; the backfill below covers them
+      if (!streaming.isReady()) return;
+      this.recordTrade(trade).catch((err) => {
+        console.warn(`[Candles] ⚠️ Could not record trade ${trade?.tradeId}: ${err.message}`);
+      });
+    };
+    streaming.on('tradeCreated', this._onTradeCreated);
+
+    const catchUp = () => this.backfill({ since: 'resume' }).catch((err) => {
+      console.warn(`[Candles] ⚠️ Startup backfill failed: ${err.message}`);
+    });
+    if (streaming.isReady()) {
+      catchUp();
+    } else {
+      streaming.once('ready', catchUp);
+    }
+
+    console.log('[Candles] ✅ Started — aggregating 1m…1w candles from trade events');
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    getStreamingReadModel().off('tradeCreated', this._onTradeCreated);
+    this.isRunning = false;
+  }
+
+  // ─── Live aggregation ─────────────────────────────────────────────────
+
+  /**
+   * Fold a trade from the streaming read model into every interval.
+   */
+  async recordTrade(trade) {
+    const { tradeId, tradingPair, price, quantity } = trade || {};
+    if (!tradingPair || !(parseFloat(price) > 0) || !(parseFloat(quantity) > 0)) return;
+
+    if (tradeId) {
+      if (this._recentTradeIds.has(tradeId)) return;
+      this._recentTradeIds.add(tradeId);
+      if (this._recentTradeIds.size > RECENT_TRADE_IDS) {
+        this._recentTradeIds.delete(this._recentTradeIds.values().next().value);
+      }
+    }
+
+    const at = trade.timestamp ? new Date(trade.timestamp).getTime() : Date.now();
+    const ts = Number.isFinite(at) ? at : Date.now();
+
+    return this._enqueue(async () => {
+      const db = getDb();
+      const updated = [];
+      for (const interval of Object.keys(INTERVALS)) {
+        const openTime = bucketStart(ts, interval);
+        const key = `${tradingPair}|${interval}`;
+
+        let candle = this._current.get(key);
+        if (!candle || candle.openTime.getTime() !== openTime) {
+          candle = await db.candle.findUnique({
+            where: { tradingPair_interval_openTime: { tradingPair, interval, openTime: new Date(openTime) } },
+          }) || emptyCandle(tradingPair, interval, openTime);
+        }
+
+        const next = applyTrade(candle, price, quantity);
+        const values = {
+          open: next.open,
+          high: next.high,
+          low: next.low,
+          close: next.close,
+          volume: next.volume,
+          quoteVolume: next.quoteVolume,
+          tradeCount: next.tradeCount,
+        };
+        await db.candle.upsert({
+          where: { tradingPair_interval_openTime: { tradingPair, interval, openTime: next.openTime } },
+          create: { tradingPair, interval, openTime: next.openTime, ...values },
+          update: values,
+        });
+        this._current.set(key, next);
+        updated.push({ interval, ...toApiCandle(next) });
+      }
+
+      if (global.broadcastWebSocket) {
+        global.broadcastWebSocket(`candles:${tradingPair}`, {
+          type: 'CANDLE_UPDATE',
+          tradingPair,
+          candles: updated,
+        });
+      }
+    });
+  }
+
+  // ─── Backfill ─────────────────────────────────────────────────────────
+
+  /**
+   * Rebuild candles from TradeSettlement.
+   *
+   * @param {Object} [options]
+   * @param {string} [options.tradingPair] - one market; all when omitted
+   * @param {Date|string} [options.since] - rebuild from here on; 'resume'
+   *   means from the newest stored candle; everything when omitted. Rounded
+   *   down to a weekly boundary so every rebuilt bucket is complete.
+   * @returns {Promise<{ trades: number, candles: number, since: string|null }>}
+   */
+  async backfill({ tradingPair = null, since = null } = {}) {
+    return this._enqueue(async () => {
+      const db = getDb();
+
+      let from = null;
+      if (since === 'resume') {
+        const latest = await db.candle.findFirst({
+          where: tradingPair ? { tradingPair } : {},
+          orderBy: { openTime: 'desc' },
+        });
+        from = latest ? bucketStart(latest.openTime.getTime(), '1w') : null;
+      } else if (since) {
+        const ms = new Date(since).getTime();
+        if (!Number.isFinite(ms)) throw new Error(`Invalid backfill start: ${since}`);
+        from = bucketStart(ms, '1w');
+      }
+
+      // Rows written before tradedAt existed fall back to createdAt
+      const scope = {
+        ...(tradingPair && { tradingPair }),
+        ...(from !== null && {
+          OR: [
+            { tradedAt: { gte: new Date(from) } },
+            { tradedAt: null, createdAt: { gte: new Date(from) } },
+          ],
+        }),
+      };
+      // Every trade writes two BUY rows (base credit, quote debit); one per trade is enough
+      const trades = await db.tradeSettlement.findMany({
+        where: { ...scope, side: 'BUY' },
+        distinct: ['tradeId'],
+        orderBy: { createdAt: 'asc' },
+        select: { tradeId: true, tradingPair: true, price: true, quantity: true, tradedAt: true, createdAt: true },
+      });
+      const tradedAt = (t) => (t.tradedAt || t.createdAt).getTime();
+      trades.sort((a, b) => tradedAt(a) - tradedAt(b));
+
+      const candles = new Map();
+      for (const t of trades) {
+        if (!(parseFloat(t.price) > 0) || !(parseFloat(t.quantity) > 0)) continue;
+        const ts = tradedAt(t);
+        for (const interval of Object.keys(INTERVALS)) {
+          const openTime = bucketStart(ts, interval);
+          const key = `${t.tradingPair}|${interval}|${openTime}`;
+          const candle = candles.get(key) || emptyCandle(t.tradingPair, interval, openTime);
+          candles.set(key, applyTrade(candle, t.price, t.quantity));
+        }
+      }
+
+      await db.$transaction([
+        db.candle.deleteMany({
+          where: {
+            ...(tradingPair && { tradingPair }),
+            ...(from !== null && { openTime: { gte: new Date(from) } }),
+          },
+        }),
+        db.candle.createMany({ data: Array.from(candles.values()) }),
+      ]);
+      this._current.clear();
+
+      const range = from !== null ? `since ${new Date(from).toISOString()}` : 'full history';
+      console.log(`[Candles] 🔁 Rebuilt ${candles.size} candle(s) from ${trades.length} trade(s) (${tradingPair || 'all pairs'}, ${range})`);
+      return {
+        trades: trades.length,
+        candles: candles.size,
+        since: from !== null ? new Date(from).toISOString() : null,
+      };
+    });
+  }
+
+  // ─── Reads ────────────────────────────────────────────────────────────
+
+  /**
+   * Candles for one market and interval, oldest first. With no `from`, the
+   * most recent `limit` candles up to `to` are returned.
+   */
+  async getCandles(tradingPair, interval, { from = null, to = null, limit = DEFAULT_LIMIT } = {}) {
+    const take = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const openTime = {
+      ...(from && { gte: new Date(from) }),
+      ...(to && { lte: new Date(to) }),
+    };
+    const rows = await getDb().candle.findMany({
+      where: {
+        tradingPair,
+        interval,
+        ...(Object.keys(openTime).length > 0 && { openTime }),
+      },
+      orderBy: { openTime: from ? 'asc' : 'desc' },
+      take,
+    });
+    if (!from) rows.reverse();
+    return rows.map(toApiCandle);
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getCandleService() {
+  if (!instance) {
+    instance = new CandleService();
+  }
+  return instance;
+}
+
+module.exports = {
+  CandleService,
+  getCandleService,
+  CANDLE_INTERVALS: Object.keys(INTERVALS),
+  bucketStart,
+};
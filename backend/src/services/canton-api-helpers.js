@@ -142,18 +142,12 @@ async function getOrderBookContractId(tradingPair, adminToken, cantonApiBase) {
 }
 
 /**
- * Broadcast order book update via WebSocket
+ * Tell the L2 order book feed that a market's book changed. Subscribers get
+ * the changed levels as a sequenced DELTA; `orderBookData` is no longer sent.
  */
-function broadcastOrderBookUpdate(tradingPair, orderBookData) {
-  if (global.broadcastWebSocket) {
-    global.broadcastWebSocket(`orderbook:${tradingPair}`, {
-      tradingPair,
-      buyOrders: orderBookData.buyOrders || [],
-      sellOrders: orderBookData.sellOrders || [],
-      lastPrice: orderBookData.lastPrice,
-      timestamp: new Date().toISOString()
-    });
-  }
+function broadcastOrderBookUpdate(tradingPair) {
+  const { getOrderBookFeed } = require('./orderBookFeedService');
+  getOrderBookFeed().markDirty(tradingPair);
 }
 
 /**
@@ -3584,6 +3584,81 @@ class CantonSDKClient {
     }
   }
 
+  /**
+   * Execute several allocations in ONE Canton transaction — either every
+   * transfer lands or none does. Used for the operator's forwarding legs and
+   * the fee legs that must settle with them.
+   *
+   * The execute context of each allocation comes from its registry (retried
+   * while a just-created allocation is not indexed yet); the commands share
+   * one submission with the executor as the only actAs party.
+   *
+   * @param {Array<{ allocationContractId: string, symbol: string }>} legs
+   * @param {string} executorPartyId - The exchange operator (executor of every leg)
+   * @param {string[]} readAsParties - Senders and receivers of the legs
+   * @param {string} commandId - Idempotency key for the submission
+   * @returns {Promise<object>} Transaction result with updateId
+   */
+  async executeAllocationsAtomically(legs, executorPartyId, readAsParties, commandId) {
+    const ALLOCATION_INTERFACE = '#splice-api-token-allocation-v1:Splice.Api.Token.AllocationV1:Allocation';
+    const maxRegistryRetries = 6;
+    const registryRetryMs = 2500;
+
+    const commands = [];
+    const disclosedByContractId = new Map();
+    for (const leg of legs) {
+      let extra;
+      for (let ra = 1; ra <= maxRegistryRetries; ra++) {
+        try {
+          extra = await this.fetchAllocationExtraArgs(leg.allocationContractId, leg.symbol);
+          break;
+        } catch (regErr) {
+          if (regErr?.response?.status === 404 && ra < maxRegistryRetries) {
+            console.log(`[CantonSDK]    Registry 404 for ${leg.symbol} allocation on attempt ${ra}/${maxRegistryRetries} — retrying in ${registryRetryMs / 1000}s...`);
+            await new Promise(r => setTimeout(r, registryRetryMs));
+            continue;
+          }
+          throw regErr;
+        }
+      }
+      for (const dc of extra.disclosedContracts || []) {
+        if (dc?.contractId) disclosedByContractId.set(dc.contractId, dc);
+      }
+      commands.push({
+        ExerciseCommand: {
+          templateId: ALLOCATION_INTERFACE,
+          contractId: leg.allocationContractId,
+          choice: 'Allocation_ExecuteTransfer',
+          choiceArgument: { extraArgs: extra.extraArgs },
+        },
+      });
+    }
+
+    const adminToken = await tokenProvider.getServiceToken();
+    const configModule = require('../config');
+    const synchronizerId = await cantonService.resolveSubmissionSynchronizerId(
+      adminToken,
+      configModule.canton.synchronizerId
+    );
+    const disclosedContracts = Array.from(disclosedByContractId.values());
+
+    console.log(`[CantonSDK] 🔄 Executing ${commands.length} allocation(s) in one transaction (actAs executor only)`);
+    const result = await cantonService.submitAndWaitForTransaction(adminToken, {
+      commands: {
+        commandId,
+        actAs:    [executorPartyId],
+        readAs:   [...new Set([executorPartyId, ...readAsParties])],
+        domainId: synchronizerId,
+        commands,
+        ...(disclosedContracts.length > 0 && { disclosedContracts }),
+      },
+    });
+    const updateId = result?.transaction?.updateId || result?.updateId || null;
+    console.log(`[CantonSDK] ✅ ${commands.length} allocation(s) executed atomically — updateId: ${updateId || 'N/A'}`);
+    if (result && !result.updateId && updateId) result.updateId = updateId;
+    return result;
+  }
+
   /**
    * Execute Allocation_ExecuteTransfer via non-interactive submission.
    *
@@ -0,0 +1,202 @@
+/**
+ * Execution Report Service — per-user order lifecycle events
+ *
+ * Every state change of an order (accepted, each fill, amend, cancel, expiry,
+ * rejection, stop trigger) becomes one execution report. Reports are stored
+ * in ExecutionReport for GET /v1/executions and pushed to the owner on the
+ * private `executions:<partyId>` channel as { type: 'EXECUTION_REPORT', ... }.
+ *
+ * Producers:
+ *   MatchingEngine.executeMatch   → PARTIALLY_FILLED / FILLED (both sides)
+ *   MatchingEngine._expireOrder   → EXPIRED, or CANCELLED for venue cancels
+ *   StopLossService.triggerOrder  → STOP_TRIGGERED
+ *   OrderService placement/cancel → ACCEPTED, REJECTED, CANCELLED
+ *   OrderService.executeOrderAmend → REPLACED
+ *
+ * Each pushed report is also emitted in-process as a 'report' event (the FIX
+ * gateway turns these into ExecutionReport messages).
+ *
+ * Recording never throws: a report that cannot be stored is still pushed,
+ * and the order flow that produced it carries on either way.
+ */
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const Decimal = require('decimal.js');
+const { getDb } = require('./db');
+
+const EVENT_TYPES = [
+  'ACCEPTED',
+  'PARTIALLY_FILLED',
+  'FILLED',
+  'CANCELLED',
+  'REJECTED',
+  'EXPIRED',
+  'STOP_TRIGGERED',
+  'REPLACED',
+];
+
+const SETTLEMENT_STATUSES = ['SETTLED', 'FORWARDING', 'FORWARDING_FAILED'];
+
+const DEFAULT_LIMIT = 100;
+const MAX_LIMIT = 500;
+
+function decimalString(value) {
+  if (value === undefined || value === null || value === '') return null;
+  try {
+    return new Decimal(value).toString();
+  } catch (_) {
+    return null;
+  }
+}
+
+function toApiReport(row) {
+  return {
+    execId: row.id,
+    orderId: row.orderId,
+    partyId: row.partyId,
+    tradingPair: row.tradingPair,
+    side: row.side,
+    eventType: row.eventType,
+    fillPrice: row.fillPrice,
+    fillQuantity: row.fillQuantity,
+    cumulativeQuantity: row.cumulativeQuantity,
+    remainingQuantity: row.remainingQuantity,
+    tradeId: row.tradeId,
+    settlementStatus: row.settlementStatus,
+    triggerPrice: row.triggerPrice,
+    reason: row.reason,
+    fee: row.fee || null,
+    feeAsset: row.feeAsset || null,
+    liquidity: row.liquidity || null,
+    timestamp: new Date(row.createdAt).toISOString(),
+  };
+}
+
+class ExecutionReportService extends EventEmitter {
+  /**
+   * Store and push one lifecycle event.
+   *
+   * @param {Object} report
+   * @param {string} report.partyId - order owner
+   * @param {string} report.orderId
+   * @param {string} report.tradingPair
+   * @param {string} report.eventType - one of EVENT_TYPES
+   * @param {string} [report.side] - BUY | SELL
+   * @param {string|number} [report.fillPrice] - fills only
+   * @param {string|number} [report.fillQuantity] - fills only
+   * @param {string|number} [report.cumulativeQuantity] - defaults to 0
+   * @param {string|number} [report.remainingQuantity] - defaults to 0
+   * @param {string} [report.tradeId] - fills only
+   * @param {string} [report.settlementStatus] - fills only
+   * @param {string|number} [report.triggerPrice] - STOP_TRIGGERED only
+   * @param {string} [report.reason]
+   * @param {string|number} [report.fee] - fills only; negative for a rebate
+   * @param {string} [report.feeAsset] - fills only
+   * @param {string} [report.liquidity] - fills only: MAKER | TAKER
+   * @returns {Promise<Object|null>} the report as pushed, or null if it was unusable
+   */
+  async record(report) {
+    const { partyId, orderId, tradingPair, eventType } = report || {};
+    if (!partyId || !orderId || !EVENT_TYPES.includes(eventType)) {
+      console.warn(`[ExecutionReports] ⚠️ Dropped malformed report (${eventType || 'no type'} for ${orderId || 'no order'})`);
+      return null;
+    }
+
+    const row = {
+      id: `exec-${crypto.randomUUID()}`,
+      partyId,
+      orderId,
+      tradingPair: tradingPair || 'UNKNOWN',
+      side: report.side ? String(report.side).toUpperCase() : null,
+      eventType,
+      fillPrice: decimalString(report.fillPrice),
+      fillQuantity: decimalString(report.fillQuantity),
+      cumulativeQuantity: decimalString(report.cumulativeQuantity) || '0',
+      remainingQuantity: decimalString(report.remainingQuantity) || '0',
+      tradeId: report.tradeId || null,
+      settlementStatus: SETTLEMENT_STATUSES.includes(report.settlementStatus) ? report.settlementStatus : null,
+      triggerPrice: decimalString(report.triggerPrice),
+      reason: report.reason ? String(report.reason).substring(0, 500) : null,
+      fee: decimalString(report.fee),
+      feeAsset: report.feeAsset || null,
+      liquidity: ['MAKER', 'TAKER'].includes(report.liquidity) ? report.liquidity : null,
+      createdAt: new Date(),
+    };
+
+    try {
+      await getDb().executionReport.create({ data: row });
+    } catch (dbErr) {
+      console.warn(`[ExecutionReports] ⚠️ Could not store ${eventType} for ${orderId}: ${dbErr.message}`);
+    }
+
+    const apiReport = toApiReport(row);
+    if (global.broadcastWebSocket) {
+      global.broadcastWebSocket(`executions:${partyId}`, { type: 'EXECUTION_REPORT', ...apiReport });
+    }
+    try {
+      this.emit('report', apiReport);
+    } catch (listenerErr) {
+      console.warn(`[ExecutionReports] ⚠️ Report listener failed: ${listenerErr.message}`);
+    }
+    return apiReport;
+  }
+
+  /**
+   * A party's execution reports, newest first.
+   *
+   * @param {string} partyId
+   * @param {Object} [filters]
+   * @param {string} [filters.orderId]
+   * @param {string} [filters.tradingPair]
+   * @param {string} [filters.eventType]
+   * @param {Date} [filters.from] - inclusive
+   * @param {Date} [filters.to] - inclusive
+   * @param {number} [filters.limit]
+   * @param {string} [filters.cursor] - execId of the last report of the previous page
+   * @returns {Promise<{ reports: Object[], nextCursor: string|null }>}
+   */
+  async getHistory(partyId, { orderId = null, tradingPair = null, eventType = null, from = null, to = null, limit = DEFAULT_LIMIT, cursor = null } = {}) {
+    const take = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const createdAt = {
+      ...(from && { gte: from }),
+      ...(to && { lte: to }),
+    };
+
+    const rows = await getDb().executionReport.findMany({
+      where: {
+        partyId,
+        ...(orderId && { orderId }),
+        ...(tradingPair && { tradingPair }),
+        ...(eventType && { eventType }),
+        ...(Object.keys(createdAt).length > 0 && { createdAt }),
+      },
+      orderBy: [{ createdAt: 'desc' }, { id: 'desc' }],
+      take: take + 1,
+      ...(cursor && { cursor: { id: cursor }, skip: 1 }),
+    });
+
+    const hasMore = rows.length > take;
+    const page = hasMore ? rows.slice(0, take) : rows;
+    return {
+      reports: page.map(toApiReport),
+      nextCursor: hasMore ? page[page.length - 1].id : null,
+    };
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getExecutionReportService() {
+  if (!instance) {
+    instance = new ExecutionReportService();
+  }
+  return instance;
+}
+
+module.exports = {
+  ExecutionReportService,
+  getExecutionReportService,
+  EXECUTION_EVENT_TYPES: EVENT_TYPES,
+};
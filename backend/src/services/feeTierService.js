@@ -0,0 +1,277 @@
+/**
+ * Fee Tier Service — volume-tiered maker/taker rates
+ * PostgreSQL via Prisma (feeTier table), cached in memory.
+ *
+ * Admins keep one ladder per quote asset: tiers with a minimum rolling
+ * 30-day notional volume and the maker/taker rates that apply from there.
+ * A party's volume in a quote asset is the notional (price × quantity) of
+ * every trade it settled in markets quoted in that asset, read from
+ * TradeSettlement. The highest tier reached replaces the market's own fees
+ * at match time; quote assets without a ladder keep the market fees.
+ *
+ * Per-party volumes are cached for VOLUME_TTL_MS so matching does not hit
+ * the database on every fill.
+ */
+
+const Decimal = require('decimal.js');
+const config = require('../config');
+const { getDb } = require('./db');
+const { getMarketRegistry } = require('./marketRegistryService');
+const { ValidationError } = require('../utils/errors');
+
+const VOLUME_WINDOW_DAYS = 30;
+const VOLUME_TTL_MS = 60000;
+const REFRESH_MS = 15000;
+const MAX_FEE_BPS = 1000;
+const MAX_TIERS = 20;
+
+function toTier(row) {
+  return {
+    name: row.name,
+    minVolume: new Decimal(row.minVolume).toString(),
+    makerFeeBps: row.makerFeeBps,
+    takerFeeBps: row.takerFeeBps,
+  };
+}
+
+function quoteOf(tradingPair) {
+  return String(tradingPair || '').split('/')[1] || null;
+}
+
+class FeeTierService {
+  constructor() {
+    this.ladders = new Map(); // quoteSymbol → tiers, ascending minVolume
+    this.volumes = new Map(); // partyId → { at, byQuote: { [quoteSymbol]: Decimal } }
+    this._loadedAt = 0;
+    this._refreshing = null;
+  }
+
+  // ─── Ladders ──────────────────────────────────────────────────────────
+
+  async refresh() {
+    if (this._refreshing) return this._refreshing;
+    this._refreshing = (async () => {
+      try {
+        const rows = await getDb().feeTier.findMany();
+        const ladders = new Map();
+        for (const row of rows) {
+          if (!ladders.has(row.quoteSymbol)) ladders.set(row.quoteSymbol, []);
+          ladders.get(row.quoteSymbol).push(toTier(row));
+        }
+        for (const tiers of ladders.values()) {
+          tiers.sort((a, b) => new Decimal(a.minVolume).comparedTo(b.minVolume));
+        }
+        this.ladders = ladders;
+        this._loadedAt = Date.now();
+      } catch (err) {
+        console.warn(`[FeeTiers] ⚠️ Could not load fee tiers: ${err.message}`);
+        this._loadedAt = Date.now() - REFRESH_MS / 2;
+      } finally {
+        this._refreshing = null;
+      }
+      return this.ladders;
+    })();
+    return this._refreshing;
+  }
+
+  async ensureFresh() {
+    if (Date.now() - this._loadedAt < REFRESH_MS) return this.ladders;
+    return this.refresh();
+  }
+
+  /**
+   * Every configured ladder, keyed by quote symbol
+   */
+  async listLadders() {
+    await this.ensureFresh();
+    return Object.fromEntries(this.ladders);
+  }
+
+  /**
+   * Replace the ladder for one quote asset. An empty list removes it, so
+   * markets quoted in that asset go back to their own fees.
+   *
+   * Tiers must start at a minVolume of 0 and climb strictly. Makers and
+   * takers of one trade can sit on different tiers, so the deepest rebate
+   * must still be covered by the lowest taker rate on the ladder.
+   */
+  async setLadder(quoteSymbol, tiers) {
+    const symbol = String(quoteSymbol || '').toUpperCase();
+    if (!/^[A-Z0-9]+$/.test(symbol)) {
+      throw new ValidationError('quoteSymbol must be an asset symbol');
+    }
+    const normalized = this._normalize(tiers || []);
+
+    const db = getDb();
+    await db.$transaction([
+      db.feeTier.deleteMany({ where: { quoteSymbol: symbol } }),
+      ...normalized.map(tier => db.feeTier.create({ data: { quoteSymbol: symbol, ...tier } })),
+    ]);
+
+    if (normalized.length) this.ladders.set(symbol, normalized);
+    else this.ladders.delete(symbol);
+    console.log(`[FeeTiers] ✅ ${symbol} ladder set (${normalized.length} tier(s))`);
+    return normalized;
+  }
+
+  _normalize(tiers) {
+    if (!Array.isArray(tiers) || tiers.length > MAX_TIERS) {
+      throw new ValidationError(`tiers must be a list of at most ${MAX_TIERS} tiers`);
+    }
+    const normalized = tiers.map((tier, i) => {
+      const name = String(tier.name || '').trim();
+      if (!name) throw new ValidationError(`tiers[${i}].name is required`);
+      let minVolume;
+      try {
+        minVolume = new Decimal(tier.minVolume);
+      } catch (_) {
+        throw new ValidationError(`tiers[${i}].minVolume must be a number`);
+      }
+      if (!minVolume.isFinite() || minVolume.isNegative()) {
+        throw new ValidationError(`tiers[${i}].minVolume must be zero or more`);
+      }
+      const makerFeeBps = Number(tier.makerFeeBps);
+      const takerFeeBps = Number(tier.takerFeeBps);
+      if (!Number.isInteger(makerFeeBps) || Math.abs(makerFeeBps) > MAX_FEE_BPS) {
+        throw new ValidationError(`tiers[${i}].makerFeeBps must be an integer between -${MAX_FEE_BPS} and ${MAX_FEE_BPS}`);
+      }
+      if (!Number.isInteger(takerFeeBps) || takerFeeBps < 0 || takerFeeBps > MAX_FEE_BPS) {
+        throw new ValidationError(`tiers[${i}].takerFeeBps must be an integer between 0 and ${MAX_FEE_BPS}`);
+      }
+      return { name, minVolume: minVolume.toString(), makerFeeBps, takerFeeBps };
+    });
+    if (normalized.length === 0) return normalized;
+
+    normalized.sort((a, b) => new Decimal(a.minVolume).comparedTo(b.minVolume));
+    if (!new Decimal(normalized[0].minVolume).isZero()) {
+      throw new ValidationError('The first tier must start at a minVolume of 0');
+    }
+    for (let i = 1; i < normalized.length; i++) {
+      if (new Decimal(normalized[i].minVolume).eq(normalized[i - 1].minVolume)) {
+        throw new ValidationError(`Tiers ${normalized[i - 1].name} and ${normalized[i].name} have the same minVolume`);
+      }
+    }
+    if (new Set(normalized.map(t => t.name)).size !== normalized.length) {
+      throw new ValidationError('Tier names must be unique');
+    }
+    const lowestMaker = Math.min(...normalized.map(t => t.makerFeeBps));
+    const lowestTaker = Math.min(...normalized.map(t => t.takerFeeBps));
+    if (lowestMaker + lowestTaker < 0) {
+      throw new ValidationError('The largest maker rebate cannot exceed the lowest taker fee on the ladder');
+    }
+    if (lowestMaker < 0 && !config.fees.collectorPartyId) {
+      throw new ValidationError('A maker rebate needs a fee collector (FEE_COLLECTOR_PARTY_ID) to pay it');
+    }
+    return normalized;
+  }
+
+  // ─── Volumes ──────────────────────────────────────────────────────────
+
+  /**
+   * Rolling 30-day notional per quote asset. Each party has one row per
+   * trade in the quote asset (its debit as buyer, its credit as seller),
+   * and price × quantity on that row is the gross notional.
+   */
+  async getVolumes(partyId, { fresh = false } = {}) {
+    const cached = this.volumes.get(partyId);
+    if (!fresh && cached && Date.now() - cached.at < VOLUME_TTL_MS) {
+      return cached.byQuote;
+    }
+
+    const since = new Date(Date.now() - VOLUME_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    const rows = await getDb().tradeSettlement.findMany({
+      where: { partyId, createdAt: { gte: since } },
+      select: { tradingPair: true, asset: true, price: true, quantity: true },
+    });
+    const byQuote = {};
+    for (const row of rows) {
+      const quote = quoteOf(row.tradingPair);
+      if (!quote || row.asset !== quote) continue;
+      byQuote[quote] = (byQuote[quote] || new Decimal(0)).plus(new Decimal(row.price).times(row.quantity));
+    }
+    this.volumes.set(partyId, { at: Date.now(), byQuote });
+    return byQuote;
+  }
+
+  _tierFor(tiers, volume) {
+    let current = null;
+    for (const tier of tiers) {
+      if (volume.gte(tier.minVolume)) current = tier;
+    }
+    return current;
+  }
+
+  // ─── Rates ────────────────────────────────────────────────────────────
+
+  /**
+   * Maker/taker rates for one party in one market: its tier's when the
+   * market's quote asset has a ladder, otherwise the market's. Never
+   * throws — if volumes cannot be read the market rates apply.
+   *
+   * @returns {{ makerFeeBps: number, takerFeeBps: number, tier: string|null }}
+   */
+  async ratesFor(partyId, market) {
+    const fallback = {
+      makerFeeBps: market?.makerFeeBps || 0,
+      takerFeeBps: market?.takerFeeBps || 0,
+      tier: null,
+    };
+    try {
+      await this.ensureFresh();
+      const tiers = this.ladders.get(market?.quoteSymbol);
+      if (!tiers?.length) return fallback;
+      const volumes = await this.getVolumes(partyId);
+      const tier = this._tierFor(tiers, volumes[market.quoteSymbol] || new Decimal(0));
+      if (!tier) return fallback;
+      return { makerFeeBps: tier.makerFeeBps, takerFeeBps: tier.takerFeeBps, tier: tier.name };
+    } catch (err) {
+      console.warn(`[FeeTiers] ⚠️ Tier lookup failed for ${String(partyId).substring(0, 30)}...: ${err.message}`);
+      return fallback;
+    }
+  }
+
+  /**
+   * A party's standing per quote asset: volume so far, current tier, the
+   * next tier and how much more volume reaches it. Quote assets without a
+   * ladder are listed with tier null (market fees apply).
+   */
+  async getFeeTier(partyId) {
+    await this.ensureFresh();
+    const volumes = await this.getVolumes(partyId, { fresh: true });
+    const quotes = new Set([
+      ...getMarketRegistry().listMarkets().map(m => m.quoteSymbol),
+      ...this.ladders.keys(),
+    ]);
+
+    return Array.from(quotes).sort().map(quoteSymbol => {
+      const volume = volumes[quoteSymbol] || new Decimal(0);
+      const tiers = this.ladders.get(quoteSymbol) || [];
+      const tier = this._tierFor(tiers, volume);
+      const nextTier = tiers.find(t => volume.lt(t.minVolume)) || null;
+      return {
+        quoteSymbol,
+        windowDays: VOLUME_WINDOW_DAYS,
+        volume: volume.toString(),
+        tier,
+        nextTier,
+        volumeToNextTier: nextTier ? new Decimal(nextTier.minVolume).minus(volume).toString() : null,
+      };
+    });
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getFeeTierService() {
+  if (!instance) {
+    instance = new FeeTierService();
+  }
+  return instance;
+}
+
+module.exports = {
+  FeeTierService,
+  getFeeTierService,
+  VOLUME_WINDOW_DAYS,
+};
@@ -0,0 +1,1277 @@
+/**
+ * FIX Gateway — FIX 4.4 acceptor for order entry and market data
+ *
+ * Institutional members connect a FIX initiator instead of calling REST.
+ * Enabled with FIX_GATEWAY_ENABLED=true; our CompID is FIX_SENDER_COMP_ID
+ * (the client's TargetCompID).
+ *
+ * Logon (A) authenticates with an API key:
+ *   Username(553)  key id ("ak_…")
+ *   Password(554)  hex HMAC-SHA256(secret, ms + "LOGON" + SenderCompID + TargetCompID)
+ *                  where ms is SendingTime(52) as unix milliseconds
+ * Order messages need the key's `trade` scope; market data only `read`.
+ * A SenderCompID stays bound to the party that first logged on with it.
+ *
+ * Order entry maps onto OrderService:
+ *   NewOrderSingle (D)            → placeOrder
+ *   OrderCancelRequest (F)        → cancelOrder
+ *   OrderCancelReplaceRequest (G) → amendOrder when only Price changes and/or
+ *                                   OrderQty goes down (same order, allocation kept);
+ *                                   otherwise cancelOrder, then placeOrder for the rest
+ * Placement, amends and cancellation are Canton interactive submissions signed with
+ * the party's own Ed25519 key, so each prepared step goes out as a
+ * SignatureRequest (U1: SignRequestID 20000, hash 20001, scheme 20002) and the
+ * client answers with a SignatureResponse (U2: 20000, Signature 20003 base64,
+ * SignedBy 20004). ExecutionReports (8) are built from ExecutionReportService
+ * events, so REST and FIX orders of the same party show up on both.
+ *
+ * MarketDataRequest (V) serves a snapshot (W) from OrderBookFeed and, when
+ * subscribed, incremental refreshes (X) from its DELTAs plus trades from the
+ * streaming read model.
+ *
+ * Sequence numbers live in FixSession and outbound order-entry messages in
+ * FixMessage, so a ResendRequest is answered after a reconnect or restart;
+ * session-level and market-data messages are gap-filled instead.
+ */
+
+const net = require('net');
+const crypto = require('crypto');
+const Decimal = require('decimal.js');
+const config = require('../config');
+const { getDb } = require('./db');
+const { ValidationError } = require('../utils/ledgerError');
+const fix = require('./fixProtocol');
+
+const { TAGS: T, MSG_TYPES: M } = fix;
+
+const MIN_HEARTBEAT_S = 1;
+const MAX_HEARTBEAT_S = 300;
+const LOGON_TIMEOUT_MS = 10 * 1000;
+const LOGOUT_GRACE_MS = 5 * 1000;
+const SIGNATURE_TIMEOUT_MS = 2 * 60 * 1000;
+const MATCH_TRIGGER_DELAY_MS = 3000;
+const MAX_BUFFER_BYTES = 1024 * 1024;
+
+// Not stored for resend: stale market data is worse than a gap
+const NOT_RESENT = new Set([...fix.ADMIN_MSG_TYPES, M.MarketDataSnapshotFullRefresh, M.MarketDataIncrementalRefresh, M.MarketDataRequestReject]);
+const HEADER_TAGS = new Set([T.BeginString, T.BodyLength, T.MsgType, T.SenderCompID, T.TargetCompID,
+  T.MsgSeqNum, T.SendingTime, T.PossDupFlag, T.OrigSendingTime, T.CheckSum]);
+
+const SIDES = { 1: 'BUY', 2: 'SELL' };
+const SIDE_CODES = { BUY: '1', SELL: '2' };
+// LastLiquidityInd(851): 1 = added liquidity, 2 = removed it
+const LIQUIDITY_CODES = { MAKER: '1', TAKER: '2' };
+const ORD_TYPES = { 1: 'MARKET', 2: 'LIMIT', 3: 'STOP_LOSS', 4: 'STOP_LIMIT' };
+const TIME_IN_FORCE = { 1: 'GTC', 3: 'IOC', 4: 'FOK', 6: 'GTD' };
+
+// eventType → [ExecType(150), OrdStatus(39)]; a triggered stop is New or
+// PartiallyFilled depending on what it had filled
+const EXEC_STATES = {
+  ACCEPTED: ['0', '0'],
+  PARTIALLY_FILLED: ['F', '1'],
+  FILLED: ['F', '2'],
+  CANCELLED: ['4', '4'],
+  EXPIRED: ['C', 'C'],
+  REJECTED: ['8', '8'],
+  STOP_TRIGGERED: ['L', null],
+  REPLACED: ['5', null],
+};
+const TERMINAL_EVENTS = new Set(['FILLED', 'CANCELLED', 'EXPIRED', 'REJECTED']);
+
+const MD_BID = '0';
+const MD_OFFER = '1';
+const MD_TRADE = '2';
+
+/** OrderService step result without the transaction itself — what the next execute call takes as meta. */
+function withoutPrepared(result) {
+  const { preparedTransaction, preparedTransactionHash, hashingSchemeVersion, ...meta } = result;
+  return meta;
+}
+
+function sortLevels(levels, descending) {
+  return Array.from(levels.values()).sort((a, b) => {
+    const cmp = new Decimal(a.price).cmp(b.price);
+    return descending ? -cmp : cmp;
+  });
+}
+
+class FixGateway {
+  constructor() {
+    this.isRunning = false;
+    this.server = null;
+    this.sessions = new Map();     // sessionId → logged-on (or logging-on) session
+    this.connections = new Set();  // every open socket's session
+    this._listeners = [];
+    this._orderService = null;
+  }
+
+  _getOrderService() {
+    if (!this._orderService) {
+      const OrderService = require('./order-service');
+      this._orderService = new OrderService();
+    }
+    return this._orderService;
+  }
+
+  // ─── Lifecycle ────────────────────────────────────────────────────────
+
+  async start() {
+    if (this.isRunning) return;
+    const { port, host, senderCompId } = config.fix;
+
+    this.server = net.createServer((socket) => this._onConnection(socket));
+    await new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        resolve();
+      });
+    });
+    this.server.on('error', (err) => console.warn(`[FixGateway] ⚠️ Server error: ${err.message}`));
+
+    const { getExecutionReportService } = require('./executionReportService');
+    const { getOrderBookFeed } = require('./orderBookFeedService');
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    this._listeners = [
+      [getExecutionReportService(), 'report', (report) => this._onExecutionReport(report)],
+      [getOrderBookFeed(), 'delta', (delta) => this._onBookDelta(delta)],
+      [getStreamingReadModel(), 'tradeCreated', (trade) => this._onTrade(trade)],
+    ];
+    for (const [emitter, event, fn] of this._listeners) emitter.on(event, fn);
+
+    this.isRunning = true;
+    console.log(`[FixGateway] ✅ FIX 4.4 acceptor on ${host}:${port} (CompID ${senderCompId})`);
+  }
+
+  async stop() {
+    if (!this.isRunning) return;
+    for (const [emitter, event, fn] of this._listeners) emitter.off(event, fn);
+    this._listeners = [];
+    for (const session of this.connections) this._logout(session, 'Gateway shutting down');
+    await new Promise((resolve) => this.server.close(() => resolve()));
+    this.server = null;
+    this.isRunning = false;
+  }
+
+  // ─── Transport ────────────────────────────────────────────────────────
+
+  _onConnection(socket) {
+    socket.setEncoding('latin1');
+    socket.setNoDelay(true);
+
+    const session = {
+      socket,
+      remoteAddress: socket.remoteAddress,
+      state: 'CONNECTED', // → LOGGING_ON → ACTIVE → LOGGING_OUT → CLOSED
+      buffer: '',
+      backlog: [],        // messages received while the logon is being checked
+      id: null,
+      clientCompId: null,
+      ourCompId: config.fix.senderCompId,
+      partyId: null,
+      keyId: null,
+      scopes: [],
+      heartBtInt: 30,
+      nextInSeqNum: 1,
+      nextOutSeqNum: 1,
+      resendUpTo: null,   // gap being filled by the counterparty
+      lastReceivedAt: Date.now(),
+      lastSentAt: Date.now(),
+      testRequestSentAt: null,
+      persistQueue: Promise.resolve(),
+      persistPending: false,
+      orders: new Map(),          // orderId → { clOrdId, quantity, fillQty, fillNotional }
+      clOrdIds: new Map(),        // ClOrdID → orderId
+      cancelRequests: new Map(),  // orderId → { clOrdId, origClOrdId } of an in-flight cancel
+      pendingSignatures: new Map(),
+      mdSubscriptions: new Map(), // MDReqID → subscription
+      heartbeatTimer: null,
+      logonTimer: null,
+      logoutTimer: null,
+    };
+    this.connections.add(session);
+
+    session.logonTimer = setTimeout(() => {
+      if (session.state === 'CONNECTED') socket.destroy();
+    }, LOGON_TIMEOUT_MS);
+
+    socket.on('data', (chunk) => this._onData(session, chunk));
+    socket.on('error', (err) => console.warn(`[FixGateway] ⚠️ Socket error (${session.id || session.remoteAddress}): ${err.message}`));
+    socket.on('close', () => this._onClose(session));
+  }
+
+  _onData(session, chunk) {
+    session.buffer += chunk;
+    if (session.buffer.length > MAX_BUFFER_BYTES) {
+      console.warn(`[FixGateway] ⚠️ Dropping ${session.id || session.remoteAddress}: receive buffer overflow`);
+      session.socket.destroy();
+      return;
+    }
+    const { messages, rest } = fix.extractMessages(session.buffer);
+    session.buffer = rest;
+    for (const raw of messages) {
+      if (session.state === 'LOGGING_ON') session.backlog.push(raw);
+      else this._onMessage(session, raw);
+    }
+  }
+
+  _onClose(session) {
+    const wasActive = session.state === 'ACTIVE' || session.state === 'LOGGING_OUT';
+    session.state = 'CLOSED';
+    clearTimeout(session.logonTimer);
+    clearTimeout(session.logoutTimer);
+    clearInterval(session.heartbeatTimer);
+    session.pendingSignatures.clear();
+    session.mdSubscriptions.clear();
+    this.connections.delete(session);
+    if (session.id && this.sessions.get(session.id) === session) this.sessions.delete(session.id);
+    if (wasActive) console.log(`[FixGateway] 🔌 ${session.id} disconnected`);
+  }
+
+  /** Write an already-encoded message (resends and gap fills keep their own MsgSeqNum). */
+  _writeRaw(session, raw) {
+    if (!session.socket.writable) return;
+    session.socket.write(raw, 'latin1');
+    session.lastSentAt = Date.now();
+  }
+
+  _send(session, msgType, fields = []) {
+    if (!session.socket.writable) return null;
+    const seqNum = session.nextOutSeqNum++;
+    const raw = fix.encode(msgType, {
+      senderCompId: session.ourCompId,
+      targetCompId: session.clientCompId,
+      msgSeqNum: seqNum,
+    }, fields);
+    this._writeRaw(session, raw);
+
+    if (session.id && !NOT_RESENT.has(msgType)) {
+      this._persistWrite(session, (db) => db.fixMessage.create({
+        data: { sessionId: session.id, seqNum, msgType, body: raw },
+      }));
+    }
+    this._schedulePersist(session);
+    return seqNum;
+  }
+
+  // ─── Sequence persistence ─────────────────────────────────────────────
+
+  _persistWrite(session, task) {
+    session.persistQueue = session.persistQueue
+      .then(() => task(getDb()))
+      .catch((err) => console.warn(`[FixGateway] ⚠️ Could not persist ${session.id}: ${err.message}`));
+  }
+
+  _schedulePersist(session) {
+    if (!session.id || session.persistPending) return;
+    session.persistPending = true;
+    this._persistWrite(session, (db) => {
+      session.persistPending = false;
+      return db.fixSession.update({
+        where: { id: session.id },
+        data: { nextInSeqNum: session.nextInSeqNum, nextOutSeqNum: session.nextOutSeqNum },
+      });
+    });
+  }
+
+  // ─── Inbound ──────────────────────────────────────────────────────────
+
+  _onMessage(session, raw) {
+    const fields = fix.decode(raw);
+    if (!fields) {
+      console.warn(`[FixGateway] ⚠️ Ignoring garbled message from ${session.id || session.remoteAddress}: ${fix.printable(raw).substring(0, 120)}`);
+      return;
+    }
+    const msg = fix.fieldMap(fields);
+    const msgType = msg.get(T.MsgType);
+    session.lastReceivedAt = Date.now();
+    session.testRequestSentAt = null;
+
+    if (session.state === 'CONNECTED') {
+      if (msgType !== M.Logon) {
+        console.warn(`[FixGateway] ⚠️ First message from ${session.remoteAddress} was ${msgType}, not Logon — disconnecting`);
+        session.socket.destroy();
+        return;
+      }
+      session.state = 'LOGGING_ON';
+      this._onLogon(session, msg)
+        .catch((err) => this._refuseLogon(session, `Logon failed: ${err.message}`))
+        .finally(() => {
+          const backlog = session.backlog;
+          session.backlog = [];
+          if (session.state === 'ACTIVE') backlog.forEach((next) => this._onMessage(session, next));
+        });
+      return;
+    }
+    if (session.state !== 'ACTIVE' && session.state !== 'LOGGING_OUT') return;
+
+    if (msg.get(T.SenderCompID) !== session.clientCompId || msg.get(T.TargetCompID) !== session.ourCompId) {
+      this._logout(session, 'CompID problem');
+      return;
+    }
+
+    const seqNum = Number(msg.get(T.MsgSeqNum));
+    if (!Number.isInteger(seqNum) || seqNum < 1) {
+      this._logout(session, 'MsgSeqNum(34) missing or invalid');
+      return;
+    }
+
+    // SequenceReset-Reset applies whatever its own MsgSeqNum
+    if (msgType === M.SequenceReset && msg.get(T.GapFillFlag) !== 'Y') {
+      this._onSequenceReset(session, msg, seqNum);
+      return;
+    }
+
+    if (seqNum < session.nextInSeqNum) {
+      if (msg.get(T.PossDupFlag) === 'Y') return; // already processed
+      this._logout(session, `MsgSeqNum too low, expecting ${session.nextInSeqNum} but received ${seqNum}`);
+      return;
+    }
+
+    if (seqNum > session.nextInSeqNum) {
+      this._requestResend(session, seqNum);
+      // These two are acted on straight away; everything else comes again in the resend
+      if (msgType === M.ResendRequest) this._guard(session, msgType, seqNum, () => this._onResendRequest(session, msg, seqNum));
+      if (msgType === M.Logout) this._onLogout(session, msg);
+      return;
+    }
+
+    session.nextInSeqNum += 1;
+    if (session.resendUpTo !== null && session.nextInSeqNum > session.resendUpTo) session.resendUpTo = null;
+    this._schedulePersist(session);
+    this._dispatch(session, msgType, msg, fields, seqNum);
+  }
+
+  _dispatch(session, msgType, msg, fields, seqNum) {
+    switch (msgType) {
+      case M.Heartbeat:
+        return;
+      case M.Reject:
+        console.warn(`[FixGateway] ⚠️ ${session.id} rejected our message ${msg.get(T.RefSeqNum)}: ${msg.get(T.Text) || msg.get(T.SessionRejectReason)}`);
+        return;
+      case M.TestRequest:
+        this._send(session, M.Heartbeat, [[T.TestReqID, msg.get(T.TestReqID)]]);
+        return;
+      case M.ResendRequest:
+        this._guard(session, msgType, seqNum, () => this._onResendRequest(session, msg, seqNum));
+        return;
+      case M.SequenceReset:
+        this._onSequenceReset(session, msg, seqNum);
+        return;
+      case M.Logout:
+        this._onLogout(session, msg);
+        return;
+      case M.Logon:
+        this._reject(session, seqNum, msgType, '99', 'Already logged on');
+        return;
+      case M.NewOrderSingle:
+        this._guard(session, msgType, seqNum, () => this._onNewOrderSingle(session, msg, seqNum));
+        return;
+      case M.OrderCancelRequest:
+        this._guard(session, msgType, seqNum, () => this._onOrderCancelRequest(session, msg, seqNum));
+        return;
+      case M.OrderCancelReplaceRequest:
+        this._guard(session, msgType, seqNum, () => this._onOrderCancelReplaceRequest(session, msg, seqNum));
+        return;
+      case M.SignatureResponse:
+        this._guard(session, msgType, seqNum, () => this._onSignatureResponse(session, msg, seqNum));
+        return;
+      case M.MarketDataRequest:
+        this._guard(session, msgType, seqNum, () => this._onMarketDataRequest(session, msg, fields, seqNum));
+        return;
+      default:
+        this._businessReject(session, seqNum, msgType, '3', `Unsupported MsgType ${msgType}`);
+    }
+  }
+
+  /** Run an async handler; anything it did not turn into a FIX reply becomes a BusinessMessageReject. */
+  _guard(session, msgType, seqNum, handler) {
+    Promise.resolve()
+      .then(handler)
+      .catch((err) => {
+        console.warn(`[FixGateway] ⚠️ ${session.id} ${msgType}(${seqNum}) failed: ${err.message}`);
+        this._businessReject(session, seqNum, msgType, '0', err.message);
+      });
+  }
+
+  _missingTag(msg, tags) {
+    return tags.find((tag) => !msg.get(tag));
+  }
+
+  _reject(session, refSeqNum, refMsgType, reason, text, refTag = null) {
+    this._send(session, M.Reject, [
+      [T.RefSeqNum, refSeqNum],
+      [T.RefTagID, refTag],
+      [T.RefMsgType, refMsgType],
+      [T.SessionRejectReason, reason],
+      [T.Text, text],
+    ]);
+  }
+
+  _businessReject(session, refSeqNum, refMsgType, reason, text, refId = null) {
+    this._send(session, M.BusinessMessageReject, [
+      [T.RefSeqNum, refSeqNum],
+      [T.RefMsgType, refMsgType],
+      [T.BusinessRejectRefID, refId],
+      [T.BusinessRejectReason, reason],
+      [T.Text, String(text).substring(0, 500)],
+    ]);
+  }
+
+  // ─── Session messages ─────────────────────────────────────────────────
+
+  async _onLogon(session, msg) {
+    const clientCompId = msg.get(T.SenderCompID);
+    const targetCompId = msg.get(T.TargetCompID);
+    const seqNum = Number(msg.get(T.MsgSeqNum));
+    const heartBtInt = Number(msg.get(T.HeartBtInt));
+    const reset = msg.get(T.ResetSeqNumFlag) === 'Y';
+    session.clientCompId = clientCompId || 'UNKNOWN';
+
+    if (!clientCompId || targetCompId !== session.ourCompId) {
+      return this._refuseLogon(session, `TargetCompID must be ${session.ourCompId}`);
+    }
+    if (!Number.isInteger(heartBtInt) || heartBtInt < MIN_HEARTBEAT_S || heartBtInt > MAX_HEARTBEAT_S) {
+      return this._refuseLogon(session, `HeartBtInt must be ${MIN_HEARTBEAT_S}-${MAX_HEARTBEAT_S} seconds`);
+    }
+    if (msg.get(T.EncryptMethod) !== '0') {
+      return this._refuseLogon(session, 'EncryptMethod must be 0');
+    }
+    if (!Number.isInteger(seqNum) || (reset && seqNum !== 1)) {
+      return this._refuseLogon(session, 'ResetSeqNumFlag=Y requires MsgSeqNum 1');
+    }
+
+    let identity;
+    try {
+      const { getApiKeyService } = require('./apiKeyService');
+      identity = await getApiKeyService().verifyRequest({
+        keyId: msg.get(T.Username),
+        timestamp: String(fix.parseUtcTimestamp(msg.get(T.SendingTime))),
+        signature: msg.get(T.Password),
+        method: 'LOGON',
+        path: `${clientCompId}${targetCompId}`,
+        ip: session.remoteAddress,
+      });
+    } catch (err) {
+      return this._refuseLogon(session, err.message);
+    }
+
+    const sessionId = `${clientCompId}:${targetCompId}`;
+    if (this.sessions.has(sessionId)) {
+      return this._refuseLogon(session, 'Session is already logged on');
+    }
+    this.sessions.set(sessionId, session);
+    session.id = sessionId;
+
+    const db = getDb();
+    let row = await db.fixSession.findUnique({ where: { id: sessionId } });
+    if (row && row.partyId !== identity.partyId) {
+      return this._refuseLogon(session, `SenderCompID ${clientCompId} belongs to another party`);
+    }
+    if (!row || reset) {
+      if (reset) await db.fixMessage.deleteMany({ where: { sessionId } });
+      row = await db.fixSession.upsert({
+        where: { id: sessionId },
+        create: { id: sessionId, partyId: identity.partyId, apiKeyId: identity.keyId },
+        update: { apiKeyId: identity.keyId, nextInSeqNum: 1, nextOutSeqNum: 1 },
+      });
+    } else if (row.apiKeyId !== identity.keyId) {
+      await db.fixSession.update({ where: { id: sessionId }, data: { apiKeyId: identity.keyId } });
+    }
+    if (seqNum < row.nextInSeqNum) {
+      return this._refuseLogon(session, `MsgSeqNum too low, expecting ${row.nextInSeqNum} but received ${seqNum}`);
+    }
+    if (session.state !== 'LOGGING_ON') return; // socket closed meanwhile
+
+    Object.assign(session, {
+      partyId: identity.partyId,
+      keyId: identity.keyId,
+      scopes: identity.scopes,
+      heartBtInt,
+      nextInSeqNum: row.nextInSeqNum,
+      nextOutSeqNum: row.nextOutSeqNum,
+      state: 'ACTIVE',
+    });
+    clearTimeout(session.logonTimer);
+
+    this._send(session, M.Logon, [
+      [T.EncryptMethod, '0'],
+      [T.HeartBtInt, heartBtInt],
+      [T.ResetSeqNumFlag, reset ? 'Y' : null],
+    ]);
+    if (seqNum > session.nextInSeqNum) {
+      this._requestResend(session, seqNum);
+    } else {
+      session.nextInSeqNum = seqNum + 1;
+      this._schedulePersist(session);
+    }
+
+    session.heartbeatTimer = setInterval(() => this._tick(session), 1000);
+    if (session.heartbeatTimer.unref) session.heartbeatTimer.unref();
+
+    console.log(`[FixGateway] ✅ ${sessionId} logged on for ${identity.partyId.substring(0, 30)}... (key ${identity.keyId}, in ${session.nextInSeqNum}, out ${session.nextOutSeqNum})`);
+  }
+
+  _refuseLogon(session, text) {
+    console.warn(`[FixGateway] ⚠️ Logon refused for ${session.clientCompId || '?'} from ${session.remoteAddress}: ${text}`);
+    if (session.id && this.sessions.get(session.id) === session) this.sessions.delete(session.id);
+    session.id = null;
+    session.state = 'CLOSED';
+    if (!session.socket.writable) return;
+    // The session is not established, so this Logout does not use its sequence
+    session.socket.end(fix.encode(M.Logout, {
+      senderCompId: session.ourCompId,
+      targetCompId: session.clientCompId || 'UNKNOWN',
+      msgSeqNum: 1,
+    }, [[T.Text, text]]), 'latin1');
+  }
+
+  _tick(session) {
+    if (session.state !== 'ACTIVE') return;
+    const now = Date.now();
+    const interval = session.heartBtInt * 1000;
+
+    if (session.testRequestSentAt && now - session.lastReceivedAt > interval * 2.5) {
+      console.warn(`[FixGateway] ⚠️ ${session.id} missed its heartbeats — disconnecting`);
+      session.socket.destroy();
+      return;
+    }
+    if (!session.testRequestSentAt && now - session.lastReceivedAt > interval * 1.2) {
+      session.testRequestSentAt = now;
+      this._send(session, M.TestRequest, [[T.TestReqID, `TEST-${now}`]]);
+    }
+    if (now - session.lastSentAt >= interval) {
+      this._send(session, M.Heartbeat);
+    }
+
+    for (const [signRequestId, pending] of session.pendingSignatures) {
+      if (pending.expiresAt > now) continue;
+      session.pendingSignatures.delete(signRequestId);
+      this._abandonSigning(session, pending, 'Signature not received in time');
+    }
+  }
+
+  _requestResend(session, receivedSeqNum) {
+    if (session.resendUpTo !== null) return; // already asked; the resend covers it
+    session.resendUpTo = receivedSeqNum;
+    this._send(session, M.ResendRequest, [
+      [T.BeginSeqNo, session.nextInSeqNum],
+      [T.EndSeqNo, 0],
+    ]);
+  }
+
+  async _onResendRequest(session, msg, seqNum) {
+    const begin = Number(msg.get(T.BeginSeqNo));
+    let end = Number(msg.get(T.EndSeqNo));
+    if (!Number.isInteger(begin) || begin < 1 || !Number.isInteger(end) || end < 0) {
+      this._reject(session, seqNum, M.ResendRequest, '5', 'BeginSeqNo/EndSeqNo invalid', T.BeginSeqNo);
+      return;
+    }
+    const last = session.nextOutSeqNum - 1;
+    if (end === 0 || end > last) end = last;
+    if (begin > end) return;
+
+    const rows = await getDb().fixMessage.findMany({
+      where: { sessionId: session.id, seqNum: { gte: begin, lte: end } },
+      orderBy: { seqNum: 'asc' },
+    });
+
+    let next = begin;
+    for (const row of rows) {
+      if (row.seqNum > next) this._writeRaw(session, this._gapFill(session, next, row.seqNum));
+      this._writeRaw(session, this._possDup(session, row.body));
+      next = row.seqNum + 1;
+    }
+    if (next <= end) this._writeRaw(session, this._gapFill(session, next, end + 1));
+    console.log(`[FixGateway] 🔁 ${session.id} resent ${begin}-${end} (${rows.length} stored messages)`);
+  }
+
+  _gapFill(session, seqNum, newSeqNo) {
+    return fix.encode(M.SequenceReset, {
+      senderCompId: session.ourCompId,
+      targetCompId: session.clientCompId,
+      msgSeqNum: seqNum,
+      possDup: true,
+    }, [[T.GapFillFlag, 'Y'], [T.NewSeqNo, newSeqNo]]);
+  }
+
+  _possDup(session, body) {
+    const fields = fix.decode(body);
+    const header = fix.fieldMap(fields);
+    return fix.encode(header.get(T.MsgType), {
+      senderCompId: session.ourCompId,
+      targetCompId: session.clientCompId,
+      msgSeqNum: header.get(T.MsgSeqNum),
+      possDup: true,
+      origSendingTime: header.get(T.SendingTime),
+    }, fields.filter(([tag]) => !HEADER_TAGS.has(tag)));
+  }
+
+  _onSequenceReset(session, msg, seqNum) {
+    const newSeqNo = Number(msg.get(T.NewSeqNo));
+    if (!Number.isInteger(newSeqNo)) {
+      this._reject(session, seqNum, M.SequenceReset, '1', 'NewSeqNo(36) is required', T.NewSeqNo);
+      return;
+    }
+    if (newSeqNo < session.nextInSeqNum) {
+      this._reject(session, seqNum, M.SequenceReset, '5', `NewSeqNo ${newSeqNo} is below the expected ${session.nextInSeqNum}`, T.NewSeqNo);
+      return;
+    }
+    session.nextInSeqNum = newSeqNo;
+    if (session.resendUpTo !== null && session.nextInSeqNum > session.resendUpTo) session.resendUpTo = null;
+    this._schedulePersist(session);
+  }
+
+  _onLogout(session, msg) {
+    console.log(`[FixGateway] 👋 ${session.id} logout${msg.get(T.Text) ? `: ${msg.get(T.Text)}` : ''}`);
+    if (session.state === 'ACTIVE') {
+      session.state = 'LOGGING_OUT';
+      this._send(session, M.Logout);
+    }
+    session.socket.end();
+  }
+
+  _logout(session, text) {
+    if (session.state !== 'ACTIVE') {
+      session.socket.destroy();
+      return;
+    }
+    console.warn(`[FixGateway] ⚠️ Logging out ${session.id}: ${text}`);
+    session.state = 'LOGGING_OUT';
+    this._send(session, M.Logout, [[T.Text, text]]);
+    session.logoutTimer = setTimeout(() => session.socket.destroy(), LOGOUT_GRACE_MS);
+    if (session.logoutTimer.unref) session.logoutTimer.unref();
+  }
+
+  // ─── Order entry ──────────────────────────────────────────────────────
+
+  /** NewOrderSingle / OrderCancelReplaceRequest fields → OrderService.placeOrder input. */
+  _parseOrder(session, msg) {
+    const orderType = SIDES[msg.get(T.Side)];
+    if (!orderType) throw new ValidationError(`Unsupported Side ${msg.get(T.Side)} (use 1 or 2)`);
+    const orderMode = ORD_TYPES[msg.get(T.OrdType)];
+    if (!orderMode) throw new ValidationError(`Unsupported OrdType ${msg.get(T.OrdType)} (use 1, 2, 3 or 4)`);
+    const timeInForce = TIME_IN_FORCE[msg.get(T.TimeInForce) || '1'];
+    if (!timeInForce) throw new ValidationError(`Unsupported TimeInForce ${msg.get(T.TimeInForce)} (use 1, 3, 4 or 6)`);
+
+    let expiresAt = null;
+    if (timeInForce === 'GTD') {
+      const expiry = fix.parseUtcTimestamp(msg.get(T.ExpireTime));
+      if (!Number.isFinite(expiry)) throw new ValidationError('ExpireTime(126) is required for TimeInForce 6');
+      expiresAt = new Date(expiry).toISOString();
+    }
+    const execInst = (msg.get(T.ExecInst) || '').split(' ');
+
+    return {
+      partyId: session.partyId,
+      tradingPair: msg.get(T.Symbol),
+      orderType,
+      orderMode,
+      price: orderMode === 'LIMIT' ? msg.get(T.Price) || null : null,
+      quantity: msg.get(T.OrderQty),
+      stopPrice: orderMode.startsWith('STOP') ? msg.get(T.StopPx) || null : null,
+      limitPrice: orderMode === 'STOP_LIMIT' ? msg.get(T.Price) || null : null,
+      timeInForce,
+      expiresAt,
+      postOnly: execInst.includes('6'), // Participate don't initiate
+      displayQuantity: msg.get(T.MaxFloor) || null,
+    };
+  }
+
+  _requireTrade(session, msgType, seqNum) {
+    if (session.scopes.includes('trade')) return true;
+    this._businessReject(session, seqNum, msgType, '6', 'API key lacks the trade scope');
+    return false;
+  }
+
+  async _onNewOrderSingle(session, msg, seqNum) {
+    if (!this._requireTrade(session, M.NewOrderSingle, seqNum)) return;
+    const missing = this._missingTag(msg, [T.ClOrdID, T.Symbol, T.Side, T.OrderQty, T.OrdType]);
+    if (missing) {
+      this._reject(session, seqNum, M.NewOrderSingle, '1', `Required tag ${missing} missing`, missing);
+      return;
+    }
+
+    const clOrdId = msg.get(T.ClOrdID);
+    const rejected = { tradingPair: msg.get(T.Symbol), orderType: SIDES[msg.get(T.Side)], quantity: msg.get(T.OrderQty) };
+    if (session.clOrdIds.has(clOrdId)) {
+      this._rejectOrder(session, clOrdId, rejected, 'Duplicate ClOrdID', '6');
+      return;
+    }
+
+    let orderData;
+    try {
+      orderData = this._parseOrder(session, msg);
+    } catch (err) {
+      this._rejectOrder(session, clOrdId, rejected, err.message);
+      return;
+    }
+    await this._placeOrder(session, clOrdId, orderData);
+  }
+
+  async _placeOrder(session, clOrdId, orderData) {
+    let prepared;
+    try {
+      prepared = await this._getOrderService().placeOrder(orderData);
+    } catch (err) {
+      this._rejectOrder(session, clOrdId, orderData, err.message);
+      return;
+    }
+
+    session.clOrdIds.set(clOrdId, prepared.orderId);
+    session.orders.set(prepared.orderId, {
+      clOrdId,
+      quantity: String(orderData.quantity),
+      fillQty: new Decimal(0),
+      fillNotional: new Decimal(0),
+    });
+    this._requestSignature(session, prepared, { kind: 'PLACE', clOrdId, orderMeta: withoutPrepared(prepared) });
+  }
+
+  /** ExecutionReport for an order that never reached the ledger. */
+  _rejectOrder(session, clOrdId, order, text, ordRejReason = '99') {
+    console.warn(`[FixGateway] ⚠️ ${session.id} order ${clOrdId} rejected: ${text}`);
+    this._send(session, M.ExecutionReport, [
+      [T.OrderID, 'NONE'],
+      [T.ClOrdID, clOrdId],
+      [T.ExecID, `fixrej-${crypto.randomUUID()}`],
+      [T.ExecType, '8'],
+      [T.OrdStatus, '8'],
+      [T.Symbol, order.tradingPair],
+      [T.Side, SIDE_CODES[order.orderType]],
+      [T.OrderQty, order.quantity],
+      [T.LeavesQty, 0],
+      [T.CumQty, 0],
+      [T.AvgPx, 0],
+      [T.OrdRejReason, ordRejReason],
+      [T.Text, String(text).substring(0, 500)],
+      [T.TransactTime, fix.utcTimestamp()],
+    ]);
+  }
+
+  /** The caller's live order named by OrderID(37) or OrigClOrdID(41). */
+  _resolveOrder(session, msg) {
+    const origClOrdId = msg.get(T.OrigClOrdID);
+    // Orders placed over REST have no ClOrdID; their orderId works as one
+    const orderId = msg.get(T.OrderID) || session.clOrdIds.get(origClOrdId) || origClOrdId;
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    const order = getStreamingReadModel().findOrderByOrderId(orderId);
+    return order && order.owner === session.partyId ? order : null;
+  }
+
+  async _onOrderCancelRequest(session, msg, seqNum) {
+    if (!this._requireTrade(session, M.OrderCancelRequest, seqNum)) return;
+    const missing = this._missingTag(msg, [T.ClOrdID, T.OrigClOrdID, T.Symbol, T.Side]);
+    if (missing) {
+      this._reject(session, seqNum, M.OrderCancelRequest, '1', `Required tag ${missing} missing`, missing);
+      return;
+    }
+
+    const request = {
+      clOrdId: msg.get(T.ClOrdID),
+      origClOrdId: msg.get(T.OrigClOrdID),
+      orderId: msg.get(T.OrderID) || null,
+      responseTo: '1',
+    };
+    const order = this._resolveOrder(session, msg);
+    if (!order) {
+      this._cancelReject(session, request, '1', 'Unknown order');
+      return;
+    }
+    await this._startCancel(session, order, request);
+  }
+
+  async _onOrderCancelReplaceRequest(session, msg, seqNum) {
+    if (!this._requireTrade(session, M.OrderCancelReplaceRequest, seqNum)) return;
+    const missing = this._missingTag(msg, [T.ClOrdID, T.OrigClOrdID, T.Symbol, T.Side, T.OrderQty, T.OrdType]);
+    if (missing) {
+      this._reject(session, seqNum, M.OrderCancelReplaceRequest, '1', `Required tag ${missing} missing`, missing);
+      return;
+    }
+
+    const request = {
+      clOrdId: msg.get(T.ClOrdID),
+      origClOrdId: msg.get(T.OrigClOrdID),
+      orderId: msg.get(T.OrderID) || null,
+      responseTo: '2',
+    };
+    const order = this._resolveOrder(session, msg);
+    if (!order) {
+      this._cancelReject(session, request, '1', 'Unknown order');
+      return;
+    }
+
+    let replacement;
+    let total;
+    try {
+      replacement = this._parseOrder(session, msg);
+      if (replacement.tradingPair !== order.tradingPair || replacement.orderType !== order.orderType) {
+        throw new ValidationError('Symbol and Side cannot be changed');
+      }
+      // OrderQty is the new total; what already filled stays filled
+      total = new Decimal(replacement.quantity);
+      if (total.lte(order.filled || 0)) throw new ValidationError('OrderQty must exceed the quantity already filled');
+    } catch (err) {
+      this._cancelReject(session, { ...request, orderId: order.orderId }, '99', err.message, order);
+      return;
+    }
+
+    if (this._amendableInPlace(order, replacement, total)) {
+      await this._startAmend(session, order, request, { price: replacement.price, quantity: total.toString() });
+      return;
+    }
+    replacement.quantity = total.minus(order.filled || 0).toString();
+    await this._startCancel(session, order, { ...request, replacement });
+  }
+
+  /** Only a new LIMIT price and/or a smaller OrderQty can be applied to the resting order itself. */
+  _amendableInPlace(order, replacement, total) {
+    const sameDecimal = (a, b) => (a ? new Decimal(a) : null)?.toString() === (b ? new Decimal(b) : null)?.toString();
+    return order.orderMode === 'LIMIT'
+      && replacement.orderMode === 'LIMIT'
+      && replacement.timeInForce === (order.timeInForce || 'GTC')
+      && replacement.postOnly === (order.postOnly === true)
+      && sameDecimal(replacement.displayQuantity, order.displayQuantity)
+      && total.lte(order.quantity);
+  }
+
+  async _startAmend(session, order, request, changes) {
+    const tracked = { ...request, orderId: order.orderId };
+    if (session.cancelRequests.has(order.orderId)) {
+      this._cancelReject(session, tracked, '3', 'A cancel or replace for this order is already pending', order);
+      return;
+    }
+
+    let prepared;
+    try {
+      prepared = await this._getOrderService().amendOrder(order.orderId, session.partyId, changes);
+    } catch (err) {
+      this._cancelReject(session, tracked, '99', err.message, order);
+      return;
+    }
+
+    session.cancelRequests.set(order.orderId, tracked);
+    this._requestSignature(session, prepared, { kind: 'AMEND', clOrdId: request.clOrdId, request: tracked, amendMeta: withoutPrepared(prepared) });
+  }
+
+  async _startCancel(session, order, request) {
+    const tracked = { ...request, orderId: order.orderId };
+    if (session.cancelRequests.has(order.orderId)) {
+      this._cancelReject(session, tracked, '3', 'A cancel for this order is already pending', order);
+      return;
+    }
+
+    let prepared;
+    try {
+      prepared = await this._getOrderService().cancelOrder(order.contractId, session.partyId, order.tradingPair);
+    } catch (err) {
+      this._cancelReject(session, tracked, '99', err.message, order);
+      return;
+    }
+    if (prepared.alreadyArchived) {
+      this._cancelReject(session, tracked, '0', 'Order is already filled or cancelled');
+      return;
+    }
+
+    session.cancelRequests.set(order.orderId, tracked);
+    this._requestSignature(session, prepared, { kind: 'CANCEL', clOrdId: request.clOrdId, request: tracked, cancelMeta: withoutPrepared(prepared) });
+  }
+
+  _cancelReject(session, request, reason, text, order = null) {
+    console.warn(`[FixGateway] ⚠️ ${session.id} cancel ${request.clOrdId} rejected: ${text}`);
+    let ordStatus = '8';
+    if (order) ordStatus = new Decimal(order.filled || 0).gt(0) ? '1' : '0';
+    this._send(session, M.OrderCancelReject, [
+      [T.OrderID, request.orderId || 'NONE'],
+      [T.ClOrdID, request.clOrdId],
+      [T.OrigClOrdID, request.origClOrdId],
+      [T.OrdStatus, ordStatus],
+      [T.CxlRejResponseTo, request.responseTo],
+      [T.CxlRejReason, reason],
+      [T.Text, String(text).substring(0, 500)],
+    ]);
+  }
+
+  // ─── Signing round trip ───────────────────────────────────────────────
+
+  _requestSignature(session, prepared, pending) {
+    const signRequestId = `sig-${crypto.randomUUID()}`;
+    session.pendingSignatures.set(signRequestId, {
+      ...pending,
+      prepared,
+      expiresAt: Date.now() + SIGNATURE_TIMEOUT_MS,
+    });
+    this._send(session, M.SignatureRequest, [
+      [T.SignRequestID, signRequestId],
+      [T.ClOrdID, pending.clOrdId],
+      [T.OrderID, prepared.orderId],
+      [T.PreparedTransactionHash, prepared.preparedTransactionHash],
+      [T.HashingSchemeVersion, prepared.hashingSchemeVersion],
+    ]);
+  }
+
+  _abandonSigning(session, pending, text) {
+    if (pending.kind === 'PLACE') {
+      session.clOrdIds.delete(pending.clOrdId);
+      session.orders.delete(pending.prepared.orderId);
+      this._rejectOrder(session, pending.clOrdId, pending.orderMeta, text);
+      return;
+    }
+    session.cancelRequests.delete(pending.request.orderId);
+    this._cancelReject(session, pending.request, '99', text);
+  }
+
+  async _onSignatureResponse(session, msg, seqNum) {
+    const missing = this._missingTag(msg, [T.SignRequestID, T.Signature, T.SignedBy]);
+    if (missing) {
+      this._reject(session, seqNum, M.SignatureResponse, '1', `Required tag ${missing} missing`, missing);
+      return;
+    }
+    const signRequestId = msg.get(T.SignRequestID);
+    const pending = session.pendingSignatures.get(signRequestId);
+    if (!pending) {
+      this._businessReject(session, seqNum, M.SignatureResponse, '1', 'Unknown or expired SignRequestID', signRequestId);
+      return;
+    }
+    session.pendingSignatures.delete(signRequestId);
+
+    const signature = msg.get(T.Signature);
+    const signedBy = msg.get(T.SignedBy);
+    if (pending.kind === 'PLACE') await this._executePlacement(session, pending, signature, signedBy);
+    else if (pending.kind === 'AMEND') await this._executeAmend(session, pending, signature, signedBy);
+    else await this._executeCancel(session, pending, signature, signedBy);
+  }
+
+  async _executePlacement(session, pending, signature, signedBy) {
+    const { prepared } = pending;
+    let result;
+    try {
+      result = await this._getOrderService().executeOrderPlacement(
+        prepared.preparedTransaction, session.partyId, signature, signedBy, prepared.hashingSchemeVersion, pending.orderMeta
+      );
+    } catch (err) {
+      // OrderService records REJECTED, which reaches the client as an ExecutionReport
+      console.warn(`[FixGateway] ⚠️ ${session.id} placement of ${pending.clOrdId} failed: ${err.message}`);
+      return;
+    }
+
+    if (result?.requiresSignature) {
+      this._requestSignature(session, result, {
+        ...pending,
+        orderMeta: { ...pending.orderMeta, ...withoutPrepared(result) },
+      });
+      return;
+    }
+    this._triggerMatching(result?.tradingPair || pending.orderMeta.tradingPair);
+  }
+
+  async _executeCancel(session, pending, signature, signedBy) {
+    const { prepared, request } = pending;
+    try {
+      await this._getOrderService().executeOrderCancel(
+        prepared.preparedTransaction, session.partyId, signature, signedBy, prepared.hashingSchemeVersion, pending.cancelMeta
+      );
+    } catch (err) {
+      session.cancelRequests.delete(request.orderId);
+      this._cancelReject(session, request, '99', err.message);
+      return;
+    }
+    // CANCELLED has gone out through the execution report feed by now
+
+    if (request.replacement) {
+      await this._placeOrder(session, request.clOrdId, request.replacement);
+    }
+  }
+
+  async _executeAmend(session, pending, signature, signedBy) {
+    const { prepared, request } = pending;
+    let result;
+    try {
+      result = await this._getOrderService().executeOrderAmend(
+        prepared.preparedTransaction, session.partyId, signature, signedBy, prepared.hashingSchemeVersion, pending.amendMeta
+      );
+    } catch (err) {
+      session.cancelRequests.delete(request.orderId);
+      this._cancelReject(session, request, '99', err.message);
+      return;
+    }
+    // REPLACED has gone out through the execution report feed by now
+    if (result.repriced) this._triggerMatching(result.tradingPair);
+  }
+
+  _triggerMatching(tradingPair) {
+    if (!tradingPair) return;
+    const timer = setTimeout(async () => {
+      try {
+        const { getMatchingEngine } = require('./matching-engine');
+        await getMatchingEngine().triggerMatchingCycle(tradingPair);
+      } catch (err) {
+        console.warn(`[FixGateway] Match trigger failed (non-fatal): ${err.message}`);
+      }
+    }, MATCH_TRIGGER_DELAY_MS);
+    if (timer.unref) timer.unref();
+  }
+
+  // ─── Execution reports ────────────────────────────────────────────────
+
+  _onExecutionReport(report) {
+    for (const session of this.sessions.values()) {
+      if (session.state !== 'ACTIVE' || session.partyId !== report.partyId) continue;
+      this._sendExecutionReport(session, report);
+    }
+  }
+
+  _sendExecutionReport(session, report) {
+    const [execType, ordStatus] = EXEC_STATES[report.eventType];
+    const cum = new Decimal(report.cumulativeQuantity || 0);
+    const leaves = new Decimal(report.remainingQuantity || 0);
+
+    // Orders placed elsewhere are tracked from their first report on;
+    // their AvgPx only covers the fills seen by this session
+    let order = session.orders.get(report.orderId);
+    if (!order) {
+      order = { clOrdId: null, quantity: cum.plus(leaves).toString(), fillQty: new Decimal(0), fillNotional: new Decimal(0) };
+      session.orders.set(report.orderId, order);
+    }
+    if (report.fillQuantity && report.fillPrice) {
+      order.fillQty = order.fillQty.plus(report.fillQuantity);
+      order.fillNotional = order.fillNotional.plus(new Decimal(report.fillQuantity).times(report.fillPrice));
+    }
+    const avgPx = order.fillQty.gt(0) ? order.fillNotional.div(order.fillQty).toString() : '0';
+
+    // A requested cancel or replace answers with that request's ClOrdID
+    const request = report.eventType === 'CANCELLED' || report.eventType === 'REPLACED'
+      ? session.cancelRequests.get(report.orderId)
+      : null;
+    if (report.eventType === 'REPLACED') order.quantity = cum.plus(leaves).toString();
+
+    this._send(session, M.ExecutionReport, [
+      [T.OrderID, report.orderId],
+      [T.ClOrdID, request ? request.clOrdId : order.clOrdId],
+      [T.OrigClOrdID, request ? request.origClOrdId : null],
+      [T.ExecID, report.execId],
+      [T.ExecType, execType],
+      [T.OrdStatus, ordStatus || (cum.gt(0) ? '1' : '0')],
+      [T.Symbol, report.tradingPair],
+      [T.Side, SIDE_CODES[report.side]],
+      [T.OrderQty, order.quantity],
+      [T.LastQty, report.fillQuantity],
+      [T.LastPx, report.fillPrice],
+      [T.LastLiquidityInd, LIQUIDITY_CODES[report.liquidity]],
+      [T.Commission, report.fee],
+      [T.CommType, report.fee ? '3' : null],
+      [T.CommCurrency, report.fee ? report.feeAsset : null],
+      [T.LeavesQty, leaves.toString()],
+      [T.CumQty, cum.toString()],
+      [T.AvgPx, avgPx],
+      [T.StopPx, report.triggerPrice],
+      [T.TradeID, report.tradeId],
+      [T.SettlementStatus, report.settlementStatus],
+      [T.Text, report.reason],
+      [T.TransactTime, fix.utcTimestamp(new Date(report.timestamp))],
+    ]);
+
+    // The replaced order goes by the new ClOrdID from here on
+    if (report.eventType === 'REPLACED' && request) {
+      if (order.clOrdId) session.clOrdIds.delete(order.clOrdId);
+      order.clOrdId = request.clOrdId;
+      session.clOrdIds.set(request.clOrdId, report.orderId);
+      session.cancelRequests.delete(report.orderId);
+    }
+
+    if (TERMINAL_EVENTS.has(report.eventType)) {
+      session.orders.delete(report.orderId);
+      session.cancelRequests.delete(report.orderId);
+      if (order.clOrdId) session.clOrdIds.delete(order.clOrdId);
+    }
+  }
+
+  // ─── Market data ──────────────────────────────────────────────────────
+
+  async _onMarketDataRequest(session, msg, fields, seqNum) {
+    const missing = this._missingTag(msg, [T.MDReqID, T.SubscriptionRequestType]);
+    if (missing) {
+      this._reject(session, seqNum, M.MarketDataRequest, '1', `Required tag ${missing} missing`, missing);
+      return;
+    }
+    const mdReqId = msg.get(T.MDReqID);
+    const subscriptionType = msg.get(T.SubscriptionRequestType);
+
+    if (subscriptionType === '2') {
+      if (!session.mdSubscriptions.delete(mdReqId)) this._mdReject(session, mdReqId, null, `No subscription ${mdReqId}`);
+      return;
+    }
+    if (subscriptionType !== '0' && subscriptionType !== '1') {
+      this._mdReject(session, mdReqId, '4', 'SubscriptionRequestType must be 0, 1 or 2');
+      return;
+    }
+    const subscribe = subscriptionType === '1';
+    if (subscribe && session.mdSubscriptions.has(mdReqId)) {
+      this._mdReject(session, mdReqId, '1', `MDReqID ${mdReqId} is already in use`);
+      return;
+    }
+
+    const depth = Number(msg.get(T.MarketDepth) || 0);
+    if (!Number.isInteger(depth) || depth < 0 || (subscribe && depth !== 0)) {
+      this._mdReject(session, mdReqId, '5', 'Subscriptions are full depth (MarketDepth 0); snapshots take any depth');
+      return;
+    }
+    const updateType = msg.get(T.MDUpdateType) || '1';
+    if (subscribe && updateType !== '0' && updateType !== '1') {
+      this._mdReject(session, mdReqId, '6', 'MDUpdateType must be 0 or 1');
+      return;
+    }
+
+    const entryTypes = new Set(fix.readGroup(fields, T.NoMDEntryTypes, T.MDEntryType, []).map((e) => e.get(T.MDEntryType)));
+    if (entryTypes.size === 0 || [...entryTypes].some((type) => ![MD_BID, MD_OFFER, MD_TRADE].includes(type))) {
+      this._mdReject(session, mdReqId, '8', 'MDEntryType must be 0 (bid), 1 (offer) or 2 (trade)');
+      return;
+    }
+
+    const symbols = fix.readGroup(fields, T.NoRelatedSym, T.Symbol, []).map((e) => e.get(T.Symbol));
+    const { getMarketRegistry } = require('./marketRegistryService');
+    const unknown = symbols.find((symbol) => !getMarketRegistry().getMarket(symbol));
+    if (symbols.length === 0 || unknown) {
+      this._mdReject(session, mdReqId, '0', unknown ? `Unknown symbol ${unknown}` : 'NoRelatedSym(146) is required');
+      return;
+    }
+
+    const subscription = { mdReqId, entryTypes, updateType, books: new Map() };
+    if (subscribe) {
+      // Registered before the snapshots so DELTAs published meanwhile are kept
+      for (const symbol of symbols) {
+        subscription.books.set(symbol, { seq: null, pending: [], bids: new Map(), asks: new Map() });
+      }
+      session.mdSubscriptions.set(mdReqId, subscription);
+    }
+
+    const { getOrderBookFeed } = require('./orderBookFeedService');
+    for (const symbol of symbols) {
+      const snapshot = await getOrderBookFeed().getSnapshot(symbol);
+      if (session.state !== 'ACTIVE') return;
+      this._sendSnapshot(session, subscription, symbol, snapshot, depth);
+
+      const book = subscription.books.get(symbol);
+      if (!book) continue;
+      book.seq = snapshot.seq;
+      for (const level of snapshot.bids) book.bids.set(level.price, level);
+      for (const level of snapshot.asks) book.asks.set(level.price, level);
+      const pending = book.pending;
+      book.pending = [];
+      for (const delta of pending) this._applyDelta(session, subscription, book, delta);
+    }
+  }
+
+  _mdReject(session, mdReqId, reason, text) {
+    this._send(session, M.MarketDataRequestReject, [
+      [T.MDReqID, mdReqId],
+      [T.MDReqRejReason, reason],
+      [T.Text, text],
+    ]);
+  }
+
+  _sendSnapshot(session, subscription, symbol, snapshot, depth) {
+    const limit = (levels) => (depth > 0 ? levels.slice(0, depth) : levels);
+    const entries = [];
+    if (subscription.entryTypes.has(MD_BID)) limit(snapshot.bids).forEach((level) => entries.push([MD_BID, level]));
+    if (subscription.entryTypes.has(MD_OFFER)) limit(snapshot.asks).forEach((level) => entries.push([MD_OFFER, level]));
+
+    const body = [[T.MDReqID, subscription.mdReqId], [T.Symbol, symbol], [T.NoMDEntries, entries.length]];
+    for (const [type, level] of entries) {
+      body.push([T.MDEntryType, type], [T.MDEntryPx, level.price], [T.MDEntrySize, level.quantity], [T.NumberOfOrders, level.orderCount]);
+    }
+    this._send(session, M.MarketDataSnapshotFullRefresh, body);
+  }
+
+  _onBookDelta(delta) {
+    for (const session of this.sessions.values()) {
+      if (session.state !== 'ACTIVE') continue;
+      for (const subscription of session.mdSubscriptions.values()) {
+        const book = subscription.books.get(delta.tradingPair);
+        if (!book) continue;
+        if (book.seq === null) book.pending.push(delta);
+        else this._applyDelta(session, subscription, book, delta);
+      }
+    }
+  }
+
+  _applyDelta(session, subscription, book, delta) {
+    if (delta.seq <= book.seq) return; // already in the snapshot
+    book.seq = delta.seq;
+
+    const entries = [];
+    for (const [type, side, levels] of [[MD_BID, book.bids, delta.bids], [MD_OFFER, book.asks, delta.asks]]) {
+      for (const level of levels) {
+        const known = side.has(level.price);
+        if (new Decimal(level.quantity).isZero()) {
+          if (!known) continue;
+          side.delete(level.price);
+          entries.push(['2', type, level]);
+        } else {
+          side.set(level.price, level);
+          entries.push([known ? '1' : '0', type, level]);
+        }
+      }
+    }
+    const wanted = entries.filter(([, type]) => subscription.entryTypes.has(type));
+    if (wanted.length === 0) return;
+
+    if (subscription.updateType === '0') {
+      this._sendSnapshot(session, subscription, delta.tradingPair, {
+        bids: sortLevels(book.bids, true),
+        asks: sortLevels(book.asks, false),
+      }, 0);
+      return;
+    }
+
+    const body = [[T.MDReqID, subscription.mdReqId], [T.NoMDEntries, wanted.length]];
+    for (const [action, type, level] of wanted) {
+      const removed = action === '2';
+      body.push(
+        [T.MDUpdateAction, action],
+        [T.MDEntryType, type],
+        [T.Symbol, delta.tradingPair],
+        [T.MDEntryPx, level.price],
+        [T.MDEntrySize, removed ? null : level.quantity],
+        [T.NumberOfOrders, removed ? null : level.orderCount],
+      );
+    }
+    this._send(session, M.MarketDataIncrementalRefresh, body);
+  }
+
+  _onTrade(trade) {
+    if (!trade?.tradingPair || !trade.price || !trade.quantity) return;
+    for (const session of this.sessions.values()) {
+      if (session.state !== 'ACTIVE') continue;
+      for (const subscription of session.mdSubscriptions.values()) {
+        // Full-refresh subscribers only get the book
+        if (subscription.updateType !== '1' || !subscription.entryTypes.has(MD_TRADE)) continue;
+        if (!subscription.books.has(trade.tradingPair)) continue;
+        this._send(session, M.MarketDataIncrementalRefresh, [
+          [T.MDReqID, subscription.mdReqId],
+          [T.NoMDEntries, 1],
+          [T.MDUpdateAction, '0'],
+          [T.MDEntryType, MD_TRADE],
+          [T.Symbol, trade.tradingPair],
+          [T.MDEntryPx, trade.price],
+          [T.MDEntrySize, trade.quantity],
+        ]);
+      }
+    }
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getFixGateway() {
+  if (!instance) {
+    instance = new FixGateway();
+  }
+  return instance;
+}
+
+module.exports = {
+  FixGateway,
+  getFixGateway,
+};
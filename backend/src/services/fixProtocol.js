@@ -0,0 +1,256 @@
+/**
+ * FIX 4.4 tag=value codec
+ *
+ * Messages are kept as ordered [tag, value] lists so repeating groups
+ * survive a round trip; `fieldMap` gives first-occurrence lookups for the
+ * flat part. Used by the FIX gateway and the manual test initiator.
+ */
+
+const SOH = '\x01';
+const BEGIN_STRING = 'FIX.4.4';
+
+const TAGS = {
+  Account: 1,
+  AvgPx: 6,
+  BeginSeqNo: 7,
+  BeginString: 8,
+  BodyLength: 9,
+  CheckSum: 10,
+  ClOrdID: 11,
+  Commission: 12,
+  CommType: 13,
+  CumQty: 14,
+  EndSeqNo: 16,
+  ExecID: 17,
+  ExecInst: 18,
+  LastPx: 31,
+  LastQty: 32,
+  MsgSeqNum: 34,
+  MsgType: 35,
+  NewSeqNo: 36,
+  OrderID: 37,
+  OrderQty: 38,
+  OrdStatus: 39,
+  OrdType: 40,
+  OrigClOrdID: 41,
+  PossDupFlag: 43,
+  Price: 44,
+  RefSeqNum: 45,
+  SenderCompID: 49,
+  SendingTime: 52,
+  Side: 54,
+  Symbol: 55,
+  TargetCompID: 56,
+  Text: 58,
+  TimeInForce: 59,
+  TransactTime: 60,
+  EncryptMethod: 98,
+  StopPx: 99,
+  CxlRejReason: 102,
+  HeartBtInt: 108,
+  OrdRejReason: 103,
+  MaxFloor: 111,
+  TestReqID: 112,
+  OrigSendingTime: 122,
+  GapFillFlag: 123,
+  ExpireTime: 126,
+  ResetSeqNumFlag: 141,
+  NoRelatedSym: 146,
+  ExecType: 150,
+  LeavesQty: 151,
+  MDReqID: 262,
+  SubscriptionRequestType: 263,
+  MarketDepth: 264,
+  MDUpdateType: 265,
+  NoMDEntryTypes: 267,
+  NoMDEntries: 268,
+  MDEntryType: 269,
+  MDEntryPx: 270,
+  MDEntrySize: 271,
+  MDUpdateAction: 279,
+  MDReqRejReason: 281,
+  NumberOfOrders: 346,
+  RefTagID: 371,
+  RefMsgType: 372,
+  SessionRejectReason: 373,
+  BusinessRejectRefID: 379,
+  BusinessRejectReason: 380,
+  CxlRejResponseTo: 434,
+  CommCurrency: 479,
+  Username: 553,
+  Password: 554,
+  LastLiquidityInd: 851,
+  TradeID: 1003,
+  // User-defined: interactive-submission signing (MsgType U1 / U2)
+  SignRequestID: 20000,
+  PreparedTransactionHash: 20001,
+  HashingSchemeVersion: 20002,
+  Signature: 20003,
+  SignedBy: 20004,
+  SettlementStatus: 20005,
+};
+
+const MSG_TYPES = {
+  Heartbeat: '0',
+  TestRequest: '1',
+  ResendRequest: '2',
+  Reject: '3',
+  SequenceReset: '4',
+  Logout: '5',
+  ExecutionReport: '8',
+  OrderCancelReject: '9',
+  Logon: 'A',
+  NewOrderSingle: 'D',
+  OrderCancelRequest: 'F',
+  OrderCancelReplaceRequest: 'G',
+  BusinessMessageReject: 'j',
+  MarketDataRequest: 'V',
+  MarketDataSnapshotFullRefresh: 'W',
+  MarketDataIncrementalRefresh: 'X',
+  MarketDataRequestReject: 'Y',
+  SignatureRequest: 'U1',
+  SignatureResponse: 'U2',
+};
+
+const ADMIN_MSG_TYPES = new Set(['0', '1', '2', '3', '4', '5', 'A']);
+
+/** UTCTimestamp with milliseconds: YYYYMMDD-HH:MM:SS.sss */
+function utcTimestamp(date = new Date()) {
+  const iso = date.toISOString(); // 2026-01-02T03:04:05.678Z
+  return `${iso.slice(0, 4)}${iso.slice(5, 7)}${iso.slice(8, 10)}-${iso.slice(11, 23)}`;
+}
+
+/** Parse a UTCTimestamp (with or without milliseconds) to epoch ms, NaN if malformed. */
+function parseUtcTimestamp(value) {
+  const m = /^(\d{4})(\d{2})(\d{2})-(\d{2}):(\d{2}):(\d{2})(?:\.(\d{1,3}))?$/.exec(String(value || ''));
+  if (!m) return NaN;
+  const [, y, mo, d, h, mi, s, ms = '0'] = m;
+  return Date.UTC(+y, +mo - 1, +d, +h, +mi, +s, +ms.padEnd(3, '0'));
+}
+
+function checksum(str) {
+  let sum = 0;
+  for (let i = 0; i < str.length; i++) sum += str.charCodeAt(i);
+  return String(sum % 256).padStart(3, '0');
+}
+
+/**
+ * Build a complete message. `header` carries SenderCompID, TargetCompID,
+ * MsgSeqNum and optionally SendingTime / PossDupFlag / OrigSendingTime;
+ * `fields` is the ordered body as [tag, value] pairs (null values skipped).
+ */
+function encode(msgType, header, fields = []) {
+  const head = [
+    [TAGS.MsgType, msgType],
+    [TAGS.SenderCompID, header.senderCompId],
+    [TAGS.TargetCompID, header.targetCompId],
+    [TAGS.MsgSeqNum, header.msgSeqNum],
+    [TAGS.SendingTime, header.sendingTime || utcTimestamp()],
+  ];
+  if (header.possDup) head.push([TAGS.PossDupFlag, 'Y']);
+  if (header.origSendingTime) head.push([TAGS.OrigSendingTime, header.origSendingTime]);
+
+  const body = [...head, ...fields]
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([tag, value]) => `${tag}=${value}${SOH}`)
+    .join('');
+  const prefix = `${TAGS.BeginString}=${BEGIN_STRING}${SOH}${TAGS.BodyLength}=${Buffer.byteLength(body, 'latin1')}${SOH}`;
+  return `${prefix}${body}${TAGS.CheckSum}=${checksum(prefix + body)}${SOH}`;
+}
+
+/**
+ * Split a raw message into ordered fields. Returns null when the framing,
+ * body length or checksum is wrong (a garbled message is ignored, not rejected).
+ */
+function decode(raw) {
+  if (!raw.endsWith(SOH)) return null;
+  const fields = [];
+  for (const part of raw.slice(0, -1).split(SOH)) {
+    const eq = part.indexOf('=');
+    if (eq <= 0) return null;
+    const tag = Number(part.slice(0, eq));
+    if (!Number.isInteger(tag)) return null;
+    fields.push([tag, part.slice(eq + 1)]);
+  }
+  if (fields.length < 4 || fields[0][0] !== TAGS.BeginString || fields[1][0] !== TAGS.BodyLength
+    || fields[fields.length - 1][0] !== TAGS.CheckSum) {
+    return null;
+  }
+
+  const checksumAt = raw.lastIndexOf(`${SOH}${TAGS.CheckSum}=`) + 1;
+  if (checksum(raw.slice(0, checksumAt)) !== fields[fields.length - 1][1]) return null;
+
+  const bodyStart = raw.indexOf(SOH, raw.indexOf(`${SOH}${TAGS.BodyLength}=`) + 1) + 1;
+  if (Buffer.byteLength(raw.slice(bodyStart, checksumAt), 'latin1') !== Number(fields[1][1])) return null;
+
+  return fields;
+}
+
+/**
+ * Pull every complete message off the front of a receive buffer.
+ * @returns {{ messages: string[], rest: string }}
+ */
+function extractMessages(buffer) {
+  const messages = [];
+  let rest = buffer;
+  for (;;) {
+    const start = rest.indexOf(`${TAGS.BeginString}=`);
+    if (start < 0) return { messages, rest: '' };
+    if (start > 0) rest = rest.slice(start);
+
+    const end = rest.indexOf(`${SOH}${TAGS.CheckSum}=`);
+    if (end < 0) return { messages, rest };
+    const close = rest.indexOf(SOH, end + 1);
+    if (close < 0) return { messages, rest };
+
+    messages.push(rest.slice(0, close + 1));
+    rest = rest.slice(close + 1);
+  }
+}
+
+/** First value of every tag — enough for messages without repeating groups. */
+function fieldMap(fields) {
+  const map = new Map();
+  for (const [tag, value] of fields) {
+    if (!map.has(tag)) map.set(tag, value);
+  }
+  return map;
+}
+
+/**
+ * Entries of a repeating group: everything after `countTag`, split each
+ * time `firstTag` reappears, until a tag outside `memberTags` is seen.
+ */
+function readGroup(fields, countTag, firstTag, memberTags) {
+  const at = fields.findIndex(([tag]) => tag === countTag);
+  if (at < 0) return [];
+  const members = new Set([firstTag, ...memberTags]);
+  const entries = [];
+  for (let i = at + 1; i < fields.length && members.has(fields[i][0]); i++) {
+    const [tag, value] = fields[i];
+    if (tag === firstTag) entries.push(new Map());
+    if (entries.length > 0) entries[entries.length - 1].set(tag, value);
+  }
+  return entries;
+}
+
+/** Human-readable form for logs (SOH shown as |). */
+function printable(raw) {
+  return raw.split(SOH).join('|');
+}
+
+module.exports = {
+  SOH,
+  BEGIN_STRING,
+  TAGS,
+  MSG_TYPES,
+  ADMIN_MSG_TYPES,
+  utcTimestamp,
+  parseUtcTimestamp,
+  encode,
+  decode,
+  extractMessages,
+  fieldMap,
+  readGroup,
+  printable,
+};
@@ -12,6 +12,7 @@
 
 const cantonService = require('./cantonService');
 const config = require('../config');
+const { getMarketRegistry } = require('./marketRegistryService');
 const { 
   getTokenStandardTemplateIds, 
   SUPPORTED_TOKENS, 
@@ -179,31 +180,49 @@ class InstrumentService {
   }
 
   /**
-   * Get all TradingPairs
+   * Get all listed TradingPairs.
+   *
+   * The market registry decides which pairs exist and their trading
+   * parameters; the on-ledger TradingPair contract, when there is one, only
+   * contributes its contractId.
    */
   async getTradingPairs(token) {
     const templateIds = getTemplateIds();
     const operatorPartyId = config.operatorPartyId || process.env.OPERATOR_PARTY_ID;
 
+    const registry = getMarketRegistry();
+    await registry.ensureFresh();
+
+    const ledgerPairs = new Map();
     try {
       const pairs = await cantonService.queryActiveContracts({
         party: operatorPartyId,
         templateIds: [templateIds.tradingPair],
       }, token);
-
-      return pairs.map(p => ({
-        contractId: p.contractId,
-        pairId: p.payload.pairId,
-        baseSymbol: p.payload.baseInstrument?.symbol,
-        quoteSymbol: p.payload.quoteInstrument?.symbol,
-        minOrderSize: p.payload.minOrderSize,
-        tickSize: p.payload.tickSize,
-        enabled: p.payload.enabled,
-      }));
+      for (const p of pairs) {
+        ledgerPairs.set(p.payload.pairId, p);
+      }
     } catch (error) {
-      console.error('[InstrumentService] Failed to get trading pairs:', error.message);
-      throw error;
+      console.warn('[InstrumentService] Ledger TradingPair lookup failed, serving registry only:', error.message);
     }
+
+    return registry.listMarkets().map(market => {
+      const onLedger = ledgerPairs.get(market.symbol);
+      return {
+        contractId: onLedger?.contractId || null,
+        pairId: market.symbol,
+        baseSymbol: market.baseSymbol,
+        quoteSymbol: market.quoteSymbol,
+        minOrderSize: market.lotSize,
+        tickSize: market.tickSize,
+        lotSize: market.lotSize,
+        minNotional: market.minNotional,
+        maxNotional: market.maxNotional,
+        pricePrecision: market.pricePrecision,
+        status: market.status,
+        enabled: registry.isMatchable(market.symbol),
+      };
+    });
   }
 
   /**
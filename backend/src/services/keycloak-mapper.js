@@ -2,7 +2,15 @@
 // Add this to your Keycloak realm configuration
 //
 // IMPORTANT: Values from centralized constants (../config/constants.js)
+//
+// verifyOidcToken() below checks tokens issued by this realm (signature
+// against the realm's JWKS, issuer, expiry, optional audience) and reads
+// the claims these mappers put in them. The admin API uses it for
+// operators logging in through Keycloak.
 
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const config = require('../config');
 const { OPERATOR_PARTY_ID } = require('../config/constants');
 
 const keycloakConfig = {
@@ -72,3 +80,86 @@ const keycloakConfig = {
 Note: This is an alternative to the backend token exchange approach.
 The backend approach is more secure and flexible for production.
 */
+
+// ─── Token verification ─────────────────────────────────────────────────────
+
+const JWKS_TTL_MS = 10 * 60 * 1000;
+// A token signed with a key we have not seen refetches the JWKS at most this often
+const JWKS_MISS_REFETCH_MS = 60 * 1000;
+
+let jwksCache = { keys: new Map(), fetchedAt: 0 };
+
+function realmIssuer() {
+  if (!config.keycloak.baseUrl) return null;
+  return `${config.keycloak.baseUrl.replace(/\/$/, '')}/realms/${config.keycloak.realm}`;
+}
+
+async function fetchSigningKeys() {
+  const { getAuthApi } = require('../http/clients');
+  const response = await getAuthApi().get(`${realmIssuer()}/protocol/openid-connect/certs`);
+  const keys = new Map();
+  for (const jwk of response.data?.keys || []) {
+    if (jwk.use && jwk.use !== 'sig') continue;
+    try {
+      keys.set(jwk.kid, crypto.createPublicKey({ key: jwk, format: 'jwk' }));
+    } catch (err) {
+      console.warn(`[Keycloak] ⚠️ Skipping unusable JWK ${jwk.kid}: ${err.message}`);
+    }
+  }
+  jwksCache = { keys, fetchedAt: Date.now() };
+  return keys;
+}
+
+async function signingKey(kid) {
+  const age = Date.now() - jwksCache.fetchedAt;
+  if (age > JWKS_TTL_MS || (!jwksCache.keys.has(kid) && age > JWKS_MISS_REFETCH_MS)) {
+    await fetchSigningKeys();
+  }
+  return jwksCache.keys.get(kid) || null;
+}
+
+// Claim a mapper writes a user attribute to, e.g. cantonPartyId → canton_party_id
+function mappedClaim(userAttribute) {
+  const mapper = keycloakConfig.mappers.find(m => m.config['user.attribute'] === userAttribute);
+  return mapper ? mapper.config['claim.name'] : null;
+}
+
+/**
+ * Verify a Keycloak access token and return who it identifies, or null if
+ * it is not a valid token from the configured realm.
+ *
+ * @param {string} token
+ * @returns {Promise<{ subject: string, username: string|null, email: string|null, partyId: string|null } | null>}
+ */
+async function verifyOidcToken(token) {
+  const issuer = realmIssuer();
+  if (!issuer || typeof token !== 'string') return null;
+
+  const decoded = jwt.decode(token, { complete: true });
+  if (!decoded?.header?.kid) return null;
+
+  try {
+    const key = await signingKey(decoded.header.kid);
+    if (!key) return null;
+    const payload = jwt.verify(token, key, {
+      algorithms: ['RS256', 'RS384', 'RS512', 'ES256', 'ES384', 'PS256'],
+      issuer,
+      ...(config.keycloak.adminAudience ? { audience: config.keycloak.adminAudience } : {}),
+    });
+    if (!payload.sub) return null;
+    return {
+      subject: payload.sub,
+      username: payload.preferred_username || null,
+      email: payload.email || null,
+      partyId: payload[mappedClaim('cantonPartyId')] || null,
+    };
+  } catch (err) {
+    console.warn(`[Keycloak] ⚠️ OIDC token rejected: ${err.message}`);
+    return null;
+  }
+}
+
+module.exports = {
+  keycloakConfig,
+  verifyOidcToken,
+};
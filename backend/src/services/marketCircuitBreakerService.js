@@ -0,0 +1,161 @@
+/**
+ * Market Circuit Breaker Service — automatic trading pauses on sharp moves
+ *
+ * Watches trades as the streaming read model sees them and keeps, per
+ * market, the prices traded within the last windowMs. When the latest price
+ * is more than movePct away from the lowest or highest of them, the market
+ * is moved to the configured state (HALTED by default) for haltMs, after
+ * which it goes back to the state it was in.
+ *
+ * The same timer lifts every timed trading state that is due, including
+ * ones set by an admin with a duration (MarketRegistry.resumeDue).
+ *
+ * Only ACTIVE and POST_ONLY markets trip; a market already paused is left
+ * alone. MARKET_BREAKER_MOVE_PCT=0 turns the breaker off (timed states are
+ * still resumed).
+ */
+
+const Decimal = require('decimal.js');
+const config = require('../config');
+const { getMarketRegistry } = require('./marketRegistryService');
+
+const RESUME_CHECK_MS = 5000;
+const TRIPPABLE_STATES = ['ACTIVE', 'POST_ONLY'];
+const SEEN_TRADES_LIMIT = 5000;
+
+class MarketCircuitBreakerService {
+  constructor() {
+    this.windows = new Map(); // tradingPair → [{ at, price }], oldest first
+    this.seenTrades = new Set();
+    this.tripping = new Set();
+    this.isRunning = false;
+    this._onTrade = null;
+    this._resumeTimer = null;
+  }
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+    const { movePct, windowMs, haltMs, status } = config.marketCircuitBreaker;
+
+    if (movePct > 0) {
+      const { getStreamingReadModel } = require('./streamingReadModel');
+      this._onTrade = (trade) => {
+        this.recordTrade(trade).catch((err) => {
+          console.warn(`[CircuitBreaker] ⚠️ ${trade?.tradingPair}: ${err.message}`);
+        });
+      };
+      getStreamingReadModel().on('tradeCreated', this._onTrade);
+      console.log(`[CircuitBreaker] ✅ Started — ${status} for ${haltMs}ms on a ${movePct}% move within ${windowMs}ms`);
+    } else {
+      console.log('[CircuitBreaker] Price-move breaker off (MARKET_BREAKER_MOVE_PCT=0); resuming timed states only');
+    }
+
+    this._resumeTimer = setInterval(() => {
+      getMarketRegistry().resumeDue().catch((err) => {
+        console.warn(`[CircuitBreaker] ⚠️ Could not resume timed states: ${err.message}`);
+      });
+    }, RESUME_CHECK_MS);
+    if (this._resumeTimer.unref) this._resumeTimer.unref();
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+    if (this._onTrade) {
+      const { getStreamingReadModel } = require('./streamingReadModel');
+      getStreamingReadModel().off('tradeCreated', this._onTrade);
+      this._onTrade = null;
+    }
+    clearInterval(this._resumeTimer);
+    this._resumeTimer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Add one trade to its market's window and trip the breaker if the move
+   * is too large. Trades older than the window (the stream's initial load)
+   * and trades already seen are ignored.
+   */
+  async recordTrade(trade) {
+    const { movePct, windowMs } = config.marketCircuitBreaker;
+    const pair = trade?.tradingPair;
+    if (!pair || !trade.price) return;
+
+    const key = trade.tradeId || trade.contractId;
+    if (key) {
+      if (this.seenTrades.has(key)) return;
+      this.seenTrades.add(key);
+      if (this.seenTrades.size > SEEN_TRADES_LIMIT) {
+        this.seenTrades.delete(this.seenTrades.values().next().value);
+      }
+    }
+
+    const now = Date.now();
+    const at = trade.timestamp ? new Date(trade.timestamp).getTime() : now;
+    if (!Number.isFinite(at) || now - at > windowMs) return;
+
+    let price;
+    try {
+      price = new Decimal(trade.price);
+    } catch (_) {
+      return;
+    }
+    if (!price.isFinite() || price.lte(0)) return;
+
+    const window = (this.windows.get(pair) || []).filter(p => now - p.at <= windowMs);
+    window.push({ at, price });
+    this.windows.set(pair, window);
+
+    let low = price;
+    let high = price;
+    for (const point of window) {
+      if (point.price.lt(low)) low = point.price;
+      if (point.price.gt(high)) high = point.price;
+    }
+    const up = price.minus(low).div(low).times(100);
+    const down = high.minus(price).div(high).times(100);
+    const move = Decimal.max(up, down);
+    if (move.lte(movePct)) return;
+
+    const from = up.gte(down) ? low : high;
+    await this._trip(pair, `CIRCUIT_BREAKER: price moved ${move.toFixed(2)}% (${from.toString()} → ${price.toString()}) within ${Math.round(windowMs / 1000)}s`);
+  }
+
+  async _trip(pair, reason) {
+    if (this.tripping.has(pair)) return;
+    const registry = getMarketRegistry();
+    const market = registry.getMarket(pair);
+    if (!market || !TRIPPABLE_STATES.includes(market.status)) return;
+
+    const { haltMs, status } = config.marketCircuitBreaker;
+    this.tripping.add(pair);
+    try {
+      await registry.setTradingState(pair, {
+        status,
+        reason,
+        durationMs: haltMs,
+        resumeStatus: market.status,
+      });
+      // Start afresh once trading resumes, so the move is not counted twice
+      this.windows.delete(pair);
+      console.warn(`[CircuitBreaker] 🚨 ${pair} → ${status} for ${haltMs}ms — ${reason}`);
+    } finally {
+      this.tripping.delete(pair);
+    }
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getMarketCircuitBreakerService() {
+  if (!instance) {
+    instance = new MarketCircuitBreakerService();
+  }
+  return instance;
+}
+
+module.exports = {
+  MarketCircuitBreakerService,
+  getMarketCircuitBreakerService,
+};
@@ -0,0 +1,574 @@
+/**
+ * Market Registry Service — per-pair trading parameters
+ * PostgreSQL via Prisma (market table), cached in memory.
+ *
+ * Each market carries its base/quote symbols, tick size, lot size, optional
+ * min/max notional, display precision, maker/taker fees in basis points
+ * (a negative maker fee is a rebate) and a status:
+ *   ACTIVE       open: orders accepted and matched
+ *   POST_ONLY    only post-only LIMIT orders; matched
+ *   CANCEL_ONLY  cancels and size cuts only; no matching
+ *   HALTED       frozen: no orders, amends or cancels by users; no matching
+ *   AUCTION      LIMIT GTC/GTD orders collect without matching
+ *   DELISTED     gone from listings
+ *
+ * A trading state set with a duration (by an admin or the price-move
+ * circuit breaker) carries resumeAt / resumeStatus and is lifted by
+ * resumeDue(), which the circuit breaker service calls on a timer.
+ *
+ * Markets do not go straight back to continuous matching: a newly listed
+ * market and a halted one that resumes first spend config.auction.callMs in
+ * AUCTION (statusReason OPENING_AUCTION / REOPENING_AUCTION). An auction is
+ * ended by the MatchingEngine, which uncrosses the book at resumeAt and
+ * then calls setTradingState with the resumeStatus; resumeDue leaves
+ * auctions alone.
+ *
+ * Readers (MatchingEngine, order validation, InstrumentService, the public
+ * /api/markets route) use the synchronous getters against the cache. The
+ * cache reloads from the database once it is older than REFRESH_MS, so a
+ * change made through another instance shows up without a restart; changes
+ * made here apply immediately and are broadcast on the `markets` channel.
+ *
+ * The table is seeded from config TRADING_PAIRS the first time it is empty.
+ * Without a database the seed markets are served read-only.
+ */
+
+const Decimal = require('decimal.js');
+const config = require('../config');
+const { getDb } = require('./db');
+const { TRADING_PAIRS } = require('../config/constants');
+const { ValidationError, NotFoundError, ConflictError } = require('../utils/errors');
+const { OrderRuleError, ErrorCodes } = require('../utils/ledgerError');
+
+const MARKET_STATUSES = ['ACTIVE', 'HALTED', 'CANCEL_ONLY', 'AUCTION', 'POST_ONLY', 'DELISTED'];
+// Statuses the matching engine still runs for
+const MATCHABLE_STATUSES = ['ACTIVE', 'POST_ONLY'];
+// Statuses a market can be put into for a while and resumed from
+const TRADING_STATES = ['ACTIVE', 'HALTED', 'CANCEL_ONLY', 'AUCTION', 'POST_ONLY'];
+const REFRESH_MS = 15000;
+// Fee rates are capped at 10%; a maker rebate may not exceed the taker fee
+const MAX_FEE_BPS = 1000;
+
+// Seed parameters for the pairs the exchange has always traded
+const SEED_SPECS = {
+  'BTC/USDT': { tickSize: '0.01', lotSize: '0.00001', pricePrecision: 2 },
+  'ETH/USDT': { tickSize: '0.01', lotSize: '0.0001', pricePrecision: 2 },
+  'SOL/USDT': { tickSize: '0.001', lotSize: '0.001', pricePrecision: 3 },
+  'CC/CBTC':  { tickSize: '0.0000000001', lotSize: '0.0000000001', pricePrecision: 10 },
+};
+const FALLBACK_SPEC = { tickSize: '0.00000001', lotSize: '0.00000001', pricePrecision: 8 };
+
+function seedMarkets() {
+  return TRADING_PAIRS.map(({ pair, baseAsset, quoteAsset }) => ({
+    symbol: pair,
+    baseSymbol: baseAsset,
+    quoteSymbol: quoteAsset,
+    minNotional: null,
+    maxNotional: null,
+    makerFeeBps: 0,
+    takerFeeBps: 0,
+    status: 'ACTIVE',
+    ...(SEED_SPECS[pair] || FALLBACK_SPEC),
+  }));
+}
+
+function positiveDecimalString(value, field) {
+  let d;
+  try {
+    d = new Decimal(value);
+  } catch (_) {
+    throw new ValidationError(`${field} must be a positive number`);
+  }
+  if (!d.isFinite() || d.lte(0)) {
+    throw new ValidationError(`${field} must be a positive number`);
+  }
+  return d.toString();
+}
+
+function capitalize(text) {
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function toMarket(row) {
+  return {
+    symbol: row.symbol,
+    baseSymbol: row.baseSymbol,
+    quoteSymbol: row.quoteSymbol,
+    tickSize: row.tickSize,
+    lotSize: row.lotSize,
+    minNotional: row.minNotional || null,
+    maxNotional: row.maxNotional || null,
+    pricePrecision: row.pricePrecision,
+    makerFeeBps: row.makerFeeBps || 0,
+    takerFeeBps: row.takerFeeBps || 0,
+    status: row.status,
+    statusReason: row.statusReason || null,
+    resumeAt: row.resumeAt ? new Date(row.resumeAt).toISOString() : null,
+    resumeStatus: row.resumeStatus || null,
+    updatedAt: row.updatedAt ? new Date(row.updatedAt).toISOString() : null,
+  };
+}
+
+class MarketRegistryService {
+  constructor() {
+    this.markets = new Map(); // symbol → market
+    this._loadedAt = 0;
+    this._refreshing = null;
+  }
+
+  // ─── Loading ──────────────────────────────────────────────────────────
+
+  /**
+   * Reload every market from the database, seeding an empty table first.
+   */
+  async refresh() {
+    if (this._refreshing) return this._refreshing;
+    this._refreshing = (async () => {
+      try {
+        const db = getDb();
+        let rows = await db.market.findMany();
+        if (rows.length === 0) {
+          await db.market.createMany({ data: seedMarkets(), skipDuplicates: true });
+          rows = await db.market.findMany();
+          console.log(`[MarketRegistry] 🌱 Seeded ${rows.length} market(s) from TRADING_PAIRS`);
+        }
+        this.markets = new Map(rows.map(row => [row.symbol, toMarket(row)]));
+        this._loadedAt = Date.now();
+      } catch (err) {
+        console.warn(`[MarketRegistry] ⚠️ Could not load markets: ${err.message}`);
+        if (this.markets.size === 0) {
+          this.markets = new Map(seedMarkets().map(m => [m.symbol, toMarket(m)]));
+        }
+        // Retry on the next read rather than hammering a failing database
+        this._loadedAt = Date.now() - REFRESH_MS / 2;
+      } finally {
+        this._refreshing = null;
+      }
+      return this.markets;
+    })();
+    return this._refreshing;
+  }
+
+  /**
+   * Reload when the cache is older than REFRESH_MS. Cheap to call per cycle.
+   */
+  async ensureFresh() {
+    if (Date.now() - this._loadedAt < REFRESH_MS) return this.markets;
+    return this.refresh();
+  }
+
+  _cache() {
+    if (this.markets.size === 0) {
+      // Not loaded yet — serve the seed markets until the first refresh lands
+      this.markets = new Map(seedMarkets().map(m => [m.symbol, toMarket(m)]));
+    }
+    return this.markets;
+  }
+
+  // ─── Reads ────────────────────────────────────────────────────────────
+
+  getMarket(symbol) {
+    return this._cache().get(symbol) || null;
+  }
+
+  /**
+   * @param {Object} [filter]
+   * @param {boolean} [filter.includeDelisted=false]
+   */
+  listMarkets({ includeDelisted = false } = {}) {
+    return Array.from(this._cache().values())
+      .filter(m => includeDelisted || m.status !== 'DELISTED')
+      .sort((a, b) => a.symbol.localeCompare(b.symbol));
+  }
+
+  /** Listed pair symbols (everything except DELISTED) */
+  getTradingPairs() {
+    return this.listMarkets().map(m => m.symbol);
+  }
+
+  /** Pairs the matching engine should run: ACTIVE and POST_ONLY */
+  getMatchablePairs() {
+    return this.listMarkets()
+      .filter(m => MATCHABLE_STATUSES.includes(m.status))
+      .map(m => m.symbol);
+  }
+
+  isMatchable(symbol) {
+    const market = this.getMarket(symbol);
+    return !!market && MATCHABLE_STATUSES.includes(market.status);
+  }
+
+  /**
+   * Reject an order the market's status does not allow. Returns the market.
+   *
+   * @param {string} symbol
+   * @param {Object} [order]
+   * @param {boolean} [order.postOnly=false]
+   * @param {string} [order.orderMode] - LIMIT, MARKET, STOP_LOSS, ...
+   * @param {string} [order.timeInForce]
+   */
+  assertOrderAllowed(symbol, { postOnly = false, orderMode = 'LIMIT', timeInForce = 'GTC' } = {}) {
+    const market = this.getMarket(symbol);
+    if (!market || market.status === 'DELISTED') {
+      throw new ValidationError(`Trading pair ${symbol} is not listed`);
+    }
+    if (market.status === 'HALTED') {
+      throw new ValidationError(`Trading on ${symbol} is halted${market.statusReason ? ` (${market.statusReason})` : ''}`);
+    }
+    if (market.status === 'CANCEL_ONLY') {
+      throw new ValidationError(`${symbol} is cancel-only — new orders are not accepted`);
+    }
+    if (market.status === 'AUCTION') {
+      const tif = String(timeInForce || 'GTC').toUpperCase();
+      if (String(orderMode || 'LIMIT').toUpperCase() !== 'LIMIT' || tif === 'IOC' || tif === 'FOK') {
+        throw new ValidationError(`${symbol} is in an auction call — only LIMIT GTC or GTD orders are accepted`);
+      }
+    }
+    if (market.status === 'POST_ONLY' && !postOnly) {
+      throw new ValidationError(`${symbol} is in post-only mode — only post-only LIMIT orders are accepted`);
+    }
+    return market;
+  }
+
+  /**
+   * Reject a user cancel (or amend) while the market is halted. Operator
+   * cancels — expiries, cancel-on-disconnect — do not go through here.
+   */
+  assertCancelAllowed(symbol) {
+    const market = this.getMarket(symbol);
+    if (market?.status === 'HALTED') {
+      throw new ValidationError(`Trading on ${symbol} is halted — orders cannot be cancelled or amended until it resumes`);
+    }
+    return market;
+  }
+
+  /**
+   * Check an order's sizes against the market's trading rules.
+   *
+   * @param {string} symbol
+   * @param {Object} order
+   * @param {string|number} order.quantity - must be a whole number of lots
+   * @param {string|number} [order.displayQuantity] - iceberg peak, also on the lot grid
+   * @param {Object} [order.prices] - request field → price; each must sit on the tick grid
+   * @param {Array} [order.notionalPrices] - prices the order may trade at;
+   *   quantity × each must stay within min/max notional
+   * @throws {OrderRuleError} naming the offending field
+   */
+  assertOrderConforms(symbol, { quantity, displayQuantity = null, prices = {}, notionalPrices = [] }) {
+    const market = this.getMarket(symbol);
+    if (!market) {
+      throw new ValidationError(`Trading pair ${symbol} is not listed`);
+    }
+    const details = {
+      tickSize: market.tickSize,
+      lotSize: market.lotSize,
+      minNotional: market.minNotional,
+      maxNotional: market.maxNotional,
+    };
+
+    for (const [field, value] of Object.entries(prices)) {
+      if (value === null || value === undefined || value === '') continue;
+      if (!new Decimal(value).mod(market.tickSize).isZero()) {
+        throw new OrderRuleError(
+          ErrorCodes.PRICE_NOT_ON_TICK,
+          `${capitalize(field)} ${value} is not a multiple of the ${market.tickSize} tick size for ${symbol}`,
+          field,
+          details
+        );
+      }
+    }
+
+    const sizes = { quantity, displayQuantity };
+    for (const [field, value] of Object.entries(sizes)) {
+      if (value === null || value === undefined || value === '') continue;
+      if (!new Decimal(value).mod(market.lotSize).isZero()) {
+        throw new OrderRuleError(
+          ErrorCodes.QUANTITY_NOT_ON_LOT,
+          `${capitalize(field)} ${value} is not a multiple of the ${market.lotSize} lot size for ${symbol}`,
+          field,
+          details
+        );
+      }
+    }
+
+    const qty = new Decimal(quantity);
+    for (const price of notionalPrices) {
+      if (!price) continue;
+      const notional = qty.times(price);
+      if (market.minNotional && notional.lt(market.minNotional)) {
+        throw new OrderRuleError(
+          ErrorCodes.NOTIONAL_BELOW_MIN,
+          `Order value ${notional.toString()} ${market.quoteSymbol} is below the ${market.minNotional} minimum for ${symbol}`,
+          'quantity',
+          details
+        );
+      }
+      if (market.maxNotional && notional.gt(market.maxNotional)) {
+        throw new OrderRuleError(
+          ErrorCodes.NOTIONAL_ABOVE_MAX,
+          `Order value ${notional.toString()} ${market.quoteSymbol} is above the ${market.maxNotional} maximum for ${symbol}`,
+          'quantity',
+          details
+        );
+      }
+    }
+    return market;
+  }
+
+  // ─── Admin writes ─────────────────────────────────────────────────────
+
+  async createMarket(input) {
+    const baseSymbol = String(input.baseSymbol || '').toUpperCase();
+    const quoteSymbol = String(input.quoteSymbol || '').toUpperCase();
+    if (!baseSymbol || !quoteSymbol || baseSymbol === quoteSymbol) {
+      throw new ValidationError('baseSymbol and quoteSymbol are required and must differ');
+    }
+    const symbol = `${baseSymbol}/${quoteSymbol}`;
+
+    const db = getDb();
+    if (await db.market.findUnique({ where: { symbol } })) {
+      throw new ConflictError(`Market ${symbol} already exists`);
+    }
+
+    const data = this._normalize({
+      tickSize: input.tickSize,
+      lotSize: input.lotSize,
+      minNotional: input.minNotional ?? null,
+      maxNotional: input.maxNotional ?? null,
+      pricePrecision: input.pricePrecision,
+      makerFeeBps: input.makerFeeBps ?? 0,
+      takerFeeBps: input.takerFeeBps ?? 0,
+      status: input.status || 'ACTIVE',
+    });
+    const opening = this._callAuction(data.status, 'OPENING_AUCTION');
+    const row = await db.market.create({ data: { symbol, baseSymbol, quoteSymbol, ...data, ...opening } });
+
+    console.log(`[MarketRegistry] ✅ Listed ${symbol} (${row.status}, tick ${row.tickSize}, lot ${row.lotSize})`);
+    return this._apply(row, 'MARKET_LISTED');
+  }
+
+  /**
+   * Change the parameters or status of an existing market. Base and quote
+   * symbols are fixed once listed.
+   */
+  async updateMarket(symbol, changes) {
+    const db = getDb();
+    const existing = await db.market.findUnique({ where: { symbol } });
+    if (!existing) {
+      throw new NotFoundError(`Market ${symbol} not found`);
+    }
+
+    const merged = this._normalize({
+      tickSize: changes.tickSize ?? existing.tickSize,
+      lotSize: changes.lotSize ?? existing.lotSize,
+      minNotional: changes.minNotional !== undefined ? changes.minNotional : existing.minNotional,
+      maxNotional: changes.maxNotional !== undefined ? changes.maxNotional : existing.maxNotional,
+      pricePrecision: changes.pricePrecision ?? existing.pricePrecision,
+      makerFeeBps: changes.makerFeeBps ?? existing.makerFeeBps,
+      takerFeeBps: changes.takerFeeBps ?? existing.takerFeeBps,
+      status: changes.status ?? existing.status,
+    });
+    // A status set by hand replaces any timed state
+    const statusFields = merged.status !== existing.status
+      ? { statusReason: null, resumeAt: null, resumeStatus: null }
+      : {};
+    const row = await db.market.update({ where: { symbol }, data: { ...merged, ...statusFields } });
+
+    if (row.status !== existing.status) {
+      console.log(`[MarketRegistry] 🔁 ${symbol}: ${existing.status} → ${row.status}`);
+    } else {
+      console.log(`[MarketRegistry] ✅ Updated ${symbol}`);
+    }
+    return this._apply(row, 'MARKET_UPDATED');
+  }
+
+  // ─── Trading states ───────────────────────────────────────────────────
+
+  /**
+   * Put a market into a trading state, optionally for a while: after
+   * durationMs it goes back to resumeStatus (by default the state it was
+   * in). A HALTED market sent back to ACTIVE or POST_ONLY reopens through a
+   * call auction unless reopenAuction is false. Returns the market.
+   *
+   * @param {string} symbol
+   * @param {Object} state
+   * @param {string} state.status - one of TRADING_STATES
+   * @param {string} [state.reason]
+   * @param {number} [state.durationMs]
+   * @param {string} [state.resumeStatus]
+   * @param {boolean} [state.reopenAuction=true]
+   */
+  async setTradingState(symbol, { status, reason = null, durationMs = null, resumeStatus = null, reopenAuction = true }) {
+    const next = String(status || '').toUpperCase();
+    if (!TRADING_STATES.includes(next)) {
+      throw new ValidationError(`status must be one of ${TRADING_STATES.join(', ')}`);
+    }
+    const db = getDb();
+    const existing = await db.market.findUnique({ where: { symbol } });
+    if (!existing || existing.status === 'DELISTED') {
+      throw new NotFoundError(`Market ${symbol} not found`);
+    }
+
+    let resumeAt = null;
+    let resumeTo = null;
+    if (durationMs !== null && durationMs !== undefined) {
+      const ms = Number(durationMs);
+      if (!Number.isInteger(ms) || ms <= 0) {
+        throw new ValidationError('durationMs must be a positive integer');
+      }
+      const previous = existing.status === next ||
+        (next === 'AUCTION' && !MATCHABLE_STATUSES.includes(existing.status))
+        ? 'ACTIVE'
+        : existing.status;
+      resumeTo = String(resumeStatus || previous).toUpperCase();
+      if (!TRADING_STATES.includes(resumeTo) || resumeTo === next) {
+        throw new ValidationError(`resumeStatus must be a different one of ${TRADING_STATES.join(', ')}`);
+      }
+      resumeAt = new Date(Date.now() + ms);
+    }
+
+    let data = { status: next, statusReason: reason || null, resumeAt, resumeStatus: resumeTo };
+    if (existing.status === 'HALTED' && reopenAuction && !resumeAt) {
+      data = this._callAuction(next, 'REOPENING_AUCTION') || data;
+    }
+    const row = await db.market.update({ where: { symbol }, data });
+    ({ resumeAt, resumeStatus: resumeTo } = row);
+    const until = resumeAt ? ` until ${resumeAt.toISOString()} (then ${resumeTo})` : '';
+    console.log(`[MarketRegistry] 🔁 ${symbol}: ${existing.status} → ${row.status}${until}${reason ? ` — ${reason}` : ''}`);
+    return this._apply(row, 'MARKET_STATUS_CHANGED');
+  }
+
+  /**
+   * End a market's call auction early: the MatchingEngine uncrosses it on
+   * its next cycle and opens the market in resumeStatus, by default the
+   * state the auction was set to resume to.
+   */
+  async endAuction(symbol, { resumeStatus = null } = {}) {
+    const db = getDb();
+    const existing = await db.market.findUnique({ where: { symbol } });
+    if (!existing || existing.status === 'DELISTED') {
+      throw new NotFoundError(`Market ${symbol} not found`);
+    }
+    if (existing.status !== 'AUCTION') {
+      throw new ValidationError(`Market ${symbol} is not in an auction (${existing.status})`);
+    }
+    const resumeTo = String(resumeStatus || existing.resumeStatus || 'ACTIVE').toUpperCase();
+    if (!TRADING_STATES.includes(resumeTo) || resumeTo === 'AUCTION') {
+      throw new ValidationError(`resumeStatus must be one of ${TRADING_STATES.filter(s => s !== 'AUCTION').join(', ')}`);
+    }
+    const row = await db.market.update({
+      where: { symbol },
+      data: { resumeAt: new Date(), resumeStatus: resumeTo },
+    });
+    console.log(`[MarketRegistry] 🔔 ${symbol}: auction ends now (then ${resumeTo})`);
+    return this._apply(row, 'MARKET_STATUS_CHANGED');
+  }
+
+  /**
+   * Lift every timed trading state whose resumeAt has passed. A halt that
+   * ends goes through a reopening auction first; auctions themselves are
+   * ended by the MatchingEngine.
+   */
+  async resumeDue() {
+    const db = getDb();
+    const due = await db.market.findMany({
+      where: { resumeAt: { lte: new Date() }, status: { notIn: ['DELISTED', 'AUCTION'] } },
+    });
+    const resumed = [];
+    for (const row of due) {
+      try {
+        const target = row.resumeStatus || 'ACTIVE';
+        const reopening = row.status === 'HALTED' ? this._callAuction(target, 'REOPENING_AUCTION') : null;
+        const updated = await db.market.update({
+          where: { symbol: row.symbol },
+          data: reopening || { status: target, statusReason: null, resumeAt: null, resumeStatus: null },
+        });
+        console.log(`[MarketRegistry] ▶️ ${row.symbol}: ${row.status} → ${updated.status} (timed state ended)`);
+        resumed.push(this._apply(updated, 'MARKET_STATUS_CHANGED'));
+      } catch (err) {
+        console.warn(`[MarketRegistry] ⚠️ Could not resume ${row.symbol}: ${err.message}`);
+      }
+    }
+    return resumed;
+  }
+
+  // Fields for a call auction that opens into `status`, or null when
+  // auctions are off (AUCTION_CALL_MS=0) or `status` does not match
+  _callAuction(status, reason) {
+    const callMs = config.auction.callMs;
+    if (!(callMs > 0) || !MATCHABLE_STATUSES.includes(status)) return null;
+    return {
+      status: 'AUCTION',
+      statusReason: reason,
+      resumeAt: new Date(Date.now() + callMs),
+      resumeStatus: status,
+    };
+  }
+
+  _normalize(fields) {
+    const status = String(fields.status).toUpperCase();
+    if (!MARKET_STATUSES.includes(status)) {
+      throw new ValidationError(`status must be one of ${MARKET_STATUSES.join(', ')}`);
+    }
+    const pricePrecision = Number(fields.pricePrecision);
+    if (!Number.isInteger(pricePrecision) || pricePrecision < 0 || pricePrecision > 18) {
+      throw new ValidationError('pricePrecision must be an integer between 0 and 18');
+    }
+    const minNotional = fields.minNotional === null ? null : positiveDecimalString(fields.minNotional, 'minNotional');
+    const maxNotional = fields.maxNotional === null ? null : positiveDecimalString(fields.maxNotional, 'maxNotional');
+    if (minNotional && maxNotional && new Decimal(minNotional).gt(maxNotional)) {
+      throw new ValidationError('minNotional cannot be larger than maxNotional');
+    }
+    const makerFeeBps = Number(fields.makerFeeBps);
+    const takerFeeBps = Number(fields.takerFeeBps);
+    if (!Number.isInteger(makerFeeBps) || Math.abs(makerFeeBps) > MAX_FEE_BPS) {
+      throw new ValidationError(`makerFeeBps must be an integer between -${MAX_FEE_BPS} and ${MAX_FEE_BPS}`);
+    }
+    if (!Number.isInteger(takerFeeBps) || takerFeeBps < 0 || takerFeeBps > MAX_FEE_BPS) {
+      throw new ValidationError(`takerFeeBps must be an integer between 0 and ${MAX_FEE_BPS}`);
+    }
+    if (makerFeeBps + takerFeeBps < 0) {
+      throw new ValidationError('A maker rebate cannot be larger than the taker fee');
+    }
+    // Rebates are paid by the fee collector, never out of the counterparty's delivery
+    if (makerFeeBps < 0 && !config.fees.collectorPartyId) {
+      throw new ValidationError('A maker rebate needs a fee collector (FEE_COLLECTOR_PARTY_ID) to pay it');
+    }
+    return {
+      tickSize: positiveDecimalString(fields.tickSize, 'tickSize'),
+      lotSize: positiveDecimalString(fields.lotSize, 'lotSize'),
+      minNotional,
+      maxNotional,
+      pricePrecision,
+      makerFeeBps,
+      takerFeeBps,
+      status,
+    };
+  }
+
+  _apply(row, eventType) {
+    const market = toMarket(row);
+    this._cache().set(market.symbol, market);
+    if (global.broadcastWebSocket) {
+      global.broadcastWebSocket('markets', { type: eventType, market, timestamp: Date.now() });
+    }
+    return market;
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getMarketRegistry() {
+  if (!instance) {
+    instance = new MarketRegistryService();
+  }
+  return instance;
+}
+
+module.exports = {
+  MarketRegistryService,
+  getMarketRegistry,
+  MARKET_STATUSES,
+  TRADING_STATES,
+};
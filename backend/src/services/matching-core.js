@@ -0,0 +1,779 @@
+/**
+ * Matching Core — pure price-time matching for one trading pair
+ *
+ * Everything in here is deterministic and side-effect free: no ledger calls,
+ * no database, no wall clock. Callers pass the open orders of a single pair
+ * (and, for processEvent, the event being applied together with its
+ * timestamp) and get back what should happen. MatchingEngine,
+ * MatchingEngineV2 and MatchingEngineService use these rules for ordering,
+ * crossing and fill sizing and keep the Canton side effects to themselves,
+ * so the rules can be replayed offline (tests/manual/replay-matching.js).
+ *
+ * Order shape read by the core:
+ *   orderId, owner, orderType ('BUY' | 'SELL'), price (number; null = MARKET),
+ *   remaining (number | string | Decimal), filled, timestamp,
+ *   and optionally timeInForce, expiresAt, postOnly, stpMode, slippageLimitPrice,
+ *   displayQuantity, displayRemaining, displayRefreshedAt (iceberg orders)
+ *
+ * Rules (same as the live engine has always applied):
+ *   - Bids: MARKET first, then highest price, then oldest
+ *   - Asks: MARKET first, then lowest price, then oldest
+ *   - LIMIT/LIMIT crosses when bid >= ask and trades at the ask
+ *   - MARKET against LIMIT trades at the LIMIT price; MARKET/MARKET never crosses
+ *   - A MARKET order with a slippageLimitPrice only trades at or inside it
+ *   - The later of two crossing orders is the taker
+ *   - A resting iceberg only trades its displayed peak per match; once the
+ *     peak is used up the next one is shown and queues from that moment
+ *     (displayRefreshedAt). Taker/maker is still decided by arrival time.
+ *   - Fees are charged in the asset each side receives, at the maker or
+ *     taker rate the caller resolved (market fees or volume tiers; tradeFees)
+ *   - A call auction does not match continuously: when it ends, every
+ *     crossing order trades at one uncrossing price, the one that
+ *     maximises volume (uncrossingPrice, auctionPairs, uncross)
+ */
+
+const Decimal = require('decimal.js');
+
+const STP_MODES = ['NONE', 'CANCEL_NEWEST', 'CANCEL_OLDEST', 'CANCEL_BOTH', 'DECREMENT_AND_CANCEL'];
+
+function toDecimal(value) {
+  return value instanceof Decimal ? value : new Decimal(value || 0);
+}
+
+function timeOf(order) {
+  return new Date(order.timestamp).getTime();
+}
+
+function isBuy(order) {
+  return order.orderType === 'BUY';
+}
+
+// Book priority: an iceberg queues from its last peak refresh
+function priorityTime(order) {
+  return new Date(order.displayRefreshedAt || order.timestamp).getTime();
+}
+
+// ─── Ordering ──────────────────────────────────────────────────────────────
+
+function compareBids(a, b) {
+  if (a.price === null && b.price !== null) return -1;
+  if (a.price !== null && b.price === null) return 1;
+  if (a.price === null && b.price === null) return priorityTime(a) - priorityTime(b);
+  if (b.price !== a.price) return b.price - a.price;
+  return priorityTime(a) - priorityTime(b);
+}
+
+function compareAsks(a, b) {
+  if (a.price === null && b.price !== null) return -1;
+  if (a.price !== null && b.price === null) return 1;
+  if (a.price === null && b.price === null) return priorityTime(a) - priorityTime(b);
+  if (a.price !== b.price) return a.price - b.price;
+  return priorityTime(a) - priorityTime(b);
+}
+
+/**
+ * Sort both sides into price-time priority. Sorts in place and returns the
+ * same arrays so callers holding references keep seeing the live lists.
+ */
+function sortBook(buyOrders, sellOrders) {
+  buyOrders.sort(compareBids);
+  sellOrders.sort(compareAsks);
+  return { buyOrders, sellOrders };
+}
+
+// ─── Crossing ──────────────────────────────────────────────────────────────
+
+function hasSlippageLimit(order) {
+  return order.price === null && order.slippageLimitPrice !== null && order.slippageLimitPrice !== undefined;
+}
+
+/**
+ * Price two orders would trade at, or null when they do not cross.
+ */
+function crossingPrice(buyOrder, sellOrder) {
+  const buyPrice = buyOrder.price;
+  const sellPrice = sellOrder.price;
+  if (buyPrice !== null && sellPrice !== null) return buyPrice >= sellPrice ? sellPrice : null;
+  if (buyPrice === null && sellPrice !== null) {
+    if (hasSlippageLimit(buyOrder) && sellPrice > Number(buyOrder.slippageLimitPrice)) return null;
+    return sellPrice;
+  }
+  if (buyPrice !== null && sellPrice === null) {
+    if (hasSlippageLimit(sellOrder) && buyPrice < Number(sellOrder.slippageLimitPrice)) return null;
+    return buyPrice;
+  }
+  return null;
+}
+
+/**
+ * Side-agnostic form of crossingPrice: true when `order` and `other` (on the
+ * opposite side) would trade.
+ */
+function pricesCross(order, other) {
+  const buy = isBuy(order) ? order : other;
+  const sell = isBuy(order) ? other : order;
+  return crossingPrice(buy, sell) !== null;
+}
+
+function isTaker(order, counterparty) {
+  return timeOf(order) >= timeOf(counterparty);
+}
+
+/**
+ * Total remaining quantity on `opposite` that crosses `order`. Orders of the
+ * same owner that self-trade prevention would cancel instead of filling are
+ * not counted.
+ */
+function fillableQuantity(order, opposite, exclude = null) {
+  let available = new Decimal(0);
+  for (const other of opposite) {
+    if (exclude && exclude.has(other)) continue;
+    const remaining = toDecimal(other.remaining);
+    if (remaining.lte(0)) continue;
+    const [buyOrder, sellOrder] = isBuy(order) ? [order, other] : [other, order];
+    if (selfTradeOutcome(buyOrder, sellOrder)) continue;
+    if (pricesCross(order, other)) available = available.plus(remaining);
+  }
+  return available;
+}
+
+// ─── Iceberg orders ────────────────────────────────────────────────────────
+
+function isIceberg(order) {
+  return order.displayQuantity !== null && order.displayQuantity !== undefined &&
+    toDecimal(order.displayQuantity).gt(0);
+}
+
+function currentPeak(order) {
+  return order.displayRemaining !== null && order.displayRemaining !== undefined
+    ? toDecimal(order.displayRemaining)
+    : toDecimal(order.displayQuantity);
+}
+
+/**
+ * Quantity the book shows for `order`: what is left of the current peak for
+ * an iceberg, the full remainder for anything else.
+ */
+function displayedQuantity(order) {
+  const remaining = toDecimal(order.remaining);
+  if (!isIceberg(order)) return remaining;
+  return Decimal.max(0, Decimal.min(currentPeak(order), remaining));
+}
+
+/**
+ * Most `order` can trade against `counterparty` in one match. A resting
+ * iceberg is limited to its peak; as the taker it trades its full size.
+ */
+function matchableQuantity(order, counterparty) {
+  return isTaker(order, counterparty) ? toDecimal(order.remaining) : displayedQuantity(order);
+}
+
+/**
+ * Book a fill of `quantity` against an iceberg's peak, the way Order.FillOrder
+ * does on the ledger. Call after `order.remaining` has been reduced. When the
+ * peak is used up the next one (at most displayQuantity) is shown and the
+ * order queues again from `at`.
+ *
+ * @returns {boolean} true when a fresh peak was shown from the hidden reserve
+ */
+function consumePeak(order, quantity, at) {
+  if (!isIceberg(order)) return false;
+  const left = currentPeak(order).minus(toDecimal(quantity));
+  if (left.gt(0)) {
+    order.displayRemaining = left;
+    return false;
+  }
+  const reserve = toDecimal(order.remaining);
+  order.displayRemaining = Decimal.max(0, Decimal.min(toDecimal(order.displayQuantity), reserve));
+  order.displayRefreshedAt = at;
+  return reserve.gt(0);
+}
+
+// ─── Market sweep ──────────────────────────────────────────────────────────
+
+/**
+ * Walk `levels` (priced counter-orders, best first) as a MARKET order of
+ * `quantity` would. Orders without a positive price are ignored.
+ *
+ * @returns {{ filled: Decimal, notional: Decimal, bestPrice: number|null,
+ *             worstPrice: number|null, averagePrice: Decimal|null, levels: number }}
+ */
+function sweepBook(levels, quantity) {
+  let left = toDecimal(quantity);
+  let filled = new Decimal(0);
+  let notional = new Decimal(0);
+  let bestPrice = null;
+  let worstPrice = null;
+  let used = 0;
+
+  for (const level of levels) {
+    if (left.lte(0)) break;
+    const price = Number(level.price);
+    const available = toDecimal(level.remaining);
+    if (!Number.isFinite(price) || price <= 0 || available.lte(0)) continue;
+    const take = Decimal.min(left, available);
+    filled = filled.plus(take);
+    notional = notional.plus(take.times(price));
+    left = left.minus(take);
+    if (bestPrice === null) bestPrice = price;
+    worstPrice = price;
+    used++;
+  }
+
+  return {
+    filled,
+    notional,
+    bestPrice,
+    worstPrice,
+    averagePrice: filled.gt(0) ? notional.dividedBy(filled) : null,
+    levels: used,
+  };
+}
+
+/**
+ * Furthest price a MARKET order may trade at: `worstPrice` moved against the
+ * taker by `maxSlippageBps` basis points (up for a BUY, down for a SELL).
+ */
+function slippageLimit(side, worstPrice, maxSlippageBps) {
+  const factor = new Decimal(maxSlippageBps).dividedBy(10000);
+  const worst = toDecimal(worstPrice);
+  return side === 'BUY' ? worst.times(factor.plus(1)) : worst.times(new Decimal(1).minus(factor));
+}
+
+// ─── Time-in-force / post-only ─────────────────────────────────────────────
+
+/**
+ * Orders to expire before matching at time `now` (ms): GTD orders past
+ * expiresAt, then FOK orders the opposite side cannot fill in full. FOK is
+ * only judged before its first fill.
+ *
+ * @returns {Array<{ order, reason }>}
+ */
+function preMatchExpiries(buyOrders, sellOrders, now) {
+  const expiries = [];
+  const expiring = new Set();
+
+  for (const order of [...buyOrders, ...sellOrders]) {
+    if (order.timeInForce === 'GTD' && order.expiresAt && new Date(order.expiresAt).getTime() <= now) {
+      expiries.push({ order, reason: 'GTD_EXPIRED' });
+      expiring.add(order);
+    }
+  }
+
+  for (const order of [...buyOrders, ...sellOrders]) {
+    if (order.timeInForce !== 'FOK' || Number(order.filled || 0) > 0 || expiring.has(order)) continue;
+    const opposite = isBuy(order) ? sellOrders : buyOrders;
+    if (fillableQuantity(order, opposite, expiring).lt(toDecimal(order.remaining))) {
+      expiries.push({ order, reason: 'FOK_UNFILLABLE' });
+      expiring.add(order);
+    }
+  }
+  return expiries;
+}
+
+/**
+ * FOK orders that have traded but still have a remainder. Matching expires
+ * them once it has run out of crossing liquidity, in the same cycle.
+ */
+function fokRemainders(orders) {
+  return orders.filter(order =>
+    order.timeInForce === 'FOK' && toDecimal(order.filled || 0).gt(0) && toDecimal(order.remaining).gt(0)
+  );
+}
+
+/**
+ * Post-only orders that would be the taker against an older crossing order.
+ */
+function postOnlyViolations(buyOrders, sellOrders) {
+  const violations = [];
+  for (const order of [...buyOrders, ...sellOrders]) {
+    if (!order.postOnly || toDecimal(order.remaining).lte(0)) continue;
+    const opposite = isBuy(order) ? sellOrders : buyOrders;
+    const wouldTake = opposite.some(other =>
+      toDecimal(other.remaining).gt(0) && pricesCross(order, other) && isTaker(order, other)
+    );
+    if (wouldTake) violations.push(order);
+  }
+  return violations;
+}
+
+// ─── Self-trade prevention ─────────────────────────────────────────────────
+
+/**
+ * What self-trade prevention does with two crossing orders of one owner, or
+ * null when they may trade (different owners, or the taker's mode is NONE).
+ *
+ * @returns {null | { mode, reason, taker, maker, quantity, cancel: Order[], decrement: null | { order, quantity } }}
+ */
+function selfTradeOutcome(buyOrder, sellOrder) {
+  if (buyOrder.owner !== sellOrder.owner) return null;
+  const taker = isTaker(buyOrder, sellOrder) ? buyOrder : sellOrder;
+  const maker = taker === buyOrder ? sellOrder : buyOrder;
+  const mode = String(taker.stpMode || 'NONE').toUpperCase();
+  if (mode === 'NONE' || !STP_MODES.includes(mode)) return null;
+
+  const buyRemaining = toDecimal(buyOrder.remaining);
+  const sellRemaining = toDecimal(sellOrder.remaining);
+  const quantity = Decimal.min(buyRemaining, sellRemaining);
+  const outcome = { mode, reason: `STP_${mode}`, taker, maker, quantity, cancel: [], decrement: null };
+
+  if (mode === 'CANCEL_NEWEST') {
+    outcome.cancel = [taker];
+  } else if (mode === 'CANCEL_OLDEST') {
+    outcome.cancel = [maker];
+  } else if (mode === 'CANCEL_BOTH') {
+    outcome.cancel = [taker, maker];
+  } else {
+    const cmp = buyRemaining.comparedTo(sellRemaining);
+    if (cmp === 0) {
+      outcome.cancel = [buyOrder, sellOrder];
+    } else {
+      const smaller = cmp < 0 ? buyOrder : sellOrder;
+      const larger = cmp < 0 ? sellOrder : buyOrder;
+      outcome.cancel = [smaller];
+      outcome.decrement = { order: larger, quantity };
+    }
+  }
+  return outcome;
+}
+
+// ─── Fees ──────────────────────────────────────────────────────────────────
+
+// Ledger Decimals carry 10 places
+const FEE_DECIMALS = 10;
+
+/**
+ * Maker/taker fees of one fill, each charged in the asset its payer
+ * receives: the buyer's in base units, the seller's in quote units. A
+ * negative rate is a rebate and yields a negative fee. Amounts are cut
+ * toward zero at 10 decimals.
+ *
+ * @param {Object} fill
+ * @param {Object} fill.buyOrder
+ * @param {Object} fill.sellOrder
+ * @param {Decimal|string|number} fill.quantity - base units traded
+ * @param {Decimal|string|number} fill.quoteAmount - quantity × price
+ * @param {Object} schedule - { makerFeeBps, takerFeeBps }
+ * @returns {{ takerSide: 'BUY' | 'SELL', buyerFee: Decimal, sellerFee: Decimal }}
+ */
+function tradeFees({ buyOrder, sellOrder, quantity, quoteAmount }, { makerFeeBps = 0, takerFeeBps = 0 } = {}) {
+  const takerSide = isTaker(buyOrder, sellOrder) ? 'BUY' : 'SELL';
+  const fee = (amount, bps) => toDecimal(amount).times(bps || 0).dividedBy(10000)
+    .toDecimalPlaces(FEE_DECIMALS, Decimal.ROUND_DOWN);
+  return {
+    takerSide,
+    buyerFee: fee(quantity, takerSide === 'BUY' ? takerFeeBps : makerFeeBps),
+    sellerFee: fee(quoteAmount, takerSide === 'SELL' ? takerFeeBps : makerFeeBps),
+  };
+}
+
+// ─── Pair iteration ────────────────────────────────────────────────────────
+
+/**
+ * Walk crossing (buy, sell) pairs in price-time order. Both lists must
+ * already be sorted. Remaining quantities are re-read before each yield, so
+ * a caller that fills in place between iterations sees exhausted orders
+ * skipped.
+ *
+ * Yields { buyOrder, sellOrder, price, quantity, selfTrade } where quantity
+ * respects a resting iceberg's peak and selfTrade is the selfTradeOutcome for
+ * same-owner pairs (null otherwise).
+ *
+ * Options:
+ *   skipSelfTrade — never pair two orders of the same owner, whatever their stpMode
+ */
+function* crossingPairs(buyOrders, sellOrders, options = {}) {
+  const { skipSelfTrade = false } = options;
+  for (const buyOrder of buyOrders) {
+    for (const sellOrder of sellOrders) {
+      const buyRemaining = toDecimal(buyOrder.remaining);
+      const sellRemaining = toDecimal(sellOrder.remaining);
+      if (buyRemaining.lte(0) || sellRemaining.lte(0)) continue;
+
+      // Post-only orders only ever provide liquidity
+      if ((buyOrder.postOnly && isTaker(buyOrder, sellOrder)) ||
+          (sellOrder.postOnly && isTaker(sellOrder, buyOrder))) {
+        continue;
+      }
+
+      const price = crossingPrice(buyOrder, sellOrder);
+      if (price === null || price <= 0) continue;
+
+      if (skipSelfTrade && buyOrder.owner === sellOrder.owner) continue;
+
+      const quantity = Decimal.min(matchableQuantity(buyOrder, sellOrder), matchableQuantity(sellOrder, buyOrder));
+      if (quantity.lte(0)) continue;
+
+      yield {
+        buyOrder,
+        sellOrder,
+        price,
+        quantity,
+        selfTrade: selfTradeOutcome(buyOrder, sellOrder),
+      };
+    }
+  }
+}
+
+// ─── Call auction ──────────────────────────────────────────────────────────
+
+/**
+ * Equilibrium price of a call auction: the single price at which the most
+ * quantity would trade if every crossing order executed at it. Candidates
+ * are the LIMIT prices on the book; MARKET orders count at any price.
+ * Orders of one owner are never paired (see auctionPairs), so volume only
+ * that owner could take on the other side does not count.
+ * Ties are broken by, in turn:
+ *   1. the smallest surplus (unmatched quantity left on one side)
+ *   2. market pressure: the highest price when every tied candidate leaves
+ *      a buy surplus, the lowest when every one leaves a sell surplus
+ *   3. the price nearest referencePrice (typically the last trade)
+ *   4. the lowest price
+ *
+ * @param {Object[]} buyOrders
+ * @param {Object[]} sellOrders
+ * @param {Object} [options] - { referencePrice }
+ * @returns {{ price: number, volume: Decimal, buyVolume: Decimal, sellVolume: Decimal,
+ *   surplus: Decimal, surplusSide: 'BUY' | 'SELL' | null } | null}
+ *   null when nothing crosses
+ */
+function uncrossingPrice(buyOrders, sellOrders, options = {}) {
+  const live = (orders) => orders.filter(o => toDecimal(o.remaining).gt(0));
+  const buys = live(buyOrders);
+  const sells = live(sellOrders);
+  const prices = Array.from(new Set([...buys, ...sells]
+    .map(o => o.price)
+    .filter(p => p !== null && p !== undefined && p > 0)))
+    .sort((a, b) => a - b);
+
+  let best = [];
+  for (const price of prices) {
+    let buyVolume = new Decimal(0);
+    let sellVolume = new Decimal(0);
+    for (const o of buys) if (o.price === null || o.price >= price) buyVolume = buyVolume.plus(toDecimal(o.remaining));
+    for (const o of sells) if (o.price === null || o.price <= price) sellVolume = sellVolume.plus(toDecimal(o.remaining));
+    const volume = auctionVolume(
+      buys.filter(o => o.price === null || o.price >= price),
+      sells.filter(o => o.price === null || o.price <= price),
+    );
+    if (volume.lte(0)) continue;
+
+    const surplus = buyVolume.minus(sellVolume).abs();
+    const candidate = {
+      price,
+      volume,
+      buyVolume,
+      sellVolume,
+      surplus,
+      surplusSide: buyVolume.gt(sellVolume) ? 'BUY' : sellVolume.gt(buyVolume) ? 'SELL' : null,
+    };
+    const lead = best[0];
+    if (!lead || volume.gt(lead.volume) || (volume.eq(lead.volume) && surplus.lt(lead.surplus))) {
+      best = [candidate];
+    } else if (volume.eq(lead.volume) && surplus.eq(lead.surplus)) {
+      best.push(candidate);
+    }
+  }
+  if (best.length <= 1) return best[0] || null;
+
+  // best is in ascending price order
+  if (best.every(c => c.surplusSide === 'BUY')) return best[best.length - 1];
+  if (best.every(c => c.surplusSide === 'SELL')) return best[0];
+  const reference = options.referencePrice !== null && options.referencePrice !== undefined
+    ? Number(options.referencePrice)
+    : null;
+  if (reference === null || !Number.isFinite(reference)) return best[0];
+  return best.reduce((nearest, c) =>
+    (Math.abs(c.price - reference) < Math.abs(nearest.price - reference) ? c : nearest));
+}
+
+// Remaining quantity per owner
+function ownerTotals(orders, left) {
+  const totals = new Map();
+  for (const o of orders) {
+    totals.set(o.owner, (totals.get(o.owner) || new Decimal(0)).plus(left ? left.get(o) : toDecimal(o.remaining)));
+  }
+  return totals;
+}
+
+// How much of each owner's volume can go to other owners: for every owner,
+// the quantity on both sides that is not theirs (both sides must meet there).
+function ownerSlack(buys, sells, left = null) {
+  const buyTotals = ownerTotals(buys, left);
+  const sellTotals = ownerTotals(sells, left);
+  const sum = (totals) => [...totals.values()].reduce((a, b) => a.plus(b), new Decimal(0));
+  const buyVolume = sum(buyTotals);
+  const sellVolume = sum(sellTotals);
+  const slack = new Map();
+  for (const owner of new Set([...buyTotals.keys(), ...sellTotals.keys()])) {
+    slack.set(owner, buyVolume.minus(buyTotals.get(owner) || 0).plus(sellVolume.minus(sellTotals.get(owner) || 0)));
+  }
+  return { buyVolume, sellVolume, slack };
+}
+
+/**
+ * Most quantity that can trade between `buys` and `sells` when orders of
+ * one owner may not meet: the smaller side, unless one owner holds so much
+ * of the book that the others cannot take it all.
+ */
+function auctionVolume(buys, sells) {
+  const { buyVolume, sellVolume, slack } = ownerSlack(buys, sells);
+  let volume = Decimal.min(buyVolume, sellVolume);
+  for (const s of slack.values()) volume = Decimal.min(volume, s);
+  return volume;
+}
+
+/**
+ * Pair the crossing orders of an auction at its equilibrium price, in
+ * price-time priority, until `volume` is allocated. Both lists must
+ * already be sorted. Like crossingPairs, remaining quantities are re-read
+ * from the orders, so a caller filling in place can call again with the
+ * volume still to go. Hidden iceberg quantity takes part in full; post-only
+ * flags do not apply; same-owner orders are never paired.
+ *
+ * A pair is cut short when filling it in full would leave too little for
+ * the rest to reach `volume` (one owner's orders would be left with only
+ * their own on the other side), so the volume auctionVolume priced is the
+ * volume paired.
+ *
+ * Yields { buyOrder, sellOrder, price, quantity, selfTrade: null }.
+ */
+function* auctionPairs(buyOrders, sellOrders, price, volume) {
+  const buys = buyOrders.filter(o => o.price === null || o.price >= price);
+  const sells = sellOrders.filter(o => o.price === null || o.price <= price);
+  const left = new Map([...buys, ...sells].map(o => [o, toDecimal(o.remaining)]));
+  let toGo = toDecimal(volume);
+
+  let paired = true;
+  while (paired && toGo.gt(0)) {
+    paired = false;
+    for (const buyOrder of buys) {
+      for (const sellOrder of sells) {
+        if (toGo.lte(0)) return;
+        if (left.get(buyOrder).lte(0)) break;
+        if (left.get(sellOrder).lte(0) || buyOrder.owner === sellOrder.owner) continue;
+
+        // Every other owner's volume still has to meet the rest of the book
+        let quantity = Decimal.min(left.get(buyOrder), left.get(sellOrder), toGo);
+        for (const [owner, s] of ownerSlack(buys, sells, left).slack) {
+          if (owner !== buyOrder.owner && owner !== sellOrder.owner) quantity = Decimal.min(quantity, s.minus(toGo));
+        }
+        if (quantity.lte(0)) continue;
+
+        left.set(buyOrder, left.get(buyOrder).minus(quantity));
+        left.set(sellOrder, left.get(sellOrder).minus(quantity));
+        toGo = toGo.minus(quantity);
+        paired = true;
+        yield { buyOrder, sellOrder, price, quantity, selfTrade: null };
+      }
+    }
+  }
+}
+
+// ─── Event processing ──────────────────────────────────────────────────────
+
+function cloneOrder(order) {
+  return {
+    ...order,
+    price: order.price === null || order.price === undefined ? null : Number(order.price),
+    remaining: toDecimal(order.remaining !== undefined
+      ? order.remaining
+      : toDecimal(order.quantity).minus(toDecimal(order.filled))),
+    filled: toDecimal(order.filled),
+  };
+}
+
+/**
+ * Apply one event to the open orders of a pair and match to completion.
+ *
+ * Events:
+ *   { type: 'NEW',    timestamp, order }
+ *   { type: 'CANCEL', timestamp, orderId }
+ *   { type: 'TICK',   timestamp }           — time passes (GTD expiry)
+ *
+ * The event timestamp is the only clock; a NEW order without a timestamp
+ * takes the event's.
+ *
+ * @returns {{ fills: object[], mutations: object[], book: object[] }}
+ *   fills     — { buyOrderId, sellOrderId, takerOrderId, price, quantity }
+ *   mutations — { type: 'ADD' | 'FILL' | 'REMOVE' | 'EXPIRE' | 'DECREMENT' | 'REJECT' | 'REPLENISH', orderId, ... }
+ *   book      — open orders after the event, price-time sorted (bids then asks)
+ */
+function processEvent(openOrders, event) {
+  const now = new Date(event.timestamp).getTime();
+  const buyOrders = [];
+  const sellOrders = [];
+  const fills = [];
+  const mutations = [];
+
+  for (const order of openOrders.map(cloneOrder)) {
+    (isBuy(order) ? buyOrders : sellOrders).push(order);
+  }
+  const remove = (order) => {
+    const list = isBuy(order) ? buyOrders : sellOrders;
+    const idx = list.indexOf(order);
+    if (idx >= 0) list.splice(idx, 1);
+  };
+  const expire = (order, reason) => {
+    remove(order);
+    mutations.push({ type: 'EXPIRE', orderId: order.orderId, reason, remaining: order.remaining.toString() });
+    order.remaining = new Decimal(0);
+  };
+
+  let incoming = null;
+  if (event.type === 'NEW') {
+    incoming = cloneOrder({ timestamp: event.timestamp, ...event.order });
+    const opposite = isBuy(incoming) ? sellOrders : buyOrders;
+    if (incoming.postOnly && opposite.some(other => pricesCross(incoming, other))) {
+      mutations.push({ type: 'REJECT', orderId: incoming.orderId, reason: 'POST_ONLY_WOULD_TAKE' });
+      incoming = null;
+    } else {
+      (isBuy(incoming) ? buyOrders : sellOrders).push(incoming);
+      mutations.push({ type: 'ADD', orderId: incoming.orderId });
+    }
+  } else if (event.type === 'CANCEL') {
+    const order = [...buyOrders, ...sellOrders].find(o => o.orderId === event.orderId);
+    if (order) {
+      remove(order);
+      mutations.push({ type: 'REMOVE', orderId: order.orderId, reason: 'CANCELLED' });
+    }
+  } else if (event.type !== 'TICK') {
+    throw new Error(`Unknown matching event type: ${event.type}`);
+  }
+
+  for (const { order, reason } of preMatchExpiries(buyOrders, sellOrders, now)) expire(order, reason);
+  for (const order of postOnlyViolations(buyOrders, sellOrders)) expire(order, 'POST_ONLY_WOULD_TAKE');
+
+  // Iterate over snapshots: expiring an order removes it from the live lists.
+  // A refreshed iceberg peak re-queues behind its price level, so the walk
+  // restarts on the re-sorted book after each refresh.
+  let requeued = true;
+  while (requeued) {
+    requeued = false;
+    sortBook(buyOrders, sellOrders);
+    for (const pair of crossingPairs([...buyOrders], [...sellOrders])) {
+      const { buyOrder, sellOrder, price, quantity, selfTrade } = pair;
+      if (selfTrade) {
+        if (selfTrade.decrement) {
+          const { order, quantity: cut } = selfTrade.decrement;
+          order.remaining = order.remaining.minus(cut);
+          mutations.push({ type: 'DECREMENT', orderId: order.orderId, quantity: cut.toString(), reason: selfTrade.reason });
+        }
+        for (const order of selfTrade.cancel) expire(order, selfTrade.reason);
+        continue;
+      }
+
+      const taker = isTaker(buyOrder, sellOrder) ? buyOrder : sellOrder;
+      fills.push({
+        buyOrderId: buyOrder.orderId,
+        sellOrderId: sellOrder.orderId,
+        takerOrderId: taker.orderId,
+        price,
+        quantity: quantity.toString(),
+      });
+      for (const order of [buyOrder, sellOrder]) {
+        order.remaining = order.remaining.minus(quantity);
+        order.filled = order.filled.plus(quantity);
+        mutations.push({ type: 'FILL', orderId: order.orderId, quantity: quantity.toString(), remaining: order.remaining.toString() });
+        if (order.remaining.lte(0)) {
+          remove(order);
+          mutations.push({ type: 'REMOVE', orderId: order.orderId, reason: 'FILLED' });
+        } else if (consumePeak(order, quantity, event.timestamp)) {
+          mutations.push({ type: 'REPLENISH', orderId: order.orderId, displayed: order.displayRemaining.toString() });
+          requeued = true;
+        }
+      }
+      if (requeued) break;
+    }
+  }
+
+  if (incoming && incoming.remaining.gt(0)) {
+    if (incoming.timeInForce === 'IOC') expire(incoming, 'IOC_REMAINDER');
+    else if (hasSlippageLimit(incoming)) expire(incoming, 'SLIPPAGE_LIMIT');
+  }
+  // A FOK order never rests part-filled
+  for (const order of fokRemainders([...buyOrders, ...sellOrders])) expire(order, 'FOK_UNFILLABLE');
+
+  return { fills, mutations, book: [...buyOrders, ...sellOrders] };
+}
+
+/**
+ * End a call auction on the open orders of a pair: every crossing order
+ * executes at the single uncrossing price (see uncrossingPrice and
+ * auctionPairs). Taker/maker is still decided by arrival time.
+ *
+ * @param {Object[]} openOrders
+ * @param {Object} [options] - { referencePrice }
+ * @returns {{ auction: object|null, fills: object[], book: object[] }}
+ *   auction — uncrossingPrice's result (amounts as strings), null if nothing crosses
+ *   fills   — as processEvent's
+ *   book    — what is left open, price-time sorted (bids then asks)
+ */
+function uncross(openOrders, options = {}) {
+  const buyOrders = [];
+  const sellOrders = [];
+  for (const order of openOrders.map(cloneOrder)) {
+    (isBuy(order) ? buyOrders : sellOrders).push(order);
+  }
+  sortBook(buyOrders, sellOrders);
+
+  const auction = uncrossingPrice(buyOrders, sellOrders, options);
+  const fills = [];
+  if (auction) {
+    for (const { buyOrder, sellOrder, price, quantity } of auctionPairs(buyOrders, sellOrders, auction.price, auction.volume)) {
+      const taker = isTaker(buyOrder, sellOrder) ? buyOrder : sellOrder;
+      fills.push({
+        buyOrderId: buyOrder.orderId,
+        sellOrderId: sellOrder.orderId,
+        takerOrderId: taker.orderId,
+        price,
+        quantity: quantity.toString(),
+      });
+      for (const order of [buyOrder, sellOrder]) {
+        order.remaining = order.remaining.minus(quantity);
+        order.filled = order.filled.plus(quantity);
+      }
+    }
+  }
+
+  const open = (o) => o.remaining.gt(0);
+  return {
+    auction: auction && {
+      price: auction.price,
+      volume: auction.volume.toString(),
+      buyVolume: auction.buyVolume.toString(),
+      sellVolume: auction.sellVolume.toString(),
+      surplus: auction.surplus.toString(),
+      surplusSide: auction.surplusSide,
+    },
+    fills,
+    book: [...buyOrders.filter(open), ...sellOrders.filter(open)],
+  };
+}
+
+module.exports = {
+  STP_MODES,
+  compareBids,
+  compareAsks,
+  sortBook,
+  crossingPrice,
+  pricesCross,
+  isTaker,
+  fillableQuantity,
+  fokRemainders,
+  displayedQuantity,
+  consumePeak,
+  hasSlippageLimit,
+  sweepBook,
+  slippageLimit,
+  preMatchExpiries,
+  postOnlyViolations,
+  selfTradeOutcome,
+  tradeFees,
+  crossingPairs,
+  uncrossingPrice,
+  auctionPairs,
+  auctionVolume,
+  processEvent,
+  uncross,
+};
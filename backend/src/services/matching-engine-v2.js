@@ -8,7 +8,7 @@
  * 
  * Flow:
  * 1. Poll for open orders (OrderV3)
- * 2. Find crossing orders (buy.price >= sell.price)
+ * 2. Find crossing orders (buy.price >= sell.price) — rules from matching-core.js
  * 3. Create SettlementInstruction with both locked holdings
  * 4. Execute Settlement_Execute choice for atomic DvP
  * 5. Both parties receive their tokens atomically
@@ -20,6 +20,7 @@ const { getSettlementService } = require('./settlementService');
 const config = require('../config');
 const { getTokenStandardTemplateIds, TRADING_PAIRS } = require('../config/constants');
 const tokenProvider = require('./tokenProvider');
+const matchingCore = require('./matching-core');
 
 // Helper to get canton service instance
 const getCantonService = () => cantonService;
@@ -27,6 +28,19 @@ const getCantonService = () => cantonService;
 // Template IDs - Use centralized constants (single source of truth)
 const getTemplateIds = () => getTokenStandardTemplateIds();
 
+/**
+ * OrderV3 rows use side 'Buy'/'Sell' and type 'Market'/'Limit'; the matching
+ * core expects orderType 'BUY'/'SELL' with a null price for MARKET.
+ */
+function toCoreOrder(order) {
+  return {
+    ...order,
+    orderType: order.side === 'Buy' ? 'BUY' : 'SELL',
+    price: order.type === 'Market' ? null : order.price,
+    timestamp: order.createdAt,
+  };
+}
+
 class MatchingEngineV2 {
   constructor() {
     this.cantonService = null;
@@ -114,40 +128,20 @@ class MatchingEngineV2 {
       return; // Need at least 2 orders to match
     }
 
-    // Separate and sort
-    const buyOrders = orders
-      .filter(o => o.side === 'Buy')
-      .sort((a, b) => {
-        // Market orders first, then by price descending
-        if (a.type === 'Market' && b.type !== 'Market') return -1;
-        if (b.type === 'Market' && a.type !== 'Market') return 1;
-        return b.price - a.price;
-      });
-
-    const sellOrders = orders
-      .filter(o => o.side === 'Sell')
-      .sort((a, b) => {
-        // Market orders first, then by price ascending
-        if (a.type === 'Market' && b.type !== 'Market') return -1;
-        if (b.type === 'Market' && a.type !== 'Market') return 1;
-        return a.price - b.price;
-      });
+    // Separate and sort (price-time priority, MARKET first)
+    const { buyOrders, sellOrders } = matchingCore.sortBook(
+      orders.filter(o => o.side === 'Buy').map(toCoreOrder),
+      orders.filter(o => o.side === 'Sell').map(toCoreOrder)
+    );
 
     // Find and execute matches
-    for (const buyOrder of buyOrders) {
-      for (const sellOrder of sellOrders) {
-        // Check if orders can match
-        const canMatch = this.canMatch(buyOrder, sellOrder);
-        
-        if (canMatch) {
-          try {
-            await this.executeMatch(buyOrder, sellOrder, tradingPair, adminToken);
-            // After a match, break to re-fetch orders (they may have changed)
-            return;
-          } catch (error) {
-            console.error(`[MatchingEngineV2] Match execution failed:`, error.message);
-          }
-        }
+    for (const { buyOrder, sellOrder, price } of matchingCore.crossingPairs(buyOrders, sellOrders)) {
+      try {
+        await this.executeMatch(buyOrder, sellOrder, tradingPair, adminToken, price);
+        // After a match, break to re-fetch orders (they may have changed)
+        return;
+      } catch (error) {
+        console.error(`[MatchingEngineV2] Match execution failed:`, error.message);
       }
     }
   }
@@ -156,32 +150,21 @@ class MatchingEngineV2 {
    * Check if two orders can match
    */
   canMatch(buyOrder, sellOrder) {
-    // No self-trade
-    // if (buyOrder.owner === sellOrder.owner) return false;
-
-    // Both orders must be open
     if (buyOrder.remaining <= 0 || sellOrder.remaining <= 0) {
       return false;
     }
-
-    // Market orders always match
-    if (buyOrder.type === 'Market' || sellOrder.type === 'Market') {
-      return true;
-    }
-
-    // Limit orders: buy price must be >= sell price
-    return buyOrder.price >= sellOrder.price;
+    return matchingCore.crossingPrice(toCoreOrder(buyOrder), toCoreOrder(sellOrder)) !== null;
   }
 
   /**
    * Execute a match between two orders
    */
-  async executeMatch(buyOrder, sellOrder, tradingPair, adminToken) {
+  async executeMatch(buyOrder, sellOrder, tradingPair, adminToken, matchPrice = null) {
     // Determine fill quantity (minimum of both remaining)
     const fillQuantity = Math.min(buyOrder.remaining, sellOrder.remaining);
     
     // Determine fill price (maker price - the sell order's price)
-    const fillPrice = sellOrder.type === 'Market' ? buyOrder.price : sellOrder.price;
+    const fillPrice = matchPrice ?? matchingCore.crossingPrice(toCoreOrder(buyOrder), toCoreOrder(sellOrder));
     
     console.log(`[MatchingEngineV2] Matching: ${tradingPair}`);
     console.log(`  Buy: ${buyOrder.remaining} @ ${buyOrder.price || 'MARKET'} (${buyOrder.owner.substring(0, 20)}...)`);
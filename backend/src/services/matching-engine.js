@@ -7,14 +7,19 @@
  * Settlement Flow (provider-signed settlement):
  * 1. Poll Canton for OPEN Order contracts via WebSocket streaming read model
  * 2. Separate into buys/sells per trading pair
- * 3. Sort by price-time priority (FIFO)
- * 4. Find crossing orders (buy price >= sell price)
+ * 3. Sort by price-time priority (FIFO)           — matching-core.js
+ * 4. Find crossing orders (buy price >= sell price) — matching-core.js
  * 5. For each match:
  *    a. Resolve seller/buyer ExchangeAllocation contracts
  *    b. Exercise Execute_DvP on seller EA (counterparty = buyer EA)
  *    c. FillOrder on both Canton contracts
  *    d. Create Trade record, trigger stop-loss, broadcast via WebSocket
  *
+ * Markets in a call auction (AUCTION) are not matched continuously: each
+ * cycle publishes their indicative uncrossing price on auction:<pair>, and
+ * once the auction ends every crossing order is filled at the one
+ * uncrossing price, through the same settlement path (processAuctionForPair).
+ *
  * Order placement: self-allocation (sender=receiver=user)
  * Settlement: provider/operator signs server-side using its own party only
  * Token flow: user-to-user ONLY — operator NEVER holds tokens
@@ -29,6 +34,11 @@ const config = require('../config');
 const tokenProvider = require('./tokenProvider');
 const { getCantonSDKClient } = require('./canton-sdk-client');
 const { getTokenSystemType } = require('../config/canton-sdk.config');
+const matchingCore = require('./matching-core');
+const { getMarketRegistry } = require('./marketRegistryService');
+const { getFeeTierService } = require('./feeTierService');
+const { getOrderBookFeed } = require('./orderBookFeedService');
+const { getExecutionReportService } = require('./executionReportService');
 
 // Configure decimal.js for financial precision
 Decimal.set({ precision: 20, rounding: Decimal.ROUND_DOWN });
@@ -43,6 +53,10 @@ function sleep(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
+// ExpireOrder reasons that are the order's own time-in-force running out.
+// Any other reason (STP, OCO sibling, cancel-on-disconnect) is the venue cancelling it.
+const EXPIRY_REASONS = new Set(['GTD_EXPIRED', 'FOK_UNFILLABLE', 'IOC_REMAINDER', 'SLIPPAGE_LIMIT', 'POST_ONLY_WOULD_TAKE']);
+
 class MatchingEngine {
   constructor() {
     this.isRunning = false;
@@ -52,7 +66,6 @@ class MatchingEngine {
     this.matchingStartTime = 0;
     this.adminToken = null;
     this.tokenExpiry = null;
-    this.tradingPairs = ['BTC/USDT', 'ETH/USDT', 'SOL/USDT', 'CC/CBTC'];
 
     // ═══ Log throttling ═══
     this._lastLogState = {};
@@ -106,6 +119,19 @@ class MatchingEngine {
     // shows them.  Entries expire after 60s (more than enough for Canton to propagate).
     this._settledOrderIds = new Map(); // orderId → timestamp
     this._SETTLED_ORDER_TTL = 60000;
+
+    // ═══ Call auctions ═══
+    this._auctionSnapshots = new Map(); // tradingPair → last published indicative key
+    this._auctionAttempts = new Map();  // tradingPair → uncross attempts that left volume unfilled
+    this._MAX_UNCROSS_ATTEMPTS = 3;
+  }
+
+  /**
+   * Pairs to match, read from the market registry on every access so that
+   * listings, halts and delistings take effect on the next cycle.
+   */
+  get tradingPairs() {
+    return getMarketRegistry().getMatchablePairs();
   }
 
   async getAdminToken() {
@@ -162,6 +188,14 @@ class MatchingEngine {
       this._reconcileZombieOrders();
     }, 5 * 60 * 1000); // 5 minutes
 
+    // Subscribers to auction:<pair> get the current indicative price at once
+    try {
+      const { registerSubscriptionHandler } = require('./websocketService');
+      registerSubscriptionHandler('auction:', (channel) =>
+        this.getAuctionSnapshot(channel.slice('auction:'.length))
+      );
+    } catch (_) { /* websocket service not loaded */ }
+
     this.matchLoop();
   }
 
@@ -376,6 +410,419 @@ class MatchingEngine {
     END OF DISABLED CODE */
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TIME-IN-FORCE
+  //   GTC — rests until filled or cancelled by the owner (default)
+  //   IOC — fills what it can on arrival; the remainder is expired
+  //   FOK — expired untouched unless it can be filled in full on arrival
+  //   GTD — rests like GTC until expiresAt, then expired
+  // Expiry uses the operator-controlled Order.ExpireOrder choice together with
+  // Operator_Cancel_Settlement on the ExchangeAllocation, so no user signature
+  // is needed.
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Remove GTD orders past their expiry and FOK orders that cannot be filled
+   * in full from the candidate lists (mutated in place) and expire them on-ledger.
+   */
+  async _applyPreMatchTimeInForce(buyOrders, sellOrders, token) {
+    // FOK is decided once, before the first fill. A FOK order with fills
+    // passed this check and is expired at the end of that cycle instead.
+    const toExpire = matchingCore.preMatchExpiries(buyOrders, sellOrders, Date.now());
+    if (toExpire.length === 0) return;
+
+    const expiring = new Set(toExpire.map(e => e.order));
+    for (const { order, reason } of toExpire) {
+      if (reason === 'FOK_UNFILLABLE') {
+        console.log(`[MatchingEngine] ⛔ FOK ${order.orderId}: not enough crossing liquidity for ${order.remainingDecimal.toString()} — expiring`);
+      }
+    }
+
+    for (const list of [buyOrders, sellOrders]) {
+      for (let i = list.length - 1; i >= 0; i--) {
+        if (expiring.has(list[i])) list.splice(i, 1);
+      }
+    }
+    for (const { order, reason } of toExpire) {
+      await this._expireOrder(order, reason, token);
+    }
+  }
+
+  /**
+   * Expire the unfilled remainder of every IOC order in `orders`. MARKET
+   * orders placed with a slippage cap behave the same way: once nothing
+   * crosses inside their limit, the rest of the sweep is abandoned. A FOK
+   * order that has traded never rests part-filled either.
+   */
+  async _expireImmediateOrCancelRemainders(orders, token) {
+    for (const order of orders) {
+      if (order.remaining <= 0) continue;
+      if (order.timeInForce === 'IOC') {
+        await this._expireOrder(order, 'IOC_REMAINDER', token);
+      } else if (this._isFokRemainder(order)) {
+        console.log(`[MatchingEngine] ⛔ FOK ${order.orderId}: ${order.remainingDecimal.toString()} left unfilled — expiring`);
+        await this._expireOrder(order, 'FOK_UNFILLABLE', token);
+      } else if (matchingCore.hasSlippageLimit(order)) {
+        await this._expireOrder(order, 'SLIPPAGE_LIMIT', token);
+      }
+    }
+  }
+
+  /**
+   * A FOK order with fills (this cycle or an earlier one) and a remainder.
+   */
+  _isFokRemainder(order) {
+    return order.timeInForce === 'FOK' &&
+      order.remainingDecimal.gt(0) &&
+      new Decimal(order.quantity).gt(order.remainingDecimal);
+  }
+
+  /**
+   * Expire post-only orders that cross an older resting order on the other
+   * side. Placement already rejects crossing post-only orders, so this only
+   * catches the race where the book moved between prepare and execute.
+   */
+  async _applyPostOnly(buyOrders, sellOrders, token) {
+    const toExpire = matchingCore.postOnlyViolations(buyOrders, sellOrders);
+    if (toExpire.length === 0) return;
+
+    for (const list of [buyOrders, sellOrders]) {
+      for (let i = list.length - 1; i >= 0; i--) {
+        if (toExpire.includes(list[i])) list.splice(i, 1);
+      }
+    }
+    for (const order of toExpire) {
+      console.log(`[MatchingEngine] ⛔ Post-only ${order.orderId} @ ${order.price} would take liquidity — expiring`);
+      await this._expireOrder(order, 'POST_ONLY_WOULD_TAKE', token);
+    }
+  }
+
+  /**
+   * Expire an OPEN order on behalf of the venue: ExpireOrder on the Order and
+   * Operator_Cancel_Settlement on its ExchangeAllocation in one operator
+   * transaction, then unlock funds and drop the order from the book.
+   */
+  async _expireOrder(order, reason, token) {
+    const packageId = config.canton.packageIds?.clobExchange;
+    const operatorPartyId = config.canton.operatorPartyId;
+    const synchronizerId = config.canton.synchronizerId;
+    const streaming = this._getStreamingModel();
+
+    const { live, contractId, filledThisCycle } = this._resolveLiveOrder(order);
+    if (!live && filledThisCycle) {
+      // Filled this cycle and the replacement contract has not streamed in yet —
+      // the next cycle sees it and expires it then.
+      return false;
+    }
+
+    const eaCid = await this._findExchangeAllocationByACS(
+      operatorPartyId, order.owner, order.orderId, order.orderType, token
+    );
+
+    const commands = [{
+      ExerciseCommand: {
+        templateId: order.templateId || `${packageId}:Order:Order`,
+        contractId,
+        choice: 'ExpireOrder',
+        choiceArgument: { reason },
+      },
+    }];
+    if (eaCid) {
+      commands.push({
+        ExerciseCommand: {
+          templateId: `${packageId}:Settlement:ExchangeAllocation`,
+          contractId: eaCid,
+          choice: 'Operator_Cancel_Settlement',
+          choiceArgument: {},
+        },
+      });
+    }
+
+    try {
+      await cantonService.submitAndWaitForTransaction(token, {
+        commands: {
+          commandId: `expire-${order.orderId}`,
+          actAs:     [operatorPartyId],
+          readAs:    [operatorPartyId, order.owner],
+          domainId:  synchronizerId,
+          commands,
+        },
+      });
+    } catch (err) {
+      const msg = err.message || '';
+      if (msg.includes('CONTRACT_NOT_FOUND') || msg.includes('could not be found')) {
+        // Already filled or cancelled elsewhere — nothing left to expire.
+        if (streaming) streaming.evictOrder(contractId);
+        return false;
+      }
+      console.warn(`[MatchingEngine] ⚠️ ExpireOrder failed for ${order.orderId} (${reason}): ${msg.substring(0, 160)}`);
+      return false;
+    }
+
+    console.log(`[MatchingEngine] ⌛ Expired ${order.orderMode === 'MARKET' ? 'MARKET' : order.timeInForce} order ${order.orderId} (${reason}, remaining ${order.remainingDecimal.toString()})`);
+
+    const filledQuantity = new Decimal(order.quantity).minus(order.remainingDecimal);
+    order.remaining = 0;
+    order.remainingDecimal = new Decimal(0);
+    this._settledOrderIds.set(order.orderId, Date.now());
+    if (streaming) streaming.evictOrder(contractId);
+
+    // An untouched order still holds its original lock; partial fills already
+    // had the remainder returned by the settlement forwarding step.
+    const untouched = order.filled === 0 && !filledThisCycle;
+    if (untouched && order.allocationContractId && !this._archivedAllocationCids.has(order.allocationContractId)) {
+      try {
+        const [baseSymbol, quoteSymbol] = order.tradingPair.split('/');
+        const lockedSymbol = order.orderType === 'BUY' ? quoteSymbol : baseSymbol;
+        await getCantonSDKClient().cancelAllocation(order.allocationContractId, order.owner, operatorPartyId, lockedSymbol);
+      } catch (allocErr) {
+        console.warn(`[MatchingEngine] ⚠️ Allocation release after expiry failed for ${order.orderId}: ${allocErr.message}`);
+      }
+      this._archivedAllocationCids.add(order.allocationContractId);
+    }
+
+    try {
+      const { releaseReservation } = require('./order-service');
+      await releaseReservation(order.orderId);
+    } catch (_) { /* non-critical */ }
+
+    try {
+      const { getDb } = require('./db');
+      await getDb().order.updateMany({
+        where: { orderId: order.orderId },
+        data: { status: 'EXPIRED', cancelReason: reason },
+      });
+    } catch (dbErr) {
+      console.warn(`[MatchingEngine] ⚠️ Failed to persist EXPIRED status for ${order.orderId}: ${dbErr.message}`);
+    }
+
+    getOrderBookFeed().markDirty(order.tradingPair);
+    if (global.broadcastWebSocket) {
+      const ts = new Date().toISOString();
+      global.broadcastWebSocket(`orders:${order.owner}`, {
+        type: 'ORDER_EXPIRED',
+        orderId: order.orderId,
+        contractId,
+        timeInForce: order.timeInForce,
+        reason,
+        timestamp: ts,
+      });
+    }
+    await getExecutionReportService().record({
+      partyId: order.owner,
+      orderId: order.orderId,
+      tradingPair: order.tradingPair,
+      side: order.orderType,
+      eventType: EXPIRY_REASONS.has(reason) ? 'EXPIRED' : 'CANCELLED',
+      cumulativeQuantity: filledQuantity,
+      remainingQuantity: 0,
+      reason,
+    });
+
+    if (order.groupId) {
+      try {
+        const { getOrderGroupService } = require('./orderGroupService');
+        await getOrderGroupService().onOrderCancelled(order.orderId, {
+          groupId: order.groupId,
+          filled: filledQuantity.toString(),
+          reason,
+        });
+      } catch (grpErr) {
+        console.warn(`[MatchingEngine] ⚠️ Order group update after expiry failed for ${order.orderId}: ${grpErr.message}`);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Cancel a resting or not-yet-triggered order on the venue's authority,
+   * e.g. the sibling of an OCO leg that just filled or the orders of a
+   * lapsed cancel-on-disconnect switch. Goes through the same
+   * ExpireOrder path as IOC/STP, so the allocation and reservation are
+   * released too. Returns false if the order is not in the read model.
+   */
+  async cancelOrderForVenue(orderId, reason) {
+    const streaming = this._getStreamingModel();
+    const payload = streaming?.findOrderByOrderId(orderId);
+    if (!payload || !['OPEN', 'PENDING_TRIGGER'].includes(payload.status)) return false;
+
+    let allocationContractId = null;
+    try {
+      const { getAllocationContractIdForOrder } = require('./order-service');
+      allocationContractId = await getAllocationContractIdForOrder(orderId);
+    } catch (_) { /* best effort */ }
+
+    const quantity = parseFloat(payload.quantity) || 0;
+    const filled = parseFloat(payload.filled) || 0;
+    const remaining = new Decimal(quantity).minus(filled);
+    const order = {
+      contractId: payload.contractId,
+      orderId,
+      owner: payload.owner,
+      orderType: payload.orderType,
+      orderMode: payload.orderMode || 'LIMIT',
+      tradingPair: payload.tradingPair,
+      quantity,
+      filled,
+      remaining: remaining.toNumber(),
+      remainingDecimal: remaining,
+      templateId: payload.templateId,
+      allocationContractId,
+      timeInForce: String(payload.timeInForce || 'GTC').toUpperCase(),
+      decremented: payload.decremented ? parseFloat(payload.decremented) : 0,
+      groupId: payload.groupId || null,
+    };
+
+    const token = await this.getAdminToken();
+    return this._expireOrder(order, reason, token);
+  }
+
+  /**
+   * FillOrder and DecrementOrder replace the Order contract, so the contractId
+   * captured at the start of the cycle may already be archived. Look up the
+   * current contract by orderId in the streaming read model.
+   */
+  _resolveLiveOrder(order) {
+    const streaming = this._getStreamingModel();
+    const live = streaming
+      ? streaming.getOpenOrdersForPair(order.tradingPair).find(o => o.orderId === order.orderId)
+      : null;
+    const filledThisCycle = new Decimal(order.quantity).minus(order.filled).gt(order.remainingDecimal);
+    return { live, contractId: live?.contractId || order.contractId, filledThisCycle };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════
+  // SELF-TRADE PREVENTION
+  //
+  // Two crossing orders from the same owner never settle against each other
+  // when the taker (the newer order) carries an stpMode other than NONE:
+  //   CANCEL_NEWEST        — expire the taker, the resting order stays
+  //   CANCEL_OLDEST        — expire the resting order, the taker keeps matching
+  //   CANCEL_BOTH          — expire both
+  //   DECREMENT_AND_CANCEL — shrink the larger order by the smaller one's
+  //                          remaining quantity and expire the smaller one
+  // The decision itself lives in matchingCore.selfTradeOutcome; this section
+  // carries it out on-ledger.
+  // ═══════════════════════════════════════════════════════════════════════
+
+  async _preventSelfTrade(tradingPair, buyOrder, sellOrder, matchPrice, stp, token) {
+    const { mode, reason, taker, maker, quantity: overlap } = stp;
+
+    console.log(`[MatchingEngine] 🚫 Self-trade prevented (${mode}): ${taker.orderId} would take ${maker.orderId} for ${overlap.toString()} @ ${matchPrice}`);
+
+    const outcome = [];
+    if (stp.decrement && await this._decrementOrder(stp.decrement.order, stp.decrement.quantity, reason, token)) {
+      outcome.push(`decremented ${stp.decrement.order.orderId} by ${stp.decrement.quantity.toString()}`);
+    }
+    for (const order of stp.cancel) {
+      if (await this._expireOrder(order, reason, token)) outcome.push(`cancelled ${order.orderId}`);
+    }
+
+    if (outcome.length === 0) return;
+
+    try {
+      const { recordSelfTradePrevention } = require('./tradingAppSettlementService');
+      await recordSelfTradePrevention({
+        tradingPair,
+        ownerPartyId: taker.owner,
+        sellOrderId: sellOrder.orderId,
+        buyOrderId: buyOrder.orderId,
+        sellAllocCid: sellOrder.allocationContractId,
+        buyAllocCid: buyOrder.allocationContractId,
+        matchPrice,
+        matchQty: overlap.toFixed(10),
+        stpMode: mode,
+        cancelReason: outcome.join('; '),
+      });
+    } catch (recErr) {
+      console.warn(`[MatchingEngine] ⚠️ STP audit record failed: ${recErr.message}`);
+    }
+
+    if (global.broadcastWebSocket) {
+      global.broadcastWebSocket(`orders:${taker.owner}`, {
+        type: 'SELF_TRADE_PREVENTED',
+        tradingPair,
+        buyOrderId: buyOrder.orderId,
+        sellOrderId: sellOrder.orderId,
+        stpMode: mode,
+        outcome,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * Shrink an OPEN order by `quantity` via DecrementOrder. The order keeps its
+   * place in the book under a new contractId, which the next cycle picks up;
+   * for the rest of this cycle it is treated as exhausted.
+   */
+  async _decrementOrder(order, quantity, reason, token) {
+    const operatorPartyId = config.canton.operatorPartyId;
+    const synchronizerId = config.canton.synchronizerId;
+    const streaming = this._getStreamingModel();
+
+    const { live, contractId, filledThisCycle } = this._resolveLiveOrder(order);
+    if (!live && filledThisCycle) return false;
+
+    try {
+      await cantonService.submitAndWaitForTransaction(token, {
+        commands: {
+          commandId: `stp-decrement-${order.orderId}-${Date.now()}`,
+          actAs:     [operatorPartyId],
+          readAs:    [operatorPartyId, order.owner],
+          domainId:  synchronizerId,
+          commands: [{
+            ExerciseCommand: {
+              templateId: order.templateId || `${config.canton.packageIds?.clobExchange}:Order:Order`,
+              contractId,
+              choice: 'DecrementOrder',
+              choiceArgument: { decrementQuantity: quantity.toFixed(10), reason },
+            },
+          }],
+        },
+      });
+    } catch (err) {
+      const msg = err.message || '';
+      if (msg.includes('CONTRACT_NOT_FOUND') || msg.includes('could not be found')) {
+        if (streaming) streaming.evictOrder(contractId);
+      } else {
+        console.warn(`[MatchingEngine] ⚠️ DecrementOrder failed for ${order.orderId}: ${msg.substring(0, 160)}`);
+      }
+      return false;
+    }
+
+    console.log(`[MatchingEngine] ✂️ Decremented ${order.orderId} by ${quantity.toString()} (${reason})`);
+
+    order.remaining = 0;
+    order.remainingDecimal = new Decimal(0);
+    if (streaming) streaming.evictOrder(contractId);
+
+    // The reservation covers the locked asset: base for a SELL, quote for a BUY.
+    const releaseAmount = order.orderType === 'SELL'
+      ? quantity
+      : quantity.times(new Decimal(order.price || 0));
+    try {
+      const { releasePartialReservation } = require('./order-service');
+      await releasePartialReservation(order.orderId, releaseAmount.toFixed(10));
+    } catch (_) { /* non-critical */ }
+
+    try {
+      const { getDb } = require('./db');
+      await getDb().order.updateMany({
+        where: { orderId: order.orderId },
+        data: {
+          quantity: new Decimal(order.quantity).minus(quantity).toString(),
+          cancelReason: reason,
+        },
+      });
+    } catch (dbErr) {
+      console.warn(`[MatchingEngine] ⚠️ Failed to persist decrement for ${order.orderId}: ${dbErr.message}`);
+    }
+
+    getOrderBookFeed().markDirty(order.tradingPair);
+    return true;
+  }
+
   async runMatchingCycle() {
     // ═══ CIRCUIT BREAKER — protect participant from spam ═══
     if (Date.now() < this._circuitBreakerUntil) {
@@ -434,13 +881,24 @@ class MatchingEngine {
 
       let matchFoundThisCycle = false;
 
+      await getMarketRegistry().ensureFresh();
       for (const pair of this.tradingPairs) {
         const hadMatch = await this.processOrdersForPair(pair, token);
         if (hadMatch) matchFoundThisCycle = true;
       }
 
+      const auctions = this._auctionMarkets();
+      for (const market of auctions) {
+        if (await this.processAuctionForPair(market, token)) matchFoundThisCycle = true;
+      }
+
       if (matchFoundThisCycle) {
         this._onMatchExecuted();
+      } else if (auctions.length > 0) {
+        // Stay on the fast interval so indicative prices stay current and
+        // auctions end on time
+        this._consecutiveIdleCycles = 0;
+        this.pollingInterval = this.basePollingInterval;
       } else {
         this._onIdleCycle();
       }
@@ -468,145 +926,185 @@ class MatchingEngine {
   }
 
   /**
-   * @returns {boolean} true if a match was found and executed
+   * Open orders of a pair that can be settled, from the streaming read
+   * model, split by side. null when the stream is not ready yet or the
+   * pair has no open orders.
    */
-  async processOrdersForPair(tradingPair, token) {
-      const packageId = config.canton.packageIds?.clobExchange;
-      const operatorPartyId = config.canton.operatorPartyId;
-      
-    if (!packageId || !operatorPartyId) return false;
+  async _loadOrdersForPair(tradingPair) {
+    const packageId = config.canton.packageIds?.clobExchange;
 
-    try {
-      // WebSocket streaming read model is the only source of order data.
-      const streaming = this._getStreamingModel();
-      let rawOrders = null;
-      
-      if (streaming) {
-        // Instant lookup from WebSocket-synced read model.
-        rawOrders = streaming.getOpenOrdersForPair(tradingPair);
+    // WebSocket streaming read model is the only source of order data.
+    const streaming = this._getStreamingModel();
+    let rawOrders = null;
+    
+    if (streaming) {
+      // Instant lookup from WebSocket-synced read model.
+      rawOrders = streaming.getOpenOrdersForPair(tradingPair);
+    }
+
+    // No fallback to REST/patched registries.
+    // If streaming is unavailable or not bootstrapped yet, skip this cycle.
+    if (!streaming || !streaming.isReady()) return null;
+    
+    if (!rawOrders || rawOrders.length === 0) return null;
+
+    const buyOrders = [];
+    const sellOrders = [];
+
+    const now = Date.now();
+    const MAX_UTILITY_ALLOCATION_AGE_MS = 24 * 60 * 60 * 1000;
+    const MAX_SPLICE_ALLOCATION_AGE_MS = 15 * 60 * 1000;
+
+    for (const payload of rawOrders) {
+      if (payload.status !== 'OPEN') continue;
+      if (this.invalidSettlementContracts.has(payload.contractId)) continue;
+
+      // Pre-filter: evict orders whose allocations are guaranteed to be expired.
+      // BUY locks quote asset; SELL locks base asset.
+      const [baseAsset, quoteAsset] = String(payload.tradingPair || tradingPair || '').split('/');
+      const side = String(payload.orderType || '').toUpperCase();
+      const lockedAsset = side === 'BUY' ? quoteAsset : baseAsset;
+      const lockedAssetType = lockedAsset ? getTokenSystemType(lockedAsset) : null;
+      const maxAllocationAgeMs = lockedAssetType === 'splice'
+        ? MAX_SPLICE_ALLOCATION_AGE_MS
+        : MAX_UTILITY_ALLOCATION_AGE_MS;
+
+      const orderAge = payload.timestamp ? (now - new Date(payload.timestamp).getTime()) : Infinity;
+      if (orderAge > maxAllocationAgeMs) {
+        this._markInvalidSettlementOrder(
+          { contractId: payload.contractId, orderId: payload.orderId, owner: payload.owner },
+          `Allocation expired for ${lockedAsset || 'unknown'} (${Math.round(orderAge / 60000)}m)`
+        );
+        continue;
       }
 
-      // No fallback to REST/patched registries.
-      // If streaming is unavailable or not bootstrapped yet, skip this cycle.
-      if (!streaming || !streaming.isReady()) return false;
-      
-      if (!rawOrders || rawOrders.length === 0) return false;
-
-      const buyOrders = [];
-      const sellOrders = [];
-
-      const now = Date.now();
-      const MAX_UTILITY_ALLOCATION_AGE_MS = 24 * 60 * 60 * 1000;
-      const MAX_SPLICE_ALLOCATION_AGE_MS = 15 * 60 * 1000;
-
-      for (const payload of rawOrders) {
-        if (payload.status !== 'OPEN') continue;
-        if (this.invalidSettlementContracts.has(payload.contractId)) continue;
-
-        // Pre-filter: evict orders whose allocations are guaranteed to be expired.
-        // BUY locks quote asset; SELL locks base asset.
-        const [baseAsset, quoteAsset] = String(payload.tradingPair || tradingPair || '').split('/');
-        const side = String(payload.orderType || '').toUpperCase();
-        const lockedAsset = side === 'BUY' ? quoteAsset : baseAsset;
-        const lockedAssetType = lockedAsset ? getTokenSystemType(lockedAsset) : null;
-        const maxAllocationAgeMs = lockedAssetType === 'splice'
-          ? MAX_SPLICE_ALLOCATION_AGE_MS
-          : MAX_UTILITY_ALLOCATION_AGE_MS;
-
-        const orderAge = payload.timestamp ? (now - new Date(payload.timestamp).getTime()) : Infinity;
-        if (orderAge > maxAllocationAgeMs) {
-          this._markInvalidSettlementOrder(
-            { contractId: payload.contractId, orderId: payload.orderId, owner: payload.owner },
-            `Allocation expired for ${lockedAsset || 'unknown'} (${Math.round(orderAge / 60000)}m)`
-          );
-          continue;
+      const rawPrice = payload.price;
+      let parsedPrice = null;
+      if (rawPrice !== null && rawPrice !== undefined && rawPrice !== '') {
+        if (typeof rawPrice === 'object' && rawPrice.Some !== undefined) {
+          parsedPrice = parseFloat(rawPrice.Some);
+        } else {
+          parsedPrice = parseFloat(rawPrice);
         }
+        if (isNaN(parsedPrice)) parsedPrice = null;
+      }
 
-        const rawPrice = payload.price;
-        let parsedPrice = null;
-        if (rawPrice !== null && rawPrice !== undefined && rawPrice !== '') {
-          if (typeof rawPrice === 'object' && rawPrice.Some !== undefined) {
-            parsedPrice = parseFloat(rawPrice.Some);
-          } else {
-            parsedPrice = parseFloat(rawPrice);
-          }
-          if (isNaN(parsedPrice)) parsedPrice = null;
-        }
+      const qty = parseFloat(payload.quantity) || 0;
+      const filled = parseFloat(payload.filled) || 0;
+      const remaining = new Decimal(qty).minus(new Decimal(filled));
 
-        const qty = parseFloat(payload.quantity) || 0;
-        const filled = parseFloat(payload.filled) || 0;
-        const remaining = new Decimal(qty).minus(new Decimal(filled));
+      if (remaining.lte(0)) continue;
 
-        if (remaining.lte(0)) continue;
+      const contractTemplateId = payload.templateId || `${packageId}:Order:Order`;
+      const isNewPackage = contractTemplateId.startsWith(packageId);
 
-        const contractTemplateId = payload.templateId || `${packageId}:Order:Order`;
-        const isNewPackage = contractTemplateId.startsWith(packageId);
+      // Skip orders from old/incompatible packages.
+      if (!isNewPackage) {
+        continue;
+      }
 
-        // Skip orders from old/incompatible packages.
-        if (!isNewPackage) {
-          continue;
-        }
+      // Extract allocationCid (Token Standard allocation contract ID).
+      // '#0' is a relative reference from single-sign tx — NOT a real contract ID.
+      // Canton contract IDs always contain '::' (e.g. "00d4...::1220...").
+      // The Order DAML field is a Text placeholder (orderId like "order-123-abc"),
+      // so we require '::' to distinguish real CIDs from placeholder strings.
+      // Always prefer the DB-stored real CID (set at step-1 execution time).
+      let allocationCid = null;
+      if (payload.orderId) {
+        try {
+          const { getAllocationContractIdForOrder } = require('./order-service');
+          allocationCid = await getAllocationContractIdForOrder(payload.orderId);
+        } catch (_) { /* best effort */ }
+      }
+      if (!allocationCid) {
+        const rawAllocationCid = payload.allocationCid || '';
+        // Token Standard allocation CIDs are hex strings (no '::') — only Order/Party IDs have '::'
+        const isValidCid = rawAllocationCid
+          && rawAllocationCid !== 'FILL_ONLY'
+          && rawAllocationCid !== 'NONE'
+          && !rawAllocationCid.startsWith('#')
+          && rawAllocationCid.length >= 10;
+        if (isValidCid) allocationCid = rawAllocationCid;
+      }
+      if (!allocationCid) continue;
 
-        // Extract allocationCid (Token Standard allocation contract ID).
-        // '#0' is a relative reference from single-sign tx — NOT a real contract ID.
-        // Canton contract IDs always contain '::' (e.g. "00d4...::1220...").
-        // The Order DAML field is a Text placeholder (orderId like "order-123-abc"),
-        // so we require '::' to distinguish real CIDs from placeholder strings.
-        // Always prefer the DB-stored real CID (set at step-1 execution time).
-        let allocationCid = null;
-        if (payload.orderId) {
-          try {
-            const { getAllocationContractIdForOrder } = require('./order-service');
-            allocationCid = await getAllocationContractIdForOrder(payload.orderId);
-          } catch (_) { /* best effort */ }
-        }
-        if (!allocationCid) {
-          const rawAllocationCid = payload.allocationCid || '';
-          // Token Standard allocation CIDs are hex strings (no '::') — only Order/Party IDs have '::'
-          const isValidCid = rawAllocationCid
-            && rawAllocationCid !== 'FILL_ONLY'
-            && rawAllocationCid !== 'NONE'
-            && !rawAllocationCid.startsWith('#')
-            && rawAllocationCid.length >= 10;
-          if (isValidCid) allocationCid = rawAllocationCid;
-        }
-        if (!allocationCid) continue;
-
-        let allocationType = 'SpliceAllocation';
-        if (payload.orderId) {
-          try {
-            const { getAllocationTypeForOrder } = require('./order-service');
-            allocationType = await getAllocationTypeForOrder(payload.orderId);
-          } catch (_) { /* default */ }
-        }
-        
-        const order = {
-          contractId: payload.contractId,
-          orderId: payload.orderId,
-          owner: payload.owner,
-          orderType: payload.orderType,
-          orderMode: payload.orderMode || 'LIMIT',
-          price: parsedPrice,
-          quantity: qty,
-          filled: filled,
-          remaining: remaining.toNumber(),
-          remainingDecimal: remaining,
-          timestamp: payload.timestamp,
-          tradingPair: payload.tradingPair,
-          allocationContractId: allocationCid,
-          allocationType,
-          templateId: contractTemplateId,
-          isNewPackage: isNewPackage,
-        };
-        
-        if (payload.orderType === 'BUY') {
-          buyOrders.push(order);
-        } else if (payload.orderType === 'SELL') {
-          sellOrders.push(order);
-        }
+      let allocationType = 'SpliceAllocation';
+      if (payload.orderId) {
+        try {
+          const { getAllocationTypeForOrder } = require('./order-service');
+          allocationType = await getAllocationTypeForOrder(payload.orderId);
+        } catch (_) { /* default */ }
       }
       
-      if (buyOrders.length === 0 || sellOrders.length === 0) return false;
+      const order = {
+        contractId: payload.contractId,
+        orderId: payload.orderId,
+        owner: payload.owner,
+        orderType: payload.orderType,
+        orderMode: payload.orderMode || 'LIMIT',
+        price: parsedPrice,
+        quantity: qty,
+        filled: filled,
+        remaining: remaining.toNumber(),
+        remainingDecimal: remaining,
+        timestamp: payload.timestamp,
+        tradingPair: payload.tradingPair,
+        allocationContractId: allocationCid,
+        allocationType,
+        templateId: contractTemplateId,
+        isNewPackage: isNewPackage,
+        timeInForce: String(payload.timeInForce || 'GTC').toUpperCase(),
+        expiresAt: payload.expiresAt || null,
+        postOnly: payload.postOnly === true,
+        stpMode: String(payload.stpMode || 'NONE').toUpperCase(),
+        decremented: payload.decremented ? parseFloat(payload.decremented) : 0,
+        slippageLimitPrice: payload.slippageLimitPrice ? parseFloat(payload.slippageLimitPrice) : null,
+        groupId: payload.groupId || null,
+        displayQuantity: payload.displayQuantity ? parseFloat(payload.displayQuantity) : null,
+        displayRemaining: payload.displayRemaining ? parseFloat(payload.displayRemaining) : null,
+        displayRefreshedAt: payload.displayRefreshedAt || null,
+        lockPrice: payload.lockPrice ? parseFloat(payload.lockPrice) : null,
+      };
+      
+      if (payload.orderType === 'BUY') {
+        buyOrders.push(order);
+      } else if (payload.orderType === 'SELL') {
+        sellOrders.push(order);
+      }
+    }
+
+    return { buyOrders, sellOrders };
+  }
+
+  /**
+   * @returns {boolean} true if a match was found and executed
+   */
+  async processOrdersForPair(tradingPair, token) {
+      const packageId = config.canton.packageIds?.clobExchange;
+      const operatorPartyId = config.canton.operatorPartyId;
+      
+    if (!packageId || !operatorPartyId) return false;
+    // Halted and delisted markets keep their resting orders but never match
+    if (!getMarketRegistry().isMatchable(tradingPair)) return false;
+
+    try {
+      const book = await this._loadOrdersForPair(tradingPair);
+      if (!book) return false;
+      const { buyOrders, sellOrders } = book;
+
+      // ═══ TIME-IN-FORCE (pre-match): expire GTD orders past expiresAt and
+      // FOK orders the opposite side cannot fill in full ═══
+      await this._applyPreMatchTimeInForce(buyOrders, sellOrders, token);
+
+      // ═══ POST-ONLY: an order that reached the book marketable would be the
+      // taker against older resting liquidity — expire it instead ═══
+      await this._applyPostOnly(buyOrders, sellOrders, token);
+
+      if (buyOrders.length === 0 || sellOrders.length === 0) {
+        // Nothing to cross against — IOC and capped MARKET orders have had their chance.
+        await this._expireImmediateOrCancelRemainders([...buyOrders, ...sellOrders], token);
+        return false;
+      }
 
       // Throttled logging
       const stateKey = `${tradingPair}:${buyOrders.length}b:${sellOrders.length}s`;
@@ -619,21 +1117,7 @@ class MatchingEngine {
       }
 
       // Sort: buys by highest price first (MARKET first), sells by lowest price first (MARKET first)
-      buyOrders.sort((a, b) => {
-        if (a.price === null && b.price !== null) return -1;
-        if (a.price !== null && b.price === null) return 1;
-        if (a.price === null && b.price === null) return new Date(a.timestamp) - new Date(b.timestamp);
-        if (b.price !== a.price) return b.price - a.price;
-        return new Date(a.timestamp) - new Date(b.timestamp);
-      });
-
-      sellOrders.sort((a, b) => {
-        if (a.price === null && b.price !== null) return -1;
-        if (a.price !== null && b.price === null) return 1;
-        if (a.price === null && b.price === null) return new Date(a.timestamp) - new Date(b.timestamp);
-        if (a.price !== b.price) return a.price - b.price;
-        return new Date(a.timestamp) - new Date(b.timestamp);
-      });
+      matchingCore.sortBook(buyOrders, sellOrders);
 
       // ═══ BATCH EXECUTION: Execute multiple crossing matches per cycle ═══
       // Instead of returning after a single match, continue matching until no
@@ -643,18 +1127,32 @@ class MatchingEngine {
       let batchCount = 0;
       let anyMatched = false;
 
-      for (let i = 0; i < MAX_BATCH_SIZE; i++) {
+      // A FOK order that has started filling keeps the batch going past the
+      // limit: its remainder is expired at the end of this cycle.
+      let exhausted = false;
+      for (let i = 0; i < MAX_BATCH_SIZE || [...buyOrders, ...sellOrders].some(o => this._isFokRemainder(o)); i++) {
         const matched = await this.findAndExecuteOneMatch(tradingPair, buyOrders, sellOrders, token);
-        if (!matched) break;
+        if (!matched) {
+          exhausted = true;
+          break;
+        }
         anyMatched = true;
         batchCount++;
-        // After each match, remaining quantities are updated in-place by
-        // findAndExecuteOneMatch, so re-sorting is not needed — price-time
-        // priority is preserved and exhausted orders have remaining <= 0.
+        // Remaining quantities are updated in-place by findAndExecuteOneMatch.
+        // Re-sort so an iceberg whose peak was just refreshed queues behind
+        // the rest of its price level for the next match.
+        matchingCore.sortBook(buyOrders, sellOrders);
       }
       if (batchCount > 1) {
         console.log(`[MatchingEngine] ═══ Batch complete: ${batchCount} matches executed for ${tradingPair} ═══`);
       }
+
+      // IOC and capped MARKET remainders are cancelled once matching has run
+      // out of crossing liquidity. If the batch limit cut matching short, the
+      // next cycle continues filling them first.
+      if (exhausted) {
+        await this._expireImmediateOrCancelRemainders([...buyOrders, ...sellOrders], token);
+      }
       return anyMatched;
       
           } catch (error) {
@@ -668,6 +1166,161 @@ class MatchingEngine {
     }
   }
   
+  // ─── Call auctions ────────────────────────────────────────────────────
+
+  _auctionMarkets() {
+    return getMarketRegistry().listMarkets().filter(m => m.status === 'AUCTION');
+  }
+
+  _referencePrice(tradingPair) {
+    try {
+      const { getTickerService } = require('./tickerService');
+      return getTickerService().getLastPrice(tradingPair);
+    } catch (_) {
+      return null;
+    }
+  }
+
+  /**
+   * Run one cycle for a market in AUCTION: publish the indicative price
+   * while orders collect, and uncross once resumeAt has passed.
+   *
+   * @returns {boolean} true if auction fills were executed
+   */
+  async processAuctionForPair(market, token) {
+    if (!config.canton.packageIds?.clobExchange || !config.canton.operatorPartyId) return false;
+    const endsAt = market.resumeAt ? new Date(market.resumeAt).getTime() : null;
+    if (endsAt === null || endsAt > Date.now()) {
+      this._publishAuctionSnapshot(market);
+      return false;
+    }
+    try {
+      return await this._uncrossAuction(market, token);
+    } catch (error) {
+      if (error.message?.includes('401') || error.message?.includes('security-sensitive')) {
+        this.invalidateToken();
+      }
+      console.error(`[MatchingEngine] Auction uncross failed for ${market.symbol}:`, error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Indicative uncrossing price and volume of a market's auction, from the
+   * open orders in the streaming read model. null when the market is not
+   * in an auction.
+   */
+  getAuctionSnapshot(tradingPair) {
+    const market = getMarketRegistry().getMarket(tradingPair);
+    if (!market || market.status !== 'AUCTION') return null;
+
+    const buyOrders = [];
+    const sellOrders = [];
+    const streaming = this._getStreamingModel();
+    for (const payload of streaming?.getOpenOrdersForPair(tradingPair) || []) {
+      if (payload.status !== 'OPEN' || this.invalidSettlementContracts.has(payload.contractId)) continue;
+      const remaining = new Decimal(payload.quantity || 0).minus(new Decimal(payload.filled || 0));
+      if (remaining.lte(0)) continue;
+      const rawPrice = payload.price?.Some ?? payload.price;
+      const price = rawPrice === null || rawPrice === undefined || rawPrice === '' ? null : parseFloat(rawPrice);
+      const order = { owner: payload.owner, price: Number.isNaN(price) ? null : price, remaining };
+      if (payload.orderType === 'BUY') buyOrders.push(order);
+      else if (payload.orderType === 'SELL') sellOrders.push(order);
+    }
+
+    const indicative = matchingCore.uncrossingPrice(buyOrders, sellOrders, {
+      referencePrice: this._referencePrice(tradingPair),
+    });
+    return {
+      type: 'AUCTION_INDICATIVE',
+      tradingPair,
+      reason: market.statusReason,
+      endsAt: market.resumeAt,
+      opensAs: market.resumeStatus,
+      indicativePrice: indicative ? String(indicative.price) : null,
+      indicativeVolume: indicative ? indicative.volume.toString() : '0',
+      buyVolume: indicative ? indicative.buyVolume.toString() : '0',
+      sellVolume: indicative ? indicative.sellVolume.toString() : '0',
+      surplus: indicative ? indicative.surplus.toString() : '0',
+      surplusSide: indicative ? indicative.surplusSide : null,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  // Broadcast the indicative price when it (or the auction end) changed
+  _publishAuctionSnapshot(market) {
+    const snapshot = this.getAuctionSnapshot(market.symbol);
+    if (!snapshot) return;
+    const key = [snapshot.indicativePrice, snapshot.indicativeVolume, snapshot.surplus, snapshot.surplusSide, snapshot.endsAt].join('|');
+    if (this._auctionSnapshots.get(market.symbol) === key) return;
+    this._auctionSnapshots.set(market.symbol, key);
+    if (global.broadcastWebSocket) {
+      global.broadcastWebSocket(`auction:${market.symbol}`, snapshot);
+    }
+  }
+
+  /**
+   * End a market's auction: fill every crossing order at the single
+   * uncrossing price (matchingCore.uncrossingPrice / auctionPairs), one
+   * settlement per fill as in continuous matching, then open the market in
+   * its resumeStatus. If a settlement fails and volume is left, the next
+   * cycle uncrosses what remains; after _MAX_UNCROSS_ATTEMPTS the market
+   * opens anyway.
+   */
+  async _uncrossAuction(market, token) {
+    const tradingPair = market.symbol;
+    const book = await this._loadOrdersForPair(tradingPair);
+    // The stream is not ready yet: no uncross against an unknown book
+    if (!book && !this._getStreamingModel()) return false;
+    const { buyOrders, sellOrders } = book || { buyOrders: [], sellOrders: [] };
+
+    // GTD orders that ran out during the auction do not take part
+    await this._applyPreMatchTimeInForce(buyOrders, sellOrders, token);
+    matchingCore.sortBook(buyOrders, sellOrders);
+
+    const auction = matchingCore.uncrossingPrice(buyOrders, sellOrders, {
+      referencePrice: this._referencePrice(tradingPair),
+    });
+    let executed = new Decimal(0);
+    if (auction) {
+      console.log(`[MatchingEngine] 🔔 ${tradingPair}: auction uncrossing ${auction.volume.toString()} @ ${auction.price} (surplus ${auction.surplus.toString()} ${auction.surplusSide || '-'})`);
+      const startRemaining = new Map(buyOrders.map(o => [o, o.remainingDecimal]));
+      const maxFills = buyOrders.length + sellOrders.length;
+      for (let i = 0; i < maxFills; i++) {
+        const toGo = auction.volume.minus(executed);
+        if (toGo.lte(0)) break;
+        const matched = await this.findAndExecuteOneMatch(tradingPair, buyOrders, sellOrders, token,
+          matchingCore.auctionPairs(buyOrders, sellOrders, auction.price, toGo));
+        if (!matched) break;
+        executed = buyOrders.reduce((sum, o) => sum.plus(startRemaining.get(o).minus(o.remainingDecimal)), new Decimal(0));
+      }
+    }
+
+    const attempts = (this._auctionAttempts.get(tradingPair) || 0) + 1;
+    if (auction && executed.lt(auction.volume) && attempts < this._MAX_UNCROSS_ATTEMPTS) {
+      this._auctionAttempts.set(tradingPair, attempts);
+      console.warn(`[MatchingEngine] ⚠️ ${tradingPair}: auction filled ${executed.toString()} of ${auction.volume.toString()} — retrying the rest next cycle (${attempts}/${this._MAX_UNCROSS_ATTEMPTS})`);
+      return executed.gt(0);
+    }
+    this._auctionAttempts.delete(tradingPair);
+    this._auctionSnapshots.delete(tradingPair);
+
+    const opensAs = market.resumeStatus || 'ACTIVE';
+    if (global.broadcastWebSocket) {
+      global.broadcastWebSocket(`auction:${tradingPair}`, {
+        type: 'AUCTION_UNCROSSED',
+        tradingPair,
+        price: auction ? String(auction.price) : null,
+        volume: executed.toString(),
+        opensAs,
+        timestamp: new Date().toISOString(),
+      });
+    }
+    await getMarketRegistry().setTradingState(tradingPair, { status: opensAs });
+    console.log(`[MatchingEngine] 🔔 ${tradingPair}: auction over (${executed.toString()} traded${auction ? ` @ ${auction.price}` : ''}) — now ${opensAs}`);
+    return executed.gt(0);
+  }
+
   /**
    * Find ONE crossing match and execute it.
    * Only one per cycle because contract IDs change after exercise.
@@ -677,7 +1330,7 @@ class MatchingEngine {
    * - Execute seller's Allocation (exchange is executor — sends base to buyer)
    * - Both legs settled atomically by the exchange's own key
    */
-  async findAndExecuteOneMatch(tradingPair, buyOrders, sellOrders, token) {
+  async findAndExecuteOneMatch(tradingPair, buyOrders, sellOrders, token, candidates = null) {
     const now = Date.now();
 
     // Clear expired entries from recentlyMatchedOrders
@@ -693,303 +1346,298 @@ class MatchingEngine {
       }
     }
 
-    for (const buyOrder of buyOrders) {
-      for (const sellOrder of sellOrders) {
-        if (buyOrder.remaining <= 0 || sellOrder.remaining <= 0) continue;
+    // Crossing, maker pricing, post-only and STP decisions come from the core
+    // (or, for an auction, the uncrossing pairs the caller passes in);
+    // everything below is about whether this pair can be settled right now.
+    for (const candidate of candidates || matchingCore.crossingPairs(buyOrders, sellOrders)) {
+      const { buyOrder, sellOrder, price: matchPrice, quantity: matchableQty, selfTrade } = candidate;
 
-        // Self-trade: allowed — market handles it
-        // No blocking — same-owner orders can match normally
+      // Skip orders that were already settled (prevents post-FillOrder re-match race)
+      if (this._settledOrderIds.has(buyOrder.orderId) || this._settledOrderIds.has(sellOrder.orderId)) {
+        continue;
+      }
 
-        // Skip orders that were already settled (prevents post-FillOrder re-match race)
-        if (this._settledOrderIds.has(buyOrder.orderId) || this._settledOrderIds.has(sellOrder.orderId)) {
-          continue;
-        }
+      // Skip recently matched order pairs
+      const matchKey = `${buyOrder.contractId}::${sellOrder.contractId}`;
+      if (this.recentlyMatchedOrders.has(matchKey)) {
+        continue;
+      }
+      // Skip if another cycle is already settling this match (prevents SUBMISSION_ALREADY_IN_FLIGHT)
+      if (this._inFlightMatchKeys.has(matchKey)) {
+        continue;
+      }
+      
+      // Self-trade prevention: the taker's stpMode decides. NONE keeps the
+      // historical behaviour of letting same-owner orders match.
+      if (selfTrade) {
+        await this._preventSelfTrade(tradingPair, buyOrder, sellOrder, matchPrice, selfTrade, token);
+        continue;
+      }
 
-        // Skip recently matched order pairs
-        const matchKey = `${buyOrder.contractId}::${sellOrder.contractId}`;
-        if (this.recentlyMatchedOrders.has(matchKey)) {
-          continue;
-        }
-        // Skip if another cycle is already settling this match (prevents SUBMISSION_ALREADY_IN_FLIGHT)
-        if (this._inFlightMatchKeys.has(matchKey)) {
-          continue;
-        }
-        
-        // Check if orders cross
-        const buyPrice = buyOrder.price;
-        const sellPrice = sellOrder.price;
-        let canMatch = false;
-        let matchPrice = 0;
-
-        if (buyPrice !== null && sellPrice !== null) {
-          if (buyPrice >= sellPrice) {
-            canMatch = true;
-            matchPrice = sellPrice; // Maker-taker: use sell (maker) price
-          }
-        } else if (buyPrice === null && sellPrice !== null) {
-          canMatch = true;
-          matchPrice = sellPrice;
-        } else if (buyPrice !== null && sellPrice === null) {
-          canMatch = true;
-          matchPrice = buyPrice;
-        }
+      const buyPrice = buyOrder.price;
+      const sellPrice = sellOrder.price;
+      // matchableQty caps a resting iceberg at its displayed peak
+      const matchQty = Decimal.min(buyOrder.remainingDecimal, sellOrder.remainingDecimal, matchableQty);
+      const matchQtyStr = matchQty.toFixed(10);
+      const matchQtyNum = matchQty.toNumber();
 
-        if (!canMatch || matchPrice <= 0) continue;
+      console.log(`[MatchingEngine] ✅ MATCH FOUND: BUY ${buyPrice !== null ? buyPrice : 'MARKET'} x ${buyOrder.remaining} ↔ SELL ${sellPrice !== null ? sellPrice : 'MARKET'} x ${sellOrder.remaining}`);
+      console.log(`[MatchingEngine]    Fill: ${matchQtyStr} @ ${matchPrice} | Settlement: Allocation API (exchange as executor)`);
 
-        const matchQty = Decimal.min(buyOrder.remainingDecimal, sellOrder.remainingDecimal);
-        const matchQtyStr = matchQty.toFixed(10);
-        const matchQtyNum = matchQty.toNumber();
+      this.recentlyMatchedOrders.set(matchKey, Date.now());
+      this._inFlightMatchKeys.add(matchKey);
 
-        console.log(`[MatchingEngine] ✅ MATCH FOUND: BUY ${buyPrice !== null ? buyPrice : 'MARKET'} x ${buyOrder.remaining} ↔ SELL ${sellPrice !== null ? sellPrice : 'MARKET'} x ${sellOrder.remaining}`);
-        console.log(`[MatchingEngine]    Fill: ${matchQtyStr} @ ${matchPrice} | Settlement: Allocation API (exchange as executor)`);
+      // ═══ Pre-flight: Skip if either order's allocation is already known-archived ═══
+      if (buyOrder.allocationContractId && this._archivedAllocationCids.has(buyOrder.allocationContractId)) {
+        this._markInvalidSettlementOrder(buyOrder, 'Allocation archived (blacklisted)');
+        continue;
+      }
+      if (sellOrder.allocationContractId && this._archivedAllocationCids.has(sellOrder.allocationContractId)) {
+        this._markInvalidSettlementOrder(sellOrder, 'Allocation archived (blacklisted)');
+        continue;
+      }
 
-        this.recentlyMatchedOrders.set(matchKey, Date.now());
-        this._inFlightMatchKeys.add(matchKey);
+      // ═══ Strategy 3: Sanity Check — verify allocations still exist in live ACS ═══
+      // StreamingReadModel.allocations is populated via WebSocket from Canton.
+      // If an allocation CID is no longer in the live set, it was archived/consumed.
+      // This check fires BEFORE any registry API call, preventing 404 errors entirely.
+      {
+        const streamSnap = this._getStreamingModel();
+        if (streamSnap && streamSnap.allocations.size > 0) {
+          const buyAllocCid = buyOrder.allocationContractId;
+          const sellAllocCid = sellOrder.allocationContractId;
+          if (buyAllocCid && !streamSnap.allocations.has(buyAllocCid)) {
+            console.warn(`[MatchingEngine] 🔍 Pre-flight: BUY order allocation not in live ACS — likely archived. Quarantining.`);
+            this._archivedAllocationCids.add(buyAllocCid);
+            this._markInvalidSettlementOrder(buyOrder, 'Pre-flight: allocation not in live ACS');
+            this.recentlyMatchedOrders.delete(matchKey);
+            continue;
+          }
+          if (sellAllocCid && !streamSnap.allocations.has(sellAllocCid)) {
+            console.warn(`[MatchingEngine] 🔍 Pre-flight: SELL order allocation not in live ACS — likely archived. Quarantining.`);
+            this._archivedAllocationCids.add(sellAllocCid);
+            this._markInvalidSettlementOrder(sellOrder, 'Pre-flight: allocation not in live ACS');
+            this.recentlyMatchedOrders.delete(matchKey);
+            continue;
+          }
+        }
+      }
 
-        // ═══ Pre-flight: Skip if either order's allocation is already known-archived ═══
-        if (buyOrder.allocationContractId && this._archivedAllocationCids.has(buyOrder.allocationContractId)) {
-          this._markInvalidSettlementOrder(buyOrder, 'Allocation archived (blacklisted)');
-          continue;
+      try {
+        const buyRemainingAfter = buyOrder.remainingDecimal.minus(matchQty);
+        const sellRemainingAfter = sellOrder.remainingDecimal.minus(matchQty);
+        const buyFullySettled = buyRemainingAfter.lte(0);
+        const sellFullySettled = sellRemainingAfter.lte(0);
+
+        await this.executeMatch(tradingPair, buyOrder, sellOrder, matchQty, matchPrice, token);
+        console.log(`[MatchingEngine] ✅ Match executed successfully via Allocation API`);
+        // Only quarantine a side when it is fully filled.
+        // Partial fills must remain matchable in subsequent cycles.
+        if (buyFullySettled) {
+          this._settledOrderIds.set(buyOrder.orderId, Date.now());
+          if (buyOrder.allocationContractId) this._archivedAllocationCids.add(buyOrder.allocationContractId);
         }
-        if (sellOrder.allocationContractId && this._archivedAllocationCids.has(sellOrder.allocationContractId)) {
-          this._markInvalidSettlementOrder(sellOrder, 'Allocation archived (blacklisted)');
-          continue;
+        if (sellFullySettled) {
+          this._settledOrderIds.set(sellOrder.orderId, Date.now());
+          if (sellOrder.allocationContractId) this._archivedAllocationCids.add(sellOrder.allocationContractId);
         }
-
-        // ═══ Strategy 3: Sanity Check — verify allocations still exist in live ACS ═══
-        // StreamingReadModel.allocations is populated via WebSocket from Canton.
-        // If an allocation CID is no longer in the live set, it was archived/consumed.
-        // This check fires BEFORE any registry API call, preventing 404 errors entirely.
-        {
-          const streamSnap = this._getStreamingModel();
-          if (streamSnap && streamSnap.allocations.size > 0) {
-            const buyAllocCid = buyOrder.allocationContractId;
-            const sellAllocCid = sellOrder.allocationContractId;
-            if (buyAllocCid && !streamSnap.allocations.has(buyAllocCid)) {
-              console.warn(`[MatchingEngine] 🔍 Pre-flight: BUY order allocation not in live ACS — likely archived. Quarantining.`);
-              this._archivedAllocationCids.add(buyAllocCid);
-              this._markInvalidSettlementOrder(buyOrder, 'Pre-flight: allocation not in live ACS');
-              this.recentlyMatchedOrders.delete(matchKey);
-              continue;
-            }
-            if (sellAllocCid && !streamSnap.allocations.has(sellAllocCid)) {
-              console.warn(`[MatchingEngine] 🔍 Pre-flight: SELL order allocation not in live ACS — likely archived. Quarantining.`);
-              this._archivedAllocationCids.add(sellAllocCid);
-              this._markInvalidSettlementOrder(sellOrder, 'Pre-flight: allocation not in live ACS');
-              this.recentlyMatchedOrders.delete(matchKey);
-              continue;
-            }
+        // Reset circuit breaker on success
+        this._consecutiveSettlementFailures = 0;
+        // Update remaining quantities in-place for batch execution.
+        // After a match, reduce both orders' remaining so the batch loop
+        // can find the next crossing pair without re-querying Canton.
+        buyOrder.remaining = buyRemainingAfter.toNumber();
+        buyOrder.remainingDecimal = buyRemainingAfter;
+        sellOrder.remaining = sellRemainingAfter.toNumber();
+        sellOrder.remainingDecimal = sellRemainingAfter;
+        // Mirror FillOrder's iceberg bookkeeping so the rest of the batch
+        // sees the refreshed peak and its new priority
+        const refreshedAt = new Date().toISOString();
+        for (const order of [buyOrder, sellOrder]) {
+          if (order.remainingDecimal.gt(0) && matchingCore.consumePeak(order, matchQty, refreshedAt)) {
+            console.log(`[MatchingEngine] 🧊 Iceberg ${order.orderId}: peak refreshed (${order.displayRemaining.toString()} shown, ${order.remainingDecimal.toString()} left)`);
           }
         }
-
-        try {
-          const buyRemainingAfter = buyOrder.remainingDecimal.minus(matchQty);
-          const sellRemainingAfter = sellOrder.remainingDecimal.minus(matchQty);
-          const buyFullySettled = buyRemainingAfter.lte(0);
-          const sellFullySettled = sellRemainingAfter.lte(0);
-
-          await this.executeMatch(tradingPair, buyOrder, sellOrder, matchQty, matchPrice, token);
-          console.log(`[MatchingEngine] ✅ Match executed successfully via Allocation API`);
-          // Only quarantine a side when it is fully filled.
-          // Partial fills must remain matchable in subsequent cycles.
-          if (buyFullySettled) {
-            this._settledOrderIds.set(buyOrder.orderId, Date.now());
+        return true;
+      } catch (error) {
+        const fullErrBody = error.response?.data ? JSON.stringify(error.response.data).substring(0, 1500) : '';
+
+        // ═══ ALLOCATION NOT FOUND (HTTP 404) — PERMANENT, do NOT trip circuit breaker ═══
+        // `fetchAllocationExtraArgs` returns 404 when the allocation was already archived.
+        // Only quarantine the ORDER whose allocation CID appears in the error body.
+        // The OTHER side's allocation is fine — let it match with a different counterparty.
+        const isAllocationNotFound =
+          error.response?.status === 404 ||
+          (fullErrBody?.includes('not found') && fullErrBody?.includes('Allocation'));
+        if (isAllocationNotFound) {
+          console.warn(`[MatchingEngine] ⚠️ Allocation not found (HTTP 404) — stale allocationContractId. Quarantining orders and blacklisting CIDs.`);
+          if (fullErrBody) console.warn(`[MatchingEngine]    Registry response: ${fullErrBody}`);
+
+          // Determine which side's allocation CID appears in the 404 error body.
+          // Error body format: {"error":"Allocation (00abc...) not found"}
+          const failedCidMatch = fullErrBody?.match(/Allocation \(([0-9a-f]+)\)/i);
+          const failedCid = failedCidMatch?.[1];
+
+          const buyAllocFailed = failedCid
+            ? buyOrder.allocationContractId?.includes(failedCid)
+            : !!(buyOrder.allocationContractId); // fallback: blame buyer if can't parse
+          const sellAllocFailed = failedCid
+            ? sellOrder.allocationContractId?.includes(failedCid)
+            : false; // default: don't blame seller unless clearly identified
+
+          // If we can't identify either side from CID, quarantine both (safe fallback).
+          const quarantineBoth = !failedCid || (!buyAllocFailed && !sellAllocFailed);
+
+          const streaming = this._getStreamingModel();
+
+          if (quarantineBoth || buyAllocFailed) {
             if (buyOrder.allocationContractId) this._archivedAllocationCids.add(buyOrder.allocationContractId);
+            this._markInvalidSettlementOrder(buyOrder, 'Allocation not found (archived)');
+            if (streaming) streaming.evictOrder(buyOrder.contractId);
+            console.warn(`[MatchingEngine]    ↳ Quarantined BUYER order ${buyOrder.orderId}`);
           }
-          if (sellFullySettled) {
-            this._settledOrderIds.set(sellOrder.orderId, Date.now());
+          if (quarantineBoth || sellAllocFailed) {
             if (sellOrder.allocationContractId) this._archivedAllocationCids.add(sellOrder.allocationContractId);
+            this._markInvalidSettlementOrder(sellOrder, 'Allocation not found (archived)');
+            if (streaming) streaming.evictOrder(sellOrder.contractId);
+            console.warn(`[MatchingEngine]    ↳ Quarantined SELLER order ${sellOrder.orderId}`);
           }
-          // Reset circuit breaker on success
-          this._consecutiveSettlementFailures = 0;
-          // Update remaining quantities in-place for batch execution.
-          // After a match, reduce both orders' remaining so the batch loop
-          // can find the next crossing pair without re-querying Canton.
-          buyOrder.remaining = buyRemainingAfter.toNumber();
-          buyOrder.remainingDecimal = buyRemainingAfter;
-          sellOrder.remaining = sellRemainingAfter.toNumber();
-          sellOrder.remainingDecimal = sellRemainingAfter;
-          return true;
-        } catch (error) {
-          const fullErrBody = error.response?.data ? JSON.stringify(error.response.data).substring(0, 1500) : '';
-
-          // ═══ ALLOCATION NOT FOUND (HTTP 404) — PERMANENT, do NOT trip circuit breaker ═══
-          // `fetchAllocationExtraArgs` returns 404 when the allocation was already archived.
-          // Only quarantine the ORDER whose allocation CID appears in the error body.
-          // The OTHER side's allocation is fine — let it match with a different counterparty.
-          const isAllocationNotFound =
-            error.response?.status === 404 ||
-            (fullErrBody?.includes('not found') && fullErrBody?.includes('Allocation'));
-          if (isAllocationNotFound) {
-            console.warn(`[MatchingEngine] ⚠️ Allocation not found (HTTP 404) — stale allocationContractId. Quarantining orders and blacklisting CIDs.`);
-            if (fullErrBody) console.warn(`[MatchingEngine]    Registry response: ${fullErrBody}`);
-
-            // Determine which side's allocation CID appears in the 404 error body.
-            // Error body format: {"error":"Allocation (00abc...) not found"}
-            const failedCidMatch = fullErrBody?.match(/Allocation \(([0-9a-f]+)\)/i);
-            const failedCid = failedCidMatch?.[1];
-
-            const buyAllocFailed = failedCid
-              ? buyOrder.allocationContractId?.includes(failedCid)
-              : !!(buyOrder.allocationContractId); // fallback: blame buyer if can't parse
-            const sellAllocFailed = failedCid
-              ? sellOrder.allocationContractId?.includes(failedCid)
-              : false; // default: don't blame seller unless clearly identified
-
-            // If we can't identify either side from CID, quarantine both (safe fallback).
-            const quarantineBoth = !failedCid || (!buyAllocFailed && !sellAllocFailed);
-
-            const streaming = this._getStreamingModel();
-
-            if (quarantineBoth || buyAllocFailed) {
-              if (buyOrder.allocationContractId) this._archivedAllocationCids.add(buyOrder.allocationContractId);
-              this._markInvalidSettlementOrder(buyOrder, 'Allocation not found (archived)');
-              if (streaming) streaming.evictOrder(buyOrder.contractId);
-              console.warn(`[MatchingEngine]    ↳ Quarantined BUYER order ${buyOrder.orderId}`);
-            }
-            if (quarantineBoth || sellAllocFailed) {
-              if (sellOrder.allocationContractId) this._archivedAllocationCids.add(sellOrder.allocationContractId);
-              this._markInvalidSettlementOrder(sellOrder, 'Allocation not found (archived)');
-              if (streaming) streaming.evictOrder(sellOrder.contractId);
-              console.warn(`[MatchingEngine]    ↳ Quarantined SELLER order ${sellOrder.orderId}`);
-            }
 
-            this.recentlyMatchedOrders.delete(matchKey);
-            // Do NOT increment failure counter — this is stale data, not a Canton failure
-            continue;
-          }
-
-          this._consecutiveSettlementFailures++;
-          this._totalFailuresSinceStart++;
-          console.error(`[MatchingEngine] ❌ Match execution failed (${this._consecutiveSettlementFailures}/${this._CIRCUIT_BREAKER_THRESHOLD}):`, error.message?.substring(0, 200));
-          if (fullErrBody) console.error(`[MatchingEngine] ❌ Full error response: ${fullErrBody}`);
+          this.recentlyMatchedOrders.delete(matchKey);
+          // Do NOT increment failure counter — this is stale data, not a Canton failure
+          continue;
+        }
 
-          // ═══ CIRCUIT BREAKER: Too many consecutive failures → pause engine ═══
-          if (this._consecutiveSettlementFailures >= this._CIRCUIT_BREAKER_THRESHOLD) {
-            this._circuitBreakerUntil = Date.now() + this._CIRCUIT_BREAKER_PAUSE_MS;
-            console.error(`[MatchingEngine] 🛑 CIRCUIT BREAKER TRIPPED — ${this._consecutiveSettlementFailures} consecutive failures. Pausing for ${this._CIRCUIT_BREAKER_PAUSE_MS / 1000}s to protect participant node.`);
-            return false;
-          }
+        this._consecutiveSettlementFailures++;
+        this._totalFailuresSinceStart++;
+        console.error(`[MatchingEngine] ❌ Match execution failed (${this._consecutiveSettlementFailures}/${this._CIRCUIT_BREAKER_THRESHOLD}):`, error.message?.substring(0, 200));
+        if (fullErrBody) console.error(`[MatchingEngine] ❌ Full error response: ${fullErrBody}`);
 
-          // If auth/token expired, refresh immediately and allow instant retry
-          // instead of waiting for the 30s recentlyMatched cooldown.
-          if (error.message?.includes('401') || error.message?.includes('security-sensitive')) {
-            this.invalidateToken();
-            this.recentlyMatchedOrders.delete(matchKey);
-            console.warn('[MatchingEngine] 🔄 Invalidated admin token after auth failure; retrying on next cycle');
-          }
-          
-          // ═══ IMPORTANT: Check SPECIFIC allocation failures FIRST ═══
-          // Errors like BUYER_ALLOCATION_FAILED: STALE_ALLOCATION_LOCK_MISSING: CONTRACT_NOT_FOUND
-          // contain "CONTRACT_NOT_FOUND" in the message but should ONLY quarantine
-          // the affected order (buyer or seller), NOT both.
-          // The general CONTRACT_NOT_FOUND handler below quarantines BOTH orders,
-          // so these specific checks MUST come first.
-          const isBuyerAllocFailed = error.message?.includes('BUYER_ALLOCATION_FAILED');
-          const isSellerAllocFailed = error.message?.includes('SELLER_ALLOCATION_FAILED');
-          const isSpecificAllocFailure = isBuyerAllocFailed || isSellerAllocFailed;
-          const isStaleOrPermanent = error.message?.includes('STALE_ALLOCATION_LOCK_MISSING') ||
-              error.message?.includes('STALE_ALLOCATION_EXPIRED') ||
-              error.message?.includes('CANTON_EXTERNAL_PARTY_LIMITATION');
-
-          if (isSpecificAllocFailure || isStaleOrPermanent) {
-            if (isSellerAllocFailed) {
-              console.warn(`[MatchingEngine] 🚫 Seller allocation failed — quarantining SELL order only`);
-              this._markInvalidSettlementOrder(sellOrder, error.message?.substring(0, 120));
-              if (sellOrder.allocationContractId) this._archivedAllocationCids.add(sellOrder.allocationContractId);
-            } else if (isBuyerAllocFailed) {
-              console.warn(`[MatchingEngine] 🚫 Buyer allocation failed — quarantining BUY order only`);
-              this._markInvalidSettlementOrder(buyOrder, error.message?.substring(0, 120));
-              if (buyOrder.allocationContractId) this._archivedAllocationCids.add(buyOrder.allocationContractId);
-            } else {
-              // Generic STALE error without BUYER/SELLER prefix — quarantine both
-              console.warn(`[MatchingEngine] 🚫 Stale allocation — quarantining both orders`);
-              this._markInvalidSettlementOrder(buyOrder, error.message?.substring(0, 120));
-              this._markInvalidSettlementOrder(sellOrder, error.message?.substring(0, 120));
-              if (buyOrder.allocationContractId) this._archivedAllocationCids.add(buyOrder.allocationContractId);
-              if (sellOrder.allocationContractId) this._archivedAllocationCids.add(sellOrder.allocationContractId);
-            }
-            this.recentlyMatchedOrders.delete(matchKey);
-            continue;
-          }
+        // ═══ CIRCUIT BREAKER: Too many consecutive failures → pause engine ═══
+        if (this._consecutiveSettlementFailures >= this._CIRCUIT_BREAKER_THRESHOLD) {
+          this._circuitBreakerUntil = Date.now() + this._CIRCUIT_BREAKER_PAUSE_MS;
+          console.error(`[MatchingEngine] 🛑 CIRCUIT BREAKER TRIPPED — ${this._consecutiveSettlementFailures} consecutive failures. Pausing for ${this._CIRCUIT_BREAKER_PAUSE_MS / 1000}s to protect participant node.`);
+          return false;
+        }
 
-          // ═══ General CONTRACT_NOT_FOUND / already filled ═══
-          // This catches FillOrder failures and other contract-not-found errors
-          // that are NOT wrapped in BUYER/SELLER_ALLOCATION_FAILED.
-          if (error.message?.includes('already filled') || 
-              error.message?.includes('could not be found') ||
-              error.message?.includes('CONTRACT_NOT_FOUND') ||
-              error.message?.includes('INACTIVE_CONTRACTS') ||
-              error.message?.includes('LOCKED_CONTRACTS')) {
-            // Contract is archived on the ledger — evict from read model permanently
-            // AND blacklist the allocation CID to prevent future commands
-            const streaming = this._getStreamingModel();
-            if (streaming) {
-              streaming.evictOrder(buyOrder.contractId);
-              streaming.evictOrder(sellOrder.contractId);
-            }
-            // Blacklist allocation CIDs permanently
+        // If auth/token expired, refresh immediately and allow instant retry
+        // instead of waiting for the 30s recentlyMatched cooldown.
+        if (error.message?.includes('401') || error.message?.includes('security-sensitive')) {
+          this.invalidateToken();
+          this.recentlyMatchedOrders.delete(matchKey);
+          console.warn('[MatchingEngine] 🔄 Invalidated admin token after auth failure; retrying on next cycle');
+        }
+        
+        // ═══ IMPORTANT: Check SPECIFIC allocation failures FIRST ═══
+        // Errors like BUYER_ALLOCATION_FAILED: STALE_ALLOCATION_LOCK_MISSING: CONTRACT_NOT_FOUND
+        // contain "CONTRACT_NOT_FOUND" in the message but should ONLY quarantine
+        // the affected order (buyer or seller), NOT both.
+        // The general CONTRACT_NOT_FOUND handler below quarantines BOTH orders,
+        // so these specific checks MUST come first.
+        const isBuyerAllocFailed = error.message?.includes('BUYER_ALLOCATION_FAILED');
+        const isSellerAllocFailed = error.message?.includes('SELLER_ALLOCATION_FAILED');
+        const isSpecificAllocFailure = isBuyerAllocFailed || isSellerAllocFailed;
+        const isStaleOrPermanent = error.message?.includes('STALE_ALLOCATION_LOCK_MISSING') ||
+            error.message?.includes('STALE_ALLOCATION_EXPIRED') ||
+            error.message?.includes('CANTON_EXTERNAL_PARTY_LIMITATION');
+
+        if (isSpecificAllocFailure || isStaleOrPermanent) {
+          if (isSellerAllocFailed) {
+            console.warn(`[MatchingEngine] 🚫 Seller allocation failed — quarantining SELL order only`);
+            this._markInvalidSettlementOrder(sellOrder, error.message?.substring(0, 120));
+            if (sellOrder.allocationContractId) this._archivedAllocationCids.add(sellOrder.allocationContractId);
+          } else if (isBuyerAllocFailed) {
+            console.warn(`[MatchingEngine] 🚫 Buyer allocation failed — quarantining BUY order only`);
+            this._markInvalidSettlementOrder(buyOrder, error.message?.substring(0, 120));
+            if (buyOrder.allocationContractId) this._archivedAllocationCids.add(buyOrder.allocationContractId);
+          } else {
+            // Generic STALE error without BUYER/SELLER prefix — quarantine both
+            console.warn(`[MatchingEngine] 🚫 Stale allocation — quarantining both orders`);
+            this._markInvalidSettlementOrder(buyOrder, error.message?.substring(0, 120));
+            this._markInvalidSettlementOrder(sellOrder, error.message?.substring(0, 120));
             if (buyOrder.allocationContractId) this._archivedAllocationCids.add(buyOrder.allocationContractId);
             if (sellOrder.allocationContractId) this._archivedAllocationCids.add(sellOrder.allocationContractId);
-            this._markInvalidSettlementOrder(buyOrder, 'CONTRACT_NOT_FOUND — allocation archived');
-            this._markInvalidSettlementOrder(sellOrder, 'CONTRACT_NOT_FOUND — allocation archived');
-            this.recentlyMatchedOrders.delete(matchKey);
-            if (error.message?.includes('FillOrder failed')) {
-              break;
-            }
-            continue;
           }
+          this.recentlyMatchedOrders.delete(matchKey);
+          continue;
+        }
 
-          // ═══ Transient synchronizer errors ═══
-          // Quarantine the SPECIFIC order whose allocation failed (if identifiable),
-          // otherwise quarantine both to stop spam.
-          const isTransient = error.message?.includes('TRANSIENT_SYNCHRONIZER_ERROR') ||
-              error.message?.includes('NO_SYNCHRONIZER_ON_WHICH_ALL_SUBMITTERS_CAN_SUBMIT') ||
-              error.message?.includes('Not connected to a synchronizer') ||
-              error.message?.includes('cannot submit as the given submitter on any connected synchronizer');
-          if (isTransient) {
-            console.warn(`[MatchingEngine] ⏳ Transient synchronizer error — quarantining affected order(s)`);
-            this.recentlyMatchedOrders.delete(matchKey);
-            // Quarantine BOTH orders' allocations to prevent immediate re-submission
-            this._markInvalidSettlementOrder(buyOrder, 'Synchronizer error — quarantined');
-            this._markInvalidSettlementOrder(sellOrder, 'Synchronizer error — quarantined');
-            continue;
+        // ═══ General CONTRACT_NOT_FOUND / already filled ═══
+        // This catches FillOrder failures and other contract-not-found errors
+        // that are NOT wrapped in BUYER/SELLER_ALLOCATION_FAILED.
+        if (error.message?.includes('already filled') || 
+            error.message?.includes('could not be found') ||
+            error.message?.includes('CONTRACT_NOT_FOUND') ||
+            error.message?.includes('INACTIVE_CONTRACTS') ||
+            error.message?.includes('LOCKED_CONTRACTS')) {
+          // Contract is archived on the ledger — evict from read model permanently
+          // AND blacklist the allocation CID to prevent future commands
+          const streaming = this._getStreamingModel();
+          if (streaming) {
+            streaming.evictOrder(buyOrder.contractId);
+            streaming.evictOrder(sellOrder.contractId);
           }
-
-          // No token holdings found — token transfer may still be pending acceptance
-          // (e.g. faucet transfer not yet accepted). Do NOT quarantine the order —
-          // holdings will appear once the AutoAccept service processes the transfer.
-          if (error.message?.includes('holdings found') || error.message?.includes('No ') && error.message?.includes('holdings')) {
-            console.warn(`[MatchingEngine] ⚠️ No token holdings for party — transfer may still be pending. Skipping match, will retry next cycle.`);
-            this.recentlyMatchedOrders.delete(matchKey);
-            continue;
+          // Blacklist allocation CIDs permanently
+          if (buyOrder.allocationContractId) this._archivedAllocationCids.add(buyOrder.allocationContractId);
+          if (sellOrder.allocationContractId) this._archivedAllocationCids.add(sellOrder.allocationContractId);
+          this._markInvalidSettlementOrder(buyOrder, 'CONTRACT_NOT_FOUND — allocation archived');
+          this._markInvalidSettlementOrder(sellOrder, 'CONTRACT_NOT_FOUND — allocation archived');
+          this.recentlyMatchedOrders.delete(matchKey);
+          if (error.message?.includes('FillOrder failed')) {
+            break;
           }
+          continue;
+        }
 
-          // FAILED_TO_EXECUTE_TRANSACTION — Canton limitation with external parties.
-          // This is a PERMANENT protocol error (not transient). Quarantine both orders
-          // and DO NOT retry — it will never succeed with current architecture.
-          if (error.message?.includes('FAILED_TO_EXECUTE_TRANSACTION') ||
-              error.message?.includes('did not provide an external signature')) {
-            console.error(`[MatchingEngine] 🚫 Canton external party protocol limitation — quarantining orders (requires Propose-Accept redesign)`);
-            this._markInvalidSettlementOrder(buyOrder, 'Canton external party limitation');
-            this._markInvalidSettlementOrder(sellOrder, 'Canton external party limitation');
-            this.recentlyMatchedOrders.delete(matchKey);
-            continue;
-          }
+        // ═══ Transient synchronizer errors ═══
+        // Quarantine the SPECIFIC order whose allocation failed (if identifiable),
+        // otherwise quarantine both to stop spam.
+        const isTransient = error.message?.includes('TRANSIENT_SYNCHRONIZER_ERROR') ||
+            error.message?.includes('NO_SYNCHRONIZER_ON_WHICH_ALL_SUBMITTERS_CAN_SUBMIT') ||
+            error.message?.includes('Not connected to a synchronizer') ||
+            error.message?.includes('cannot submit as the given submitter on any connected synchronizer');
+        if (isTransient) {
+          console.warn(`[MatchingEngine] ⏳ Transient synchronizer error — quarantining affected order(s)`);
+          this.recentlyMatchedOrders.delete(matchKey);
+          // Quarantine BOTH orders' allocations to prevent immediate re-submission
+          this._markInvalidSettlementOrder(buyOrder, 'Synchronizer error — quarantined');
+          this._markInvalidSettlementOrder(sellOrder, 'Synchronizer error — quarantined');
+          continue;
+        }
 
-          // DAML_AUTHORIZATION_ERROR — permanent, quarantine
-          if (error.message?.includes('DAML_AUTHORIZATION_ERROR') || error.message?.includes('requires authorizers')) {
-            console.error(`[MatchingEngine] 🚫 DAML authorization error — quarantining orders`);
-            this._markInvalidSettlementOrder(buyOrder, 'DAML authorization error');
-            this._markInvalidSettlementOrder(sellOrder, 'DAML authorization error');
-            this.recentlyMatchedOrders.delete(matchKey);
-            continue;
-          }
-          
-          return false;
-        } finally {
-          this._inFlightMatchKeys.delete(matchKey);
+        // No token holdings found — token transfer may still be pending acceptance
+        // (e.g. faucet transfer not yet accepted). Do NOT quarantine the order —
+        // holdings will appear once the AutoAccept service processes the transfer.
+        if (error.message?.includes('holdings found') || error.message?.includes('No ') && error.message?.includes('holdings')) {
+          console.warn(`[MatchingEngine] ⚠️ No token holdings for party — transfer may still be pending. Skipping match, will retry next cycle.`);
+          this.recentlyMatchedOrders.delete(matchKey);
+          continue;
         }
+
+        // FAILED_TO_EXECUTE_TRANSACTION — Canton limitation with external parties.
+        // This is a PERMANENT protocol error (not transient). Quarantine both orders
+        // and DO NOT retry — it will never succeed with current architecture.
+        if (error.message?.includes('FAILED_TO_EXECUTE_TRANSACTION') ||
+            error.message?.includes('did not provide an external signature')) {
+          console.error(`[MatchingEngine] 🚫 Canton external party protocol limitation — quarantining orders (requires Propose-Accept redesign)`);
+          this._markInvalidSettlementOrder(buyOrder, 'Canton external party limitation');
+          this._markInvalidSettlementOrder(sellOrder, 'Canton external party limitation');
+          this.recentlyMatchedOrders.delete(matchKey);
+          continue;
+        }
+
+        // DAML_AUTHORIZATION_ERROR — permanent, quarantine
+        if (error.message?.includes('DAML_AUTHORIZATION_ERROR') || error.message?.includes('requires authorizers')) {
+          console.error(`[MatchingEngine] 🚫 DAML authorization error — quarantining orders`);
+          this._markInvalidSettlementOrder(buyOrder, 'DAML authorization error');
+          this._markInvalidSettlementOrder(sellOrder, 'DAML authorization error');
+          this.recentlyMatchedOrders.delete(matchKey);
+          continue;
+        }
+        
+        return false;
+      } finally {
+        this._inFlightMatchKeys.delete(matchKey);
       }
     }
 
@@ -1073,6 +1721,30 @@ class MatchingEngine {
     const buyIsPartial = new Decimal(buyOrder.remaining).gt(matchQty);
     const sellIsPartial = new Decimal(sellOrder.remaining).gt(matchQty);
 
+    // Maker/taker fees, each taken out of what that side receives: the buyer
+    // pays in base, the seller in quote; negative amounts are maker rebates.
+    // The maker's rate comes from the maker's volume tier, the taker's from
+    // the taker's (both fall back to the market's fees).
+    const market = getMarketRegistry().getMarket(tradingPair) || {};
+    const buyIsTaker = matchingCore.isTaker(buyOrder, sellOrder);
+    const [takerRates, makerRates] = await Promise.all([
+      getFeeTierService().ratesFor((buyIsTaker ? buyOrder : sellOrder).owner, market),
+      getFeeTierService().ratesFor((buyIsTaker ? sellOrder : buyOrder).owner, market),
+    ]);
+    const feeCollector = config.fees?.collectorPartyId || operatorPartyId;
+    const separateCollector = feeCollector !== operatorPartyId;
+    // Rebates are paid by a separate collector. Without one the admin routes
+    // refuse negative maker fees; a rate stored before that is charged as 0.
+    const makerFeeBps = separateCollector ? makerRates.makerFeeBps : Math.max(makerRates.makerFeeBps, 0);
+    const { takerSide, buyerFee, sellerFee } = matchingCore.tradeFees(
+      { buyOrder, sellOrder, quantity: matchQty, quoteAmount: quoteAmountStr },
+      { makerFeeBps, takerFeeBps: takerRates.takerFeeBps }
+    );
+    // What the operator forwards: what it received less the fee. Fees go on
+    // to a separate collector, and rebates come from it, in TX2 legs of their own.
+    const buyerDelivery = matchQty.minus(Decimal.max(buyerFee, 0));
+    const sellerDelivery = new Decimal(quoteAmountStr).minus(Decimal.max(sellerFee, 0));
+
     // ═══════════════════════════════════════════════════════════════════
     // ATOMIC DvP SETTLEMENT — Multi-Command Batch (Single Canton TX)
     //
@@ -1100,6 +1772,7 @@ class MatchingEngine {
     }
 
     const tradeId = `trade-${Date.now()}-${Math.random().toString(36).substring(2, 10)}`;
+    const tradeTimestamp = new Date().toISOString(); // Trade contract and TradeSettlement rows share it
     const sdkClient = getCantonSDKClient();
 
     // Settlement uses REGULAR submission — operator signs alone.
@@ -1249,7 +1922,11 @@ class MatchingEngine {
             price:       matchPrice.toString(),
             buyOrderId:  buyOrder.orderId,
             sellOrderId: sellOrder.orderId,
-            timestamp:   new Date().toISOString(),
+            timestamp:   tradeTimestamp,
+            buyerFee:    buyerFee.toFixed(10),
+            sellerFee:   sellerFee.toFixed(10),
+            feeCollector,
+            takerSide,
           },
         },
       },
@@ -1292,103 +1969,106 @@ class MatchingEngine {
     // This is the operator-as-receiver DvP pattern:
     //   TX1 (above): lock legs execute → user→operator
     //   TX2 (below): operator→buyer (base) + operator→seller (quote) [+ remainders]
+    //                [+ operator→fee collector, fee collector→rebated maker]
+    //
+    // An allocation needs a registry execute context keyed by its own contract
+    // id, so every TX2 leg is created first and then all of them are executed
+    // in ONE transaction: the fees settle together with the deliveries or not
+    // at all. When the operator is the collector it simply forwards net of fees.
     // ────────────────────────────────────────────────────────────────────────
     console.log(`[MatchingEngine]    ⟶ Forwarding: operator→counterparties (TX2 legs)...`);
+    // Reported with each side's fill: SETTLED once TX2 lands
+    let settlementStatus = 'SETTLED';
+    // Splice (CC) uses LockedAmulet with expiry — use a short settle window for operator legs
+    // so the new lock expires well before the LockedAmulet from the original order.
+    const operatorLegSettleMs = Number(process.env.OPERATOR_LEG_SETTLE_WINDOW_MS || 120000) || 120000;
+    const legOptions = (symbol) => (symbol === 'CC' ? { settleWindowMsOverride: operatorLegSettleMs } : {});
+
+    // Forward base (CC) to buyer and quote (CBTC) to seller, net of fees
+    const forwardLegs = [
+      { ref: 'fwd-base', sender: operatorPartyId, receiver: buyOrder.owner, amount: buyerDelivery, symbol: baseSymbol, what: `${baseSymbol} to buyer (fee ${buyerFee.toFixed(10)})` },
+      { ref: 'fwd-quote', sender: operatorPartyId, receiver: sellOrder.owner, amount: sellerDelivery, symbol: quoteSymbol, what: `${quoteSymbol} to seller (fee ${sellerFee.toFixed(10)})` },
+    ];
+
+    // Partial fill remainders ─────────────────────────────────────────────
+    // The full Splice allocation was consumed by Execute_LegSettlement.
+    // Any unmatched portion must be returned from the operator back to the user.
+    // Quantity cut by self-trade prevention is still inside the original
+    // allocation until its first fill consumes it.
+    const sellDecremented = sellOrder.filled === 0 ? new Decimal(sellOrder.decremented || 0) : new Decimal(0);
+    const buyDecremented = buyOrder.filled === 0 ? new Decimal(buyOrder.decremented || 0) : new Decimal(0);
+    if (sellIsPartial || sellDecremented.gt(0)) {
+      const remainderBase = new Decimal(sellOrder.remaining).plus(sellDecremented).minus(matchQty);
+      if (remainderBase.gt(0)) {
+        forwardLegs.push({ ref: 'rem-base', sender: operatorPartyId, receiver: sellOrder.owner, amount: remainderBase, symbol: baseSymbol, what: `${baseSymbol} remainder to seller` });
+      }
+    }
+    // A capped MARKET buy locked its quantity at the slippage limit, and an
+    // amended BUY at its pre-amend price, not at the fill price — the refund
+    // is measured against that lock.
+    let buyLockPrice = matchPrice;
+    if (matchingCore.hasSlippageLimit(buyOrder)) buyLockPrice = buyOrder.slippageLimitPrice;
+    else if (buyOrder.lockPrice && buyOrder.filled === 0) buyLockPrice = buyOrder.lockPrice;
+    if (buyIsPartial || buyDecremented.gt(0) || buyLockPrice !== matchPrice) {
+      const remainderQuote = new Decimal(buyOrder.remaining).plus(buyDecremented).times(new Decimal(buyLockPrice)).minus(quoteAmount);
+      if (remainderQuote.gt(0)) {
+        forwardLegs.push({ ref: 'rem-quote', sender: operatorPartyId, receiver: buyOrder.owner, amount: remainderQuote, symbol: quoteSymbol, what: `${quoteSymbol} remainder to buyer` });
+      }
+    }
+
+    // Fee legs: operator → fee collector, fee collector → rebated maker ────
+    if (separateCollector) {
+      for (const { fee, symbol, payee, ref } of [
+        { fee: buyerFee, symbol: baseSymbol, payee: buyOrder.owner, ref: 'fee-base' },
+        { fee: sellerFee, symbol: quoteSymbol, payee: sellOrder.owner, ref: 'fee-quote' },
+      ]) {
+        if (fee.isZero()) continue;
+        forwardLegs.push(fee.gt(0)
+          ? { ref, sender: operatorPartyId, receiver: feeCollector, amount: fee, symbol, what: `${symbol} fee to collector` }
+          : { ref, sender: feeCollector, receiver: payee, amount: fee.abs(), symbol, what: `${symbol} rebate from collector` });
+      }
+    }
+
     if (this._inFlightForwardingIds.has(tradeId)) {
       console.warn(`[MatchingEngine]    ⚠️ Forwarding already in-flight for ${tradeId} — skipping duplicate submission`);
+      settlementStatus = 'FORWARDING';
     } else {
     this._inFlightForwardingIds.add(tradeId);
     try {
-      // Splice (CC) uses LockedAmulet with expiry — use a short settle window for operator legs
-      // so the new lock expires well before the LockedAmulet from the original order.
-      const operatorLegSettleMs = Number(process.env.OPERATOR_LEG_SETTLE_WINDOW_MS || 120000) || 120000;
-      const baseIsSplice = baseSymbol === 'CC';  // Only CC is Splice/Amulet; others are Utility
-
-      // Forward base (CC) to buyer ─────────────────────────────────────────
-      console.log(`[MatchingEngine]    ⟶ operator → buyer: ${matchQtyStr} ${baseSymbol}`);
-      const ccFwdAlloc = await sdkClient.createAllocation(
-        operatorPartyId, buyOrder.owner, matchQtyStr, baseSymbol,
-        operatorPartyId, `${tradeId}-fwd-base`,
-        baseIsSplice ? { settleWindowMsOverride: operatorLegSettleMs } : {}
-      );
-      if (ccFwdAlloc?.allocationContractId) {
-        await sdkClient.tryRealAllocationExecution(
-          ccFwdAlloc.allocationContractId, operatorPartyId, baseSymbol,
-          operatorPartyId, buyOrder.owner
+      const created = [];
+      for (const leg of forwardLegs) {
+        console.log(`[MatchingEngine]    ⟶ ${leg.what}: ${leg.amount.toFixed(10)} ${leg.symbol}`);
+        const alloc = await sdkClient.createAllocation(
+          leg.sender, leg.receiver, leg.amount.toFixed(10), leg.symbol,
+          operatorPartyId, `${tradeId}-${leg.ref}`, legOptions(leg.symbol)
         );
-        console.log(`[MatchingEngine]    ✅ ${baseSymbol} forwarded to buyer`);
-      } else {
-        throw new Error(`Forward ${baseSymbol}→buyer: createAllocation returned no CID`);
-      }
-
-      // Forward quote (CBTC) to seller ─────────────────────────────────────
-      console.log(`[MatchingEngine]    ⟶ operator → seller: ${quoteAmountStr} ${quoteSymbol}`);
-      const cbtcFwdAlloc = await sdkClient.createAllocation(
-        operatorPartyId, sellOrder.owner, quoteAmountStr, quoteSymbol,
-        operatorPartyId, `${tradeId}-fwd-quote`
-      );
-      if (cbtcFwdAlloc?.allocationContractId) {
-        await sdkClient.tryRealAllocationExecution(
-          cbtcFwdAlloc.allocationContractId, operatorPartyId, quoteSymbol,
-          operatorPartyId, sellOrder.owner
-        );
-        console.log(`[MatchingEngine]    ✅ ${quoteSymbol} forwarded to seller`);
-      } else {
-        throw new Error(`Forward ${quoteSymbol}→seller: createAllocation returned no CID`);
-      }
-
-      // Partial fill remainders ─────────────────────────────────────────────
-      // The full Splice allocation was consumed by Execute_LegSettlement.
-      // Any unmatched portion must be returned from the operator back to the user.
-      if (sellIsPartial) {
-        const remainderBase = new Decimal(sellOrder.remaining).minus(matchQty).toFixed(10);
-        if (new Decimal(remainderBase).gt(0)) {
-          console.log(`[MatchingEngine]    ⟶ returning ${remainderBase} ${baseSymbol} remainder to seller`);
-          const remBaseAlloc = await sdkClient.createAllocation(
-            operatorPartyId, sellOrder.owner, remainderBase, baseSymbol,
-            operatorPartyId, `${tradeId}-rem-base`,
-            baseIsSplice ? { settleWindowMsOverride: operatorLegSettleMs } : {}
-          );
-          if (remBaseAlloc?.allocationContractId) {
-            await sdkClient.tryRealAllocationExecution(
-              remBaseAlloc.allocationContractId, operatorPartyId, baseSymbol,
-              operatorPartyId, sellOrder.owner
-            );
-            console.log(`[MatchingEngine]    ✅ ${baseSymbol} remainder returned to seller`);
-          }
-        }
-      }
-      if (buyIsPartial) {
-        const remainderQuote = new Decimal(buyOrder.remaining).times(new Decimal(matchPrice)).minus(quoteAmount).toFixed(10);
-        if (new Decimal(remainderQuote).gt(0)) {
-          console.log(`[MatchingEngine]    ⟶ returning ${remainderQuote} ${quoteSymbol} remainder to buyer`);
-          const remQuoteAlloc = await sdkClient.createAllocation(
-            operatorPartyId, buyOrder.owner, remainderQuote, quoteSymbol,
-            operatorPartyId, `${tradeId}-rem-quote`
-          );
-          if (remQuoteAlloc?.allocationContractId) {
-            await sdkClient.tryRealAllocationExecution(
-              remQuoteAlloc.allocationContractId, operatorPartyId, quoteSymbol,
-              operatorPartyId, buyOrder.owner
-            );
-            console.log(`[MatchingEngine]    ✅ ${quoteSymbol} remainder returned to buyer`);
-          }
+        if (!alloc?.allocationContractId) {
+          throw new Error(`${leg.what}: createAllocation returned no CID`);
         }
+        created.push({ allocationContractId: alloc.allocationContractId, symbol: leg.symbol });
       }
+      await sdkClient.executeAllocationsAtomically(
+        created, operatorPartyId,
+        forwardLegs.flatMap(leg => [leg.sender, leg.receiver]),
+        `forward-${tradeId}`
+      );
 
-      console.log(`[MatchingEngine]    ✅ TX2 forwarding complete — tokens delivered to counterparties`);
+      console.log(`[MatchingEngine]    ✅ TX2 forwarding complete — ${forwardLegs.length} leg(s) delivered in one transaction`);
     } catch (fwdErr) {
       const fwdMsg = fwdErr?.message || String(fwdErr);
       if (fwdMsg.includes('SUBMISSION_ALREADY_IN_FLIGHT')) {
         // Command was already submitted to Canton — it will complete on its own.
         // This is NOT a fatal error; TX2 is idempotent by commandId.
         console.warn(`[MatchingEngine] ⚠️ Forwarding for ${tradeId} already in-flight on Canton — will complete without retry`);
+        settlementStatus = 'FORWARDING';
       } else {
         // Forwarding failure is serious but TX1 already committed. Log clearly so
         // the operator can manually reconcile. Don't crash the engine loop.
+        // No TX2 leg has moved, fees included.
         console.error(`[MatchingEngine] ❌ FORWARDING FAILED for trade ${tradeId}: ${fwdMsg}`);
         console.error(`[MatchingEngine]    TX1 (Execute_LegSettlement) already committed. Operator holds tokens.`);
-        console.error(`[MatchingEngine]    Manual intervention required to forward tokens to counterparties.`);
+        console.error(`[MatchingEngine]    Manual intervention required to forward tokens and fees to counterparties.`);
+        settlementStatus = 'FORWARDING_FAILED';
       }
     } finally {
       this._inFlightForwardingIds.delete(tradeId);
@@ -1461,6 +2141,10 @@ class MatchingEngine {
           tradingPair,
           buyOrderId: buyOrder.orderId,
           sellOrderId: sellOrder.orderId,
+          buyerFee: buyerFee.toFixed(10),
+          sellerFee: sellerFee.toFixed(10),
+          takerSide,
+          timestamp: tradeTimestamp,
           sellerUsedRealTransfer: true,
           buyerUsedRealTransfer: true,
         });
@@ -1476,6 +2160,18 @@ class MatchingEngine {
       await releasePartialReservation(buyOrder.orderId, quoteAmountStr);
     } catch (_) { /* non-critical */ }
 
+    // ═══ ORDER GROUPS: a filled bracket entry arms its exits; a fill on an
+    // OCO leg cancels the sibling ═══
+    for (const [order, isPartial] of [[buyOrder, buyIsPartial], [sellOrder, sellIsPartial]]) {
+      if (!order.groupId) continue;
+      try {
+        const { getOrderGroupService } = require('./orderGroupService');
+        await getOrderGroupService().onOrderFilled(order, { complete: !isPartial });
+      } catch (grpErr) {
+        console.warn(`[MatchingEngine] ⚠️ Order group update failed for ${order.orderId} (non-critical): ${grpErr.message}`);
+      }
+    }
+
     // ═══ STEP 7: Trigger stop-loss checks at the new trade price ═══
     try {
       const { getStopLossService } = require('./stopLossService');
@@ -1495,6 +2191,7 @@ class MatchingEngine {
       quantity: matchQtyStr,
       buyOrderId: buyOrder.orderId,
       sellOrderId: sellOrder.orderId,
+      takerSide,
       timestamp: new Date().toISOString(),
       settlementType: 'ServerAutoSettle',
       instrumentAllocationId: sellOrder.allocationContractId || null,
@@ -1502,16 +2199,31 @@ class MatchingEngine {
       updateIds: updateIds.map(u => u.updateId),
     };
 
+    getOrderBookFeed().markDirty(tradingPair);
+    const executionReports = getExecutionReportService();
+    for (const order of [buyOrder, sellOrder]) {
+      const isBuy = order === buyOrder;
+      const remainingAfter = Decimal.max(order.remainingDecimal.minus(matchQty), 0);
+      await executionReports.record({
+        partyId: order.owner,
+        orderId: order.orderId,
+        tradingPair,
+        side: order.orderType,
+        eventType: remainingAfter.gt(0) ? 'PARTIALLY_FILLED' : 'FILLED',
+        fillPrice: matchPrice,
+        fillQuantity: matchQtyStr,
+        cumulativeQuantity: new Decimal(order.quantity).minus(remainingAfter),
+        remainingQuantity: remainingAfter,
+        tradeId,
+        settlementStatus,
+        fee: (isBuy ? buyerFee : sellerFee).toFixed(10),
+        feeAsset: isBuy ? baseSymbol : quoteSymbol,
+        liquidity: order.orderType === takerSide ? 'TAKER' : 'MAKER',
+      });
+    }
     if (global.broadcastWebSocket) {
       global.broadcastWebSocket(`trades:${tradingPair}`, { type: 'NEW_TRADE', ...tradeRecord });
       global.broadcastWebSocket('trades:all', { type: 'NEW_TRADE', ...tradeRecord });
-      global.broadcastWebSocket(`orderbook:${tradingPair}`, {
-        type: 'TRADE_EXECUTED',
-        buyOrderId: buyOrder.orderId,
-        sellOrderId: sellOrder.orderId,
-        fillQuantity: matchQtyStr,
-        fillPrice: matchPrice,
-      });
       global.broadcastWebSocket(`balance:${buyOrder.owner}`, { type: 'BALANCE_UPDATE', partyId: buyOrder.owner, timestamp: Date.now() });
       global.broadcastWebSocket(`balance:${sellOrder.owner}`, { type: 'BALANCE_UPDATE', partyId: sellOrder.owner, timestamp: Date.now() });
     }
@@ -1898,6 +2610,10 @@ class MatchingEngine {
           }
         }
       }
+      for (const market of this._auctionMarkets()) {
+        if (targetPair && market.symbol !== targetPair) continue;
+        await this.processAuctionForPair(market, token);
+      }
 
       const elapsed = Date.now() - startTime;
       console.log(`[MatchingEngine] ⚡ On-demand cycle complete in ${elapsed}ms`);
@@ -3,7 +3,7 @@
  * 
  * Real matching engine that:
  * - Watches new orders via Canton JSON Ledger API v2
- * - Matches best price first, then FIFO/time priority
+ * - Matches best price first, then FIFO/time priority (rules in matching-core.js)
  * - Prevents self-trade (same party cannot match itself)
  * - Executes trades via submit-and-wait-for-transaction
  * 
@@ -16,17 +16,33 @@
 const config = require('../config');
 const cantonService = require('./cantonService');
 const tokenProvider = require('./tokenProvider');
+const matchingCore = require('./matching-core');
+const { getMarketRegistry } = require('./marketRegistryService');
+const { getOrderBookFeed } = require('./orderBookFeedService');
+
+/**
+ * Shape an order for the matching core: numeric price (null for MARKET) and
+ * remaining = quantity - filled.
+ */
+function toCoreOrder(order) {
+  const price = order.orderMode === 'MARKET' || !order.price ? null : parseFloat(order.price);
+  return { ...order, price, remaining: order.quantity - order.filled };
+}
 
 class MatchingEngineService {
   constructor() {
     this.isRunning = false;
     this.matchingInterval = null;
     this.intervalMs = config.matchingEngine?.intervalMs || 2000;
-    this.tradingPairs = ['BTC/USDT', 'ETH/USDT', 'SOL/USDT'];
     this.maxMatchesPerCycle = 10;
     console.log('[MatchingEngine] Initialized');
   }
 
+  /** Matchable pairs from the market registry */
+  get tradingPairs() {
+    return getMarketRegistry().getMatchablePairs();
+  }
+
   /**
    * Start the matching engine
    */
@@ -72,6 +88,7 @@ class MatchingEngineService {
       const token = await tokenProvider.getServiceToken();
       let totalMatches = 0;
 
+      await getMarketRegistry().ensureFresh();
       for (const pair of this.tradingPairs) {
         if (totalMatches >= this.maxMatchesPerCycle) break;
         
@@ -162,52 +179,29 @@ class MatchingEngineService {
           .filter(o => o.tradingPair === tradingPair && o.status === 'OPEN');
       }
 
-      // Separate buys and sells
-      const buyOrders = orders
-        .filter(o => o.orderType === 'BUY')
-        .sort((a, b) => {
-          // Price-time priority: market orders first, then highest price, then earliest time
-          const priceA = a.price ? parseFloat(a.price) : Infinity;
-          const priceB = b.price ? parseFloat(b.price) : Infinity;
-          if (priceA === Infinity && priceB !== Infinity) return -1;
-          if (priceB === Infinity && priceA !== Infinity) return 1;
-          if (priceA !== priceB) return priceB - priceA;
-          return new Date(a.timestamp) - new Date(b.timestamp);
-        });
-
-      const sellOrders = orders
-        .filter(o => o.orderType === 'SELL')
-        .sort((a, b) => {
-          // Price-time priority: market orders first, then lowest price, then earliest time
-          const priceA = a.price ? parseFloat(a.price) : 0;
-          const priceB = b.price ? parseFloat(b.price) : 0;
-          if (priceA === 0 && priceB !== 0) return -1;
-          if (priceB === 0 && priceA !== 0) return 1;
-          if (priceA !== priceB) return priceA - priceB;
-          return new Date(a.timestamp) - new Date(b.timestamp);
-        });
+      // Separate buys and sells, price-time priority (market orders first)
+      const open = orders.filter(o => o.status === 'OPEN').map(toCoreOrder);
+      const { buyOrders, sellOrders } = matchingCore.sortBook(
+        open.filter(o => o.orderType === 'BUY'),
+        open.filter(o => o.orderType === 'SELL')
+      );
 
       let matchCount = 0;
+      const matchedBuys = new Set();
 
-      // Try to match orders
-      for (const buyOrder of buyOrders) {
+      // Try to match orders — self-trades are never paired here
+      for (const { buyOrder, sellOrder } of matchingCore.crossingPairs(buyOrders, sellOrders, { skipSelfTrade: true })) {
         if (matchCount >= this.maxMatchesPerCycle) break;
+        if (matchedBuys.has(buyOrder)) continue; // one fill per buy order per cycle
+
+        const success = await this.executeMatch(buyOrder, sellOrder, token);
+        if (success) {
+          matchCount++;
+          matchedBuys.add(buyOrder);
+          console.log(`[MatchingEngine] ✅ Match: ${buyOrder.orderId} <-> ${sellOrder.orderId}`);
 
-        for (const sellOrder of sellOrders) {
-          if (matchCount >= this.maxMatchesPerCycle) break;
-
-          // Check if orders can match
-          if (this.canMatch(buyOrder, sellOrder)) {
-            const success = await this.executeMatch(buyOrder, sellOrder, token);
-            if (success) {
-              matchCount++;
-              console.log(`[MatchingEngine] ✅ Match: ${buyOrder.orderId} <-> ${sellOrder.orderId}`);
-              
-              // Broadcast trade via WebSocket
-              this.broadcastTrade(buyOrder, sellOrder, tradingPair);
-              break; // Move to next buy order
-            }
-          }
+          // Broadcast trade via WebSocket
+          this.broadcastTrade(buyOrder, sellOrder, tradingPair);
         }
       }
 
@@ -232,25 +226,13 @@ class MatchingEngineService {
       return false;
     }
 
-    // Calculate remaining quantities
-    const buyRemaining = buyOrder.quantity - buyOrder.filled;
-    const sellRemaining = sellOrder.quantity - sellOrder.filled;
-
-    if (buyRemaining <= 0 || sellRemaining <= 0) {
+    const buy = toCoreOrder(buyOrder);
+    const sell = toCoreOrder(sellOrder);
+    if (buy.remaining <= 0 || sell.remaining <= 0) {
       return false;
     }
 
-    // Price matching
-    const buyPrice = buyOrder.price ? parseFloat(buyOrder.price) : Infinity;
-    const sellPrice = sellOrder.price ? parseFloat(sellOrder.price) : 0;
-
-    // Market orders match with anything
-    if (buyOrder.orderMode === 'MARKET' || sellOrder.orderMode === 'MARKET') {
-      return true;
-    }
-
-    // Limit orders: buy price must be >= sell price
-    return buyPrice >= sellPrice;
+    return matchingCore.crossingPrice(buy, sell) !== null;
   }
 
   /**
@@ -358,16 +340,10 @@ class MatchingEngineService {
         sellOrderId: sellOrder.orderId,
         timestamp: new Date().toISOString()
       });
-
-      // Also broadcast order book update
-      global.broadcastWebSocket(`orderbook:${tradingPair}`, {
-        type: 'TRADE_EXECUTED',
-        tradingPair,
-        buyOrderId: buyOrder.orderId,
-        sellOrderId: sellOrder.orderId,
-        timestamp: new Date().toISOString()
-      });
     }
+
+    // Both orders' levels shrank — publish them as an L2 DELTA
+    getOrderBookFeed().markDirty(tradingPair);
   }
 }
 
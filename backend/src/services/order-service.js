@@ -27,10 +27,23 @@ const { ValidationError, NotFoundError } = require('../utils/errors');
 const { v4: uuidv4 } = require('uuid');
 const { getReadModelService } = require('./readModelService');
 const { getCantonSDKClient } = require('./canton-sdk-client');
+const { STOP_ORDER_MODES, TRAILING_OFFSET_TYPES, trailingStopLevel } = require('./stopLossService');
+const { getMarketRegistry } = require('./marketRegistryService');
+const { getOrderBookFeed } = require('./orderBookFeedService');
+const { getExecutionReportService } = require('./executionReportService');
 
 // Configure Decimal for financial precision
 Decimal.set({ precision: 20, rounding: Decimal.ROUND_DOWN });
 
+const TIME_IN_FORCE_VALUES = ['GTC', 'IOC', 'FOK', 'GTD'];
+const STP_MODES = ['NONE', 'CANCEL_NEWEST', 'CANCEL_OLDEST', 'CANCEL_BOTH', 'DECREMENT_AND_CANCEL'];
+// MARKET slippage cap in basis points. 500 bps matches the flat 5% buffer
+// market orders used to be locked with.
+const DEFAULT_MAX_SLIPPAGE_BPS = 500;
+const MAX_SLIPPAGE_BPS_LIMIT = 5000;
+// Orders per batch placement / mass cancel transaction
+const MAX_BATCH_ORDERS = 50;
+
 // ═══════════════════════════════════════════════════════════════════════════
 // BALANCE RESERVATION TRACKER — PostgreSQL via Prisma (Neon)
 // ALL reads/writes go directly to PostgreSQL. No in-memory cache.
@@ -43,6 +56,15 @@ const { getDb } = require('./db');
 // ═══════════════════════════════════════════════════════════════════════════
 const _globalOpenOrders = new Map();
 
+function activeContractsOf(result) {
+  return Array.isArray(result) ? result : (result?.activeContracts || result?.contracts || []);
+}
+
+function contractPayload(contract) {
+  const ev = contract.createdEvent || contract;
+  return ev?.createArgument || ev?.createArguments || ev?.payload || contract.payload || {};
+}
+
 function registerOpenOrders(orders) {
   if (!Array.isArray(orders)) return;
   const { getMatchingEngine } = require('./matching-engine');
@@ -66,6 +88,14 @@ function registerOpenOrders(orders) {
         status: 'OPEN',
         timestamp: order.timestamp,
         allocationContractId: order.allocationContractId || null,
+        timeInForce: order.timeInForce || 'GTC',
+        expiresAt: order.expiresAt || null,
+        postOnly: order.postOnly === true,
+        stpMode: order.stpMode || 'NONE',
+        slippageLimitPrice: order.slippageLimitPrice || null,
+        groupId: order.groupId || null,
+        displayQuantity: order.displayQuantity || null,
+        displayRemaining: order.displayRemaining || null,
       });
 
       // Persist to DB asynchronously
@@ -88,7 +118,15 @@ function registerOpenOrders(orders) {
           quantity: order.quantity,
           filled: order.filled || '0',
           status: 'OPEN',
-          allocationContractId: order.allocationContractId || null
+          allocationContractId: order.allocationContractId || null,
+          timeInForce: order.timeInForce || 'GTC',
+          expiresAt: order.expiresAt ? new Date(order.expiresAt) : null,
+          postOnly: order.postOnly === true,
+          stpMode: order.stpMode || 'NONE',
+          maxSlippageBps: order.maxSlippageBps ?? null,
+          slippageLimitPrice: order.slippageLimitPrice || null,
+          groupId: order.groupId || null,
+          displayQuantity: order.displayQuantity || null
         }
       }).catch(err => console.error('[OrderService/DB] Failed to upsert OPEN order:', err.message));
     }
@@ -459,17 +497,18 @@ class OrderService {
    * BUY order: lock quote currency (e.g., CBTC for CC/CBTC pair)
    * SELL order: lock base currency (e.g., CC for CC/CBTC pair)
    * 
-   * For MARKET orders, use estimatedPrice (from order book) 
-   * with a 5% slippage buffer to ensure sufficient funds.
+   * For MARKET orders, marketLockPrice is the slippage limit from
+   * _estimateMarketSweep (worst expected level plus the user's cap), so the
+   * lock covers the whole sweep.
    */
-  calculateLockAmount(tradingPair, orderType, price, quantity, orderMode = 'LIMIT', estimatedPrice = null) {
+  calculateLockAmount(tradingPair, orderType, price, quantity, orderMode = 'LIMIT', marketLockPrice = null) {
     const [baseAsset, quoteAsset] = tradingPair.split('/');
     const qty = new Decimal(quantity);
 
     if (orderType.toUpperCase() === 'BUY') {
       let prc;
       if (orderMode.toUpperCase() === 'MARKET') {
-        prc = new Decimal(estimatedPrice || '0').times('1.05'); // 5% slippage buffer
+        prc = new Decimal(marketLockPrice || '0');
       } else {
         prc = new Decimal(price || '0');
       }
@@ -575,6 +614,110 @@ class OrderService {
     }
   }
 
+  /**
+   * Reject a post-only LIMIT order whose price would cross the opposite side
+   * of the live book (BUY at or above best ask, SELL at or below best bid).
+   * Uses the WebSocket-synced StreamingReadModel — the same view the matching
+   * engine trades against.
+   */
+  _assertPostOnlyDoesNotCross(tradingPair, side, price) {
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    const streaming = getStreamingReadModel();
+    if (!streaming?.isReady()) {
+      throw new ValidationError('Order book is not available yet — cannot verify post-only order. Please retry.');
+    }
+
+    const book = streaming.getOrderBook(tradingPair);
+    const limit = new Decimal(price);
+    const pricesOf = (orders) => orders
+      .map(o => parseFloat(o.price))
+      .filter(p => Number.isFinite(p) && p > 0);
+
+    if (side === 'BUY') {
+      const asks = pricesOf(book.sellOrders || []);
+      if (asks.length > 0) {
+        const bestAsk = Math.min(...asks);
+        if (limit.gte(bestAsk)) {
+          throw new ValidationError(`Post-only BUY at ${price} would cross best ask ${bestAsk}`);
+        }
+      }
+    } else {
+      const bids = pricesOf(book.buyOrders || []);
+      if (bids.length > 0) {
+        const bestBid = Math.max(...bids);
+        if (limit.lte(bestBid)) {
+          throw new ValidationError(`Post-only SELL at ${price} would cross best bid ${bestBid}`);
+        }
+      }
+    }
+  }
+
+  /**
+   * Simulate a MARKET order walking the opposite side of the book level by
+   * level. Returns the expected average and worst fill prices and the
+   * slippage limit (worst level moved against the taker by maxSlippageBps),
+   * which is both the lock price for a BUY and the price bound the matching
+   * engine enforces.
+   */
+  async _estimateMarketSweep(tradingPair, side, quantity, maxSlippageBps) {
+    const { sweepBook, slippageLimit } = require('./matching-core');
+
+    let book = null;
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    const streaming = getStreamingReadModel();
+    if (streaming?.isReady()) {
+      book = streaming.getOrderBook(tradingPair);
+    } else {
+      const { getOrderBookService } = require('./orderBookService');
+      book = await getOrderBookService().getOrderBook(tradingPair);
+    }
+
+    const remainingOf = (o) => o.remaining !== undefined
+      ? o.remaining
+      : new Decimal(o.quantity || 0).minus(o.filled || 0);
+    const priced = (orders) => (orders || [])
+      .filter(o => Number.isFinite(parseFloat(o.price)) && parseFloat(o.price) > 0)
+      .map(o => ({ price: parseFloat(o.price), remaining: remainingOf(o) }));
+
+    const levels = side === 'BUY'
+      ? priced(book?.sellOrders).sort((a, b) => a.price - b.price)
+      : priced(book?.buyOrders).sort((a, b) => b.price - a.price);
+
+    const sweep = sweepBook(levels, quantity);
+    if (sweep.filled.lte(0)) {
+      throw new ValidationError(side === 'BUY'
+        ? 'No sell orders available in the market. Please use LIMIT order or wait for sellers.'
+        : 'No buy orders available in the market. Please use LIMIT order or wait for buyers.');
+    }
+
+    const limitPrice = slippageLimit(side, sweep.worstPrice, maxSlippageBps);
+    console.log(`[OrderService] MARKET ${side} sweep: ${sweep.filled.toString()}/${quantity} over ${sweep.levels} level(s), avg ${sweep.averagePrice.toFixed(8)}, worst ${sweep.worstPrice}, limit ${limitPrice.toString()} (${maxSlippageBps} bps)`);
+    if (sweep.filled.lt(quantity)) {
+      console.warn(`[OrderService] ⚠️ Book depth covers only ${sweep.filled.toString()} of ${quantity} — the rest expires once the slippage limit is reached`);
+    }
+
+    return {
+      averagePrice: sweep.averagePrice.toNumber(),
+      worstPrice: sweep.worstPrice,
+      fillableQuantity: sweep.filled.toString(),
+      slippageLimitPrice: limitPrice.toString(),
+    };
+  }
+
+  /**
+   * Most recent trade price for a pair, or null before the first trade.
+   * Trailing stops are anchored here because their triggers are evaluated
+   * against trade prices, not the book.
+   */
+  _lastTradePrice(tradingPair) {
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    const streaming = getStreamingReadModel();
+    if (!streaming?.isReady()) return null;
+    const [last] = streaming.getTradesForPair(tradingPair, 1);
+    const price = parseFloat(last?.price);
+    return Number.isFinite(price) && price > 0 ? new Decimal(last.price) : null;
+  }
+
   /**
    * Place order using Canton JSON Ledger API v2.
    * 
@@ -588,15 +731,71 @@ class OrderService {
    * The exchange can settle at match time with its own key.
    */
   async placeOrder(orderData) {
+    const placement = await this._buildPlacement(orderData);
+    // Executor OAuth client: per onboarding, user-party rights (CanActAs / submit interactive
+    // completion for ext users) are granted to THIS client — same as AutoAccept / transfer-offer
+    // prepare. Using the service token for prepare but not execute caused HTTP 403
+    // (PERMISSION_DENIED, masked as "security-sensitive") on /interactive-submission/execute.
+    const interactiveLedgerToken = await tokenProvider.getExecutorToken();
+
+    console.log(`[OrderService] 🔄 Preparing 1-TX placement: ExerciseCommand OrderPlacerFactory::PlaceOrder (1 root node, 1 user signature)`);
+    const prepareResult = await cantonService.prepareInteractiveSubmission({
+      token: interactiveLedgerToken,
+      actAsParty: [orderData.partyId],
+      commands: [placement.exerciseCmd],
+      readAs: placement.readAs,
+      synchronizerId: placement.synchronizerId,
+      disclosedContracts: placement.disclosedContracts,
+    });
+
+    if (!prepareResult.preparedTransaction || !prepareResult.preparedTransactionHash) {
+      throw new Error('Prepare returned incomplete result: missing preparedTransaction or preparedTransactionHash');
+    }
+
+    console.log(`[OrderService] ✅ 1-TX placement prepared. Hash to sign: ${prepareResult.preparedTransactionHash.substring(0, 40)}...`);
+
+    return {
+      requiresSignature: true,
+      step:  'PLACEMENT_STEP_1_COMPLETE',
+      stage: 'PLACEMENT_STEP_1_COMPLETE',
+      ...placement.meta,
+      preparedTransaction:     prepareResult.preparedTransaction,
+      preparedTransactionHash: prepareResult.preparedTransactionHash,
+      hashingSchemeVersion:    prepareResult.hashingSchemeVersion,
+      partyId: orderData.partyId,
+      lockInfo: placement.lockInfo,
+      executorPartyId: placement.executorPartyId,
+      allocationType: placement.allocationType,
+    };
+  }
+
+  /**
+   * Validate one order, reserve its lock and build the
+   * OrderPlacerFactory::PlaceOrder command for it, without preparing anything.
+   * Shared by placeOrder and placeOrderBatch; the caller owns the reservation
+   * from here on.
+   *
+   * @returns {Object} { exerciseCmd, readAs, disclosedContracts, synchronizerId, meta, lockInfo, executorPartyId, allocationType }
+   */
+  async _buildPlacement(orderData) {
     const {
       partyId,
       tradingPair,
       orderType, // BUY | SELL
-      orderMode, // LIMIT | MARKET | STOP_LOSS
+      orderMode, // LIMIT | MARKET | STOP_LOSS | STOP_LIMIT | TRAILING_STOP
       price,
       quantity,
-      timeInForce = 'GTC',
-      stopPrice = null, // For STOP_LOSS orders
+      timeInForce = 'GTC', // GTC | IOC | FOK | GTD
+      expiresAt = null,    // Required for GTD
+      postOnly = false,    // Maker-only LIMIT orders
+      stpMode = 'NONE',    // Self-trade prevention when this order would take
+      maxSlippageBps = null, // MARKET only: slippage cap over the expected sweep
+      stopPrice: requestedStopPrice = null, // For STOP_LOSS / STOP_LIMIT orders
+      limitPrice = null,         // STOP_LIMIT: price of the LIMIT order once triggered
+      trailingOffset = null,     // TRAILING_STOP: distance the trigger keeps from the best price
+      trailingOffsetType = null, // TRAILING_STOP: ABSOLUTE | PERCENT
+      groupId = null,            // OCO / bracket leg: OrderGroup id from POST /api/orders/groups
+      displayQuantity = null,    // Iceberg LIMIT: peak shown on the book, the rest stays hidden
     } = orderData;
 
     // Validation
@@ -609,10 +808,54 @@ class OrderService {
       throw new ValidationError('Price is required for LIMIT orders');
     }
 
-    // Validate stop-loss orders
-    if (orderMode === 'STOP_LOSS') {
+    const isStopOrder = STOP_ORDER_MODES.includes(orderMode);
+
+    // Trailing stops: the client gives an offset, not a level. The first
+    // trigger level sits that far from the last trade; StopLossService moves
+    // it as the market moves in the order's favour.
+    let trailingAnchor = null;
+    let stopPrice = requestedStopPrice;
+    if (orderMode === 'TRAILING_STOP') {
+      const offsetType = String(trailingOffsetType || '').toUpperCase();
+      if (!TRAILING_OFFSET_TYPES.includes(offsetType)) {
+        throw new ValidationError(`trailingOffsetType must be one of ${TRAILING_OFFSET_TYPES.join(', ')} for TRAILING_STOP orders`);
+      }
+      const offset = parseFloat(trailingOffset);
+      if (isNaN(offset) || offset <= 0) {
+        throw new ValidationError('trailingOffset must be a positive number for TRAILING_STOP orders');
+      }
+      if (offsetType === 'PERCENT' && offset >= 100) {
+        throw new ValidationError('A PERCENT trailingOffset must be below 100');
+      }
+      if (requestedStopPrice) {
+        throw new ValidationError('TRAILING_STOP orders take a trailingOffset, not a stopPrice');
+      }
+      trailingAnchor = this._lastTradePrice(tradingPair);
+      if (!trailingAnchor) {
+        throw new ValidationError(`No trades yet for ${tradingPair} — a TRAILING_STOP order needs a last price to trail`);
+      }
+      const level = trailingStopLevel(orderType.toUpperCase(), trailingAnchor, trailingOffset, offsetType);
+      if (level.lte(0)) {
+        throw new ValidationError(`trailingOffset ${trailingOffset} puts the stop at or below zero`);
+      }
+      stopPrice = level.toString();
+    } else if (trailingOffset || trailingOffsetType) {
+      throw new ValidationError('trailingOffset only applies to TRAILING_STOP orders');
+    }
+
+    if (orderMode === 'STOP_LIMIT') {
+      const lp = parseFloat(limitPrice);
+      if (!limitPrice || isNaN(lp) || lp <= 0) {
+        throw new ValidationError('limitPrice is required and must be a positive number for STOP_LIMIT orders');
+      }
+    } else if (limitPrice) {
+      throw new ValidationError('limitPrice only applies to STOP_LIMIT orders');
+    }
+
+    // Validate stop-loss and stop-limit orders
+    if (orderMode === 'STOP_LOSS' || orderMode === 'STOP_LIMIT') {
       if (!stopPrice) {
-        throw new ValidationError('stopPrice is required for STOP_LOSS orders');
+        throw new ValidationError(`stopPrice is required for ${orderMode} orders`);
       }
       const sp = parseFloat(stopPrice);
       if (isNaN(sp) || sp <= 0) {
@@ -675,6 +918,103 @@ class OrderService {
       }
     }
 
+    // Time-in-force: IOC/FOK are enforced by the matching engine on the first
+    // cycle that sees the order; GTD orders are expired once expiresAt passes.
+    const tif = String(timeInForce || 'GTC').toUpperCase();
+    if (!TIME_IN_FORCE_VALUES.includes(tif)) {
+      throw new ValidationError(`Invalid timeInForce: ${timeInForce}. Must be one of ${TIME_IN_FORCE_VALUES.join(', ')}`);
+    }
+    if (isStopOrder && tif !== 'GTC') {
+      throw new ValidationError(`${orderMode} orders only support GTC time-in-force`);
+    }
+    let expiresAtIso = null;
+    if (tif === 'GTD') {
+      const expiry = expiresAt ? new Date(expiresAt) : null;
+      if (!expiry || isNaN(expiry.getTime())) {
+        throw new ValidationError('expiresAt is required for GTD orders');
+      }
+      if (expiry.getTime() <= Date.now()) {
+        throw new ValidationError('expiresAt must be in the future for GTD orders');
+      }
+      expiresAtIso = expiry.toISOString();
+    }
+
+    // Post-only: must rest on the book. Reject now — before the user signs
+    // the allocation — if the price would take liquidity from the other side.
+    const isPostOnly = postOnly === true || postOnly === 'true';
+    if (isPostOnly) {
+      if (orderMode !== 'LIMIT') {
+        throw new ValidationError('postOnly is only supported for LIMIT orders');
+      }
+      if (tif === 'IOC' || tif === 'FOK') {
+        throw new ValidationError(`postOnly cannot be combined with ${tif} time-in-force`);
+      }
+      this._assertPostOnlyDoesNotCross(tradingPair, orderType.toUpperCase(), price);
+    }
+
+    // Trading state: halted, cancel-only and delisted markets take no
+    // orders, POST_ONLY markets only post-only LIMIT orders and an auction
+    // call only LIMIT orders that can rest.
+    const marketRegistry = getMarketRegistry();
+    await marketRegistry.ensureFresh();
+    marketRegistry.assertOrderAllowed(tradingPair, { postOnly: isPostOnly, orderMode, timeInForce: tif });
+
+    const stp = String(stpMode || 'NONE').toUpperCase();
+    if (!STP_MODES.includes(stp)) {
+      throw new ValidationError(`Invalid stpMode: ${stpMode}. Must be one of ${STP_MODES.join(', ')}`);
+    }
+
+    const isMarket = orderMode.toUpperCase() === 'MARKET';
+    let slippageBps = null;
+    if (isMarket) {
+      slippageBps = maxSlippageBps === null || maxSlippageBps === undefined
+        ? DEFAULT_MAX_SLIPPAGE_BPS
+        : Number(maxSlippageBps);
+      if (!Number.isInteger(slippageBps) || slippageBps < 0 || slippageBps > MAX_SLIPPAGE_BPS_LIMIT) {
+        throw new ValidationError(`maxSlippageBps must be an integer between 0 and ${MAX_SLIPPAGE_BPS_LIMIT}`);
+      }
+    } else if (maxSlippageBps !== null && maxSlippageBps !== undefined) {
+      throw new ValidationError('maxSlippageBps only applies to MARKET orders');
+    }
+
+    // Iceberg: only the peak is published; the full quantity is still locked
+    // up front, so refilling the peak needs no further signature.
+    let peak = null;
+    if (displayQuantity !== null && displayQuantity !== undefined && displayQuantity !== '') {
+      if (orderMode.toUpperCase() !== 'LIMIT') {
+        throw new ValidationError('displayQuantity is only supported for LIMIT orders');
+      }
+      if (tif === 'IOC' || tif === 'FOK') {
+        throw new ValidationError(`displayQuantity cannot be combined with ${tif} time-in-force`);
+      }
+      if (groupId) {
+        throw new ValidationError('Order group legs cannot be iceberg orders');
+      }
+      peak = new Decimal(displayQuantity);
+      if (!peak.isFinite() || peak.lte(0) || peak.gte(quantity)) {
+        throw new ValidationError('displayQuantity must be positive and smaller than quantity');
+      }
+    }
+
+    // OCO / bracket legs must match a free slot of their group exactly
+    let groupRole = null;
+    if (groupId) {
+      if (tif !== 'GTC') {
+        throw new ValidationError('Order group legs only support GTC time-in-force');
+      }
+      const { getOrderGroupService } = require('./orderGroupService');
+      groupRole = await getOrderGroupService().assertLegPlacement(groupId, {
+        partyId,
+        tradingPair,
+        orderType,
+        orderMode,
+        quantity,
+        price,
+        stopPrice,
+        limitPrice,
+      });
+    }
+
     console.log('[OrderService] Placing order via Canton:', {
       partyId,
       tradingPair,
@@ -683,16 +1023,20 @@ class OrderService {
       price,
       quantity,
       stopPrice: stopPrice || 'N/A',
+      limitPrice: limitPrice || 'N/A',
+      trailingOffset: trailingOffset ? `${trailingOffset} ${trailingOffsetType.toUpperCase()}` : 'N/A',
+      timeInForce: tif,
+      expiresAt: expiresAtIso || 'N/A',
+      postOnly: isPostOnly,
+      stpMode: stp,
+      group: groupId ? `${groupId} (${groupRole})` : 'N/A',
+      displayQuantity: peak ? peak.toString() : 'N/A',
     });
 
     // Service token: operator submissions (TX2 Order create) and broad ledger queries.
     const serviceToken = await tokenProvider.getServiceToken();
-    // Executor OAuth client: per onboarding, user-party rights (CanActAs / submit interactive
-    // completion for ext users) are granted to THIS client — same as AutoAccept / transfer-offer
-    // prepare. Using the service token for prepare but not execute caused HTTP 403
-    // (PERMISSION_DENIED, masked as "security-sensitive") on /interactive-submission/execute.
+    // The prepare itself goes out with the executor token (see placeOrder)
     this._assertExecutorOauthConfigured();
-    const interactiveLedgerToken = await tokenProvider.getExecutorToken();
     const packageId = config.canton.packageIds.clobExchange;
     const operatorPartyId = config.canton.operatorPartyId;
 
@@ -703,53 +1047,49 @@ class OrderService {
     // Generate unique order ID
     const orderId = `order-${Date.now()}-${uuidv4().substring(0, 8)}`;
 
-    // For MARKET orders, get estimated price from order book (query Canton directly)
-    let estimatedPrice = null;
-    if (orderMode.toUpperCase() === 'MARKET') {
-      try {
-        const { getOrderBookService } = require('./orderBookService');
-        const orderBookService = getOrderBookService();
-        const orderBook = await orderBookService.getOrderBook(tradingPair);
-        
-        if (orderType.toUpperCase() === 'BUY') {
-          const sells = orderBook.sellOrders || [];
-          if (sells.length > 0) {
-            const sortedSells = sells.sort((a, b) => parseFloat(a.price) - parseFloat(b.price));
-            estimatedPrice = parseFloat(sortedSells[0].price);
-            console.log(`[OrderService] MARKET BUY estimated price: ${estimatedPrice} (best ask from ${sells.length} sell orders)`);
-          }
-        } else {
-          const buys = orderBook.buyOrders || [];
-          if (buys.length > 0) {
-            const sortedBuys = buys.sort((a, b) => parseFloat(b.price) - parseFloat(a.price));
-            estimatedPrice = parseFloat(sortedBuys[0].price);
-            console.log(`[OrderService] MARKET SELL estimated price: ${estimatedPrice} (best bid from ${buys.length} buy orders)`);
-          }
-        }
-      } catch (err) {
-        console.warn('[OrderService] Could not get order book for price estimation:', err.message);
-      }
-      
-      if (orderType.toUpperCase() === 'BUY' && !estimatedPrice) {
-        throw new ValidationError('No sell orders available in the market. Please use LIMIT order or wait for sellers.');
-      }
-      if (orderType.toUpperCase() === 'SELL' && !estimatedPrice) {
-        throw new ValidationError('No buy orders available in the market. Please use LIMIT order or wait for buyers.');
-      }
+    // For MARKET orders, simulate the sweep across the book: the lock and the
+    // price bound the engine enforces both come from the worst expected level.
+    let marketSweep = null;
+    if (isMarket) {
+      marketSweep = await this._estimateMarketSweep(tradingPair, orderType.toUpperCase(), quantity, slippageBps);
     }
 
-    // For STOP_LOSS orders, use stopPrice for lock amount calculation
-    // (funds must be locked NOW, even though the order triggers later)
+    // Tick / lot / notional limits of the market — checked before anything is
+    // prepared on Canton. MARKET orders are sized at their expected average fill.
+    const notionalPrice = {
+      LIMIT: price,
+      MARKET: marketSweep?.averagePrice,
+      STOP_LOSS: stopPrice,
+      TRAILING_STOP: stopPrice,
+      STOP_LIMIT: limitPrice,
+    }[orderMode.toUpperCase()];
+    marketRegistry.assertOrderConforms(tradingPair, {
+      quantity,
+      displayQuantity: peak ? peak.toString() : null,
+      prices: {
+        price: orderMode.toUpperCase() === 'LIMIT' ? price : null,
+        limitPrice,
+        stopPrice: orderMode === 'TRAILING_STOP' ? null : stopPrice,
+        trailingOffset: String(trailingOffsetType || '').toUpperCase() === 'ABSOLUTE' ? trailingOffset : null,
+      },
+      notionalPrices: [notionalPrice],
+    });
+
+    // For stop orders, lock against the stop (or, for STOP_LIMIT, the limit)
+    // price — funds must be locked NOW, even though the order triggers later
     let effectivePrice = price;
     let effectiveOrderMode = orderMode;
-    if (orderMode === 'STOP_LOSS') {
+    if (orderMode === 'STOP_LOSS' || orderMode === 'TRAILING_STOP') {
       // Use stop price for balance calculation
       effectivePrice = stopPrice;
       effectiveOrderMode = 'LIMIT'; // Lock based on stop price
+    } else if (orderMode === 'STOP_LIMIT') {
+      effectivePrice = limitPrice;
+      effectiveOrderMode = 'LIMIT';
     }
 
     // Calculate what needs to be locked
-    const lockInfo = this.calculateLockAmount(tradingPair, orderType, effectivePrice, quantity, effectiveOrderMode, estimatedPrice);
+    const lockInfo = this.calculateLockAmount(tradingPair, orderType, effectivePrice, quantity, effectiveOrderMode, marketSweep?.slippageLimitPrice);
     console.log(`[OrderService] Order will lock ${lockInfo.amount} ${lockInfo.asset}`);
 
     // ========= CHECK BALANCE VIA CANTON SDK =========
@@ -784,8 +1124,8 @@ class OrderService {
     await addReservation(orderId, partyId, lockInfo.asset, lockInfo.amount, allocationContractId);
 
     // Determine initial order status
-    // STOP_LOSS orders start as 'PENDING_TRIGGER' — NOT added to active order book
-    const initialStatus = orderMode === 'STOP_LOSS' ? 'PENDING_TRIGGER' : 'OPEN';
+    // Stop orders start as 'PENDING_TRIGGER' — NOT added to active order book
+    const initialStatus = isStopOrder ? 'PENDING_TRIGGER' : 'OPEN';
 
     // Create Order contract on Canton
     const timestamp = new Date().toISOString();
@@ -844,7 +1184,7 @@ class OrderService {
     // three sequential prepare→sign→execute rounds: allocation → Order → ExchangeAllocation.
     // The frontend already chains when execute-place returns requiresSignature again.
     // ═══════════════════════════════════════════════════════════════════
-    const orderStatus = orderMode === 'STOP_LOSS' ? 'PENDING_TRIGGER' : 'OPEN';
+    const orderStatus = isStopOrder ? 'PENDING_TRIGGER' : 'OPEN';
     const orderCreateArgs = {
       orderId,
       owner: partyId,
@@ -859,6 +1199,20 @@ class OrderService {
       operator: operatorPartyId,
       allocationCid: orderId,
       stopPrice: stopPrice ? String(stopPrice) : null,
+      timeInForce: tif,
+      expiresAt: expiresAtIso,
+      postOnly: isPostOnly,
+      stpMode: stp,
+      decremented: null,
+      slippageLimitPrice: marketSweep?.slippageLimitPrice || null,
+      limitPrice: limitPrice ? String(limitPrice) : null,
+      trailingOffset: trailingOffset ? String(trailingOffset) : null,
+      trailingOffsetType: trailingOffsetType ? trailingOffsetType.toUpperCase() : null,
+      groupId: groupId || null,
+      displayQuantity: peak ? peak.toString() : null,
+      displayRemaining: peak ? peak.toString() : null,
+      displayRefreshedAt: null,
+      lockPrice: null,
     };
 
     const exchangeAllocationCreateArgs = {
@@ -937,44 +1291,51 @@ class OrderService {
           stopPrice: stopPrice ? stopPrice.toString() : null,
           lockAmount:       lockInfo.amount.toString(),
           instrumentSymbol: lockInfo.asset,
+          timeInForce:      tif,
+          expiresAt:        expiresAtIso,
+          postOnly:         isPostOnly,
+          stpMode:          stp,
+          slippageLimitPrice: marketSweep?.slippageLimitPrice || null,
+          limitPrice:         limitPrice ? limitPrice.toString() : null,
+          trailingOffset:     trailingOffset ? trailingOffset.toString() : null,
+          trailingOffsetType: trailingOffsetType ? trailingOffsetType.toUpperCase() : null,
+          groupId:            groupId || null,
+          displayQuantity:    peak ? peak.toString() : null,
         },
       },
     };
 
-    console.log(`[OrderService] 🔄 Preparing 1-TX placement: ExerciseCommand OrderPlacerFactory::PlaceOrder (1 root node, 1 user signature)`);
-    const prepareResult = await cantonService.prepareInteractiveSubmission({
-      token: interactiveLedgerToken,
-      actAsParty: [partyId],
-      commands: [exerciseCmd],
+    return {
+      exerciseCmd,
       readAs,
-      synchronizerId,
       disclosedContracts,
-    });
-
-    if (!prepareResult.preparedTransaction || !prepareResult.preparedTransactionHash) {
-      throw new Error('Prepare returned incomplete result: missing preparedTransaction or preparedTransactionHash');
-    }
-
-    console.log(`[OrderService] ✅ 1-TX placement prepared. Hash to sign: ${prepareResult.preparedTransactionHash.substring(0, 40)}...`);
-
-    return {
-      requiresSignature: true,
-      step:  'PLACEMENT_STEP_1_COMPLETE',
-      stage: 'PLACEMENT_STEP_1_COMPLETE',
-      orderId,
-      tradingPair,
-      orderType: orderType.toUpperCase(),
-      orderMode: orderMode.toUpperCase(),
-      price:     orderMode.toUpperCase() === 'LIMIT' && price ? price.toString() : (stopPrice ? stopPrice.toString() : null),
-      quantity:  quantity.toString(),
-      stopPrice: stopPrice || null,
-      preparedTransaction:     prepareResult.preparedTransaction,
-      preparedTransactionHash: prepareResult.preparedTransactionHash,
-      hashingSchemeVersion:    prepareResult.hashingSchemeVersion,
-      partyId,
+      synchronizerId,
       lockInfo,
       executorPartyId,
       allocationType,
+      meta: {
+        orderId,
+        tradingPair,
+        orderType: orderType.toUpperCase(),
+        orderMode: orderMode.toUpperCase(),
+        price:     orderMode.toUpperCase() === 'LIMIT' && price ? price.toString() : (stopPrice ? stopPrice.toString() : null),
+        quantity:  quantity.toString(),
+        stopPrice: stopPrice || null,
+        timeInForce: tif,
+        expiresAt:   expiresAtIso,
+        postOnly:    isPostOnly,
+        stpMode:     stp,
+        maxSlippageBps: slippageBps,
+        slippageLimitPrice: marketSweep?.slippageLimitPrice || null,
+        estimatedAveragePrice: marketSweep?.averagePrice ?? null,
+        limitPrice:  limitPrice ? limitPrice.toString() : null,
+        trailingOffset:     trailingOffset ? trailingOffset.toString() : null,
+        trailingOffsetType: trailingOffsetType ? trailingOffsetType.toUpperCase() : null,
+        trailingExtreme:    trailingAnchor ? trailingAnchor.toString() : null,
+        groupId:     groupId || null,
+        groupRole,
+        displayQuantity: peak ? peak.toString() : null,
+      },
     };
   }
 
@@ -1034,7 +1395,7 @@ class OrderService {
    * @param {string} signatureBase64 - User's Ed25519 signature of preparedTransactionHash
    * @param {string} signedBy - Public key fingerprint that signed
    * @param {string|number} hashingSchemeVersion - From prepare response
-   * @param {object} orderMeta - { orderId, tradingPair, orderType, orderMode, price, quantity, stopPrice, lockInfo }
+   * @param {object} orderMeta - { orderId, tradingPair, orderType, orderMode, price, quantity, stopPrice, limitPrice, trailingOffset, trailingOffsetType, trailingExtreme, timeInForce, expiresAt, postOnly, stpMode, maxSlippageBps, slippageLimitPrice, groupId, groupRole, displayQuantity, lockInfo }
    * @returns {Object} Order result with contractId
    */
   async executeOrderPlacement(preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, orderMeta = {}) {
@@ -1254,7 +1615,7 @@ class OrderService {
           stopPrice: orderMeta.stopPrice || null,
           quantity: orderMeta.quantity,
           filled: '0',
-          status: orderMeta.orderMode === 'STOP_LOSS' ? 'PENDING_TRIGGER' : 'OPEN',
+          status: STOP_ORDER_MODES.includes(orderMeta.orderMode) ? 'PENDING_TRIGGER' : 'OPEN',
           timestamp: new Date().toISOString(),
           lockId: null,
           lockedAmount: orderMeta.lockInfo?.amount || '0',
@@ -1266,21 +1627,10 @@ class OrderService {
           registerOpenOrders([orderRecord]);
         }
 
-        if (global.broadcastWebSocket && orderRecord.status === 'OPEN') {
-          global.broadcastWebSocket(`orderbook:${orderMeta.tradingPair}`, {
-            type: 'NEW_ORDER',
-            orderId: orderMeta.orderId,
-            contractId: contractId,
-            owner: partyId,
-            orderType: orderMeta.orderType,
-            orderMode: orderMeta.orderMode,
-            price: orderMeta.price,
-            quantity: orderMeta.quantity,
-            remaining: orderMeta.quantity,
-            tradingPair: orderMeta.tradingPair,
-            timestamp: new Date().toISOString()
-          });
+        if (orderRecord.status === 'OPEN') {
+          getOrderBookFeed().markDirty(orderMeta.tradingPair);
         }
+        await this._reportAccepted(partyId, orderMeta);
 
         return {
           success: true,
@@ -1304,110 +1654,10 @@ class OrderService {
       // ─── 1-TX complete: all 3 ops happened in single CreateAndExercise TX ───
       if (stage === 'PLACEMENT_STEP_1_COMPLETE') {
         const parsed = this._parseCreatedCidsFromInteractiveExecute(result);
-
-        // Extract the Splice allocation CID from the execute response events (fast path).
-        // If not present, launch a background lookup — do NOT await it here because the
-        // fallback uses a WebSocket ACS query that can take up to 60 s to resolve, which
-        // would hold the HTTP response past the frontend's 60 s axios timeout.
-        let allocationCid = parsed.lockAllocationCid;
-
-        if (allocationCid && orderMeta.orderId) {
-          const allocType = orderMeta.allocationType || null;
-          await setAllocationContractIdForOrder(orderMeta.orderId, allocationCid, allocType);
-          console.log(`[OrderService] ✅ 1-TX: Splice alloc CID stored for ${orderMeta.orderId}: ${allocationCid.substring(0, 30)}...`);
-        } else if (orderMeta.orderId) {
-          // Fire-and-forget: resolve allocation CID in background after TX confirms on ledger.
-          const _bgOrderId = orderMeta.orderId;
-          const _bgAllocType = orderMeta.allocationType || null;
-          this._findAllocationCidForOrder(_bgOrderId, partyId, serviceToken)
-            .then(async (cid) => {
-              if (cid) {
-                await setAllocationContractIdForOrder(_bgOrderId, cid, _bgAllocType).catch(() => {});
-                console.log(`[OrderService] ✅ 1-TX (async): alloc CID stored for ${_bgOrderId}: ${cid.substring(0, 30)}...`);
-              }
-            })
-            .catch(() => {});
-        }
-
-        const orderContractId = parsed.orderCid || `${orderMeta.orderId}-pending`;
-        const hasRealCid = !!(parsed.orderCid && !String(parsed.orderCid).endsWith('-pending'));
-        console.log(`[OrderService] ✅ 1-TX placement complete: order ${orderMeta.orderId} (cid: ${hasRealCid ? orderContractId.substring(0, 30) + '...' : 'pending — WebSocket will confirm'})`);
-
-        const orderStatus = orderMeta.orderMode === 'STOP_LOSS' ? 'PENDING_TRIGGER' : 'OPEN';
-        const orderRecord = {
-          contractId:          orderContractId,
-          orderId:             orderMeta.orderId,
-          owner:               partyId,
-          tradingPair:         orderMeta.tradingPair,
-          orderType:           orderMeta.orderType,
-          orderMode:           orderMeta.orderMode,
-          price:               orderMeta.price,
-          stopPrice:           orderMeta.stopPrice || null,
-          quantity:            orderMeta.quantity,
-          filled:              '0',
-          status:              orderStatus,
-          timestamp:           new Date().toISOString(),
-          allocationContractId: allocationCid,
-        };
-
-        if (orderStatus === 'OPEN') registerOpenOrders([orderRecord]);
-
-        if (global.broadcastWebSocket) {
-          global.broadcastWebSocket(`orderbook:${orderMeta.tradingPair}`, {
-            type:       orderStatus === 'PENDING_TRIGGER' ? 'STOP_LOSS_PLACED' : 'NEW_ORDER',
-            orderId:    orderMeta.orderId,
-            contractId: orderContractId,
-            owner:      partyId,
-            orderType:  orderMeta.orderType,
-            orderMode:  orderMeta.orderMode,
-            price:      orderMeta.price,
-            stopPrice:  orderMeta.stopPrice || null,
-            quantity:   orderMeta.quantity,
-            remaining:  orderMeta.quantity,
-            status:     orderStatus,
-            tradingPair: orderMeta.tradingPair,
-            timestamp:  new Date().toISOString(),
-          });
-        }
-
-        // Register stop-loss monitoring if applicable
-        if (orderMeta.orderMode === 'STOP_LOSS' && orderMeta.stopPrice) {
-          try {
-            const { getStopLossService } = require('./stopLossService');
-            await getStopLossService().registerStopLoss({
-              orderContractId: orderContractId,
-              orderId:         orderMeta.orderId,
-              tradingPair:     orderMeta.tradingPair,
-              orderType:       orderMeta.orderType,
-              stopPrice:       orderMeta.stopPrice,
-              partyId,
-              quantity:        orderMeta.quantity,
-              allocationContractId: allocationCid,
-            });
-            console.log(`[OrderService] ✅ Stop-loss registered for ${orderMeta.orderId}`);
-          } catch (slErr) {
-            console.warn(`[OrderService] ⚠️ Stop-loss registration failed (non-critical): ${slErr.message}`);
-          }
-        }
-
-        return {
-          success:               true,
-          usedInteractiveSubmission: true,
-          requiresSignature:     false,        // ← 1 TX done, no more signing
-          orderId:               orderMeta.orderId,
-          contractId:            orderContractId,
-          status:                orderStatus,
-          tradingPair:           orderMeta.tradingPair,
-          orderType:             orderMeta.orderType,
-          orderMode:             orderMeta.orderMode,
-          price:                 orderMeta.price,
-          stopPrice:             orderMeta.stopPrice || null,
-          quantity:              orderMeta.quantity,
-          filled:                '0',
-          remaining:             orderMeta.quantity,
-          allocationContractId:  allocationCid,
-          timestamp:             new Date().toISOString(),
-        };
+        return await this._completePlacement(partyId, orderMeta, {
+          orderCid: parsed.orderCid,
+          allocationCid: parsed.lockAllocationCid,
+        }, serviceToken);
       }
 
       throw new ValidationError(`Unknown placement stage: ${stage}. Please place the order again.`);
@@ -1429,79 +1679,462 @@ class OrderService {
 
       if (orderMeta.orderId) {
         await releaseReservation(orderMeta.orderId);
+        await getExecutionReportService().record({
+          partyId,
+          orderId: orderMeta.orderId,
+          tradingPair: orderMeta.tradingPair,
+          side: orderMeta.orderType,
+          eventType: 'REJECTED',
+          cumulativeQuantity: 0,
+          remainingQuantity: 0,
+          reason: error.message,
+        });
       }
       throw error;
     }
   }
 
   /**
-   * Cancel order: cancels the Allocation (releases locked funds),
-   * then exercises CancelOrder on Canton to archive the Order contract.
+   * Bookkeeping once a PlaceOrder exercise is on-ledger: link the Splice
+   * allocation, register the order, attach group legs and stop triggers, and
+   * report it ACCEPTED. `created` holds the contract IDs read from the
+   * execute response; either may be missing.
    */
-  async cancelOrder(orderContractId, partyId, tradingPair = null) {
-    if (!orderContractId || !partyId) {
-      throw new ValidationError('Order contract ID and party ID are required');
+  async _completePlacement(partyId, orderMeta, created, serviceToken) {
+    // Extract the Splice allocation CID from the execute response events (fast path).
+    // If not present, launch a background lookup — do NOT await it here because the
+    // fallback uses a WebSocket ACS query that can take up to 60 s to resolve, which
+    // would hold the HTTP response past the frontend's 60 s axios timeout.
+    const allocationCid = created.allocationCid || null;
+
+    if (allocationCid && orderMeta.orderId) {
+      const allocType = orderMeta.allocationType || null;
+      await setAllocationContractIdForOrder(orderMeta.orderId, allocationCid, allocType);
+      console.log(`[OrderService] ✅ 1-TX: Splice alloc CID stored for ${orderMeta.orderId}: ${allocationCid.substring(0, 30)}...`);
+    } else if (orderMeta.orderId) {
+      // Fire-and-forget: resolve allocation CID in background after TX confirms on ledger.
+      const _bgOrderId = orderMeta.orderId;
+      const _bgAllocType = orderMeta.allocationType || null;
+      this._findAllocationCidForOrder(_bgOrderId, partyId, serviceToken)
+        .then(async (cid) => {
+          if (cid) {
+            await setAllocationContractIdForOrder(_bgOrderId, cid, _bgAllocType).catch(() => {});
+            console.log(`[OrderService] ✅ 1-TX (async): alloc CID stored for ${_bgOrderId}: ${cid.substring(0, 30)}...`);
+          }
+        })
+        .catch(() => {});
     }
 
-    console.log(`[OrderService] Cancelling order: ${orderContractId} for party: ${partyId}`);
+    const orderContractId = created.orderCid || `${orderMeta.orderId}-pending`;
+    const hasRealCid = !!(created.orderCid && !String(created.orderCid).endsWith('-pending'));
+    console.log(`[OrderService] ✅ 1-TX placement complete: order ${orderMeta.orderId} (cid: ${hasRealCid ? orderContractId.substring(0, 30) + '...' : 'pending — WebSocket will confirm'})`);
+
+    const orderStatus = STOP_ORDER_MODES.includes(orderMeta.orderMode) ? 'PENDING_TRIGGER' : 'OPEN';
+    const orderRecord = {
+      contractId:          orderContractId,
+      orderId:             orderMeta.orderId,
+      owner:               partyId,
+      tradingPair:         orderMeta.tradingPair,
+      orderType:           orderMeta.orderType,
+      orderMode:           orderMeta.orderMode,
+      price:               orderMeta.price,
+      stopPrice:           orderMeta.stopPrice || null,
+      limitPrice:          orderMeta.limitPrice || null,
+      trailingOffset:      orderMeta.trailingOffset || null,
+      trailingOffsetType:  orderMeta.trailingOffsetType || null,
+      quantity:            orderMeta.quantity,
+      filled:              '0',
+      status:              orderStatus,
+      timestamp:           new Date().toISOString(),
+      allocationContractId: allocationCid,
+      timeInForce:         orderMeta.timeInForce || 'GTC',
+      expiresAt:           orderMeta.expiresAt || null,
+      postOnly:            orderMeta.postOnly === true,
+      stpMode:             orderMeta.stpMode || 'NONE',
+      maxSlippageBps:      orderMeta.maxSlippageBps ?? null,
+      slippageLimitPrice:  orderMeta.slippageLimitPrice || null,
+      groupId:             orderMeta.groupId || null,
+      displayQuantity:     orderMeta.displayQuantity || null,
+    };
 
-    const serviceToken = await tokenProvider.getServiceToken();
-    this._assertExecutorOauthConfigured();
-    const interactiveLedgerToken = await tokenProvider.getExecutorToken();
-    const packageId = config.canton.packageIds.clobExchange;
-    const operatorPartyId = config.canton.operatorPartyId;
+    if (orderStatus === 'OPEN') registerOpenOrders([orderRecord]);
 
-    if (!packageId) {
-      throw new Error('CLOB_EXCHANGE_PACKAGE_ID is not configured');
+    // The role comes from the group, not from the client-supplied orderMeta
+    if (orderMeta.groupId) {
+      try {
+        const { getOrderGroupService } = require('./orderGroupService');
+        await getOrderGroupService().attachLeg(orderMeta.groupId, {
+          partyId,
+          tradingPair: orderMeta.tradingPair,
+          orderType:   orderMeta.orderType,
+          orderMode:   orderMeta.orderMode,
+          quantity:    orderMeta.quantity,
+          price:       orderMeta.price,
+          stopPrice:   orderMeta.stopPrice,
+          limitPrice:  orderMeta.limitPrice,
+        }, orderMeta.orderId);
+      } catch (grpErr) {
+        console.warn(`[OrderService] ⚠️ Could not attach ${orderMeta.orderId} to group ${orderMeta.groupId}: ${grpErr.message}`);
+      }
     }
 
-    // First, get the order details to know what was locked
-    let orderDetails = null;
-    try {
-      const templateIdsToQuery = [`${packageId}:Order:Order`];
-      const contracts = await cantonService.queryActiveContracts({
-        party: partyId,
-        templateIds: templateIdsToQuery,
-        pageSize: 200
-      }, serviceToken);
-      
-      const matchingContract = (Array.isArray(contracts) ? contracts : [])
-        .find(c => c.contractId === orderContractId);
-      
-      if (matchingContract) {
-        const payload = matchingContract.payload || matchingContract.createArgument || {};
-        orderDetails = {
-          contractId: orderContractId,
-          orderId: payload.orderId,
-          owner: payload.owner,
-          tradingPair: payload.tradingPair,
-          orderType: payload.orderType,
-          orderMode: payload.orderMode,
-          price: payload.price?.Some || payload.price,
-          quantity: payload.quantity,
-          filled: payload.filled || '0',
-          status: payload.status,
-          timestamp: payload.timestamp,
-          allocationCid: payload.allocationCid || null
-        };
-        console.log(`[OrderService] Found order details: ${orderDetails.orderId}, allocationCid: ${orderDetails.allocationCid?.substring(0, 30) || 'none'}...`);
-      } else {
-        console.warn(`[OrderService] Order ${orderContractId.substring(0, 30)}... not found in active contracts`);
+    // Resting orders reach subscribers as an L2 DELTA; a pending stop stays private
+    if (orderStatus !== 'PENDING_TRIGGER') {
+      getOrderBookFeed().markDirty(orderMeta.tradingPair);
+    }
+
+    // Register stop-loss monitoring if applicable
+    if (STOP_ORDER_MODES.includes(orderMeta.orderMode) && orderMeta.stopPrice) {
+      try {
+        const { getStopLossService } = require('./stopLossService');
+        await getStopLossService().registerStopLoss({
+          orderContractId: orderContractId,
+          orderId:         orderMeta.orderId,
+          tradingPair:     orderMeta.tradingPair,
+          orderType:       orderMeta.orderType,
+          stopType:        orderMeta.orderMode,
+          stopPrice:       orderMeta.stopPrice,
+          limitPrice:      orderMeta.limitPrice || null,
+          trailingOffset:  orderMeta.trailingOffset || null,
+          trailingOffsetType: orderMeta.trailingOffsetType || null,
+          trailingExtreme: orderMeta.trailingExtreme || null,
+          groupId:         orderMeta.groupId || null,
+          partyId,
+          quantity:        orderMeta.quantity,
+          allocationContractId: allocationCid,
+        });
+        console.log(`[OrderService] ✅ Stop-loss registered for ${orderMeta.orderId}`);
+      } catch (slErr) {
+        console.warn(`[OrderService] ⚠️ Stop-loss registration failed (non-critical): ${slErr.message}`);
       }
-    } catch (e) {
-      console.warn('[OrderService] Could not fetch order details before cancel:', e.message);
     }
 
-    // ═══ Cancel the Allocation — release locked funds via Allocation_Cancel ═══
-    const orderId_cancel = orderDetails?.orderId;
-    if (orderId_cancel) {
-      const payloadAllocationCid = orderDetails?.allocationCid;
-      const isRealCid = typeof payloadAllocationCid === 'string' && payloadAllocationCid.length > 20 && !payloadAllocationCid.startsWith('#');
-      const allocationCid = isRealCid
-        ? payloadAllocationCid
-        : await getAllocationContractIdForOrder(orderId_cancel);
-      if (allocationCid) {
-        try {
+    await this._reportAccepted(partyId, orderMeta);
+
+    return {
+      success:               true,
+      usedInteractiveSubmission: true,
+      requiresSignature:     false,        // ← 1 TX done, no more signing
+      orderId:               orderMeta.orderId,
+      contractId:            orderContractId,
+      status:                orderStatus,
+      tradingPair:           orderMeta.tradingPair,
+      orderType:             orderMeta.orderType,
+      orderMode:             orderMeta.orderMode,
+      price:                 orderMeta.price,
+      stopPrice:             orderMeta.stopPrice || null,
+      limitPrice:            orderMeta.limitPrice || null,
+      trailingOffset:        orderMeta.trailingOffset || null,
+      trailingOffsetType:    orderMeta.trailingOffsetType || null,
+      quantity:              orderMeta.quantity,
+      timeInForce:           orderMeta.timeInForce || 'GTC',
+      expiresAt:             orderMeta.expiresAt || null,
+      postOnly:              orderMeta.postOnly === true,
+      stpMode:               orderMeta.stpMode || 'NONE',
+      maxSlippageBps:        orderMeta.maxSlippageBps ?? null,
+      slippageLimitPrice:    orderMeta.slippageLimitPrice || null,
+      groupId:               orderMeta.groupId || null,
+      displayQuantity:       orderMeta.displayQuantity || null,
+      filled:                '0',
+      remaining:             orderMeta.quantity,
+      allocationContractId:  allocationCid,
+      timestamp:             new Date().toISOString(),
+    };
+  }
+
+  /**
+   * Execution report for an order whose placement just completed on-ledger.
+   */
+  async _reportAccepted(partyId, orderMeta) {
+    await getExecutionReportService().record({
+      partyId,
+      orderId: orderMeta.orderId,
+      tradingPair: orderMeta.tradingPair,
+      side: orderMeta.orderType,
+      eventType: 'ACCEPTED',
+      cumulativeQuantity: 0,
+      remainingQuantity: orderMeta.quantity,
+    });
+  }
+
+  /**
+   * STEP 1: Prepare several orders as one interactive submission.
+   *
+   * Every order goes through the same checks and balance reservation as
+   * placeOrder; their PlaceOrder arguments are then sent as a single
+   * OrderPlacerFactory::PlaceOrders exercise, so the user signs once and
+   * the whole batch lands (or fails) together. Each allocation is built
+   * with the holdings it would use on its own; PlaceOrders drops the ones
+   * an earlier order of the batch spent and uses that order's change
+   * instead. Order group legs are not accepted here — they attach to their
+   * group one at a time.
+   *
+   * @param {string} partyId - placing party
+   * @param {Array<Object>} orders - placeOrder() inputs without partyId
+   * @returns {Object} prepared transaction plus { orders } meta for executeOrderBatchPlacement
+   */
+  async placeOrderBatch(partyId, orders) {
+    if (!partyId) {
+      throw new ValidationError('Party ID is required');
+    }
+    if (!Array.isArray(orders) || orders.length === 0) {
+      throw new ValidationError('orders must be a non-empty array');
+    }
+    if (orders.length > MAX_BATCH_ORDERS) {
+      throw new ValidationError(`A batch takes at most ${MAX_BATCH_ORDERS} orders (got ${orders.length})`);
+    }
+
+    const placements = [];
+    try {
+      for (const [index, order] of orders.entries()) {
+        if (order?.groupId) {
+          throw new ValidationError(`orders[${index}]: order group legs cannot be placed in a batch`);
+        }
+        try {
+          placements.push(await this._buildPlacement({ ...order, partyId }));
+        } catch (err) {
+          if (err instanceof ValidationError) throw new ValidationError(`orders[${index}]: ${err.message}`);
+          throw err;
+        }
+      }
+
+      const [first] = placements;
+      const readAs = [...new Set(placements.flatMap(p => p.readAs || []))];
+      const disclosed = new Map();
+      for (const p of placements) {
+        for (const dc of p.disclosedContracts || []) disclosed.set(dc.contractId, dc);
+      }
+
+      const batchCmd = {
+        ExerciseCommand: {
+          templateId: first.exerciseCmd.ExerciseCommand.templateId,
+          contractId: first.exerciseCmd.ExerciseCommand.contractId,
+          choice:     'PlaceOrders',
+          choiceArgument: {
+            orders: placements.map(p => p.exerciseCmd.ExerciseCommand.choiceArgument),
+          },
+        },
+      };
+
+      const interactiveLedgerToken = await tokenProvider.getExecutorToken();
+      console.log(`[OrderService] 🔄 Preparing batch placement: OrderPlacerFactory::PlaceOrders with ${placements.length} order(s)`);
+      const prepareResult = await cantonService.prepareInteractiveSubmission({
+        token: interactiveLedgerToken,
+        actAsParty: [partyId],
+        commands: [batchCmd],
+        readAs,
+        synchronizerId: first.synchronizerId,
+        disclosedContracts: [...disclosed.values()],
+      });
+
+      if (!prepareResult.preparedTransaction || !prepareResult.preparedTransactionHash) {
+        throw new Error('Prepare returned incomplete result for PlaceOrders');
+      }
+
+      console.log(`[OrderService] ✅ Batch placement prepared. Hash to sign: ${prepareResult.preparedTransactionHash.substring(0, 40)}...`);
+
+      return {
+        requiresSignature: true,
+        step: 'PREPARED',
+        action: 'PLACE_BATCH',
+        orders: placements.map(p => ({
+          ...p.meta,
+          lockInfo: p.lockInfo,
+          executorPartyId: p.executorPartyId,
+          allocationType: p.allocationType,
+        })),
+        preparedTransaction:     prepareResult.preparedTransaction,
+        preparedTransactionHash: prepareResult.preparedTransactionHash,
+        hashingSchemeVersion:    prepareResult.hashingSchemeVersion,
+        partyId,
+      };
+    } catch (error) {
+      // Nothing reached the ledger: hand back what the earlier orders reserved
+      for (const p of placements) await releaseReservation(p.meta.orderId);
+      throw error;
+    }
+  }
+
+  /**
+   * STEP 2: Execute a prepared batch placement with the user's signature.
+   *
+   * @param {object} batchMeta - placeOrderBatch() result without the prepared transaction
+   * @returns {Object} { count, orders } with one placement result per order
+   */
+  async executeOrderBatchPlacement(preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, batchMeta = {}) {
+    const orders = Array.isArray(batchMeta.orders) ? batchMeta.orders : [];
+    if (orders.length === 0) {
+      throw new ValidationError('Batch meta has no orders — please prepare the batch again.');
+    }
+    const serviceToken = await tokenProvider.getServiceToken();
+    this._assertExecutorOauthConfigured();
+    const interactiveLedgerToken = await tokenProvider.getExecutorToken();
+
+    console.log(`[OrderService] EXECUTE batch placement of ${orders.length} order(s) for ${partyId.substring(0, 30)}...`);
+
+    let result;
+    try {
+      result = await cantonService.executeInteractiveSubmission({
+        preparedTransaction,
+        partySignatures: {
+          signatures: [{
+            party: partyId,
+            signatures: [{
+              format: 'SIGNATURE_FORMAT_RAW',
+              signature: signatureBase64,
+              signedBy,
+              signingAlgorithmSpec: 'SIGNING_ALGORITHM_SPEC_ED25519',
+            }],
+          }],
+        },
+        hashingSchemeVersion,
+      }, interactiveLedgerToken);
+    } catch (error) {
+      console.error('[OrderService] Failed to execute batch placement:', error.message);
+      for (const orderMeta of orders) {
+        if (!orderMeta.orderId) continue;
+        await releaseReservation(orderMeta.orderId);
+        await getExecutionReportService().record({
+          partyId,
+          orderId: orderMeta.orderId,
+          tradingPair: orderMeta.tradingPair,
+          side: orderMeta.orderType,
+          eventType: 'REJECTED',
+          cumulativeQuantity: 0,
+          remainingQuantity: 0,
+          reason: error.message,
+        });
+      }
+      throw error;
+    }
+
+    const createdByOrder = this._parseBatchPlacementEvents(result);
+    const placed = [];
+    for (const orderMeta of orders) {
+      try {
+        placed.push(await this._completePlacement(partyId, orderMeta, createdByOrder.get(orderMeta.orderId) || {}, serviceToken));
+      } catch (err) {
+        // The order is on-ledger; the stream picks it up even if our bookkeeping failed
+        console.warn(`[OrderService] ⚠️ Post-placement bookkeeping failed for ${orderMeta.orderId}: ${err.message}`);
+        placed.push({ success: true, orderId: orderMeta.orderId, tradingPair: orderMeta.tradingPair, warning: err.message });
+      }
+    }
+
+    console.log(`[OrderService] ✅ Batch placement complete: ${placed.length} order(s)`);
+
+    return {
+      success: true,
+      usedInteractiveSubmission: true,
+      requiresSignature: false,
+      count: placed.length,
+      orders: placed,
+    };
+  }
+
+  /**
+   * Created contract IDs of a PlaceOrders execute, keyed by orderId. Order
+   * and ExchangeAllocation payloads carry the orderId; a Splice allocation
+   * carries it as its settlement reference.
+   */
+  _parseBatchPlacementEvents(result) {
+    const byOrder = new Map();
+    const entry = (orderId) => {
+      if (!byOrder.has(orderId)) byOrder.set(orderId, {});
+      return byOrder.get(orderId);
+    };
+    for (const event of result?.transaction?.events || []) {
+      const created = event.created || event.CreatedEvent;
+      if (!created?.contractId) continue;
+      const tid = this._templateIdToString(created.templateId);
+      const payload = created.createArgument || created.createArguments || created.payload || {};
+      if (tid.includes(':Order:Order')) {
+        if (payload.orderId) entry(payload.orderId).orderCid = created.contractId;
+      } else if (tid.includes('ExchangeAllocation')) {
+        if (payload.orderId) entry(payload.orderId).exchangeAllocationCid = created.contractId;
+      } else if (tid.includes('Allocation')) {
+        const ref = this._extractOrderRefFromAllocationPayload(payload);
+        if (ref) entry(ref).allocationCid = created.contractId;
+      }
+    }
+    return byOrder;
+  }
+
+  /**
+   * Cancel order: cancels the Allocation (releases locked funds),
+   * then exercises CancelOrder on Canton to archive the Order contract.
+   */
+  async cancelOrder(orderContractId, partyId, tradingPair = null) {
+    if (!orderContractId || !partyId) {
+      throw new ValidationError('Order contract ID and party ID are required');
+    }
+
+    console.log(`[OrderService] Cancelling order: ${orderContractId} for party: ${partyId}`);
+
+    const serviceToken = await tokenProvider.getServiceToken();
+    this._assertExecutorOauthConfigured();
+    const interactiveLedgerToken = await tokenProvider.getExecutorToken();
+    const packageId = config.canton.packageIds.clobExchange;
+    const operatorPartyId = config.canton.operatorPartyId;
+
+    if (!packageId) {
+      throw new Error('CLOB_EXCHANGE_PACKAGE_ID is not configured');
+    }
+
+    // First, get the order details to know what was locked
+    let orderDetails = null;
+    try {
+      const templateIdsToQuery = [`${packageId}:Order:Order`];
+      const contracts = await cantonService.queryActiveContracts({
+        party: partyId,
+        templateIds: templateIdsToQuery,
+        pageSize: 200
+      }, serviceToken);
+      
+      const matchingContract = (Array.isArray(contracts) ? contracts : [])
+        .find(c => c.contractId === orderContractId);
+      
+      if (matchingContract) {
+        const payload = matchingContract.payload || matchingContract.createArgument || {};
+        orderDetails = {
+          contractId: orderContractId,
+          orderId: payload.orderId,
+          owner: payload.owner,
+          tradingPair: payload.tradingPair,
+          orderType: payload.orderType,
+          orderMode: payload.orderMode,
+          price: payload.price?.Some || payload.price,
+          quantity: payload.quantity,
+          filled: payload.filled || '0',
+          status: payload.status,
+          timestamp: payload.timestamp,
+          allocationCid: payload.allocationCid || null
+        };
+        console.log(`[OrderService] Found order details: ${orderDetails.orderId}, allocationCid: ${orderDetails.allocationCid?.substring(0, 30) || 'none'}...`);
+      } else {
+        console.warn(`[OrderService] Order ${orderContractId.substring(0, 30)}... not found in active contracts`);
+      }
+    } catch (e) {
+      console.warn('[OrderService] Could not fetch order details before cancel:', e.message);
+    }
+
+    // A halted market freezes its book, cancels included
+    const cancelPair = orderDetails?.tradingPair || tradingPair;
+    if (cancelPair) {
+      const marketRegistry = getMarketRegistry();
+      await marketRegistry.ensureFresh();
+      marketRegistry.assertCancelAllowed(cancelPair);
+    }
+
+    // ═══ Cancel the Allocation — release locked funds via Allocation_Cancel ═══
+    const orderId_cancel = orderDetails?.orderId;
+    if (orderId_cancel) {
+      const payloadAllocationCid = orderDetails?.allocationCid;
+      const isRealCid = typeof payloadAllocationCid === 'string' && payloadAllocationCid.length > 20 && !payloadAllocationCid.startsWith('#');
+      const allocationCid = isRealCid
+        ? payloadAllocationCid
+        : await getAllocationContractIdForOrder(orderId_cancel);
+      if (allocationCid) {
+        try {
           const allocationCancelResult = await this.cancelAllocationForOrder(orderId_cancel, allocationCid, partyId);
           if (allocationCancelResult?.cancelled) {
             console.log(`[OrderService] ✅ Allocation cancelled — funds released`);
@@ -1585,18 +2218,9 @@ class OrderService {
         _globalOpenOrders.delete(orderContractId);
         if (orderDetails?.orderId) await releaseReservation(orderDetails.orderId);
 
-        // Broadcast eviction via WebSocket so frontend removes the stale order
+        // Drop the stale order from the L2 feed and the owner's order list
+        getOrderBookFeed().markDirty(orderDetails?.tradingPair || tradingPair);
         if (global.broadcastWebSocket) {
-          const tp = orderDetails?.tradingPair || tradingPair;
-          if (tp) {
-            global.broadcastWebSocket(`orderbook:${tp}`, {
-              type: 'ORDER_CANCELLED',
-              contractId: orderContractId,
-              orderId: orderDetails?.orderId,
-              tradingPair: tp,
-              timestamp: new Date().toISOString(),
-            });
-          }
           if (partyId) {
             global.broadcastWebSocket(`orders:${partyId}`, {
               type: 'ORDER_ARCHIVED',
@@ -1690,6 +2314,16 @@ class OrderService {
       if (partySignatures.signatures[0]?.party !== partyId) {
         throw new ValidationError('Cancel execute: signature entry must be for the requesting user party only.');
       }
+
+      // Snapshot the order before the archive streams in — a cancelled bracket
+      // entry arms its exits for whatever it had filled.
+      let cancelledOrder = null;
+      if (cancelMeta.orderId) {
+        try {
+          const { getStreamingReadModel } = require('./streamingReadModel');
+          cancelledOrder = getStreamingReadModel()?.findOrderByOrderId(cancelMeta.orderId) || null;
+        } catch (_) { /* best effort */ }
+      }
       
       const result = await cantonService.executeInteractiveSubmission({
         preparedTransaction,
@@ -1699,44 +2333,16 @@ class OrderService {
       
       console.log(`[OrderService] ✅ Order cancelled via interactive submission: ${cancelMeta.orderContractId?.substring(0, 20)}...`);
       
-      // Release balance reservation
-      if (cancelMeta.orderId) {
-        await releaseReservation(cancelMeta.orderId);
-      }
-      
-      // Remove from tracking
-      const readModel = getReadModelService();
-      if (readModel) {
-        readModel.removeOrder(cancelMeta.orderContractId);
-      }
-      
-      // Unregister from global registry
-      if (cancelMeta.orderContractId) {
-        _globalOpenOrders.delete(cancelMeta.orderContractId);
-      }
-      
-      // Broadcast via WebSocket to both orderbook and user-specific channels
-      if (global.broadcastWebSocket) {
-        const ts = new Date().toISOString();
-        if (cancelMeta.tradingPair) {
-          global.broadcastWebSocket(`orderbook:${cancelMeta.tradingPair}`, {
-            type: 'ORDER_CANCELLED',
-            contractId: cancelMeta.orderContractId,
-            orderId: cancelMeta.orderId,
-            tradingPair: cancelMeta.tradingPair,
-            timestamp: ts,
-          });
-        }
-        if (partyId) {
-          global.broadcastWebSocket(`orders:${partyId}`, {
-            type: 'ORDER_ARCHIVED',
-            contractId: cancelMeta.orderContractId,
-            orderId: cancelMeta.orderId,
-            timestamp: ts,
-          });
-        }
-      }
-      
+      await this._finishOrderCancel(partyId, {
+        orderContractId: cancelMeta.orderContractId,
+        orderId: cancelMeta.orderId,
+        tradingPair: cancelMeta.tradingPair || cancelledOrder?.tradingPair,
+        side: cancelledOrder?.orderType || cancelMeta.orderDetails?.orderType,
+        filled: cancelledOrder?.filled || cancelMeta.orderDetails?.filled || '0',
+        groupId: cancelledOrder?.groupId || null,
+      });
+      getOrderBookFeed().markDirty(cancelMeta.tradingPair);
+
       return {
         success: true,
         usedInteractiveSubmission: true,
@@ -1752,6 +2358,569 @@ class OrderService {
     }
   }
 
+  /**
+   * Local bookkeeping for an order whose cancel is on-ledger: reservation,
+   * open-order caches, order group, CANCELLED report and the owner's
+   * ORDER_ARCHIVED event. The caller marks the book dirty.
+   */
+  async _finishOrderCancel(partyId, { orderContractId, orderId, tradingPair, side, filled = '0', groupId = null }) {
+    if (orderId) {
+      await releaseReservation(orderId);
+    }
+
+    const readModel = getReadModelService();
+    if (readModel && orderContractId) {
+      readModel.removeOrder(orderContractId);
+    }
+    if (orderContractId) {
+      _globalOpenOrders.delete(orderContractId);
+    }
+
+    if (orderId) {
+      try {
+        const { getOrderGroupService } = require('./orderGroupService');
+        await getOrderGroupService().onOrderCancelled(orderId, {
+          groupId,
+          filled,
+          reason: 'USER_CANCELLED',
+        });
+      } catch (grpErr) {
+        console.warn(`[OrderService] ⚠️ Order group update after cancel failed: ${grpErr.message}`);
+      }
+
+      await getExecutionReportService().record({
+        partyId,
+        orderId,
+        tradingPair,
+        side,
+        eventType: 'CANCELLED',
+        cumulativeQuantity: filled,
+        remainingQuantity: 0,
+        reason: 'USER_CANCELLED',
+      });
+    }
+
+    if (global.broadcastWebSocket && partyId) {
+      global.broadcastWebSocket(`orders:${partyId}`, {
+        type: 'ORDER_ARCHIVED',
+        contractId: orderContractId,
+        orderId,
+        timestamp: new Date().toISOString(),
+      });
+    }
+  }
+
+  /**
+   * STEP 1: Prepare a mass cancel of the party's working orders, optionally
+   * narrowed to one trading pair and/or side.
+   *
+   * A single OrderPlacerFactory::CancelOrders exercise cancels the orders,
+   * voids their PENDING ExchangeAllocations and withdraws their Splice locks,
+   * so the owner signs once and the funds come back in the same transaction.
+   * A lock whose withdraw context the registry cannot provide is left to
+   * expire; its order is still cancelled. At most MAX_BATCH_ORDERS orders are
+   * taken per call — `remaining` tells the client to call again.
+   *
+   * @param {string} partyId - order owner
+   * @param {Object} filters - { tradingPair, side }, both optional
+   * @returns {Object} prepared transaction plus the cancel meta for executeCancelAll
+   */
+  async cancelAllOrders(partyId, { tradingPair = null, side = null } = {}) {
+    if (!partyId) {
+      throw new ValidationError('Party ID is required');
+    }
+    const sideFilter = side ? String(side).toUpperCase() : null;
+    if (sideFilter && sideFilter !== 'BUY' && sideFilter !== 'SELL') {
+      throw new ValidationError('side must be BUY or SELL');
+    }
+
+    const serviceToken = await tokenProvider.getServiceToken();
+    this._assertExecutorOauthConfigured();
+    const interactiveLedgerToken = await tokenProvider.getExecutorToken();
+    const packageId = config.canton.packageIds.clobExchange;
+    const operatorPartyId = config.canton.operatorPartyId;
+    if (!packageId) {
+      throw new Error('CLOB_EXCHANGE_PACKAGE_ID is not configured');
+    }
+
+    // Halted markets are frozen: name one and the call fails, otherwise
+    // their orders are left out
+    const marketRegistry = getMarketRegistry();
+    await marketRegistry.ensureFresh();
+    if (tradingPair) marketRegistry.assertCancelAllowed(tradingPair);
+
+    const matching = activeContractsOf(await cantonService.queryActiveContracts({
+      party: partyId,
+      templateIds: [`${packageId}:Order:Order`],
+      pageSize: 200,
+    }, serviceToken))
+      .map(c => ({ contractId: c.contractId || c.createdEvent?.contractId, order: contractPayload(c) }))
+      .filter(({ contractId, order }) => contractId
+        && order.owner === partyId
+        && (order.status === 'OPEN' || order.status === 'PENDING_TRIGGER')
+        && (!tradingPair || order.tradingPair === tradingPair)
+        && (!sideFilter || String(order.orderType).toUpperCase() === sideFilter)
+        && marketRegistry.getMarket(order.tradingPair)?.status !== 'HALTED');
+
+    if (matching.length === 0) {
+      return { requiresSignature: false, action: 'CANCEL_ALL', cancelled: 0, orders: [], remaining: 0, tradingPair, side: sideFilter };
+    }
+    const selected = matching.slice(0, MAX_BATCH_ORDERS);
+    const orderIds = new Set(selected.map(({ order }) => order.orderId));
+
+    let exchangeAllocationCids = [];
+    try {
+      exchangeAllocationCids = activeContractsOf(await cantonService.queryActiveContracts({
+        party: partyId,
+        templateIds: [`${packageId}:Settlement:ExchangeAllocation`],
+        pageSize: 200,
+      }, serviceToken))
+        .filter(c => {
+          const ea = contractPayload(c);
+          return ea.owner === partyId && ea.status === 'PENDING' && orderIds.has(ea.orderId);
+        })
+        .map(c => c.contractId || c.createdEvent?.contractId)
+        .filter(Boolean);
+    } catch (eaErr) {
+      console.warn(`[OrderService] ⚠️ ExchangeAllocation lookup for cancel-all failed: ${eaErr.message}`);
+    }
+
+    const sdkClient = getCantonSDKClient();
+    const lockWithdrawals = [];
+    const disclosed = new Map();
+    const released = new Set();
+    for (const { order } of selected) {
+      const payloadCid = order.allocationCid;
+      const isRealCid = typeof payloadCid === 'string' && payloadCid.length > 20 && !payloadCid.startsWith('#');
+      const allocationCid = isRealCid ? payloadCid : await getAllocationContractIdForOrder(order.orderId);
+      if (!allocationCid) continue;
+
+      const [baseAsset, quoteAsset] = String(order.tradingPair).split('/');
+      const symbol = String(order.orderType).toUpperCase() === 'BUY' ? quoteAsset : baseAsset;
+      try {
+        const { extraArgs, disclosedContracts } = await sdkClient.fetchAllocationWithdrawArgs(allocationCid, symbol);
+        lockWithdrawals.push({ allocationCid, extraArgs });
+        for (const dc of disclosedContracts) disclosed.set(dc.contractId, dc);
+        released.add(order.orderId);
+      } catch (ctxErr) {
+        console.warn(`[OrderService] ⚠️ Lock of ${order.orderId} not withdrawn in cancel-all: ${ctxErr.message}`);
+      }
+    }
+
+    const placerFactoryCid = await this._getOrCreateOrderPlacerFactory(partyId, operatorPartyId, packageId, serviceToken);
+
+    console.log(`[OrderService] Preparing CancelOrders for ${selected.length} order(s), ${exchangeAllocationCids.length} ExchangeAllocation(s), ${lockWithdrawals.length} lock(s)`);
+    const prepareResult = await cantonService.prepareInteractiveSubmission({
+      token: interactiveLedgerToken,
+      actAsParty: [partyId],
+      commands: [{
+        ExerciseCommand: {
+          templateId: `${packageId}:Settlement:OrderPlacerFactory`,
+          contractId: placerFactoryCid,
+          choice: 'CancelOrders',
+          choiceArgument: {
+            orderCids: selected.map(({ contractId }) => contractId),
+            exchangeAllocationCids,
+            lockWithdrawals,
+          },
+        },
+      }],
+      readAs: [operatorPartyId, partyId],
+      synchronizerId: config.canton.synchronizerId,
+      disclosedContracts: [...disclosed.values()],
+    });
+    if (!prepareResult.preparedTransaction || !prepareResult.preparedTransactionHash) {
+      throw new Error('Prepare returned incomplete result for CancelOrders');
+    }
+
+    console.log(`[OrderService] ✅ CancelOrders prepared. Hash to sign: ${prepareResult.preparedTransactionHash.substring(0, 40)}...`);
+
+    return {
+      requiresSignature: true,
+      step: 'PREPARED',
+      action: 'CANCEL_ALL',
+      tradingPair,
+      side: sideFilter,
+      orders: selected.map(({ contractId, order }) => ({
+        orderContractId: contractId,
+        orderId: order.orderId,
+        tradingPair: order.tradingPair,
+        orderType: order.orderType,
+        orderMode: order.orderMode,
+        status: order.status,
+        filled: order.filled || '0',
+        lockReleased: released.has(order.orderId),
+      })),
+      remaining: matching.length - selected.length,
+      preparedTransaction: prepareResult.preparedTransaction,
+      preparedTransactionHash: prepareResult.preparedTransactionHash,
+      hashingSchemeVersion: prepareResult.hashingSchemeVersion,
+      partyId,
+    };
+  }
+
+  /**
+   * STEP 2: Execute a prepared mass cancel with the owner's signature.
+   *
+   * @param {object} cancelMeta - cancelAllOrders() result without the prepared transaction
+   */
+  async executeCancelAll(preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, cancelMeta = {}) {
+    const orders = Array.isArray(cancelMeta.orders) ? cancelMeta.orders : [];
+    if (orders.length === 0) {
+      throw new ValidationError('Cancel meta has no orders — please prepare the cancel again.');
+    }
+    this._assertExecutorOauthConfigured();
+    const interactiveLedgerToken = await tokenProvider.getExecutorToken();
+
+    console.log(`[OrderService] EXECUTE cancel-all of ${orders.length} order(s) for ${partyId.substring(0, 30)}...`);
+
+    // Group ids and fills come from the live model, before the archives stream in
+    let streaming = null;
+    try {
+      const { getStreamingReadModel } = require('./streamingReadModel');
+      streaming = getStreamingReadModel();
+    } catch (_) { /* best effort */ }
+    const snapshots = new Map(orders.map(o => [o.orderId, streaming?.findOrderByOrderId(o.orderId) || null]));
+
+    await cantonService.executeInteractiveSubmission({
+      preparedTransaction,
+      partySignatures: {
+        signatures: [{
+          party: partyId,
+          signatures: [{
+            format: 'SIGNATURE_FORMAT_RAW',
+            signature: signatureBase64,
+            signedBy,
+            signingAlgorithmSpec: 'SIGNING_ALGORITHM_SPEC_ED25519',
+          }],
+        }],
+      },
+      hashingSchemeVersion,
+    }, interactiveLedgerToken);
+
+    console.log(`[OrderService] ✅ ${orders.length} order(s) cancelled in one transaction`);
+
+    const pairs = new Set();
+    for (const order of orders) {
+      const snapshot = snapshots.get(order.orderId);
+      if (order.status === 'PENDING_TRIGGER') {
+        try {
+          const { getStopLossService } = require('./stopLossService');
+          await getStopLossService().unregisterStopLoss(order.orderContractId);
+        } catch (slErr) {
+          console.warn(`[OrderService] ⚠️ Could not unregister stop for ${order.orderId}: ${slErr.message}`);
+        }
+      }
+      await this._finishOrderCancel(partyId, {
+        orderContractId: order.orderContractId,
+        orderId: order.orderId,
+        tradingPair: order.tradingPair,
+        side: order.orderType,
+        filled: snapshot?.filled || order.filled || '0',
+        groupId: snapshot?.groupId || null,
+      });
+      pairs.add(order.tradingPair);
+    }
+    for (const pair of pairs) getOrderBookFeed().markDirty(pair);
+
+    return {
+      success: true,
+      usedInteractiveSubmission: true,
+      cancelled: orders.length,
+      orders: orders.map(o => ({
+        orderId: o.orderId,
+        orderContractId: o.orderContractId,
+        tradingPair: o.tradingPair,
+        lockReleased: !!o.lockReleased,
+      })),
+      remaining: cancelMeta.remaining || 0,
+    };
+  }
+
+  /**
+   * STEP 1: Prepare an in-place amend of a resting order (cancel-replace
+   * without releasing its allocation).
+   *
+   * `quantity` is the new total including fills and may only go down; a new
+   * `price` (LIMIT only) sends the order to the back of its new level, a size
+   * cut keeps its time priority. The Splice allocation is not touched: a BUY
+   * can be repriced down but not above the price it was locked at.
+   *
+   * When the lock shrinks and the order still has a PENDING ExchangeAllocation,
+   * the root command is Resize_Allocation, which amends the Order inside the
+   * same transaction; otherwise it is AmendOrder on the Order itself.
+   *
+   * @param {string} orderRef - orderId or Order contract ID
+   * @param {string} partyId - order owner
+   * @param {Object} changes - { price, quantity }, at least one of them
+   * @returns {Object} prepared transaction plus the amend meta for executeOrderAmend
+   */
+  async amendOrder(orderRef, partyId, { price = null, quantity = null } = {}) {
+    if (!orderRef || !partyId) {
+      throw new ValidationError('Order ID and party ID are required');
+    }
+    const hasPrice = price !== null && price !== undefined && price !== '';
+    const hasQuantity = quantity !== null && quantity !== undefined && quantity !== '';
+    if (!hasPrice && !hasQuantity) {
+      throw new ValidationError('Provide a new price, a new quantity, or both');
+    }
+
+    const serviceToken = await tokenProvider.getServiceToken();
+    this._assertExecutorOauthConfigured();
+    const interactiveLedgerToken = await tokenProvider.getExecutorToken();
+    const packageId = config.canton.packageIds.clobExchange;
+    const operatorPartyId = config.canton.operatorPartyId;
+    if (!packageId) {
+      throw new Error('CLOB_EXCHANGE_PACKAGE_ID is not configured');
+    }
+
+    const orderContracts = activeContractsOf(await cantonService.queryActiveContracts({
+      party: partyId,
+      templateIds: [`${packageId}:Order:Order`],
+      pageSize: 200,
+    }, serviceToken));
+    const orderContract = orderContracts.find(c => (c.contractId || c.createdEvent?.contractId) === orderRef)
+      || orderContracts.find(c => contractPayload(c).orderId === orderRef);
+    if (!orderContract) {
+      throw new NotFoundError(`Order ${orderRef} not found among ${partyId.substring(0, 30)}...'s active orders`);
+    }
+    const orderContractId = orderContract.contractId || orderContract.createdEvent?.contractId;
+    const order = contractPayload(orderContract);
+    if (order.owner !== partyId) {
+      throw new ValidationError('Only the order owner can amend it');
+    }
+    if (order.status !== 'OPEN') {
+      throw new ValidationError(`Only OPEN orders can be amended (order is ${order.status})`);
+    }
+
+    const side = String(order.orderType).toUpperCase();
+    const currentPrice = order.price?.Some ?? order.price ?? null;
+    const currentQty = new Decimal(order.quantity);
+    const filled = new Decimal(order.filled || 0);
+
+    let newPrice = null;
+    if (hasPrice) {
+      if (!Number.isFinite(Number(price)) || Number(price) <= 0) {
+        throw new ValidationError('price must be a positive number');
+      }
+      const parsed = new Decimal(price);
+      if (String(order.orderMode).toUpperCase() !== 'LIMIT') {
+        throw new ValidationError('Only LIMIT orders can be repriced');
+      }
+      if (!currentPrice || !parsed.eq(currentPrice)) newPrice = parsed;
+    }
+
+    let newQty = null;
+    if (hasQuantity) {
+      if (!Number.isFinite(Number(quantity))) {
+        throw new ValidationError('quantity must be a number');
+      }
+      const parsed = new Decimal(quantity);
+      if (parsed.gt(currentQty)) {
+        throw new ValidationError(`quantity can only be reduced (currently ${currentQty.toString()}) — place a new order to add size`);
+      }
+      if (parsed.lte(filled)) {
+        throw new ValidationError(`quantity must stay above the ${filled.toString()} already filled — cancel the order instead`);
+      }
+      if (parsed.lt(currentQty)) newQty = parsed;
+    }
+
+    if (!newPrice && !newQty) {
+      throw new ValidationError('Amend leaves the order unchanged');
+    }
+
+    // The allocation holds what was locked at placement; more cannot be added in place
+    const lockedPrice = order.lockPrice?.Some ?? order.lockPrice ?? currentPrice;
+    if (newPrice && side === 'BUY' && newPrice.gt(lockedPrice)) {
+      throw new ValidationError(
+        `A BUY cannot be repriced above ${lockedPrice}, the price its funds were locked at — cancel and place a new order instead`
+      );
+    }
+
+    const effectivePrice = newPrice || (currentPrice !== null ? new Decimal(currentPrice) : null);
+    const effectiveQty = newQty || currentQty;
+    const marketRegistry = getMarketRegistry();
+    await marketRegistry.ensureFresh();
+    // Size cuts are allowed wherever cancels are; a new price needs a market taking orders
+    marketRegistry.assertCancelAllowed(order.tradingPair);
+    if (newPrice) {
+      const postOnly = order.postOnly?.Some ?? order.postOnly;
+      const isPostOnly = postOnly === true || postOnly === 'true';
+      marketRegistry.assertOrderAllowed(order.tradingPair, { postOnly: isPostOnly });
+      if (isPostOnly) this._assertPostOnlyDoesNotCross(order.tradingPair, side, newPrice.toString());
+    }
+    marketRegistry.assertOrderConforms(order.tradingPair, {
+      quantity: effectiveQty.toString(),
+      prices: newPrice ? { price: newPrice.toString() } : {},
+      notionalPrices: effectivePrice ? [effectivePrice.toString()] : [],
+    });
+
+    const oldLock = new Decimal(this.calculateLockAmount(
+      order.tradingPair, side, currentPrice, currentQty.minus(filled).toString(), order.orderMode
+    ).amount);
+    const newLock = new Decimal(this.calculateLockAmount(
+      order.tradingPair, side, effectivePrice && effectivePrice.toString(), effectiveQty.minus(filled).toString(), order.orderMode
+    ).amount);
+
+    // Resize the ExchangeAllocation only when there is one to shrink
+    let exchangeAllocation = null;
+    if (newLock.lt(oldLock)) {
+      try {
+        const eaContracts = activeContractsOf(await cantonService.queryActiveContracts({
+          party: partyId,
+          templateIds: [`${packageId}:Settlement:ExchangeAllocation`],
+          pageSize: 200,
+        }, serviceToken));
+        const ea = eaContracts.find(c => contractPayload(c).orderId === order.orderId && contractPayload(c).status === 'PENDING');
+        if (ea && newLock.gt(0) && newLock.lt(contractPayload(ea).amount)) {
+          exchangeAllocation = { contractId: ea.contractId || ea.createdEvent?.contractId, amount: contractPayload(ea).amount };
+        }
+      } catch (eaErr) {
+        console.warn(`[OrderService] ⚠️ ExchangeAllocation lookup for amend failed: ${eaErr.message}`);
+      }
+    }
+
+    const amendArgs = {
+      newPrice: newPrice ? newPrice.toString() : null,
+      newQuantity: newQty ? newQty.toString() : null,
+    };
+    const command = exchangeAllocation
+      ? {
+        templateId: `${packageId}:Settlement:ExchangeAllocation`,
+        contractId: exchangeAllocation.contractId,
+        choice: 'Resize_Allocation',
+        choiceArgument: { orderCid: orderContractId, newAmount: newLock.toFixed(10), ...amendArgs },
+      }
+      : {
+        templateId: `${packageId}:Order:Order`,
+        contractId: orderContractId,
+        choice: 'AmendOrder',
+        choiceArgument: amendArgs,
+      };
+
+    console.log(`[OrderService] Preparing ${command.choice} for ${order.orderId}: price ${currentPrice} → ${effectivePrice}, quantity ${currentQty} → ${effectiveQty}`);
+
+    const prepareResult = await cantonService.prepareInteractiveSubmission({
+      token: interactiveLedgerToken,
+      actAsParty: [partyId],
+      ...command,
+      readAs: [operatorPartyId, partyId],
+    });
+    if (!prepareResult.preparedTransaction || !prepareResult.preparedTransactionHash) {
+      throw new Error(`Prepare returned incomplete result for ${command.choice}`);
+    }
+
+    console.log(`[OrderService] ✅ ${command.choice} prepared. Hash to sign: ${prepareResult.preparedTransactionHash.substring(0, 40)}...`);
+
+    return {
+      requiresSignature: true,
+      step: 'PREPARED',
+      action: 'AMEND',
+      orderContractId,
+      orderId: order.orderId,
+      tradingPair: order.tradingPair,
+      orderType: side,
+      price: effectivePrice ? effectivePrice.toString() : null,
+      quantity: effectiveQty.toString(),
+      filled: filled.toString(),
+      repriced: !!newPrice,
+      releaseAmount: Decimal.max(oldLock.minus(newLock), 0).toString(),
+      resizedAllocation: !!exchangeAllocation,
+      preparedTransaction: prepareResult.preparedTransaction,
+      preparedTransactionHash: prepareResult.preparedTransactionHash,
+      hashingSchemeVersion: prepareResult.hashingSchemeVersion,
+      partyId,
+    };
+  }
+
+  /**
+   * STEP 2: Execute a prepared amend with the owner's signature.
+   *
+   * @param {object} amendMeta - amendOrder() result without the prepared transaction
+   */
+  async executeOrderAmend(preparedTransaction, partyId, signatureBase64, signedBy, hashingSchemeVersion, amendMeta = {}) {
+    this._assertExecutorOauthConfigured();
+    const interactiveLedgerToken = await tokenProvider.getExecutorToken();
+
+    console.log(`[OrderService] EXECUTE order amend for ${partyId.substring(0, 30)}...`);
+
+    const result = await cantonService.executeInteractiveSubmission({
+      preparedTransaction,
+      partySignatures: {
+        signatures: [{
+          party: partyId,
+          signatures: [{
+            format: 'SIGNATURE_FORMAT_RAW',
+            signature: signatureBase64,
+            signedBy,
+            signingAlgorithmSpec: 'SIGNING_ALGORITHM_SPEC_ED25519',
+          }],
+        }],
+      },
+      hashingSchemeVersion,
+    }, interactiveLedgerToken);
+
+    const { orderCid } = this._parseCreatedCidsFromInteractiveExecute(result);
+    console.log(`[OrderService] ✅ Order ${amendMeta.orderId} amended in place: ${orderCid ? orderCid.substring(0, 20) + '...' : 'new contract id not returned'}`);
+
+    // Funds freed by the amend stay in the Splice allocation until settlement,
+    // but no longer count against the owner's available balance here
+    if (amendMeta.orderId && amendMeta.releaseAmount && new Decimal(amendMeta.releaseAmount).gt(0)) {
+      await releasePartialReservation(amendMeta.orderId, amendMeta.releaseAmount);
+    }
+
+    const readModel = getReadModelService();
+    if (readModel && amendMeta.orderContractId) readModel.removeOrder(amendMeta.orderContractId);
+    if (amendMeta.orderContractId) _globalOpenOrders.delete(amendMeta.orderContractId);
+
+    if (amendMeta.orderId) {
+      try {
+        const data = { quantity: amendMeta.quantity };
+        if (amendMeta.repriced) data.price = amendMeta.price;
+        await getDb().order.updateMany({ where: { orderId: amendMeta.orderId }, data });
+      } catch (dbErr) {
+        console.warn(`[OrderService] ⚠️ Could not update amended order ${amendMeta.orderId} in DB: ${dbErr.message}`);
+      }
+
+      await getExecutionReportService().record({
+        partyId,
+        orderId: amendMeta.orderId,
+        tradingPair: amendMeta.tradingPair,
+        side: amendMeta.orderType,
+        eventType: 'REPLACED',
+        cumulativeQuantity: amendMeta.filled || 0,
+        remainingQuantity: new Decimal(amendMeta.quantity || 0).minus(amendMeta.filled || 0).toString(),
+        reason: amendMeta.repriced ? 'PRICE_CHANGED' : 'QUANTITY_REDUCED',
+      });
+    }
+
+    getOrderBookFeed().markDirty(amendMeta.tradingPair);
+    if (global.broadcastWebSocket) {
+      global.broadcastWebSocket(`orders:${partyId}`, {
+        type: 'ORDER_AMENDED',
+        contractId: orderCid,
+        previousContractId: amendMeta.orderContractId,
+        orderId: amendMeta.orderId,
+        price: amendMeta.price,
+        quantity: amendMeta.quantity,
+        timestamp: new Date().toISOString(),
+      });
+    }
+
+    return {
+      success: true,
+      usedInteractiveSubmission: true,
+      amended: true,
+      orderContractId: orderCid,
+      previousContractId: amendMeta.orderContractId,
+      orderId: amendMeta.orderId,
+      tradingPair: amendMeta.tradingPair,
+      price: amendMeta.price,
+      quantity: amendMeta.quantity,
+      repriced: !!amendMeta.repriced,
+    };
+  }
+
   /**
    * Get user's orders DIRECTLY from Canton API
    * NO CACHE - always queries Canton
@@ -1837,7 +3006,19 @@ class OrderService {
             filled: payload.filled || '0',
             status: effectiveStatus,
             timestamp: payload.timestamp,
-            allocationCid: payload.allocationCid || null
+            allocationCid: payload.allocationCid || null,
+            timeInForce: payload.timeInForce || 'GTC',
+            expiresAt: payload.expiresAt || null,
+            postOnly: payload.postOnly === true,
+            stpMode: payload.stpMode || 'NONE',
+            slippageLimitPrice: payload.slippageLimitPrice || null,
+            stopPrice: payload.stopPrice || null,
+            limitPrice: payload.limitPrice || null,
+            trailingOffset: payload.trailingOffset || null,
+            trailingOffsetType: payload.trailingOffsetType || null,
+            groupId: payload.groupId || null,
+            displayQuantity: payload.displayQuantity || null,
+            displayRemaining: payload.displayRemaining || null
           };
         });
 
@@ -1889,7 +3070,9 @@ class OrderService {
                 quantity: payload.quantity,
                 filled: payload.filled || '0',
                 status: effectiveStatus,
-                timestamp: payload.timestamp
+                timestamp: payload.timestamp,
+                timeInForce: payload.timeInForce || 'GTC',
+                expiresAt: payload.expiresAt || null
               };
             });
           return orders;
@@ -0,0 +1,268 @@
+/**
+ * Order Book Feed — sequenced L2 diffs on `orderbook:<pair>`
+ *
+ * Keeps the aggregated price levels (price → visible quantity, order count)
+ * of every market and publishes only the levels that changed, each message
+ * carrying the next sequence number for that market:
+ *
+ *   SNAPSHOT { tradingPair, seq, bids, asks }           → to one client, on
+ *                                                         subscribe / resync
+ *   DELTA    { tradingPair, seq, prevSeq, bids, asks }  → to all subscribers;
+ *                                                         quantity '0' removes
+ *                                                         the level
+ *
+ * A client applies a DELTA only when its prevSeq equals the last seq it has
+ * seen; anything else is a gap and it asks for a new snapshot
+ * ({ type: 'resync', channel }).
+ *
+ * Levels are always recomputed from the read model (same view as
+ * GET /orderbook, icebergs show their peak), so writers only need to call
+ * markDirty(pair) — streaming create/archive events do that automatically,
+ * and a periodic reconcile catches in-place changes nobody reported.
+ *
+ * Every DELTA is also emitted in-process as a 'delta' event, for consumers
+ * outside the WebSocket layer (the FIX gateway's incremental refresh).
+ */
+
+const EventEmitter = require('events');
+const Decimal = require('decimal.js');
+
+const CHANNEL_PREFIX = 'orderbook:';
+const FLUSH_DELAY_MS = 50;
+const RECONCILE_MS = 5000;
+
+function aggregate(orders) {
+  const levels = new Map();
+  for (const o of orders || []) {
+    let price;
+    let remaining;
+    try {
+      price = new Decimal(o.price);
+      remaining = new Decimal(o.remaining ?? 0);
+    } catch (_) {
+      continue;
+    }
+    if (price.lte(0) || remaining.lte(0)) continue;
+
+    const key = price.toString();
+    const level = levels.get(key);
+    if (level) {
+      level.quantity = level.quantity.plus(remaining);
+      level.orderCount += 1;
+    } else {
+      levels.set(key, { quantity: remaining, orderCount: 1 });
+    }
+  }
+  return levels;
+}
+
+function toLevel(price, level) {
+  return {
+    price,
+    quantity: level ? level.quantity.toString() : '0',
+    orderCount: level ? level.orderCount : 0,
+  };
+}
+
+/** Levels that differ between two aggregated sides, removals as quantity '0'. */
+function diffSide(prev, next) {
+  const changes = [];
+  for (const [price, level] of next) {
+    const before = prev.get(price);
+    if (!before || !before.quantity.eq(level.quantity) || before.orderCount !== level.orderCount) {
+      changes.push(toLevel(price, level));
+    }
+  }
+  for (const price of prev.keys()) {
+    if (!next.has(price)) changes.push(toLevel(price, null));
+  }
+  return changes;
+}
+
+function sortedLevels(side, descending) {
+  return Array.from(side, ([price, level]) => toLevel(price, level))
+    .sort((a, b) => {
+      const cmp = new Decimal(a.price).cmp(b.price);
+      return descending ? -cmp : cmp;
+    });
+}
+
+class OrderBookFeed extends EventEmitter {
+  constructor() {
+    super();
+    this.isRunning = false;
+    this.books = new Map();     // tradingPair → { seq, bids: Map, asks: Map }
+    this._dirty = new Set();
+    this._flushTimer = null;
+    this._reconcileTimer = null;
+    this._queue = Promise.resolve();
+    this._listeners = null;
+  }
+
+  _enqueue(task) {
+    const run = this._queue.then(task);
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  // ─── Lifecycle ────────────────────────────────────────────────────────
+
+  start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    const streaming = getStreamingReadModel();
+    const onChange = (event) => {
+      if (event?.tradingPair) this.markDirty(event.tradingPair);
+    };
+    this._listeners = { orderCreated: onChange, orderArchived: onChange, tradeCreated: onChange };
+    for (const [event, fn] of Object.entries(this._listeners)) {
+      streaming.on(event, fn);
+    }
+
+    const { registerSubscriptionHandler } = require('./websocketService');
+    registerSubscriptionHandler(CHANNEL_PREFIX, (channel) =>
+      this.getSnapshot(channel.slice(CHANNEL_PREFIX.length))
+    );
+
+    this._reconcileTimer = setInterval(() => {
+      // Until the stream is ready the book comes from Canton — too costly to poll
+      if (!streaming.isReady()) return;
+      for (const pair of this.books.keys()) this._dirty.add(pair);
+      this._scheduleFlush();
+    }, RECONCILE_MS);
+    if (this._reconcileTimer.unref) this._reconcileTimer.unref();
+
+    console.log('[OrderBookFeed] ✅ Started — sequenced L2 diffs on orderbook:<pair>');
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    const streaming = getStreamingReadModel();
+    for (const [event, fn] of Object.entries(this._listeners || {})) {
+      streaming.off(event, fn);
+    }
+    clearInterval(this._reconcileTimer);
+    clearTimeout(this._flushTimer);
+    this._reconcileTimer = null;
+    this._flushTimer = null;
+    this.isRunning = false;
+  }
+
+  // ─── Updates ──────────────────────────────────────────────────────────
+
+  /**
+   * Note that a market's book may have changed. Bursts (a sweep filling
+   * several orders) are coalesced into one DELTA.
+   */
+  markDirty(tradingPair) {
+    if (!tradingPair || !this.isRunning) return;
+    this._dirty.add(tradingPair);
+    this._scheduleFlush();
+  }
+
+  _scheduleFlush() {
+    if (this._flushTimer) return;
+    this._flushTimer = setTimeout(() => {
+      this._flushTimer = null;
+      this._enqueue(() => this._flush()).catch((err) => {
+        console.warn(`[OrderBookFeed] ⚠️ Flush failed: ${err.message}`);
+      });
+    }, FLUSH_DELAY_MS);
+  }
+
+  async _flush() {
+    const pairs = Array.from(this._dirty);
+    this._dirty.clear();
+
+    for (const tradingPair of pairs) {
+      const next = await this._computeLevels(tradingPair);
+      if (!next) continue;
+
+      const book = this.books.get(tradingPair);
+      if (!book) {
+        // Nobody has a snapshot yet; start the sequence here
+        this.books.set(tradingPair, { seq: 0, ...next });
+        continue;
+      }
+
+      const bids = diffSide(book.bids, next.bids);
+      const asks = diffSide(book.asks, next.asks);
+      if (bids.length === 0 && asks.length === 0) continue;
+
+      const prevSeq = book.seq;
+      book.seq += 1;
+      book.bids = next.bids;
+      book.asks = next.asks;
+
+      const delta = {
+        type: 'DELTA',
+        tradingPair,
+        seq: book.seq,
+        prevSeq,
+        bids,
+        asks,
+        timestamp: new Date().toISOString(),
+      };
+      if (global.broadcastWebSocket) {
+        global.broadcastWebSocket(`${CHANNEL_PREFIX}${tradingPair}`, delta);
+      }
+      this.emit('delta', delta);
+    }
+  }
+
+  async _computeLevels(tradingPair) {
+    const { getOrderBookService } = require('./orderBookService');
+    const book = await getOrderBookService().getOrderBook(tradingPair);
+    if (!book) return null;
+    return {
+      bids: aggregate(book.buyOrders),
+      asks: aggregate(book.sellOrders),
+    };
+  }
+
+  // ─── Reads ────────────────────────────────────────────────────────────
+
+  /**
+   * Full book for one market at its current sequence. Queued behind any
+   * pending flush so the snapshot never runs ahead of the DELTAs already sent.
+   */
+  getSnapshot(tradingPair) {
+    const { getMarketRegistry } = require('./marketRegistryService');
+    if (!getMarketRegistry().getMarket(tradingPair)) return Promise.resolve(null);
+
+    return this._enqueue(async () => {
+      let book = this.books.get(tradingPair);
+      if (!book) {
+        const levels = await this._computeLevels(tradingPair);
+        book = { seq: 0, bids: levels?.bids || new Map(), asks: levels?.asks || new Map() };
+        this.books.set(tradingPair, book);
+      }
+      return {
+        type: 'SNAPSHOT',
+        tradingPair,
+        seq: book.seq,
+        bids: sortedLevels(book.bids, true),
+        asks: sortedLevels(book.asks, false),
+        timestamp: new Date().toISOString(),
+      };
+    });
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getOrderBookFeed() {
+  if (!instance) {
+    instance = new OrderBookFeed();
+  }
+  return instance;
+}
+
+module.exports = {
+  OrderBookFeed,
+  getOrderBookFeed,
+};
@@ -15,14 +15,9 @@ const cantonService = require('./cantonService');
 const { TEMPLATE_IDS } = require('../config/constants');
 const { getTokenSystemType } = require('../config/canton-sdk.config');
 const { getStreamingReadModel } = require('./streamingReadModel');
-
-const SUPPORTED_PAIRS = [
-    'BTC/USDT',
-    'ETH/USDT',
-    'SOL/USDT',
-    'CBTC/USDT',
-    'CC/CBTC',
-];
+const { visibleQuantity } = require('../utils/orderBookAggregator');
+const { getMarketRegistry } = require('./marketRegistryService');
+const { getTickerService } = require('./tickerService');
 
 const MAX_UTILITY_ALLOCATION_AGE_MS = 24 * 60 * 60 * 1000;  // 24 h
 const MAX_SPLICE_ALLOCATION_AGE_MS  = 15 * 60 * 1000;       // 15 min
@@ -55,8 +50,10 @@ class OrderBookService {
     }
 
     async getAllOrderBooks() {
+        const registry = getMarketRegistry();
+        await registry.ensureFresh();
         return Promise.all(
-            SUPPORTED_PAIRS.map(pair => this.getOrderBook(pair))
+            registry.getTradingPairs().map(pair => this.getOrderBook(pair))
         );
     }
 
@@ -75,6 +72,7 @@ class OrderBookService {
         book.buyOrders  = book.buyOrders.filter(o => !isAllocationExpired(o));
         book.sellOrders = book.sellOrders.filter(o => !isAllocationExpired(o));
         book.source = 'in-memory-cache';
+        book.lastPrice = getTickerService().getLastPrice(tradingPair);
         if (userPartyId) book.userPartyId = userPartyId;
 
         return book;
@@ -101,6 +99,13 @@ class OrderBookService {
                 const qty = parseFloat(payload.quantity || '0');
                 const filled = parseFloat(payload.filled || '0');
                 const rawPrice = payload.price?.Some ?? payload.price ?? null;
+                // Iceberg orders only publish their current peak
+                const isIceberg = !!payload.displayQuantity;
+                const remaining = visibleQuantity({
+                    remaining: qty - filled,
+                    displayQuantity: payload.displayQuantity,
+                    displayRemaining: payload.displayRemaining,
+                });
                 return {
                     contractId: c.contractId,
                     owner: payload.owner,
@@ -110,9 +115,9 @@ class OrderBookService {
                     orderMode: payload.orderMode,
                     status: payload.status,
                     price: rawPrice,
-                    quantity: payload.quantity,
-                    filled: payload.filled,
-                    remaining: qty - filled,
+                    quantity: isIceberg ? String(remaining) : payload.quantity,
+                    filled: isIceberg ? '0' : payload.filled,
+                    remaining,
                     timestamp: payload.timestamp,
                 };
             })
@@ -136,7 +141,7 @@ class OrderBookService {
             tradingPair,
             buyOrders,
             sellOrders,
-            lastPrice: null,
+            lastPrice: getTickerService().getLastPrice(tradingPair),
             timestamp: new Date().toISOString(),
             source: 'canton-live-query',
             ...(userPartyId ? { userPartyId } : {}),
@@ -0,0 +1,531 @@
+/**
+ * Order Group Service — OCO and bracket orders
+ * PostgreSQL via Prisma (orderGroup table); legs are ordinary Order contracts
+ * tagged with groupId on-ledger.
+ *
+ * Group types:
+ *   OCO      a take-profit LIMIT and a protective stop (STOP_LOSS or
+ *            STOP_LIMIT) on the same side. The first leg to fill — or the stop
+ *            triggering — cancels the other.
+ *   BRACKET  an entry order plus an OCO exit pair on the opposite side.
+ *
+ * Lifecycle:
+ *   PENDING_ENTRY  bracket created, entry leg not filled yet
+ *   ARMED          exit legs may be placed (OCO from creation, bracket once the
+ *                  entry has filled). The owner signs every placement, so the
+ *                  venue only announces ORDER_GROUP_ARMED with the leg specs.
+ *   ACTIVE         both exit legs are on the ledger
+ *   COMPLETED      one exit leg filled or triggered; the sibling was cancelled
+ *   CANCELLED      the owner cancelled a leg (the rest of the group goes too)
+ *
+ * Sibling cancels go through MatchingEngine.cancelOrderForVenue — the same
+ * ExpireOrder + Operator_Cancel_Settlement path the engine uses for IOC and
+ * STP, which also releases the sibling's allocation and reservation. A cancel
+ * that fails while the sibling is still working is retried with backoff; the
+ * group records the leg in reconcileOrderId meanwhile and keeps it there
+ * if the retries run out, for an operator to cancel by hand.
+ *
+ * Each exit leg locks its own allocation, so the owner needs the exit quantity
+ * free twice over until one of them is cancelled.
+ */
+
+const Decimal = require('decimal.js');
+const { v4: uuidv4 } = require('uuid');
+const { getDb } = require('./db');
+const { getMarketRegistry } = require('./marketRegistryService');
+const { ValidationError, ForbiddenError, NotFoundError } = require('../utils/errors');
+
+const GROUP_TYPES = ['OCO', 'BRACKET'];
+const GROUP_ROLES = ['ENTRY', 'TAKE_PROFIT', 'STOP'];
+const OPEN_GROUP_STATUSES = ['PENDING_ENTRY', 'ARMED', 'ACTIVE'];
+const SIBLING_CANCEL_REASON = 'OCO_SIBLING_FILLED';
+const LEG_CANCEL_RETRY_MS = 5000;
+const MAX_LEG_CANCEL_ATTEMPTS = 6;
+
+function positiveDecimal(value, field) {
+  let d;
+  try {
+    d = new Decimal(value);
+  } catch (_) {
+    throw new ValidationError(`${field} must be a positive number`);
+  }
+  if (!d.isFinite() || d.lte(0)) {
+    throw new ValidationError(`${field} must be a positive number`);
+  }
+  return d;
+}
+
+function oppositeSide(side) {
+  return side === 'BUY' ? 'SELL' : 'BUY';
+}
+
+class OrderGroupService {
+  constructor() {
+    this._cancelRetries = new Map(); // leg orderId → retry timer
+  }
+
+  /**
+   * Create a group and return the legs the client should place now.
+   * OCO groups return both exit legs; brackets return the entry leg only.
+   */
+  async createGroup(cfg) {
+    const {
+      partyId,
+      tradingPair,
+      groupType,
+      quantity,
+      side,                 // OCO: exit side; BRACKET: entry side
+      entryOrderMode = 'LIMIT',
+      entryPrice = null,
+      takeProfitPrice,
+      stopPrice,
+      stopLimitPrice = null,
+    } = cfg;
+
+    const type = String(groupType || '').toUpperCase();
+    if (!GROUP_TYPES.includes(type)) {
+      throw new ValidationError(`groupType must be one of ${GROUP_TYPES.join(', ')}`);
+    }
+    if (!partyId || !tradingPair) {
+      throw new ValidationError('partyId and tradingPair are required');
+    }
+    const sideUpper = String(side || '').toUpperCase();
+    if (!['BUY', 'SELL'].includes(sideUpper)) {
+      throw new ValidationError('side must be BUY or SELL');
+    }
+
+    const qty = positiveDecimal(quantity, 'quantity');
+    const tp = positiveDecimal(takeProfitPrice, 'takeProfitPrice');
+    const sp = positiveDecimal(stopPrice, 'stopPrice');
+    const slp = stopLimitPrice ? positiveDecimal(stopLimitPrice, 'stopLimitPrice') : null;
+    const exitSide = type === 'OCO' ? sideUpper : oppositeSide(sideUpper);
+
+    // Selling out of a long: take profit above, stop below. Buying back a
+    // short is the mirror image.
+    if (exitSide === 'SELL' ? tp.lte(sp) : tp.gte(sp)) {
+      throw new ValidationError(
+        `For a ${exitSide} exit the takeProfitPrice must be ${exitSide === 'SELL' ? 'above' : 'below'} the stopPrice`
+      );
+    }
+
+    let entry = null;
+    if (type === 'BRACKET') {
+      const mode = String(entryOrderMode || 'LIMIT').toUpperCase();
+      if (!['LIMIT', 'MARKET'].includes(mode)) {
+        throw new ValidationError('A bracket entry must be a LIMIT or MARKET order');
+      }
+      if (mode === 'LIMIT') {
+        const ep = positiveDecimal(entryPrice, 'entryPrice');
+        const between = exitSide === 'SELL' ? sp.lt(ep) && ep.lt(tp) : tp.lt(ep) && ep.lt(sp);
+        if (!between) {
+          throw new ValidationError('The entryPrice must lie between the stopPrice and the takeProfitPrice');
+        }
+        entry = { orderMode: mode, price: ep.toString() };
+      } else {
+        if (entryPrice) throw new ValidationError('entryPrice does not apply to a MARKET entry');
+        entry = { orderMode: mode, price: null };
+      }
+    }
+
+    // Every leg is later placed as its own order, so hold the whole group to
+    // the market's rules now rather than failing halfway through placement
+    const marketRegistry = getMarketRegistry();
+    await marketRegistry.ensureFresh();
+    marketRegistry.assertOrderConforms(tradingPair, {
+      quantity: qty.toString(),
+      prices: {
+        takeProfitPrice: tp.toString(),
+        stopPrice: sp.toString(),
+        stopLimitPrice: slp ? slp.toString() : null,
+        entryPrice: entry?.price || null,
+      },
+      notionalPrices: [tp, slp || sp, entry?.price].filter(Boolean),
+    });
+
+    const group = await getDb().orderGroup.create({
+      data: {
+        id: `grp-${uuidv4()}`,
+        partyId,
+        tradingPair,
+        groupType: type,
+        status: type === 'OCO' ? 'ARMED' : 'PENDING_ENTRY',
+        exitSide,
+        quantity: qty.toString(),
+        entryPrice: entry?.price || null,
+        takeProfitPrice: tp.toString(),
+        stopPrice: sp.toString(),
+        stopLimitPrice: slp ? slp.toString() : null,
+      },
+    });
+
+    console.log(`[OrderGroup] ✅ Created ${type} ${group.id} for ${tradingPair} (exit ${exitSide} ${qty}, TP ${tp}, SL ${sp})`);
+
+    const legs = type === 'OCO'
+      ? this.exitLegs(group)
+      : [{
+          groupId: group.id,
+          groupRole: 'ENTRY',
+          tradingPair,
+          orderType: sideUpper,
+          orderMode: entry.orderMode,
+          price: entry.price,
+          quantity: group.quantity,
+        }];
+
+    return { group, legs };
+  }
+
+  /**
+   * Take-profit and stop leg specs for a group, in placement order.
+   */
+  exitLegs(group) {
+    const base = {
+      groupId: group.id,
+      tradingPair: group.tradingPair,
+      orderType: group.exitSide,
+      quantity: group.quantity,
+    };
+    const legs = [];
+    if (!group.takeProfitOrderId) {
+      legs.push({ ...base, groupRole: 'TAKE_PROFIT', orderMode: 'LIMIT', price: group.takeProfitPrice });
+    }
+    if (!group.stopOrderId) {
+      legs.push({
+        ...base,
+        groupRole: 'STOP',
+        orderMode: group.stopLimitPrice ? 'STOP_LIMIT' : 'STOP_LOSS',
+        stopPrice: group.stopPrice,
+        limitPrice: group.stopLimitPrice || null,
+      });
+    }
+    return legs;
+  }
+
+  /**
+   * Check that an order about to be placed matches a free leg of its group.
+   * Called by OrderService.placeOrder before funds are reserved.
+   * @returns {string} the leg's role (ENTRY, TAKE_PROFIT or STOP)
+   */
+  async assertLegPlacement(groupId, leg) {
+    const group = await this._findGroup(groupId);
+    if (!group) {
+      throw new NotFoundError(`Order group ${groupId} not found`);
+    }
+    if (group.partyId !== leg.partyId) {
+      throw new ForbiddenError('Order group belongs to another party');
+    }
+    const role = this._legRole(group, leg);
+
+    if (role === 'ENTRY') {
+      if (group.status !== 'PENDING_ENTRY' || group.entryOrderId) {
+        throw new ValidationError(`Order group ${groupId} is not waiting for an entry order`);
+      }
+      return role;
+    }
+    if (group.status !== 'ARMED') {
+      throw new ValidationError(`Order group ${groupId} is ${group.status}; exit legs cannot be placed`);
+    }
+    if (role === 'TAKE_PROFIT' && group.takeProfitOrderId) {
+      throw new ValidationError(`Order group ${groupId} already has a take-profit leg`);
+    }
+    if (role === 'STOP' && group.stopOrderId) {
+      throw new ValidationError(`Order group ${groupId} already has a stop leg`);
+    }
+    return role;
+  }
+
+  /**
+   * Record a placed leg once its placement has executed. A group moves to
+   * ACTIVE once both exit legs exist. If the group closed while the leg was
+   * being signed (the other leg already filled), the new leg is cancelled.
+   */
+  async attachLeg(groupId, leg, orderId) {
+    const db = getDb();
+    const group = await this._findGroup(groupId);
+    if (!group || group.partyId !== leg.partyId) return null;
+    const role = this._legRole(group, leg);
+
+    if (!OPEN_GROUP_STATUSES.includes(group.status)) {
+      console.warn(`[OrderGroup] ⚠️ ${role} leg ${orderId} placed after ${groupId} was ${group.status} — cancelling it`);
+      await this._cancelLeg(group, orderId, 'ORDER_GROUP_CLOSED');
+      return group;
+    }
+
+    const column = { ENTRY: 'entryOrderId', TAKE_PROFIT: 'takeProfitOrderId', STOP: 'stopOrderId' }[role];
+    const updated = await db.orderGroup.update({
+      where: { id: groupId },
+      data: { [column]: orderId },
+    });
+    if (updated.status === 'ARMED' && updated.takeProfitOrderId && updated.stopOrderId) {
+      await db.orderGroup.updateMany({
+        where: { id: groupId, status: 'ARMED' },
+        data: { status: 'ACTIVE' },
+      });
+      updated.status = 'ACTIVE';
+    }
+    console.log(`[OrderGroup] 🔗 ${role} leg ${orderId} attached to ${groupId} (${updated.status})`);
+    this._broadcast(updated, 'ORDER_GROUP_UPDATED');
+    return updated;
+  }
+
+  /**
+   * Matching engine hook, called after a fill is settled for an order that
+   * carries a groupId. The leg may not be attached yet (it can match before
+   * its placement call returns), so the side decides entry vs exit.
+   */
+  async onOrderFilled(order, { complete }) {
+    const group = await this._findGroup(order.groupId);
+    if (!group || !OPEN_GROUP_STATUSES.includes(group.status)) return;
+
+    if (order.orderType !== group.exitSide) {
+      if (complete) await this._arm(group, order.orderId);
+      return;
+    }
+    // Any execution on an exit leg cancels the other; a partly filled
+    // take-profit keeps resting for its remainder. A stop leg has already
+    // closed the group when it triggered, so this is the take-profit.
+    const role = order.orderId === group.stopOrderId ? 'STOP' : 'TAKE_PROFIT';
+    await this._complete(group, order.orderId, role);
+  }
+
+  /**
+   * StopLossService hook: a stop leg triggered, so the take-profit goes.
+   */
+  async onStopTriggered(orderId, groupId = null) {
+    const group = groupId
+      ? await this._findGroup(groupId)
+      : await getDb().orderGroup.findFirst({ where: { stopOrderId: orderId } });
+    if (!group || !OPEN_GROUP_STATUSES.includes(group.status)) return;
+    if (group.stopOrderId && group.stopOrderId !== orderId) return;
+    await this._complete(group, orderId, 'STOP');
+  }
+
+  /**
+   * A leg left the book without filling (owner cancel or venue expiry).
+   * An unfilled entry takes the whole bracket with it; a partly filled one
+   * arms the exits for the filled quantity. Cancelling an exit leg cancels
+   * its sibling.
+   */
+  async onOrderCancelled(orderId, { groupId = null, filled = '0', reason = 'USER_CANCELLED' } = {}) {
+    if (reason === SIBLING_CANCEL_REASON) return;
+    const group = groupId
+      ? await this._findGroup(groupId)
+      : await getDb().orderGroup.findFirst({
+          where: {
+            status: { in: OPEN_GROUP_STATUSES },
+            OR: [{ entryOrderId: orderId }, { takeProfitOrderId: orderId }, { stopOrderId: orderId }],
+          },
+        });
+    if (!group || !OPEN_GROUP_STATUSES.includes(group.status)) return;
+
+    if (group.entryOrderId === orderId) {
+      const filledQty = new Decimal(filled || 0);
+      if (filledQty.gt(0)) {
+        group.quantity = filledQty.toString();
+        await getDb().orderGroup.update({ where: { id: group.id }, data: { quantity: group.quantity } });
+        await this._arm(group, orderId);
+      } else {
+        await this._close(group, 'CANCELLED', { cancelReason: `ENTRY_${reason}` });
+      }
+      return;
+    }
+
+    if (group.takeProfitOrderId !== orderId && group.stopOrderId !== orderId) return;
+    if (!(await this._close(group, 'CANCELLED', { cancelReason: reason }))) return;
+    const siblingId = group.takeProfitOrderId === orderId ? group.stopOrderId : group.takeProfitOrderId;
+    if (siblingId) await this._cancelLeg(group, siblingId, 'OCO_SIBLING_CANCELLED');
+  }
+
+  async getGroupsForParty(partyId, { status = null, limit = 50 } = {}) {
+    const where = { partyId };
+    if (status) where.status = status;
+    return getDb().orderGroup.findMany({
+      where,
+      orderBy: { createdAt: 'desc' },
+      take: Math.min(Number(limit) || 50, 200),
+    });
+  }
+
+  async getGroup(groupId, partyId) {
+    const group = await this._findGroup(groupId);
+    if (!group || (partyId && group.partyId !== partyId)) {
+      throw new NotFoundError(`Order group ${groupId} not found`);
+    }
+    return { ...group, pendingLegs: group.status === 'ARMED' ? this.exitLegs(group) : [] };
+  }
+
+  // ─── internals ────────────────────────────────────────────────────────
+
+  async _findGroup(groupId) {
+    if (!groupId) return null;
+    return getDb().orderGroup.findUnique({ where: { id: groupId } });
+  }
+
+  /**
+   * Which leg of the group an order is, checked against the group's prices
+   * and size. Throws a ValidationError if it matches none.
+   */
+  _legRole(group, leg) {
+    if (group.tradingPair !== leg.tradingPair) {
+      throw new ValidationError(`Order group ${group.id} is for ${group.tradingPair}, not ${leg.tradingPair}`);
+    }
+    const side = String(leg.orderType || '').toUpperCase();
+    const mode = String(leg.orderMode || '').toUpperCase();
+    const same = (a, b) => a != null && b != null && new Decimal(a).eq(b);
+    const mismatch = (what) => new ValidationError(`Leg does not match order group ${group.id}: ${what}`);
+
+    if (!same(leg.quantity, group.quantity)) throw mismatch('quantity');
+
+    if (side !== group.exitSide) {
+      if (group.groupType !== 'BRACKET') throw mismatch(`an OCO group only takes ${group.exitSide} legs`);
+      if (group.entryPrice ? !(mode === 'LIMIT' && same(leg.price, group.entryPrice)) : mode !== 'MARKET') {
+        throw mismatch('entry price');
+      }
+      return 'ENTRY';
+    }
+    if (mode === 'LIMIT') {
+      if (!same(leg.price, group.takeProfitPrice)) throw mismatch('take-profit price');
+      return 'TAKE_PROFIT';
+    }
+    if (mode === 'STOP_LOSS' || mode === 'STOP_LIMIT') {
+      if (!same(leg.stopPrice, group.stopPrice)) throw mismatch('stop price');
+      if (group.stopLimitPrice ? !(mode === 'STOP_LIMIT' && same(leg.limitPrice, group.stopLimitPrice)) : mode !== 'STOP_LOSS') {
+        throw mismatch('stop limit price');
+      }
+      return 'STOP';
+    }
+    throw new ValidationError(`${mode} orders cannot be an exit leg of an order group`);
+  }
+
+  async _arm(group, entryOrderId) {
+    const res = await getDb().orderGroup.updateMany({
+      where: { id: group.id, status: 'PENDING_ENTRY' },
+      data: { status: 'ARMED', entryOrderId: group.entryOrderId || entryOrderId },
+    });
+    if (res.count === 0) return;
+    group.status = 'ARMED';
+    group.entryOrderId = group.entryOrderId || entryOrderId;
+    console.log(`[OrderGroup] 🎯 Bracket ${group.id} armed — entry ${group.entryOrderId} filled`);
+    this._broadcast(group, 'ORDER_GROUP_ARMED', { legs: this.exitLegs(group) });
+  }
+
+  /**
+   * Move an open group to a terminal status. Conditional on the current
+   * status so concurrent fills of both legs only close it once.
+   */
+  async _close(group, status, data = {}) {
+    const res = await getDb().orderGroup.updateMany({
+      where: { id: group.id, status: { in: OPEN_GROUP_STATUSES } },
+      data: { status, ...data },
+    });
+    if (res.count === 0) return false;
+    Object.assign(group, { status, ...data });
+    this._broadcast(group, status === 'COMPLETED' ? 'ORDER_GROUP_COMPLETED' : 'ORDER_GROUP_CANCELLED');
+    return true;
+  }
+
+  async _complete(group, legOrderId, role) {
+    if (!(await this._close(group, 'COMPLETED', { filledLegOrderId: legOrderId }))) return;
+    const siblingId = role === 'STOP' ? group.takeProfitOrderId : group.stopOrderId;
+    console.log(`[OrderGroup] ✅ ${group.groupType} ${group.id} completed by ${legOrderId}${siblingId ? ` — cancelling ${siblingId}` : ''}`);
+    if (siblingId) await this._cancelLeg(group, siblingId, SIBLING_CANCEL_REASON);
+  }
+
+  /**
+   * Cancel a leg the group no longer wants. Returns true once the leg is off
+   * the book (cancelled here, or already filled or cancelled); otherwise a
+   * retry is scheduled and the leg is recorded on the group.
+   */
+  async _cancelLeg(group, orderId, reason, attempt = 1) {
+    this._cancelRetries.delete(orderId);
+    let error = null;
+    try {
+      const { getMatchingEngine } = require('./matching-engine');
+      if (await getMatchingEngine().cancelOrderForVenue(orderId, reason)) {
+        const { getStopLossService } = require('./stopLossService');
+        await getStopLossService().unregisterStopLoss(orderId).catch(() => {});
+        await this._resolveLeg(group, orderId);
+        return true;
+      }
+      const state = this._legState(orderId);
+      // A leg the stream no longer holds was filled or cancelled; one it has
+      // not seen yet gets a second look
+      if (state === 'CLOSED' && attempt > 1) {
+        console.warn(`[OrderGroup] ⚠️ Sibling ${orderId} was not cancelled — already closed`);
+        await this._resolveLeg(group, orderId);
+        return true;
+      }
+      error = { UNKNOWN: 'order read model not ready', CLOSED: 'not in the order read model yet', OPEN: 'still working after the cancel' }[state];
+    } catch (err) {
+      error = err.message;
+    }
+
+    const final = attempt >= MAX_LEG_CANCEL_ATTEMPTS;
+    console.error(`[OrderGroup] ❌ Failed to cancel sibling ${orderId} of ${group.id} (attempt ${attempt}/${MAX_LEG_CANCEL_ATTEMPTS}${final ? ', giving up — reconcile manually' : ''}): ${error}`);
+    await getDb().orderGroup.update({
+      where: { id: group.id },
+      data: { reconcileOrderId: orderId, reconcileError: String(error).substring(0, 500) },
+    }).catch(() => {});
+    if (!final) {
+      const timer = setTimeout(() => {
+        this._cancelLeg(group, orderId, reason, attempt + 1).catch(() => {});
+      }, LEG_CANCEL_RETRY_MS * attempt);
+      if (timer.unref) timer.unref();
+      this._cancelRetries.set(orderId, timer);
+    }
+    return false;
+  }
+
+  /**
+   * OPEN when the leg is still on the book, CLOSED when the read model has
+   * no live order for it, UNKNOWN when the read model is not ready
+   */
+  _legState(orderId) {
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    const streaming = getStreamingReadModel();
+    if (!streaming.isReady()) return 'UNKNOWN';
+    const payload = streaming.findOrderByOrderId(orderId);
+    return payload && ['OPEN', 'PENDING_TRIGGER'].includes(payload.status) ? 'OPEN' : 'CLOSED';
+  }
+
+  async _resolveLeg(group, orderId) {
+    await getDb().orderGroup.updateMany({
+      where: { id: group.id, reconcileOrderId: orderId },
+      data: { reconcileOrderId: null, reconcileError: null },
+    }).catch(() => {});
+  }
+
+  _broadcast(group, type, extra = {}) {
+    if (!global.broadcastWebSocket) return;
+    global.broadcastWebSocket(`orders:${group.partyId}`, {
+      type,
+      groupId: group.id,
+      groupType: group.groupType,
+      status: group.status,
+      tradingPair: group.tradingPair,
+      entryOrderId: group.entryOrderId || null,
+      takeProfitOrderId: group.takeProfitOrderId || null,
+      stopOrderId: group.stopOrderId || null,
+      filledLegOrderId: group.filledLegOrderId || null,
+      ...extra,
+      timestamp: new Date().toISOString(),
+    });
+  }
+}
+
+// Singleton instance
+let instance = null;
+
+function getOrderGroupService() {
+  if (!instance) {
+    instance = new OrderGroupService();
+  }
+  return instance;
+}
+
+module.exports = {
+  OrderGroupService,
+  getOrderGroupService,
+  GROUP_TYPES,
+  GROUP_ROLES,
+};
@@ -4,14 +4,22 @@
  * No in-memory cache.
  * 
  * Stop-Loss Flow:
- * 1. User places STOP_LOSS order → funds locked in Allocation, status = PENDING_TRIGGER
+ * 1. User places a stop order → funds locked in Allocation, status = PENDING_TRIGGER
+ *      STOP_LOSS      fixed trigger, becomes a MARKET order
+ *      STOP_LIMIT     fixed trigger, becomes a LIMIT order at the user's limitPrice
+ *      TRAILING_STOP  trigger follows the best trade price by an ABSOLUTE or
+ *                     PERCENT offset, becomes a MARKET order
  * 2. After every trade, matching engine calls checkTriggers(pair, lastTradePrice)
- * 3. If price crosses stop-loss threshold:
+ *    (trailing levels are moved first, and only ever towards the market)
+ * 3. If price crosses the trigger level:
  *    a. Update order status: PENDING_TRIGGER → OPEN
- *    b. Convert to market order (no price limit)
+ *    b. Convert to market order (TriggerStopLoss) or limit order (TriggerStopLimit)
  *    c. Add to active order book
  *    d. Trigger immediate matching
  * 4. Cancellation releases the Allocation (funds returned)
+ *
+ * The ledger keeps the trailing offset and the level at placement; the moving
+ * level and the best price seen live in the stopLossOrder table.
  */
 
 const EventEmitter = require('events');
@@ -20,9 +28,25 @@ const cantonService = require('./cantonService');
 const config = require('../config');
 const tokenProvider = require('./tokenProvider');
 const { getDb } = require('./db');
+const { getExecutionReportService } = require('./executionReportService');
 
 Decimal.set({ precision: 20, rounding: Decimal.ROUND_DOWN });
 
+const STOP_ORDER_MODES = ['STOP_LOSS', 'STOP_LIMIT', 'TRAILING_STOP'];
+const TRAILING_OFFSET_TYPES = ['ABSOLUTE', 'PERCENT'];
+
+/**
+ * Trigger level for a trailing stop whose best seen price is `extreme`:
+ * below it for a SELL (protecting a long), above it for a BUY.
+ */
+function trailingStopLevel(side, extreme, offset, offsetType) {
+  const ref = new Decimal(extreme);
+  const distance = offsetType === 'PERCENT'
+    ? ref.times(offset).dividedBy(100)
+    : new Decimal(offset);
+  return side === 'SELL' ? ref.minus(distance) : ref.plus(distance);
+}
+
 class StopLossService extends EventEmitter {
   constructor() {
     super();
@@ -125,6 +149,15 @@ class StopLossService extends EventEmitter {
       const stopPriceRaw = order.stopPrice || order.price;
       if (!stopPriceRaw) continue;
 
+      // A trailing stop's level has moved on since placement — the DB row
+      // owns it, so only seed it here and never wind it back to the ledger value.
+      const stopType = STOP_ORDER_MODES.includes(order.orderMode) ? order.orderMode : 'STOP_LOSS';
+      const update = {
+        orderContractId: contractId,
+        status: 'PENDING_TRIGGER',
+      };
+      if (stopType !== 'TRAILING_STOP') update.stopPrice = stopPriceRaw.toString();
+
       try {
         await db.stopLossOrder.upsert({
           where: { orderId: order.orderId },
@@ -133,19 +166,20 @@ class StopLossService extends EventEmitter {
             orderContractId: contractId,
             tradingPair: order.tradingPair,
             orderType: (order.orderType || 'SELL').toUpperCase(),
+            stopType,
             stopPrice: stopPriceRaw.toString(),
+            limitPrice: order.limitPrice?.toString() || null,
+            trailingOffset: order.trailingOffset?.toString() || null,
+            trailingOffsetType: order.trailingOffsetType || null,
+            groupId: order.groupId || null,
             quantity: order.quantity?.toString() || '0',
             allocationContractId: order.allocationCid || null,
             partyId: order.owner || null,
             status: 'PENDING_TRIGGER',
           },
-          update: {
-            orderContractId: contractId,
-            status: 'PENDING_TRIGGER',
-            stopPrice: stopPriceRaw.toString(),
-          },
+          update,
         });
-        console.log(`[StopLoss] 🔄 Synced stop-loss ${order.orderId} (pair=${order.tradingPair}, stopPrice=${stopPriceRaw}, type=${order.orderType})`);
+        console.log(`[StopLoss] 🔄 Synced ${stopType} ${order.orderId} (pair=${order.tradingPair}, stopPrice=${stopPriceRaw}, type=${order.orderType})`);
         synced++;
       } catch (e) {
         console.warn(`[StopLoss] ⚠️ Sync failed for ${order.orderId}: ${e.message}`);
@@ -232,7 +266,13 @@ class StopLossService extends EventEmitter {
       orderId,
       tradingPair,
       orderType,
+      stopType = 'STOP_LOSS',
       stopPrice,
+      limitPrice = null,
+      trailingOffset = null,
+      trailingOffsetType = null,
+      trailingExtreme = null,
+      groupId = null,
       partyId,
       quantity,
       allocationContractId,
@@ -241,39 +281,48 @@ class StopLossService extends EventEmitter {
     if (!orderId || !tradingPair || !stopPrice) {
       throw new Error('Missing required stop-loss configuration: orderId, tradingPair, stopPrice');
     }
+    if (!STOP_ORDER_MODES.includes(stopType)) {
+      throw new Error(`Unknown stop type: ${stopType}`);
+    }
+    if (stopType === 'STOP_LIMIT' && !limitPrice) {
+      throw new Error('STOP_LIMIT orders need a limitPrice');
+    }
+    if (stopType === 'TRAILING_STOP' && (!trailingOffset || !TRAILING_OFFSET_TYPES.includes(trailingOffsetType))) {
+      throw new Error('TRAILING_STOP orders need a trailingOffset and a trailingOffsetType of ABSOLUTE or PERCENT');
+    }
 
-    console.log(`[StopLoss] 📋 Registering stop-loss:`);
+    console.log(`[StopLoss] 📋 Registering ${stopType}:`);
     console.log(`  Order: ${orderId} (${orderContractId?.substring(0, 20) || 'N/A'}...)`);
     console.log(`  Pair: ${tradingPair}, Side: ${orderType}`);
     console.log(`  Trigger Price: ${stopPrice}`);
+    if (limitPrice) console.log(`  Limit Price: ${limitPrice}`);
+    if (trailingOffset) console.log(`  Trailing Offset: ${trailingOffset} (${trailingOffsetType})`);
     console.log(`  Allocation: ${allocationContractId?.substring(0, 20) || 'none'}...`);
 
+    const fields = {
+      orderContractId: orderContractId || null,
+      tradingPair,
+      orderType: orderType.toUpperCase(),
+      stopType,
+      stopPrice: stopPrice.toString(),
+      limitPrice: limitPrice ? limitPrice.toString() : null,
+      trailingOffset: trailingOffset ? trailingOffset.toString() : null,
+      trailingOffsetType: trailingOffsetType || null,
+      trailingExtreme: trailingExtreme ? trailingExtreme.toString() : null,
+      groupId: groupId || null,
+      quantity: quantity?.toString() || '0',
+      allocationContractId: allocationContractId || null,
+      status: 'PENDING_TRIGGER',
+    };
+
     const db = getDb();
     await db.stopLossOrder.upsert({
       where: { orderId },
-      create: {
-        orderId,
-        orderContractId: orderContractId || null,
-        tradingPair,
-        orderType: orderType.toUpperCase(),
-        stopPrice: stopPrice.toString(),
-        quantity: quantity?.toString() || '0',
-        allocationContractId: allocationContractId || null,
-        partyId: partyId || null,
-        status: 'PENDING_TRIGGER',
-      },
-      update: {
-        orderContractId: orderContractId || null,
-        tradingPair,
-        orderType: orderType.toUpperCase(),
-        stopPrice: stopPrice.toString(),
-        quantity: quantity?.toString() || '0',
-        allocationContractId: allocationContractId || null,
-        status: 'PENDING_TRIGGER',
-      },
+      create: { orderId, ...fields, partyId: partyId || null },
+      update: fields,
     });
 
-    this.emit('stopLossRegistered', { orderId, tradingPair, stopPrice: stopPrice.toString() });
+    this.emit('stopLossRegistered', { orderId, tradingPair, stopType, stopPrice: stopPrice.toString() });
   }
 
   /**
@@ -334,12 +383,19 @@ class StopLossService extends EventEmitter {
             orderContractId:     contractId,
             tradingPair:         order.tradingPair,
             orderType:           order.orderType,
+            stopType:            STOP_ORDER_MODES.includes(order.orderMode) ? order.orderMode : 'STOP_LOSS',
             stopPrice:           stopPriceRaw.toString(),
+            limitPrice:          order.limitPrice?.toString() || null,
+            trailingOffset:      order.trailingOffset?.toString() || null,
+            trailingOffsetType:  order.trailingOffsetType || null,
+            trailingExtreme:     null,
+            groupId:             order.groupId || null,
             quantity:            order.quantity || '0',
             allocationContractId: order.allocationCid || null,
             partyId:             order.owner || null,
           });
         }
+        await this._loadTrailingState(pendingOrders);
       }
     } catch (diagErr) {
       console.error(`[StopLoss] ❌ checkTriggers diagnostic error: ${diagErr.message}`);
@@ -363,6 +419,10 @@ class StopLossService extends EventEmitter {
     const triggered = [];
 
     for (const entry of pendingOrders) {
+      if (entry.stopType === 'TRAILING_STOP') {
+        await this._trailStop(entry, price);
+      }
+
       const stopPrice = new Decimal(entry.stopPrice);
       const shouldTrigger =
         (entry.orderType === 'SELL' && price.lte(stopPrice)) ||
@@ -374,7 +434,7 @@ class StopLossService extends EventEmitter {
     }
 
     if (triggered.length > 0) {
-      console.log(`[StopLoss] 🎯 ${triggered.length} stop-loss order(s) triggered at ${lastTradePrice} for ${tradingPair}`);
+      console.log(`[StopLoss] 🎯 ${triggered.length} stop order(s) triggered at ${lastTradePrice} for ${tradingPair}`);
     }
 
     for (const { orderId, entry, triggerPrice } of triggered) {
@@ -396,11 +456,115 @@ class StopLossService extends EventEmitter {
   }
 
   /**
-   * Trigger a stop-loss order: convert to market order and add to order book.
+   * Overlay the DB-held trailing level onto trailing stops read from the
+   * streaming model, which only knows the level at placement.
+   */
+  async _loadTrailingState(entries) {
+    const trailing = entries.filter(e => e.stopType === 'TRAILING_STOP');
+    if (trailing.length === 0) return;
+    try {
+      const db = getDb();
+      const rows = await db.stopLossOrder.findMany({
+        where: { orderId: { in: trailing.map(e => e.orderId) } },
+      });
+      const byId = new Map(rows.map(r => [r.orderId, r]));
+      for (const entry of trailing) {
+        const row = byId.get(entry.orderId);
+        if (!row) continue;
+        entry.stopPrice = row.stopPrice || entry.stopPrice;
+        entry.trailingExtreme = row.trailingExtreme || null;
+      }
+    } catch (err) {
+      console.warn(`[StopLoss] ⚠️ Could not load trailing levels: ${err.message}`);
+    }
+  }
+
+  /**
+   * Move a trailing stop after a trade at `price`. The best price seen only
+   * improves (higher for SELL, lower for BUY) and the trigger level only
+   * tightens, so a pullback never loosens the stop. Mutates `entry`.
+   */
+  async _trailStop(entry, price) {
+    if (!entry.trailingOffset || !entry.trailingOffsetType) return;
+
+    const side = entry.orderType;
+    const prevExtreme = entry.trailingExtreme ? new Decimal(entry.trailingExtreme) : null;
+    const extreme = !prevExtreme
+      ? price
+      : (side === 'SELL' ? Decimal.max(prevExtreme, price) : Decimal.min(prevExtreme, price));
+
+    const current = new Decimal(entry.stopPrice);
+    const candidate = trailingStopLevel(side, extreme, entry.trailingOffset, entry.trailingOffsetType);
+    const level = side === 'SELL' ? Decimal.max(current, candidate) : Decimal.min(current, candidate);
+
+    const extremeChanged = !prevExtreme || !extreme.eq(prevExtreme);
+    const levelChanged = !level.eq(current);
+    if (!extremeChanged && !levelChanged) return;
+
+    entry.trailingExtreme = extreme.toString();
+    entry.stopPrice = level.toString();
+
+    const db = getDb();
+    await db.stopLossOrder.upsert({
+      where: { orderId: entry.orderId },
+      create: {
+        orderId: entry.orderId,
+        orderContractId: entry.orderContractId || null,
+        tradingPair: entry.tradingPair,
+        orderType: side,
+        stopType: 'TRAILING_STOP',
+        stopPrice: entry.stopPrice,
+        trailingOffset: entry.trailingOffset.toString(),
+        trailingOffsetType: entry.trailingOffsetType,
+        trailingExtreme: entry.trailingExtreme,
+        quantity: entry.quantity?.toString() || '0',
+        allocationContractId: entry.allocationContractId || null,
+        partyId: entry.partyId || null,
+        status: 'PENDING_TRIGGER',
+      },
+      update: {
+        stopPrice: entry.stopPrice,
+        trailingExtreme: entry.trailingExtreme,
+      },
+    }).catch(err => console.warn(`[StopLoss] DB trailing update failed for ${entry.orderId}: ${err.message}`));
+
+    if (!levelChanged) return;
+
+    console.log(`[StopLoss] 📈 Trailing stop ${entry.orderId} moved ${current.toString()} → ${entry.stopPrice} (best=${entry.trailingExtreme})`);
+
+    // A stop is not on the public book — only its owner hears about it
+    if (global.broadcastWebSocket && entry.partyId) {
+      global.broadcastWebSocket(`orders:${entry.partyId}`, {
+        type: 'TRAILING_STOP_UPDATED',
+        orderId: entry.orderId,
+        orderContractId: entry.orderContractId,
+        orderType: side,
+        stopPrice: entry.stopPrice,
+        trailingExtreme: entry.trailingExtreme,
+        tradingPair: entry.tradingPair,
+      });
+    }
+
+    this.emit('trailingStopUpdated', {
+      orderId: entry.orderId,
+      tradingPair: entry.tradingPair,
+      stopPrice: entry.stopPrice,
+      trailingExtreme: entry.trailingExtreme,
+    });
+  }
+
+  /**
+   * Trigger a stop order: STOP_LOSS and TRAILING_STOP become market orders,
+   * STOP_LIMIT becomes a limit order at its limitPrice. Either way it joins
+   * the order book and a matching cycle runs straight away.
    */
   async triggerOrder(orderId, entry, triggerPrice) {
-    console.log(`[StopLoss] 🎯 Triggering stop-loss: ${orderId} at ${triggerPrice}`);
-    console.log(`  Side: ${entry.orderType}, Stop Price: ${entry.stopPrice.toString()}`);
+    const stopType = entry.stopType || 'STOP_LOSS';
+    const isStopLimit = stopType === 'STOP_LIMIT';
+    const choice = isStopLimit ? 'TriggerStopLimit' : 'TriggerStopLoss';
+
+    console.log(`[StopLoss] 🎯 Triggering ${stopType}: ${orderId} at ${triggerPrice}`);
+    console.log(`  Side: ${entry.orderType}, Stop Price: ${entry.stopPrice.toString()}${isStopLimit ? `, Limit Price: ${entry.limitPrice}` : ''}`);
 
     let token = await tokenProvider.getServiceToken();
     const packageId = config.canton.packageIds.clobExchange;
@@ -441,7 +605,7 @@ class StopLossService extends EventEmitter {
       }
     }
 
-    // Attempt TriggerStopLoss with one retry for LOCAL_VERDICT_LOCKED_CONTRACTS.
+    // Attempt the trigger choice with one retry for LOCAL_VERDICT_LOCKED_CONTRACTS.
     // Locked contract means another submission is racing — wait briefly and retry once.
     let triggerAttempt = 0;
     while (true) {
@@ -452,7 +616,7 @@ class StopLossService extends EventEmitter {
           actAsParty: [operatorPartyId],
           templateId: `${packageId}:Order:Order`,
           contractId: resolvedContractId,
-          choice: 'TriggerStopLoss',
+          choice,
           choiceArgument: {
             triggeredAt: new Date().toISOString(),
             triggerPrice: triggerPrice.toString(),
@@ -473,8 +637,8 @@ class StopLossService extends EventEmitter {
           token = await tokenProvider.getServiceToken();
           continue;
         }
-        console.warn(`[StopLoss] ⚠️ TriggerStopLoss choice failed (attempt ${triggerAttempt}): ${choiceErr.message}`);
-        throw new Error(`TriggerStopLoss failed for ${orderId}: ${choiceErr.message}`);
+        console.warn(`[StopLoss] ⚠️ ${choice} choice failed (attempt ${triggerAttempt}): ${choiceErr.message}`);
+        throw new Error(`${choice} failed for ${orderId}: ${choiceErr.message}`);
       }
     }
 
@@ -487,7 +651,12 @@ class StopLossService extends EventEmitter {
         orderContractId: entry?.orderContractId || null,
         tradingPair: entry?.tradingPair || 'UNKNOWN',
         orderType: (entry?.orderType || 'SELL').toUpperCase(),
+        stopType,
         stopPrice: entry?.stopPrice?.toString() || '0',
+        limitPrice: entry?.limitPrice?.toString() || null,
+        trailingOffset: entry?.trailingOffset?.toString() || null,
+        trailingOffsetType: entry?.trailingOffsetType || null,
+        trailingExtreme: entry?.trailingExtreme?.toString() || null,
         quantity: entry?.quantity?.toString() || '0',
         allocationContractId: entry?.allocationContractId || null,
         partyId: entry?.partyId || null,
@@ -509,28 +678,59 @@ class StopLossService extends EventEmitter {
         const existingOrder = readModel.getOrderByContractId(entry.orderContractId);
         if (existingOrder) {
           existingOrder.status = 'OPEN';
-          existingOrder.orderMode = 'MARKET';
-          existingOrder.price = null;
+          existingOrder.orderMode = isStopLimit ? 'LIMIT' : 'MARKET';
+          existingOrder.price = isStopLimit ? entry.limitPrice.toString() : null;
           existingOrder.triggeredAt = new Date().toISOString();
-          console.log(`[StopLoss] ✅ Order updated in ReadModel as MARKET order`);
+          console.log(`[StopLoss] ✅ Order updated in ReadModel as ${existingOrder.orderMode} order`);
         }
       }
     } catch (rmErr) {
       console.warn(`[StopLoss] ⚠️ ReadModel update failed: ${rmErr.message}`);
     }
 
-    if (global.broadcastWebSocket) {
-      global.broadcastWebSocket(`orderbook:${entry.tradingPair}`, {
+    // The triggered order now rests as a LIMIT (or sweeps as a MARKET)
+    const { getOrderBookFeed } = require('./orderBookFeedService');
+    getOrderBookFeed().markDirty(entry.tradingPair);
+
+    if (global.broadcastWebSocket && entry.partyId) {
+      global.broadcastWebSocket(`orders:${entry.partyId}`, {
         type: 'STOP_LOSS_TRIGGERED',
         orderId,
         orderContractId: entry.orderContractId,
         orderType: entry.orderType,
+        stopType,
         stopPrice: entry.stopPrice.toString(),
+        limitPrice: entry.limitPrice ? entry.limitPrice.toString() : null,
         triggerPrice,
         triggeredAt: new Date().toISOString(),
         tradingPair: entry.tradingPair,
       });
     }
+    // Reported before the matching cycle below, so its fills follow it
+    if (entry.partyId) {
+      await getExecutionReportService().record({
+        partyId: entry.partyId,
+        orderId,
+        tradingPair: entry.tradingPair,
+        side: entry.orderType,
+        eventType: 'STOP_TRIGGERED',
+        cumulativeQuantity: 0,
+        remainingQuantity: entry.quantity,
+        triggerPrice,
+        reason: stopType,
+      });
+    }
+
+    // OCO / bracket stop leg: the take-profit sibling is cancelled before the
+    // stop reaches the book, so the two legs can never both execute.
+    if (entry.groupId) {
+      try {
+        const { getOrderGroupService } = require('./orderGroupService');
+        await getOrderGroupService().onStopTriggered(orderId, entry.groupId);
+      } catch (grpErr) {
+        console.warn(`[StopLoss] ⚠️ Order group update failed for ${orderId}: ${grpErr.message}`);
+      }
+    }
 
     try {
       const { getMatchingEngine } = require('./matching-engine');
@@ -551,12 +751,13 @@ class StopLossService extends EventEmitter {
       orderContractId: entry.orderContractId,
       tradingPair: entry.tradingPair,
       orderType: entry.orderType,
+      stopType,
       stopPrice: entry.stopPrice.toString(),
       triggerPrice,
       triggeredAt: new Date().toISOString(),
     });
 
-    console.log(`[StopLoss] ✅ Stop-loss ${orderId} triggered and converted to market order`);
+    console.log(`[StopLoss] ✅ ${stopType} ${orderId} triggered and converted to ${isStopLimit ? `limit order @ ${entry.limitPrice}` : 'market order'}`);
   }
 
 
@@ -581,13 +782,20 @@ class StopLossService extends EventEmitter {
             orderContractId:     contractId,
             tradingPair:         order.tradingPair,
             orderType:           order.orderType,
+            stopType:            STOP_ORDER_MODES.includes(order.orderMode) ? order.orderMode : 'STOP_LOSS',
             stopPrice:           stopPriceRaw?.toString() || null,
+            limitPrice:          order.limitPrice?.toString() || null,
+            trailingOffset:      order.trailingOffset?.toString() || null,
+            trailingOffsetType:  order.trailingOffsetType || null,
+            trailingExtreme:     null,
+            groupId:             order.groupId || null,
             quantity:            order.quantity || '0',
             status:              'PENDING_TRIGGER',
             registeredAt:        order.timestamp || null,
             allocationContractId: order.allocationCid || null,
           });
         }
+        await this._loadTrailingState(results);
         return results;
       }
     } catch (_) {}
@@ -603,7 +811,13 @@ class StopLossService extends EventEmitter {
       orderContractId:     entry.orderContractId,
       tradingPair:         entry.tradingPair,
       orderType:           entry.orderType,
+      stopType:            entry.stopType,
       stopPrice:           entry.stopPrice,
+      limitPrice:          entry.limitPrice,
+      trailingOffset:      entry.trailingOffset,
+      trailingOffsetType:  entry.trailingOffsetType,
+      trailingExtreme:     entry.trailingExtreme,
+      groupId:             entry.groupId || null,
       quantity:            entry.quantity,
       status:              entry.status,
       registeredAt:        entry.registeredAt?.toISOString(),
@@ -657,4 +871,7 @@ function getStopLossService() {
 module.exports = {
   StopLossService,
   getStopLossService,
+  STOP_ORDER_MODES,
+  TRAILING_OFFSET_TYPES,
+  trailingStopLevel,
 };
@@ -26,6 +26,7 @@ const config = require('../config');
 const { TOKEN_STANDARD_PACKAGE_ID } = require('../config/constants');
 const tokenProvider = require('./tokenProvider');
 const { getCantonApi } = require('../http/clients');
+const { visibleQuantity } = require('../utils/orderBookAggregator');
 
 // ─── Constants ────────────────────────────────────────────────────────────────
 const WS_RECONNECT_DELAY_MS = 3000;
@@ -450,6 +451,10 @@ class StreamingReadModel extends EventEmitter {
         const consumingByChoiceName = [
           'CancelOrder',
           'FillOrder',
+          'ExpireOrder',
+          'DecrementOrder',
+          'AmendOrder',
+          'Resize_Allocation',
           'Operator_Cancel_Settlement',
           'Allocation_ExecuteTransfer',
         ].includes(choice);
@@ -608,6 +613,20 @@ class StreamingReadModel extends EventEmitter {
       timestamp: payload.timestamp,
       allocationCid: payload.allocationCid,
       stopPrice: payload.stopPrice,
+      timeInForce: payload.timeInForce || 'GTC',
+      expiresAt: payload.expiresAt || null,
+      postOnly: payload.postOnly === true,
+      stpMode: payload.stpMode || 'NONE',
+      decremented: payload.decremented || null,
+      slippageLimitPrice: payload.slippageLimitPrice || null,
+      limitPrice: payload.limitPrice || null,
+      trailingOffset: payload.trailingOffset || null,
+      trailingOffsetType: payload.trailingOffsetType || null,
+      groupId: payload.groupId || null,
+      displayQuantity: payload.displayQuantity || null,
+      displayRemaining: payload.displayRemaining || null,
+      displayRefreshedAt: payload.displayRefreshedAt || null,
+      lockPrice: payload.lockPrice || null,
     };
 
     this.orders.set(contractId, order);
@@ -669,6 +688,11 @@ class StreamingReadModel extends EventEmitter {
       quoteAmount: payload.quoteAmount,
       buyOrderId: payload.buyOrderId,
       sellOrderId: payload.sellOrderId,
+      // Fees come off what each side received (buyer: base, seller: quote);
+      // null on trades settled before fees existed
+      buyerFee: payload.buyerFee ?? null,
+      sellerFee: payload.sellerFee ?? null,
+      takerSide: payload.takerSide ?? null,
       timestamp: payload.timestamp,
     };
 
@@ -760,24 +784,38 @@ class StreamingReadModel extends EventEmitter {
     return result;
   }
 
+  /**
+   * Look up a live order by its orderId (any status, including PENDING_TRIGGER).
+   */
+  findOrderByOrderId(orderId) {
+    for (const order of this.orders.values()) {
+      if (order.orderId === orderId) return { ...order };
+    }
+    return null;
+  }
+
   getOrderBook(tradingPair) {
     const openOrders = this.getOpenOrdersForPair(tradingPair);
 
+    // Public book view: an iceberg shows only its current peak — its total
+    // size, fills and peak bookkeeping stay out of the entry.
+    const toBookEntry = (o) => {
+      const remaining = parseFloat(o.quantity || 0) - parseFloat(o.filled || 0);
+      if (!o.displayQuantity) return { ...o, remaining };
+      const { displayQuantity, displayRemaining, displayRefreshedAt, ...rest } = o;
+      const shown = visibleQuantity({ ...o, remaining });
+      return { ...rest, quantity: String(shown), filled: '0', remaining: shown };
+    };
+
     const buyOrders = openOrders
       .filter(o => o.orderType === 'BUY')
-      .map(o => ({
-        ...o,
-        remaining: parseFloat(o.quantity || 0) - parseFloat(o.filled || 0),
-      }))
+      .map(toBookEntry)
       .filter(o => o.remaining > 0.0000001) // Filter fully-filled orders still marked OPEN
       .sort((a, b) => parseFloat(b.price || 0) - parseFloat(a.price || 0));
 
     const sellOrders = openOrders
       .filter(o => o.orderType === 'SELL')
-      .map(o => ({
-        ...o,
-        remaining: parseFloat(o.quantity || 0) - parseFloat(o.filled || 0),
-      }))
+      .map(toBookEntry)
       .filter(o => o.remaining > 0.0000001) // Filter fully-filled orders still marked OPEN
       .sort((a, b) => parseFloat(a.price || Infinity) - parseFloat(b.price || Infinity));
 
@@ -856,6 +894,19 @@ class StreamingReadModel extends EventEmitter {
       timestamp: orderData.timestamp,
       allocationCid: orderData.allocationContractId || orderData.allocationCid || '',
       stopPrice: orderData.stopPrice,
+      timeInForce: orderData.timeInForce,
+      expiresAt: orderData.expiresAt,
+      postOnly: orderData.postOnly,
+      stpMode: orderData.stpMode,
+      slippageLimitPrice: orderData.slippageLimitPrice,
+      limitPrice: orderData.limitPrice,
+      trailingOffset: orderData.trailingOffset,
+      trailingOffsetType: orderData.trailingOffsetType,
+      groupId: orderData.groupId,
+      displayQuantity: orderData.displayQuantity,
+      displayRemaining: orderData.displayRemaining || orderData.displayQuantity,
+      displayRefreshedAt: orderData.displayRefreshedAt,
+      lockPrice: orderData.lockPrice,
     };
 
     this._addOrder(orderData.contractId, templateId, payload);
@@ -883,7 +934,7 @@ class StreamingReadModel extends EventEmitter {
 
     for (const order of this.orders.values()) {
       if (order.status === 'FILLED') archivable.filledOrders.push(order);
-      if (order.status === 'CANCELLED') archivable.cancelledOrders.push(order);
+      if (order.status === 'CANCELLED' || order.status === 'EXPIRED') archivable.cancelledOrders.push(order);
     }
 
     for (const alloc of this.allocations.values()) {
@@ -0,0 +1,267 @@
+/**
+ * Ticker Service — rolling 24h market statistics
+ *
+ * Per market, trades are folded into one-minute buckets covering the last
+ * 24 hours. A ticker (open, high, low, last, base/quote volume, trade count,
+ * VWAP) is derived from those buckets on demand, so a new trade costs O(1)
+ * and a read at most 1440 bucket merges.
+ *
+ *   Seed  → TradeSettlement rows from the last 24h, plus the most recent
+ *           trade per market for the last price.
+ *   Live  → StreamingReadModel 'tradeCreated', deduped by tradeId (bootstrap
+ *           replays the same trades the seed already loaded).
+ *   Push  → `ticker:<pair>` on every trade, and again when buckets roll out
+ *           of the window so quiet markets don't show stale 24h numbers.
+ */
+
+const Decimal = require('decimal.js');
+const { getDb } = require('./db');
+
+const BUCKET_MS = 60 * 1000;
+const WINDOW_MS = 24 * 60 * 60 * 1000;
+const ROLL_CHECK_MS = 60 * 1000;
+
+function bucketOf(ts) {
+  return Math.floor(ts / BUCKET_MS) * BUCKET_MS;
+}
+
+function toTimestamp(value) {
+  const ms = value ? new Date(value).getTime() : Date.now();
+  return Number.isFinite(ms) ? ms : Date.now();
+}
+
+class MarketWindow {
+  constructor() {
+    this.buckets = new Map();   // bucket start → stats
+    this.tradeIds = new Map();  // tradeId → bucket start (dedupe within window)
+    this.last = null;           // { price, ts } — survives the window
+  }
+
+  add(tradeId, price, quantity, ts) {
+    if (tradeId && this.tradeIds.has(tradeId)) return false;
+
+    if (!this.last || ts >= this.last.ts) {
+      this.last = { price: price.toString(), ts };
+    }
+    if (ts < Date.now() - WINDOW_MS) return true;
+
+    const start = bucketOf(ts);
+    const b = this.buckets.get(start);
+    const quote = price.times(quantity);
+    if (!b) {
+      this.buckets.set(start, {
+        open: price, openTs: ts,
+        close: price, closeTs: ts,
+        high: price, low: price,
+        volume: quantity, quoteVolume: quote, count: 1,
+      });
+    } else {
+      if (ts < b.openTs) { b.open = price; b.openTs = ts; }
+      if (ts >= b.closeTs) { b.close = price; b.closeTs = ts; }
+      b.high = Decimal.max(b.high, price);
+      b.low = Decimal.min(b.low, price);
+      b.volume = b.volume.plus(quantity);
+      b.quoteVolume = b.quoteVolume.plus(quote);
+      b.count += 1;
+    }
+    if (tradeId) this.tradeIds.set(tradeId, start);
+    return true;
+  }
+
+  /** Drop buckets older than the window. Returns true if anything rolled off. */
+  prune(now = Date.now()) {
+    const cutoff = bucketOf(now - WINDOW_MS);
+    let removed = false;
+    for (const start of this.buckets.keys()) {
+      if (start < cutoff) {
+        this.buckets.delete(start);
+        removed = true;
+      }
+    }
+    if (removed) {
+      for (const [tradeId, start] of this.tradeIds) {
+        if (start < cutoff) this.tradeIds.delete(tradeId);
+      }
+    }
+    return removed;
+  }
+
+  stats() {
+    let open = null;
+    let openTs = Infinity;
+    let high = null;
+    let low = null;
+    let volume = new Decimal(0);
+    let quoteVolume = new Decimal(0);
+    let count = 0;
+
+    for (const b of this.buckets.values()) {
+      if (b.openTs < openTs) { open = b.open; openTs = b.openTs; }
+      high = high === null ? b.high : Decimal.max(high, b.high);
+      low = low === null ? b.low : Decimal.min(low, b.low);
+      volume = volume.plus(b.volume);
+      quoteVolume = quoteVolume.plus(b.quoteVolume);
+      count += b.count;
+    }
+
+    return { open, high, low, volume, quoteVolume, count };
+  }
+}
+
+class TickerService {
+  constructor() {
+    this.isRunning = false;
+    this.windows = new Map(); // tradingPair → MarketWindow
+    this._onTradeCreated = null;
+    this._rollTimer = null;
+  }
+
+  // ─── Lifecycle ────────────────────────────────────────────────────────
+
+  async start() {
+    if (this.isRunning) return;
+    this.isRunning = true;
+
+    await this.seed().catch((err) => {
+      console.warn(`[Ticker] ⚠️ Could not seed 24h stats from TradeSettlement: ${err.message}`);
+    });
+
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    this._onTradeCreated = (trade) => this.recordTrade(trade);
+    getStreamingReadModel().on('tradeCreated', this._onTradeCreated);
+
+    this._rollTimer = setInterval(() => this._roll(), ROLL_CHECK_MS);
+    if (this._rollTimer.unref) this._rollTimer.unref();
+
+    console.log(`[Ticker] ✅ Started — rolling 24h stats for ${this.windows.size} market(s)`);
+  }
+
+  stop() {
+    if (!this.isRunning) return;
+    const { getStreamingReadModel } = require('./streamingReadModel');
+    getStreamingReadModel().off('tradeCreated', this._onTradeCreated);
+    clearInterval(this._rollTimer);
+    this._rollTimer = null;
+    this.isRunning = false;
+  }
+
+  /**
+   * Load the last 24h of trades from TradeSettlement, and the latest trade
+   * of every market that has been quiet for longer than that.
+   */
+  async seed() {
+    const db = getDb();
+    const since = new Date(Date.now() - WINDOW_MS);
+
+    // Each trade writes two BUY settlement rows; one per tradeId is enough
+    const recent = await db.tradeSettlement.findMany({
+      where: { side: 'BUY', createdAt: { gte: since } },
+      distinct: ['tradeId'],
+      orderBy: { createdAt: 'asc' },
+      select: { tradeId: true, tradingPair: true, price: true, quantity: true, createdAt: true },
+    });
+    for (const t of recent) {
+      this._add(t.tradingPair, t.tradeId, t.price, t.quantity, t.createdAt.getTime());
+    }
+
+    const latest = await db.tradeSettlement.findMany({
+      where: { side: 'BUY' },
+      distinct: ['tradingPair'],
+      orderBy: { createdAt: 'desc' },
+      select: { tradeId: true, tradingPair: true, price: true, quantity: true, createdAt: true },
+    });
+    for (const t of latest) {
+      if (this.windows.get(t.tradingPair)?.last) continue;
+      this._add(t.tradingPair, t.tradeId, t.price, t.quantity, t.createdAt.getTime());
+    }
+
+    console.log(`[Ticker] 📊 Seeded ${recent.length} trade(s) from the last 24h`);
+  }
+
+  // ─── Updates ──────────────────────────────────────────────────────────
+
+  recordTrade(trade) {
+    const { tradeId, tradingPair, price, quantity, timestamp } = trade || {};
+    if (!this._add(tradingPair, tradeId, price, quantity, toTimestamp(timestamp))) return;
+    this._broadcast(tradingPair);
+  }
+
+  _add(tradingPair, tradeId, price, quantity, ts) {
+    if (!tradingPair || !(parseFloat(price) > 0) || !(parseFloat(quantity) > 0)) return false;
+    if (!this.windows.has(tradingPair)) {
+      this.windows.set(tradingPair, new MarketWindow());
+    }
+    return this.windows.get(tradingPair).add(tradeId, new Decimal(price), new Decimal(quantity), ts);
+  }
+
+  _roll() {
+    const now = Date.now();
+    for (const [pair, window] of this.windows) {
+      if (window.prune(now)) this._broadcast(pair);
+    }
+  }
+
+  _broadcast(tradingPair) {
+    if (!global.broadcastWebSocket) return;
+    global.broadcastWebSocket(`ticker:${tradingPair}`, {
+      type: 'TICKER',
+      ...this.getTicker(tradingPair),
+    });
+  }
+
+  // ─── Reads ────────────────────────────────────────────────────────────
+
+  /**
+   * 24h statistics for one market. Decimal values are strings; fields with
+   * no trades in the window are null (volumes and counts are zero).
+   */
+  getTicker(tradingPair) {
+    const window = this.windows.get(tradingPair);
+    const now = Date.now();
+    if (window) window.prune(now);
+
+    const { open, high, low, volume, quoteVolume, count } = window
+      ? window.stats()
+      : { open: null, high: null, low: null, volume: new Decimal(0), quoteVolume: new Decimal(0), count: 0 };
+    const lastPrice = window?.last ? new Decimal(window.last.price) : null;
+
+    const change = open && lastPrice ? lastPrice.minus(open) : null;
+    const changePercent = change && !open.isZero() ? change.div(open).times(100) : null;
+
+    return {
+      symbol: tradingPair,
+      lastPrice: lastPrice ? lastPrice.toString() : null,
+      lastTradeAt: window?.last ? new Date(window.last.ts).toISOString() : null,
+      open24h: open ? open.toString() : null,
+      high24h: high ? high.toString() : null,
+      low24h: low ? low.toString() : null,
+      volume24h: volume.toString(),
+      quoteVolume24h: quoteVolume.toString(),
+      tradeCount24h: count,
+      vwap24h: volume.isZero() ? null : quoteVolume.div(volume).toString(),
+      change24h: change ? change.toString() : '0',
+      changePercent24h: changePercent ? changePercent.toFixed(2) : '0.00',
+      windowStart: new Date(now - WINDOW_MS).toISOString(),
+      timestamp: new Date(now).toISOString(),
+    };
+  }
+
+  getLastPrice(tradingPair) {
+    return this.windows.get(tradingPair)?.last?.price || null;
+  }
+}
+
+// Singleton
+let instance = null;
+
+function getTickerService() {
+  if (!instance) {
+    instance = new TickerService();
+  }
+  return instance;
+}
+
+module.exports = {
+  TickerService,
+  getTickerService,
+};
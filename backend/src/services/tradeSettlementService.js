@@ -12,8 +12,11 @@
  *             - SUM(OpenOrderReservations   for asset)
  *
  * For each trade two rows per party are inserted:
- *   BUYER  → +baseAmount (CC)  credit, −quoteAmount (CBTC) debit
- *   SELLER → −baseAmount (CC)  debit,  +quoteAmount (CBTC) credit
+ *   BUYER  → +(baseAmount − buyerFee) (CC)     credit, −quoteAmount (CBTC) debit
+ *   SELLER → −baseAmount (CC)                  debit,  +(quoteAmount − sellerFee) (CBTC) credit
+ * Credits are net of the maker/taker fee taken in the received asset (a
+ * negative fee is a rebate and adds to it); the fee itself is kept on the
+ * credit row.
  *
  * @see prisma/schema.prisma  → model TradeSettlement
  */
@@ -40,6 +43,10 @@ Decimal.set({ precision: 20, rounding: Decimal.ROUND_DOWN });
  * @param {string} trade.tradingPair – e.g. "CC/CBTC"
  * @param {string} [trade.buyOrderId]
  * @param {string} [trade.sellOrderId]
+ * @param {string|number} [trade.buyerFee]  – in base units, negative = rebate
+ * @param {string|number} [trade.sellerFee] – in quote units, negative = rebate
+ * @param {string} [trade.takerSide]        – "BUY" or "SELL"
+ * @param {string|Date} [trade.timestamp]   – execution time on the Trade contract; now when omitted
  */
 async function recordTradeSettlement(trade) {
   const db = getDb();
@@ -55,14 +62,22 @@ async function recordTradeSettlement(trade) {
     tradingPair,
     buyOrderId,
     sellOrderId,
+    buyerFee = 0,
+    sellerFee = 0,
+    takerSide = null,
+    timestamp = null,
   } = trade;
 
-  const baseAmt = new Decimal(baseAmount).toString();
-  const quoteAmt = new Decimal(quoteAmount).toString();
+  const buyerFeeAmt = new Decimal(buyerFee || 0);
+  const sellerFeeAmt = new Decimal(sellerFee || 0);
+  const baseAmt = new Decimal(baseAmount).minus(buyerFeeAmt).toString();
+  const quoteAmt = new Decimal(quoteAmount).minus(sellerFeeAmt).toString();
   const negBaseAmt = new Decimal(baseAmount).neg().toString();
   const negQuoteAmt = new Decimal(quoteAmount).neg().toString();
   const priceStr = String(price);
-  const qtyStr = baseAmt; // quantity is always in base asset
+  const qtyStr = new Decimal(baseAmount).toString(); // quantity is always in base asset
+  const tradedAt = timestamp ? new Date(timestamp) : new Date();
+  const liquidity = (side) => (takerSide ? (side === takerSide ? 'TAKER' : 'MAKER') : null);
 
   // Use a transaction to ensure all 4 rows are written atomically
   await db.$transaction([
@@ -72,12 +87,15 @@ async function recordTradeSettlement(trade) {
         tradeId,
         partyId: buyer,
         asset: baseSymbol,
-        amount: baseAmt,       // positive = credit
+        amount: baseAmt,       // positive = credit, net of fee
         side: 'BUY',
         orderId: buyOrderId || null,
         tradingPair,
         price: priceStr,
         quantity: qtyStr,
+        fee: buyerFeeAmt.toString(),
+        liquidity: liquidity('BUY'),
+        tradedAt,
       },
     }),
     // Buyer sends quote asset (DEBIT)
@@ -92,6 +110,8 @@ async function recordTradeSettlement(trade) {
         tradingPair,
         price: priceStr,
         quantity: qtyStr,
+        liquidity: liquidity('BUY'),
+        tradedAt,
       },
     }),
     // Seller sends base asset (DEBIT)
@@ -106,6 +126,8 @@ async function recordTradeSettlement(trade) {
         tradingPair,
         price: priceStr,
         quantity: qtyStr,
+        liquidity: liquidity('SELL'),
+        tradedAt,
       },
     }),
     // Seller receives quote asset (CREDIT)
@@ -114,12 +136,15 @@ async function recordTradeSettlement(trade) {
         tradeId,
         partyId: seller,
         asset: quoteSymbol,
-        amount: quoteAmt,      // positive = credit
+        amount: quoteAmt,      // positive = credit, net of fee
         side: 'SELL',
         orderId: sellOrderId || null,
         tradingPair,
         price: priceStr,
         quantity: qtyStr,
+        fee: sellerFeeAmt.toString(),
+        liquidity: liquidity('SELL'),
+        tradedAt,
       },
     }),
   ]);
@@ -127,6 +127,51 @@ async function createPendingSettlement(match) {
   }
 }
 
+/**
+ * Record a match that self-trade prevention stopped. Nothing settles — the
+ * row exists so the prevented cross stays auditable next to real settlements.
+ */
+async function recordSelfTradePrevention(event) {
+  const {
+    tradingPair,
+    ownerPartyId,
+    sellOrderId,
+    buyOrderId,
+    sellAllocCid,
+    buyAllocCid,
+    matchPrice,
+    matchQty,
+    stpMode,
+    cancelReason,
+  } = event;
+  const [baseSymbol, quoteSymbol] = tradingPair.split('/');
+
+  try {
+    await prisma.pendingSettlement.create({
+      data: {
+        id: `stp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+        tradingPair,
+        sellerPartyId: ownerPartyId,
+        buyerPartyId: ownerPartyId,
+        sellOrderId,
+        buyOrderId,
+        sellAllocCid: sellAllocCid || '',
+        buyAllocCid: buyAllocCid || '',
+        baseSymbol,
+        quoteSymbol,
+        matchQty: String(matchQty),
+        quoteAmount: String(Number(matchQty) * Number(matchPrice)),
+        matchPrice: String(matchPrice),
+        status: 'STP_CANCELLED',
+        stpMode,
+        cancelReason,
+      },
+    });
+  } catch (err) {
+    console.warn(`[TradingAppSettlement] Failed to record STP event ${sellOrderId} ↔ ${buyOrderId}: ${err.message}`);
+  }
+}
+
 /**
  * Prepare withdraw for a party (seller or buyer).
  * Returns { ok: true, data } with prepared tx, or { ok: true, alreadyWithdrawn: true } when allocation is gone.
@@ -513,6 +558,7 @@ async function getPendingForParty(partyId) {
 
 module.exports = {
   createPendingSettlement,
+  recordSelfTradePrevention,
   prepareWithdraw,
   submitSignedWithdraw,
   prepareMultiLeg,
@@ -1,11 +1,39 @@
 /**
  * WebSocket Service
  * Manages WebSocket connections and broadcasting
+ *
+ * Public channels (orderbook:, trades:, ticker:, candles:, auction:, markets) are open
+ * to any connection. Party channels (orders:, executions:, balance:,
+ * transfers:, settlement:) need the connection to log in first with the app
+ * session JWT:
+ *
+ *   → { type: 'auth', token }        ← { type: 'authenticated', partyId }
+ *
+ * and then only the logged-in party's own channels can be subscribed. A
+ * party with an enabled admin account (see adminAuthService) may also
+ * subscribe to other parties' channels; the account is looked up before
+ * 'authenticated' is sent.
+ * Refusals come back as { type: 'error', code, channel?, message }.
+ *
+ * A logged-in connection can also arm a cancel-on-disconnect switch and
+ * send its heartbeats (see cancelOnDisconnectService).
  */
 
 const WebSocket = require('ws');
 const config = require('../config');
 
+// Channels carrying one party's orders, balances and settlements
+const PRIVATE_CHANNEL_PREFIXES = ['orders:', 'executions:', 'balance:', 'transfers:', 'settlement:'];
+
+function channelParty(channel) {
+  const prefix = PRIVATE_CHANNEL_PREFIXES.find(p => channel.startsWith(p));
+  return prefix ? channel.slice(prefix.length) : null;
+}
+
+// Channel prefix → handler(channel) returning the initial message a client
+// gets right after subscribing (e.g. an order book snapshot)
+const subscriptionHandlers = new Map();
+
 class WebSocketService {
   constructor(server) {
     this.clients = new Map(); // clientId -> { ws, subscriptions: Set }
@@ -25,7 +53,7 @@ class WebSocketService {
     this.wss.on('connection', (ws, req) => {
       const { v4: uuidv4 } = require('uuid');
       const clientId = uuidv4(); // PROPER UUID - no predictable IDs
-      this.clients.set(clientId, { ws, subscriptions: new Set() });
+      this.clients.set(clientId, { ws, subscriptions: new Set(), partyId: null, sessionExpiresAt: null, codSessionId: null, admin: null });
 
       console.log(`[WebSocket] Client connected: ${clientId} (Total: ${this.clients.size})`);
 
@@ -59,18 +87,46 @@ class WebSocketService {
         return;
       }
 
+      if (data.type === 'auth') {
+        this.authenticate(clientId, data.token).catch((error) => {
+          console.error(`[WebSocket] Error authenticating ${clientId}:`, error.message);
+        });
+        return;
+      }
+
       if (data.type === 'subscribe') {
         const { channel } = data;
         if (channel) {
           const client = this.clients.get(clientId);
           if (client) {
+            const denied = this.checkChannelAccess(client, channel);
+            if (denied) {
+              this.sendError(client, denied.code, denied.message, channel);
+              return;
+            }
             client.subscriptions.add(channel);
             console.log(`[WebSocket] Client ${clientId} subscribed to ${channel}`);
             client.ws.send(JSON.stringify({ type: 'subscribed', channel }));
+            this.sendInitialState(clientId, channel);
           }
         }
       }
 
+      // Dead-man's switch: arm / disarm, and the heartbeats that keep it armed
+      if (data.type === 'cancel_on_disconnect' || data.type === 'heartbeat') {
+        this.handleCancelOnDisconnect(clientId, data);
+        return;
+      }
+
+      // Client lost track of a sequenced channel and wants a fresh snapshot
+      if (data.type === 'resync') {
+        const { channel } = data;
+        const client = this.clients.get(clientId);
+        if (channel && client?.subscriptions.has(channel)) {
+          this.sendInitialState(clientId, channel);
+        }
+      }
+
       if (data.type === 'unsubscribe') {
         const { channel } = data;
         if (channel) {
@@ -87,15 +143,169 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Log a connection in as the party behind an app session JWT. Logging in
+   * as a different party drops the previous party's private subscriptions.
+   */
+  async authenticate(clientId, token) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+
+    const authService = require('./authService');
+    const session = typeof token === 'string' ? authService.verifySessionToken(token) : null;
+    if (!session?.walletId) {
+      this.sendError(client, 'INVALID_SESSION_TOKEN', 'Invalid or expired session token');
+      return;
+    }
+
+    if (client.partyId && client.partyId !== session.walletId) {
+      this.dropPrivateSubscriptions(client);
+      client.codSessionId = null;
+    }
+    client.partyId = session.walletId;
+    client.sessionExpiresAt = session.expiresAt;
+    client.admin = null;
+
+    try {
+      const { getAdminAuthService } = require('./adminAuthService');
+      const admin = await getAdminAuthService().authenticateParty(session.walletId);
+      // Logged in again (or disconnected) while the account was looked up
+      if (client.partyId !== session.walletId || !this.clients.has(clientId)) return;
+      client.admin = admin;
+    } catch (error) {
+      console.warn(`[WebSocket] ⚠️ Admin lookup failed for ${clientId}: ${error.message}`);
+    }
+    if (client.ws.readyState !== WebSocket.OPEN) return;
+
+    console.log(`[WebSocket] Client ${clientId} authenticated as ${session.walletId.substring(0, 30)}...`);
+    client.ws.send(JSON.stringify({ type: 'authenticated', partyId: session.walletId }));
+  }
+
+  /**
+   * Cancel-on-disconnect over the private socket. The session armed here is
+   * remembered on the connection, so heartbeats need no sessionId; after a
+   * reconnect the client names it to pick it up again.
+   */
+  async handleCancelOnDisconnect(clientId, data) {
+    const client = this.clients.get(clientId);
+    if (!client) return;
+    if (!client.partyId) {
+      this.sendError(client, 'AUTH_REQUIRED', `Log in before sending ${data.type}`);
+      return;
+    }
+    if (client.sessionExpiresAt && Date.now() > client.sessionExpiresAt) {
+      this.sendError(client, 'SESSION_EXPIRED', 'Session expired — log in again');
+      return;
+    }
+
+    const { getCancelOnDisconnectService } = require('./cancelOnDisconnectService');
+    const cod = getCancelOnDisconnectService();
+    const sessionId = data.sessionId || client.codSessionId || null;
+
+    try {
+      let reply;
+      if (data.type === 'heartbeat') {
+        const sessions = cod.heartbeat(client.partyId, sessionId);
+        if (data.sessionId) client.codSessionId = data.sessionId;
+        reply = { type: 'heartbeat_ack', sessions };
+      } else if (data.enabled === false) {
+        const session = await cod.disarm(client.partyId, sessionId);
+        if (client.codSessionId === session.sessionId) client.codSessionId = null;
+        reply = { type: 'cancel_on_disconnect_disarmed', session };
+      } else {
+        const session = await cod.arm(client.partyId, {
+          timeoutMs: data.timeoutMs,
+          tradingPair: data.tradingPair || null,
+          transport: 'WS',
+          sessionId,
+        });
+        client.codSessionId = session.sessionId;
+        reply = { type: 'cancel_on_disconnect_armed', session };
+      }
+      if (client.ws.readyState === WebSocket.OPEN) {
+        client.ws.send(JSON.stringify(reply));
+      }
+    } catch (err) {
+      this.sendError(client, 'CANCEL_ON_DISCONNECT_REJECTED', err.message);
+    }
+  }
+
+  /**
+   * Why `client` may not subscribe to `channel`, or null if it may
+   */
+  checkChannelAccess(client, channel) {
+    const party = channelParty(channel);
+    if (party === null) return null;
+
+    if (!client.partyId) {
+      return { code: 'AUTH_REQUIRED', message: `Log in before subscribing to ${channel}` };
+    }
+    if (client.sessionExpiresAt && Date.now() > client.sessionExpiresAt) {
+      return { code: 'SESSION_EXPIRED', message: 'Session expired — log in again' };
+    }
+    if (party !== client.partyId && !this.isChannelAdmin(client)) {
+      return { code: 'FORBIDDEN_CHANNEL', message: `Not allowed to subscribe to ${channel}` };
+    }
+    return null;
+  }
+
+  isChannelAdmin(client) {
+    if (!client.admin) return false;
+    const { getAdminAuthService } = require('./adminAuthService');
+    return getAdminAuthService().hasPermission(client.admin, 'read-only');
+  }
+
+  dropPrivateSubscriptions(client) {
+    for (const channel of client.subscriptions) {
+      if (channelParty(channel) === null) continue;
+      client.subscriptions.delete(channel);
+      if (client.ws.readyState === WebSocket.OPEN) {
+        client.ws.send(JSON.stringify({ type: 'unsubscribed', channel }));
+      }
+    }
+  }
+
+  sendError(client, code, message, channel = undefined) {
+    if (client.ws.readyState !== WebSocket.OPEN) return;
+    client.ws.send(JSON.stringify({ type: 'error', code, message, channel }));
+  }
+
+  /**
+   * Send the registered initial state for a channel to one client
+   */
+  async sendInitialState(clientId, channel) {
+    const prefix = Array.from(subscriptionHandlers.keys()).find(p => channel.startsWith(p));
+    if (!prefix) return;
+
+    try {
+      const data = await subscriptionHandlers.get(prefix)(channel);
+      const client = this.clients.get(clientId);
+      if (!data || !client?.subscriptions.has(channel)) return;
+      if (client.ws.readyState === WebSocket.OPEN) {
+        client.ws.send(JSON.stringify({ type: 'update', channel, data }));
+      }
+    } catch (error) {
+      console.error(`[WebSocket] Error sending initial state for ${channel} to ${clientId}:`, error.message);
+    }
+  }
+
   /**
    * Broadcast message to all clients subscribed to a channel
    */
   broadcast(channel, data) {
     const message = JSON.stringify({ type: 'update', channel, data });
+    const isPrivate = channelParty(channel) !== null;
+    const now = Date.now();
     let sentCount = 0;
 
     this.clients.forEach((client, clientId) => {
       if (client.subscriptions.has(channel)) {
+        // A session that ran out mid-connection loses its private feeds
+        if (isPrivate && client.sessionExpiresAt && now > client.sessionExpiresAt) {
+          this.dropPrivateSubscriptions(client);
+          this.sendError(client, 'SESSION_EXPIRED', 'Session expired — log in again', channel);
+          return;
+        }
         try {
           if (client.ws.readyState === WebSocket.OPEN) {
             client.ws.send(message);
@@ -146,6 +356,14 @@ function initializeWebSocketService(server) {
   return wsServiceInstance;
 }
 
+/**
+ * Register the initial state sent to clients subscribing to channels that
+ * start with `prefix`. The handler may be async; returning nothing sends nothing.
+ */
+function registerSubscriptionHandler(prefix, handler) {
+  subscriptionHandlers.set(prefix, handler);
+}
+
 /**
  * Broadcast balance update for a specific party
  * Channel: balance:{partyId}
@@ -177,6 +395,7 @@ function broadcastMultiBalanceUpdate(updates) {
 module.exports = {
   WebSocketService,
   initializeWebSocketService,
+  registerSubscriptionHandler,
   broadcastBalanceUpdate,
   broadcastMultiBalanceUpdate,
 };
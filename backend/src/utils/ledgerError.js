@@ -21,6 +21,12 @@ const ErrorCodes = {
     ORDER_ALREADY_CANCELLED: 'ORDER_ALREADY_CANCELLED',
     ORDER_ALREADY_FILLED: 'ORDER_ALREADY_FILLED',
 
+    // Market rule errors (tick / lot / notional limits from the market registry)
+    PRICE_NOT_ON_TICK: 'PRICE_NOT_ON_TICK',
+    QUANTITY_NOT_ON_LOT: 'QUANTITY_NOT_ON_LOT',
+    NOTIONAL_BELOW_MIN: 'NOTIONAL_BELOW_MIN',
+    NOTIONAL_ABOVE_MAX: 'NOTIONAL_ABOVE_MAX',
+
     // Auth errors
     UNAUTHORIZED: 'UNAUTHORIZED',
     FORBIDDEN: 'FORBIDDEN',
@@ -82,6 +88,10 @@ class LedgerError extends Error {
             case ErrorCodes.INSUFFICIENT_BALANCE:
             case ErrorCodes.ORDER_ALREADY_CANCELLED:
             case ErrorCodes.ORDER_ALREADY_FILLED:
+            case ErrorCodes.PRICE_NOT_ON_TICK:
+            case ErrorCodes.QUANTITY_NOT_ON_LOT:
+            case ErrorCodes.NOTIONAL_BELOW_MIN:
+            case ErrorCodes.NOTIONAL_ABOVE_MAX:
                 return 400;
             case ErrorCodes.LEDGER_COMMAND_REJECTED:
                 return 400;
@@ -117,6 +127,30 @@ class ValidationError extends LedgerError {
     }
 }
 
+/**
+ * OrderRuleError - An order breaks one of its market's trading rules.
+ * `field` names the request field at fault so a form can flag it.
+ */
+class OrderRuleError extends LedgerError {
+    constructor(code, message, field, details = null) {
+        super(code, message, null);
+        this.field = field;
+        this.details = details;
+    }
+
+    toJSON() {
+        return {
+            ok: false,
+            error: {
+                code: this.code,
+                message: this.message,
+                field: this.field,
+                ...(this.details && { details: this.details })
+            }
+        };
+    }
+}
+
 /**
  * NotFoundError - For resources that don't exist
  */
@@ -274,6 +308,7 @@ module.exports = {
     ErrorCodes,
     LedgerError,
     ValidationError,
+    OrderRuleError,
     NotFoundError,
     extractCantonError,
     createLedgerErrorFromResponse,
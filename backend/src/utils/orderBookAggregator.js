@@ -4,6 +4,21 @@
  * Milestone 3: Professional Exchange UI requirement
  */
 
+/**
+ * Quantity an order contributes to the public book. Iceberg orders
+ * (displayQuantity set) only show what is left of their current peak;
+ * the hidden reserve never reaches a price level.
+ *
+ * @param {Object} order - Order with remaining (or quantity) and optional displayQuantity / displayRemaining
+ * @returns {number} Visible quantity
+ */
+function visibleQuantity(order) {
+  if (!order.displayQuantity) return parseFloat(order.remaining || order.quantity || 0);
+  const remaining = parseFloat(order.remaining ?? order.quantity ?? 0);
+  const peak = parseFloat(order.displayRemaining || order.displayQuantity);
+  return Math.max(0, Math.min(peak, remaining));
+}
+
 /**
  * Aggregate orders into price levels
  * Groups orders at the same price and sums their quantities
@@ -30,8 +45,8 @@ function aggregatePriceLevels(orders, options = {}) {
     const roundedPrice = Math.round(price * Math.pow(10, precision)) / Math.pow(10, precision);
     const priceKey = roundedPrice.toFixed(precision);
 
-    // Get remaining quantity
-    const quantity = parseFloat(order.remaining || order.quantity || 0);
+    // Get visible remaining quantity (iceberg reserve excluded)
+    const quantity = visibleQuantity(order);
 
     if (quantity < minQuantity) {
       continue; // Skip orders below minimum quantity
@@ -207,6 +222,7 @@ function formatOrderBook(orderBook, options = {}) {
 }
 
 module.exports = {
+  visibleQuantity,
   aggregatePriceLevels,
   aggregateBids,
   aggregateAsks,
@@ -4,6 +4,17 @@
 
 const Joi = require('joi');
 const { tradingPairSchema } = require('./common');
+const { MARKET_STATUSES, TRADING_STATES } = require('../services/marketRegistryService');
+const { ADMIN_PERMISSIONS } = require('../services/adminAuthService');
+
+const assetSymbol = Joi.string().pattern(/^[A-Za-z0-9]+$/).max(20);
+// Decimal sizes travel as strings so no precision is lost on the way to Postgres
+const positiveDecimal = Joi.alternatives().try(
+  Joi.number().positive(),
+  Joi.string().pattern(/^\d+(\.\d+)?$/),
+);
+// Basis points of the received amount; negative = rebate (maker only)
+const feeBps = Joi.number().integer().min(-1000).max(1000);
 
 const createOrderBookSchema = Joi.object({
   params: Joi.object({
@@ -23,7 +34,117 @@ const uploadDarSchema = Joi.object({
     .required(),
 }).required();
 
+const createMarketSchema = Joi.object({
+  body: Joi.object({
+    baseSymbol: assetSymbol.required(),
+    quoteSymbol: assetSymbol.required(),
+    tickSize: positiveDecimal.required(),
+    lotSize: positiveDecimal.required(),
+    minNotional: positiveDecimal.allow(null),
+    maxNotional: positiveDecimal.allow(null),
+    pricePrecision: Joi.number().integer().min(0).max(18).required(),
+    makerFeeBps: feeBps.default(0),
+    takerFeeBps: feeBps.min(0).default(0),
+    status: Joi.string().valid(...MARKET_STATUSES).default('ACTIVE'),
+  }).required(),
+});
+
+const updateMarketSchema = Joi.object({
+  params: Joi.object({
+    symbol: Joi.string().required(),
+  }),
+  body: Joi.object({
+    tickSize: positiveDecimal,
+    lotSize: positiveDecimal,
+    minNotional: positiveDecimal.allow(null),
+    maxNotional: positiveDecimal.allow(null),
+    pricePrecision: Joi.number().integer().min(0).max(18),
+    makerFeeBps: feeBps,
+    takerFeeBps: feeBps.min(0),
+    status: Joi.string().valid(...MARKET_STATUSES),
+  }).min(1).required(),
+});
+
+const setTradingStateSchema = Joi.object({
+  params: Joi.object({
+    symbol: Joi.string().required(),
+  }),
+  body: Joi.object({
+    status: Joi.string().uppercase().valid(...TRADING_STATES).required(),
+    reason: Joi.string().trim().max(200).allow(null, ''),
+    // Timed state: back to resumeStatus (default: the current state) after this long
+    durationMs: Joi.number().integer().min(1000).max(7 * 24 * 60 * 60 * 1000).allow(null),
+    resumeStatus: Joi.string().uppercase().valid(...TRADING_STATES).allow(null),
+    // HALTED → ACTIVE / POST_ONLY goes through a reopening auction unless false
+    reopenAuction: Joi.boolean(),
+  }).required(),
+});
+
+const endAuctionSchema = Joi.object({
+  params: Joi.object({
+    symbol: Joi.string().required(),
+  }),
+  body: Joi.object({
+    resumeStatus: Joi.string().uppercase().valid(...TRADING_STATES.filter(s => s !== 'AUCTION')).allow(null),
+  }),
+});
+
+const setFeeTiersSchema = Joi.object({
+  params: Joi.object({
+    quoteSymbol: assetSymbol.required(),
+  }),
+  body: Joi.object({
+    tiers: Joi.array().max(20).items(Joi.object({
+      name: Joi.string().trim().max(40).required(),
+      // Rolling 30-day notional in the quote asset
+      minVolume: Joi.alternatives().try(
+        Joi.number().min(0),
+        Joi.string().pattern(/^\d+(\.\d+)?$/),
+      ).required(),
+      makerFeeBps: feeBps.required(),
+      takerFeeBps: feeBps.min(0).required(),
+    })).required(),
+  }).required(),
+});
+
+const adminPermissions = Joi.array().items(Joi.string().valid(...ADMIN_PERMISSIONS)).min(1).unique();
+
+const createAdminAccountSchema = Joi.object({
+  body: Joi.object({
+    name: Joi.string().trim().max(80).required(),
+    partyId: Joi.string().max(300),
+    oidcSubject: Joi.string().max(255),
+    permissions: adminPermissions.required(),
+  }).or('partyId', 'oidcSubject').required(),
+});
+
+const updateAdminAccountSchema = Joi.object({
+  params: Joi.object({
+    id: Joi.string().required(),
+  }),
+  body: Joi.object({
+    name: Joi.string().trim().max(80),
+    permissions: adminPermissions,
+    disabled: Joi.boolean(),
+  }).min(1).required(),
+});
+
+const backfillCandlesSchema = Joi.object({
+  body: Joi.object({
+    tradingPair: tradingPairSchema.optional().allow(null),
+    since: Joi.date().iso().allow(null),
+  }).default({}),
+});
+
 module.exports = {
   createOrderBookSchema,
+  backfillCandlesSchema,
+  createMarketSchema,
+  updateMarketSchema,
+  setTradingStateSchema,
+  endAuctionSchema,
+  setFeeTiersSchema,
+  createAdminAccountSchema,
+  updateAdminAccountSchema,
   uploadDarSchema,
 };
@@ -12,6 +12,18 @@ const tradingPairSchema = Joi.string()
     'string.pattern.base': 'Trading pair must be in format BASE/QUOTE (e.g., BTC/USDT)',
   });
 
+// A pair that is currently listed in the market registry (not DELISTED).
+// Halted / post-only status is enforced at placement, where the order's
+// postOnly flag is known.
+const listedTradingPairSchema = tradingPairSchema
+  .custom((value, helpers) => {
+    const { getMarketRegistry } = require('../services/marketRegistryService');
+    if (!getMarketRegistry().getTradingPairs().includes(value)) {
+      return helpers.message(`Trading pair ${value} is not listed`);
+    }
+    return value;
+  });
+
 const partyIdSchema = Joi.string().required().min(1);
 
 const contractIdSchema = Joi.string().required().min(1);
@@ -23,6 +35,7 @@ const paginationSchema = {
 
 module.exports = {
   tradingPairSchema,
+  listedTradingPairSchema,
   partyIdSchema,
   contractIdSchema,
   paginationSchema,
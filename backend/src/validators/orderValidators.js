@@ -1,29 +1,87 @@
 /**
  * Order Validation Schemas
  * 
- * Supports: LIMIT, MARKET, STOP_LOSS order modes
+ * Supports: LIMIT, MARKET, STOP_LOSS, STOP_LIMIT, TRAILING_STOP order modes
+ * STOP_LIMIT: stopPrice + limitPrice; TRAILING_STOP: trailingOffset + trailingOffsetType (ABSOLUTE | PERCENT)
+ * Time-in-force: GTC (default), IOC, FOK, GTD (requires expiresAt)
+ * Post-only: LIMIT orders only, incompatible with IOC/FOK
+ * Self-trade prevention: NONE (default), CANCEL_NEWEST, CANCEL_OLDEST, CANCEL_BOTH, DECREMENT_AND_CANCEL
+ * Slippage cap (maxSlippageBps): MARKET orders only, 0-5000 basis points
+ * Order groups: groupId tags a leg of an OCO / bracket group created via
+ * POST /api/orders/groups (groupType OCO | BRACKET)
+ * Iceberg: displayQuantity (LIMIT only, below quantity) is the peak shown on the book
+ * New orders and groups must name a pair listed in the market registry
+ * Amend: new price (LIMIT only) and/or a lower total quantity for a resting order
+ * Batch: up to 50 orders of the same shape as /place (no group legs), signed once
+ * Cancel-all: the caller's working orders, optionally narrowed by tradingPair / side
  */
 
 const Joi = require('joi');
-const { tradingPairSchema } = require('./common');
+const { tradingPairSchema, listedTradingPairSchema } = require('./common');
+
+// Fields of a single order, shared by /place and /batch
+const orderFields = {
+  tradingPair: listedTradingPairSchema.required(),
+  orderType: Joi.string().valid('BUY', 'SELL').required(),
+  orderMode: Joi.string().valid('LIMIT', 'MARKET', 'STOP_LOSS', 'STOP_LIMIT', 'TRAILING_STOP').required(),
+  price: Joi.when('orderMode', {
+    is: 'LIMIT',
+    then: Joi.number().positive().required(),
+    otherwise: Joi.number().positive().allow(null),
+  }),
+  quantity: Joi.number().positive().required(),
+  // Stop-loss specific fields
+  stopPrice: Joi.when('orderMode', {
+    switch: [
+      { is: Joi.valid('STOP_LOSS', 'STOP_LIMIT'), then: Joi.number().positive().required() },
+      { is: 'TRAILING_STOP', then: Joi.valid(null) },
+    ],
+    otherwise: Joi.number().positive().allow(null),
+  }),
+  limitPrice: Joi.when('orderMode', {
+    is: 'STOP_LIMIT',
+    then: Joi.number().positive().required(),
+    otherwise: Joi.valid(null),
+  }),
+  trailingOffset: Joi.when('orderMode', {
+    is: 'TRAILING_STOP',
+    then: Joi.number().positive().required(),
+    otherwise: Joi.valid(null),
+  }),
+  trailingOffsetType: Joi.when('orderMode', {
+    is: 'TRAILING_STOP',
+    then: Joi.string().valid('ABSOLUTE', 'PERCENT').required(),
+    otherwise: Joi.valid(null),
+  }),
+  timeInForce: Joi.string().valid('GTC', 'IOC', 'FOK', 'GTD').default('GTC'),
+  expiresAt: Joi.when('timeInForce', {
+    is: 'GTD',
+    then: Joi.date().iso().greater('now').required(),
+    otherwise: Joi.valid(null),
+  }),
+  postOnly: Joi.boolean().default(false).when('orderMode', {
+    not: 'LIMIT',
+    then: Joi.valid(false),
+  }),
+  stpMode: Joi.string()
+    .valid('NONE', 'CANCEL_NEWEST', 'CANCEL_OLDEST', 'CANCEL_BOTH', 'DECREMENT_AND_CANCEL')
+    .default('NONE'),
+  maxSlippageBps: Joi.when('orderMode', {
+    is: 'MARKET',
+    then: Joi.number().integer().min(0).max(5000).allow(null),
+    otherwise: Joi.valid(null),
+  }),
+  groupId: Joi.string().pattern(/^grp-/).allow(null),
+  displayQuantity: Joi.when('orderMode', {
+    is: 'LIMIT',
+    then: Joi.number().positive().less(Joi.ref('quantity')).allow(null),
+    otherwise: Joi.valid(null),
+  }),
+};
 
 const placeOrderSchema = Joi.object({
   body: Joi.object({
-    tradingPair: tradingPairSchema.required(),
-    orderType: Joi.string().valid('BUY', 'SELL').required(),
-    orderMode: Joi.string().valid('LIMIT', 'MARKET', 'STOP_LOSS').required(),
-    price: Joi.when('orderMode', {
-      is: 'LIMIT',
-      then: Joi.number().positive().required(),
-      otherwise: Joi.number().positive().allow(null),
-    }),
-    quantity: Joi.number().positive().required(),
-    // Stop-loss specific fields
-    stopPrice: Joi.when('orderMode', {
-      is: 'STOP_LOSS',
-      then: Joi.number().positive().required(),
-      otherwise: Joi.number().positive().allow(null),
-    }),
+    ...orderFields,
     partyId: Joi.string().required(),
     orderBookContractId: Joi.string().allow(null, ''),
     userAccountContractId: Joi.string().allow(null, ''),
@@ -31,6 +89,30 @@ const placeOrderSchema = Joi.object({
   }),
 });
 
+// side is the exit side for OCO and the entry side for BRACKET
+const createOrderGroupSchema = Joi.object({
+  body: Joi.object({
+    tradingPair: listedTradingPairSchema.required(),
+    groupType: Joi.string().valid('OCO', 'BRACKET').required(),
+    side: Joi.string().valid('BUY', 'SELL').required(),
+    quantity: Joi.number().positive().required(),
+    takeProfitPrice: Joi.number().positive().required(),
+    stopPrice: Joi.number().positive().required(),
+    stopLimitPrice: Joi.number().positive().allow(null),
+    entryOrderMode: Joi.when('groupType', {
+      is: 'BRACKET',
+      then: Joi.string().valid('LIMIT', 'MARKET').default('LIMIT'),
+      otherwise: Joi.valid(null),
+    }),
+    entryPrice: Joi.when('entryOrderMode', {
+      is: 'LIMIT',
+      then: Joi.number().positive().required(),
+      otherwise: Joi.valid(null),
+    }),
+    partyId: Joi.string().required(),
+  }),
+});
+
 const cancelOrderSchema = Joi.object({
   body: Joi.object({
     orderContractId: Joi.string().required(),
@@ -42,7 +124,41 @@ const cancelOrderSchema = Joi.object({
   }),
 });
 
+const batchOrderSchema = Joi.object({
+  body: Joi.object({
+    partyId: Joi.string().required(),
+    orders: Joi.array()
+      .items(Joi.object({ ...orderFields, groupId: Joi.valid(null) }))
+      .min(1)
+      .max(50)
+      .required(),
+  }),
+});
+
+const cancelAllOrdersSchema = Joi.object({
+  body: Joi.object({
+    partyId: Joi.string().required(),
+    tradingPair: tradingPairSchema.allow(null),
+    side: Joi.string().valid('BUY', 'SELL').allow(null),
+  }),
+});
+
+const amendOrderSchema = Joi.object({
+  params: Joi.object({
+    orderId: Joi.string().required(),
+  }),
+  body: Joi.object({
+    partyId: Joi.string(),
+    price: Joi.number().positive().allow(null),
+    quantity: Joi.number().positive().allow(null),
+  }).or('price', 'quantity'),
+});
+
 module.exports = {
   placeOrderSchema,
   cancelOrderSchema,
+  batchOrderSchema,
+  cancelAllOrdersSchema,
+  amendOrderSchema,
+  createOrderGroupSchema,
 };
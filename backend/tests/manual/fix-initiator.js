@@ -0,0 +1,159 @@
+#!/usr/bin/env node
+/**
+ * Minimal FIX 4.4 initiator for trying the FIX gateway locally.
+ *
+ * Logs on with an API key, subscribes to the book (and trades) of one
+ * symbol, optionally sends a LIMIT NewOrderSingle and answers the gateway's
+ * SignatureRequests with a local Ed25519 key, then logs out.
+ *
+ * Usage:
+ *   FIX_API_KEY=ak_... FIX_API_SECRET=... node tests/manual/fix-initiator.js
+ *
+ * Environment:
+ *   FIX_HOST / FIX_PORT            gateway address (default 127.0.0.1:9878)
+ *   FIX_SENDER_COMP_ID             our CompID (default TESTCLIENT)
+ *   FIX_TARGET_COMP_ID             gateway CompID (default CLOBEX)
+ *   FIX_API_KEY / FIX_API_SECRET   key with the trade scope to place orders
+ *   FIX_SYMBOL                     default CC/CBTC
+ *   FIX_ORDER_SIDE / FIX_ORDER_QTY / FIX_ORDER_PRICE
+ *                                  send one LIMIT order (side BUY or SELL)
+ *   FIX_SIGNING_KEY                hex Ed25519 private key seed (32 bytes)
+ *   FIX_SIGNED_BY                  key fingerprint the ledger knows the party by
+ *   FIX_DURATION_S                 seconds to stay logged on (default 30)
+ *   FIX_RESET                      'false' to keep sequence numbers across runs
+ */
+
+const crypto = require('crypto');
+const net = require('net');
+const fix = require('../../src/services/fixProtocol');
+
+const { TAGS: T, MSG_TYPES: M } = fix;
+
+const host = process.env.FIX_HOST || '127.0.0.1';
+const port = parseInt(process.env.FIX_PORT || '9878', 10);
+const senderCompId = process.env.FIX_SENDER_COMP_ID || 'TESTCLIENT';
+const targetCompId = process.env.FIX_TARGET_COMP_ID || 'CLOBEX';
+const symbol = process.env.FIX_SYMBOL || 'CC/CBTC';
+const durationMs = parseInt(process.env.FIX_DURATION_S || '30', 10) * 1000;
+const reset = process.env.FIX_RESET !== 'false';
+
+if (!process.env.FIX_API_KEY || !process.env.FIX_API_SECRET) {
+  console.error('FIX_API_KEY and FIX_API_SECRET are required');
+  process.exit(1);
+}
+
+function signingKey() {
+  const seed = Buffer.from(process.env.FIX_SIGNING_KEY || '', 'hex');
+  if (seed.length !== 32) return null;
+  // PKCS#8 wrapper for a raw Ed25519 seed
+  const der = Buffer.concat([Buffer.from('302e020100300506032b657004220420', 'hex'), seed]);
+  return crypto.createPrivateKey({ key: der, format: 'der', type: 'pkcs8' });
+}
+
+let nextOut = 1;
+let buffer = '';
+const socket = net.connect(port, host);
+socket.setEncoding('latin1');
+
+function send(msgType, fields, sendingTime) {
+  const raw = fix.encode(msgType, { senderCompId, targetCompId, msgSeqNum: nextOut++, sendingTime }, fields);
+  console.log(`→ ${fix.printable(raw)}`);
+  socket.write(raw, 'latin1');
+}
+
+function logon() {
+  const sendingTime = fix.utcTimestamp();
+  const ms = fix.parseUtcTimestamp(sendingTime);
+  const password = crypto.createHmac('sha256', process.env.FIX_API_SECRET)
+    .update(`${ms}LOGON${senderCompId}${targetCompId}`)
+    .digest('hex');
+  send(M.Logon, [
+    [T.EncryptMethod, '0'],
+    [T.HeartBtInt, 30],
+    [T.ResetSeqNumFlag, reset ? 'Y' : null],
+    [T.Username, process.env.FIX_API_KEY],
+    [T.Password, password],
+  ], sendingTime);
+}
+
+function afterLogon() {
+  send(M.MarketDataRequest, [
+    [T.MDReqID, `md-${Date.now()}`],
+    [T.SubscriptionRequestType, '1'],
+    [T.MarketDepth, 0],
+    [T.MDUpdateType, '1'],
+    [T.NoMDEntryTypes, 3],
+    [T.MDEntryType, '0'],
+    [T.MDEntryType, '1'],
+    [T.MDEntryType, '2'],
+    [T.NoRelatedSym, 1],
+    [T.Symbol, symbol],
+  ]);
+
+  const side = (process.env.FIX_ORDER_SIDE || '').toUpperCase();
+  if (side === 'BUY' || side === 'SELL') {
+    send(M.NewOrderSingle, [
+      [T.ClOrdID, `cl-${Date.now()}`],
+      [T.Symbol, symbol],
+      [T.Side, side === 'BUY' ? '1' : '2'],
+      [T.TransactTime, fix.utcTimestamp()],
+      [T.OrderQty, process.env.FIX_ORDER_QTY || '1'],
+      [T.OrdType, '2'],
+      [T.Price, process.env.FIX_ORDER_PRICE || '1'],
+      [T.TimeInForce, '1'],
+    ]);
+  }
+
+  setTimeout(() => send(M.Logout, []), durationMs);
+}
+
+function onMessage(raw) {
+  console.log(`← ${fix.printable(raw)}`);
+  const fields = fix.decode(raw);
+  if (!fields) return console.warn('   (garbled, ignored)');
+  const msg = fix.fieldMap(fields);
+
+  switch (msg.get(T.MsgType)) {
+    case M.Logon:
+      afterLogon();
+      break;
+    case M.TestRequest:
+      send(M.Heartbeat, [[T.TestReqID, msg.get(T.TestReqID)]]);
+      break;
+    case M.ResendRequest:
+      // Nothing worth replaying from a test client: reset past this message
+      send(M.SequenceReset, [[T.NewSeqNo, nextOut + 1]]);
+      break;
+    case M.SignatureRequest: {
+      const key = signingKey();
+      if (!key || !process.env.FIX_SIGNED_BY) {
+        console.warn('   FIX_SIGNING_KEY / FIX_SIGNED_BY not set — leaving the request unsigned');
+        break;
+      }
+      const hash = Buffer.from(msg.get(T.PreparedTransactionHash), 'base64');
+      send(M.SignatureResponse, [
+        [T.SignRequestID, msg.get(T.SignRequestID)],
+        [T.Signature, crypto.sign(null, hash, key).toString('base64')],
+        [T.SignedBy, process.env.FIX_SIGNED_BY],
+      ]);
+      break;
+    }
+    case M.Logout:
+      socket.end();
+      break;
+    default:
+      break;
+  }
+}
+
+socket.on('connect', logon);
+socket.on('data', (chunk) => {
+  const { messages, rest } = fix.extractMessages(buffer + chunk);
+  buffer = rest;
+  messages.forEach(onMessage);
+});
+socket.on('error', (err) => {
+  console.error(`Connection error: ${err.message}`);
+  process.exitCode = 1;
+});
+socket.on('close', () => console.log('Disconnected'));
@@ -17,6 +17,7 @@ import GlobalTrades from './trading/GlobalTrades';
 import TransactionHistory from './trading/TransactionHistory';
 import PortfolioView from './trading/PortfolioView';
 import MarketData from './trading/MarketData';
+import MarketStatusBanner from './trading/MarketStatusBanner';
 import TransferOffers from './trading/TransferOffers';
 import BalanceCard from './trading/BalanceCard';
 import PasswordInput from './PasswordInput';
@@ -26,7 +27,7 @@ import OrderBookSkeleton from './trading/OrderBookSkeleton';
 import TradingPageSkeleton from './trading/TradingPageSkeleton';
 
 // Import services
-import { getAvailableTradingPairs, getGlobalOrderBook } from '../services/cantonApi';
+import { getAvailableTradingPairs, getGlobalOrderBook, getMarkets } from '../services/cantonApi';
 import { apiClient, API_ROUTES } from '../config/config';
 import websocketService from '../services/websocketService';
 // Token Standard V2 services
@@ -49,6 +50,38 @@ const formatNumber = (value, decimals = 2) => {
   });
 };
 
+const STOP_ORDER_TITLES = { STOP_LOSS: 'Stop-Loss', STOP_LIMIT: 'Stop-Limit', TRAILING_STOP: 'Trailing Stop' };
+
+/**
+ * Price shown in the order-placed toast
+ */
+const orderPriceLabel = (order) => {
+  switch (order.orderMode) {
+    case 'MARKET': return 'Market Price';
+    case 'STOP_LOSS': return `Stop @ ${order.stopPrice}`;
+    case 'STOP_LIMIT': return `Stop @ ${order.stopPrice}, Limit ${order.limitPrice}`;
+    case 'TRAILING_STOP': return `Trail ${order.trailingOffset}${order.trailingOffsetType === 'PERCENT' ? '%' : ''}`;
+    default: return order.price;
+  }
+};
+
+/**
+ * Order-group leg spec from POST /orders/groups (or ORDER_GROUP_ARMED)
+ * in the shape handlePlaceOrder takes
+ */
+const groupLegToOrderData = (leg) => ({
+  tradingPair: leg.tradingPair,
+  orderType: leg.orderType,
+  orderMode: leg.orderMode,
+  price: leg.orderMode === 'LIMIT' ? leg.price : null,
+  quantity: leg.quantity,
+  stopPrice: leg.stopPrice || null,
+  limitPrice: leg.limitPrice || null,
+  timeInForce: 'GTC',
+  groupId: leg.groupId,
+  groupRole: leg.groupRole,
+});
+
 export default function TradingInterface({ partyId }) {
   // === PHASE 1: ALL HOOKS MUST BE DECLARED FIRST - NO EXCEPTIONS ===
   const toast = useToast();
@@ -57,9 +90,11 @@ export default function TradingInterface({ partyId }) {
   const [isAlive, setIsAlive] = useState(true);
   const heartbeatRef = useRef(Date.now());
   
-  const [tradingPair, setTradingPair] = useState('BTC/USDT');
+  const [tradingPair, setTradingPair] = useState(null); // first listed market once /markets loads
   // Trading pairs loaded from API - no hardcoding
   const [availablePairs, setAvailablePairs] = useState([]);
+  const [markets, setMarkets] = useState({}); // symbol → market (trading state for the banner)
+  const [auction, setAuction] = useState(null); // indicative uncross while tradingPair is in a call auction
   const [orderType, setOrderType] = useState('BUY');
   const [orderMode, setOrderMode] = useState('LIMIT');
   const [price, setPrice] = useState('');
@@ -73,14 +108,17 @@ export default function TradingInterface({ partyId }) {
   const hasLoadedBalanceRef = useRef(false);
   const [orders, setOrders] = useState([]);
   const [orderBook, setOrderBook] = useState({ buys: [], sells: [] });
+  const [orderBookSynced, setOrderBookSynced] = useState(true);
   const [loading, setLoading] = useState(false);
   const [orderPlacing, setOrderPlacing] = useState(false); // Separate state for order placement
+  const [orderFieldError, setOrderFieldError] = useState(null); // { field, code, message } from a market-rule rejection
   const [orderBookLoading, setOrderBookLoading] = useState(true);
   const [orderBookExists, setOrderBookExists] = useState(true);
   const [error, setError] = useState('');
   const [creatingOrderBook, setCreatingOrderBook] = useState(false);
   const [trades, setTrades] = useState([]);
   const [tradesLoading, setTradesLoading] = useState(true);
+  const [ticker, setTicker] = useState(null);         // Rolling 24h stats for tradingPair
   const [activeTab, setActiveTab] = useState('active');
   const [showOrderSuccess, setShowOrderSuccess] = useState(false);
   const [initialLoading, setInitialLoading] = useState(true);
@@ -94,6 +132,9 @@ export default function TradingInterface({ partyId }) {
 
   // Interactive signing state (for external party order placement/cancellation)
   const [signingState, setSigningState] = useState(null);
+  // OCO / bracket legs still to be placed — each one is signed separately
+  const groupLegQueueRef = useRef([]);
+  const [groupLegTick, setGroupLegTick] = useState(0);
   // { action: 'PLACE'|'CANCEL', preparedTransaction, preparedTransactionHash, hashingSchemeVersion, orderMeta/cancelMeta }
   const [walletPassword, setWalletPassword] = useState('');
   const [signingError, setSigningError] = useState(null);
@@ -177,18 +218,23 @@ export default function TradingInterface({ partyId }) {
   // Refreshes order book, user orders, balance, and trades in one call
   const refreshAllData = useCallback(async (pair) => {
     const activePair = pair || tradingPair;
+    if (!activePair) return;
     console.log('[Refresh] Refreshing all data for', activePair);
     
-    // Refresh order book
-    try {
-      const bookData = await getGlobalOrderBook(activePair);
-      if (bookData) {
-        setOrderBook({
-          buys: bookData.buyOrders || [],
-          sells: bookData.sellOrders || []
-        });
-      }
-    } catch (e) { console.warn('[Refresh] Order book error:', e.message); }
+    // Refresh order book — a fresh L2 snapshot when live, REST otherwise
+    if (websocketService.isConnected()) {
+      websocketService.resync(`orderbook:${activePair}`);
+    } else {
+      try {
+        const bookData = await getGlobalOrderBook(activePair);
+        if (bookData) {
+          setOrderBook({
+            buys: bookData.buyOrders || [],
+            sells: bookData.sellOrders || []
+          });
+        }
+      } catch (e) { console.warn('[Refresh] Order book error:', e.message); }
+    }
 
     // Refresh user orders - ALWAYS use fresh data
     try {
@@ -207,7 +253,11 @@ export default function TradingInterface({ partyId }) {
         tradingPair: order.tradingPair,
         timestamp: order.timestamp,
         stopPrice: order.stopPrice || null,
+        limitPrice: order.limitPrice || null,
+        trailingOffset: order.trailingOffset || null,
+        trailingOffsetType: order.trailingOffsetType || null,
         triggeredAt: order.triggeredAt || null,
+        displayQuantity: order.displayQuantity || null,
       })));
     } catch (e) { console.warn('[Refresh] User orders error:', e.message); }
 
@@ -247,9 +297,41 @@ export default function TradingInterface({ partyId }) {
   }, [partyId, tradingPair]);
 
   // Place order - uses legacy API but balances are V2 Holdings
-  const handlePlaceOrder = useCallback(async (orderData) => {
+  const handlePlaceOrder = useCallback(async (formData) => {
+    let orderData = formData;
     try {
       setOrderPlacing(true);
+      setOrderFieldError(null);
+
+      // Take-profit / stop-loss attached: create the group, place its first
+      // leg now and queue the rest
+      if (formData.bracket) {
+        const { groupType, takeProfitPrice, stopPrice, stopLimitPrice } = formData.bracket;
+        const isBracket = groupType === 'BRACKET';
+        const groupResult = await apiClient.post(API_ROUTES.ORDERS.GROUPS, {
+          tradingPair: formData.tradingPair,
+          groupType,
+          side: formData.orderType,
+          quantity: formData.quantity,
+          takeProfitPrice,
+          stopPrice,
+          stopLimitPrice: stopLimitPrice || null,
+          entryOrderMode: isBracket ? formData.orderMode : null,
+          entryPrice: isBracket && formData.orderMode === 'LIMIT' ? formData.price : null,
+          partyId,
+        }, {
+          headers: {
+            'x-user-id': partyId || 'anonymous'
+          }
+        });
+        if (!groupResult.success) {
+          throw new Error(groupResult.error || groupResult.message || 'Failed to create order group');
+        }
+        const [firstLeg, ...otherLegs] = groupResult.data.legs.map(groupLegToOrderData);
+        groupLegQueueRef.current = otherLegs;
+        orderData = firstLeg;
+      }
+
       console.log('[Place Order] Placing order:', orderData);
       
       // Use legacy order API (OrderV3 DAML encoding needs more work)
@@ -261,6 +343,16 @@ export default function TradingInterface({ partyId }) {
           quantity: orderData.quantity,
           partyId: partyId,
           stopPrice: orderData.stopPrice || null,
+          limitPrice: orderData.limitPrice || null,
+          trailingOffset: orderData.trailingOffset || null,
+          trailingOffsetType: orderData.trailingOffsetType || null,
+          timeInForce: orderData.timeInForce || 'GTC',
+          expiresAt: orderData.expiresAt || null,
+          postOnly: orderData.postOnly === true,
+          stpMode: orderData.stpMode || 'NONE',
+          maxSlippageBps: orderData.maxSlippageBps ?? null,
+          groupId: orderData.groupId || null,
+          displayQuantity: orderData.displayQuantity || null,
       }, {
         headers: {
           'x-user-id': partyId || 'anonymous'
@@ -290,6 +382,19 @@ export default function TradingInterface({ partyId }) {
             price: data.price,
             quantity: data.quantity,
             stopPrice: data.stopPrice,
+            limitPrice: data.limitPrice,
+            trailingOffset: data.trailingOffset,
+            trailingOffsetType: data.trailingOffsetType,
+            trailingExtreme: data.trailingExtreme,
+            timeInForce: data.timeInForce,
+            expiresAt: data.expiresAt,
+            postOnly: data.postOnly,
+            stpMode: data.stpMode,
+            maxSlippageBps: data.maxSlippageBps,
+            slippageLimitPrice: data.slippageLimitPrice,
+            groupId: data.groupId || null,
+            groupRole: data.groupRole || null,
+            displayQuantity: data.displayQuantity || null,
             lockInfo: data.lockInfo,
             stage: data.stage || 'PLACEMENT_STEP_1_ALLOCATION',
             placementContext: data.placementContext,
@@ -309,13 +414,11 @@ export default function TradingInterface({ partyId }) {
       setQuantity('');
       
       // Show success toast
-      const priceLabel = orderData.orderMode === 'MARKET' ? 'Market Price' 
-        : orderData.orderMode === 'STOP_LOSS' ? `Stop @ ${orderData.stopPrice}` 
-        : orderData.price;
+      const priceLabel = orderPriceLabel(orderData);
       toast.success(
         `${orderData.orderType} ${orderData.quantity} ${orderData.tradingPair?.split('/')[0] || ''} @ ${priceLabel}`, 
         {
-          title: orderData.orderMode === 'STOP_LOSS' ? `🛡️ Stop-Loss ${orderData.orderType} Order Set` : `✅ ${orderData.orderType} Order Placed`,
+          title: STOP_ORDER_TITLES[orderData.orderMode] ? `🛡️ ${STOP_ORDER_TITLES[orderData.orderMode]} ${orderData.orderType} Order Set` : `✅ ${orderData.orderType} Order Placed`,
           duration: 5000
         }
       );
@@ -336,14 +439,13 @@ export default function TradingInterface({ partyId }) {
       setTimeout(() => refreshAllData(orderData.tradingPair || tradingPair), 1000);
       setTimeout(() => refreshAllData(orderData.tradingPair || tradingPair), 3000);
       setTimeout(() => refreshAllData(orderData.tradingPair || tradingPair), 6000);
-
-      // Trigger matching engine so allocations get executed promptly
-      setTimeout(() => {
-        apiClient.post('/match/trigger', { pair: orderData.tradingPair || tradingPair }).catch(() => {});
-      }, 4000);
       
     } catch (error) {
       console.error('[Place Order] Failed:', error);
+      groupLegQueueRef.current = [];
+      if (error.field) {
+        setOrderFieldError({ field: error.field, code: error.code, message: error.message });
+      }
       toast.error(error.message || 'Failed to place order', {
         title: '❌ Order Failed',
         duration: 6000
@@ -411,20 +513,9 @@ export default function TradingInterface({ partyId }) {
     // Immediately remove cancelled order from local state (no flicker)
     setOrders(prev => prev.filter(o => o.contractId !== contractId));
 
-    
-    // Refresh order book (cancelled order should be removed)
-    try {
-      const bookData = await getGlobalOrderBook(tradingPair);
-      if (bookData) {
-        setOrderBook({
-          buys: bookData.buyOrders || [],
-          sells: bookData.sellOrders || []
-        });
-      }
-    } catch (e) {
-      console.warn('[Cancel Order] Failed to refresh order book:', e);
-    }
-    
+
+    // The order book drops the cancelled order through the L2 feed's next DELTA
+
     // Refresh balance from V2 Holdings (includes CBTC)
     try {
       const balanceData = await balanceService.getBalances(partyId);
@@ -506,13 +597,11 @@ export default function TradingInterface({ partyId }) {
           setPrice('');
           setQuantity('');
           
-          const priceLabel = od.orderMode === 'MARKET' ? 'Market Price'
-            : od.orderMode === 'STOP_LOSS' ? `Stop @ ${od.stopPrice}`
-            : od.price;
+          const priceLabel = orderPriceLabel(od);
           toast.success(
             `${od.orderType} ${od.quantity} ${od.tradingPair?.split('/')[0] || ''} @ ${priceLabel}`,
             {
-              title: od.orderMode === 'STOP_LOSS' ? '🛡️ Stop-Loss Order Set' : `✅ ${od.orderType} Order Placed`,
+              title: STOP_ORDER_TITLES[od.orderMode] ? `🛡️ ${STOP_ORDER_TITLES[od.orderMode]} Order Set` : `✅ ${od.orderType} Order Placed`,
               duration: 5000
             }
           );
@@ -531,11 +620,6 @@ export default function TradingInterface({ partyId }) {
           setTimeout(() => refreshAllData(od.tradingPair || tradingPair), 1000);
           setTimeout(() => refreshAllData(od.tradingPair || tradingPair), 3000);
           setTimeout(() => refreshAllData(od.tradingPair || tradingPair), 6000);
-
-          // Trigger matching engine so allocations get executed promptly
-          setTimeout(() => {
-            apiClient.post('/match/trigger', { pair: od.tradingPair || tradingPair }).catch(() => {});
-          }, 4000);
         } else {
           throw new Error(response.error || 'Failed to execute order placement');
         }
@@ -581,10 +665,21 @@ export default function TradingInterface({ partyId }) {
   }, [signingState, walletPassword, partyId, tradingPair, toast, setOrders]);
 
   const handleCancelSigning = useCallback(() => {
+    if (groupLegQueueRef.current.length > 0) {
+      toast.warning('The remaining take-profit / stop-loss legs were not placed', { title: 'Order group incomplete' });
+      groupLegQueueRef.current = [];
+    }
     setSigningState(null);
     setWalletPassword('');
     setSigningError(null);
-  }, []);
+  }, [toast]);
+
+  // Place queued group legs one at a time: the next one goes out once the
+  // previous one has been signed, or when a bracket entry fill arms the exits
+  useEffect(() => {
+    if (signingState || orderPlacing || groupLegQueueRef.current.length === 0) return;
+    handlePlaceOrder(groupLegQueueRef.current.shift());
+  }, [signingState, orderPlacing, groupLegTick, handlePlaceOrder]);
 
   // Handle when a transfer offer is accepted - refresh balances
   const handleTransferAccepted = useCallback(async (offer) => {
@@ -683,7 +778,7 @@ export default function TradingInterface({ partyId }) {
         const pairs = await getAvailableTradingPairs(partyId);
         console.log('[TradingInterface] Found pairs:', pairs);
         
-        setAvailablePairs(pairs.length > 0 ? pairs : ['BTC/USDT']);
+        setAvailablePairs(pairs);
         console.log('[TradingInterface] Data initialization completed');
         // Set initial loading to false after a short delay to ensure all components render
         setTimeout(() => setInitialLoading(false), 500);
@@ -697,8 +792,85 @@ export default function TradingInterface({ partyId }) {
     initializeData();
   }, [partyId]);
 
+  // Listings, halts and delistings arrive on the `markets` channel
   useEffect(() => {
-    if (!partyId) return;
+    getMarkets()
+      .then(list => {
+        setMarkets(prev => ({ ...Object.fromEntries(list.map(m => [m.symbol, m])), ...prev }));
+        setTradingPair(prev => prev || list.find(m => m.status !== 'DELISTED')?.symbol || null);
+      })
+      .catch(() => {});
+
+    const onMarketUpdate = (data) => {
+      const market = data?.market;
+      if (!market?.symbol) return;
+      setMarkets(prev => ({ ...prev, [market.symbol]: market }));
+      setAvailablePairs(prev => {
+        const without = prev.filter(p => p !== market.symbol);
+        if (market.status === 'DELISTED') return without;
+        return prev.includes(market.symbol) ? prev : [...without, market.symbol].sort();
+      });
+    };
+    websocketService.subscribe('markets', onMarketUpdate);
+    return () => {
+      websocketService.unsubscribe('markets', onMarketUpdate);
+    };
+  }, []);
+
+  // During a call auction the indicative price and volume arrive on auction:<pair>
+  const tradingPairStatus = markets[tradingPair]?.status;
+  useEffect(() => {
+    setAuction(null);
+    if (tradingPairStatus !== 'AUCTION') return undefined;
+    const channel = `auction:${tradingPair}`;
+    const onAuctionUpdate = (data) => {
+      if (data?.type === 'AUCTION_INDICATIVE') setAuction(data);
+      else if (data?.type === 'AUCTION_UNCROSSED') setAuction(null);
+    };
+    websocketService.subscribe(channel, onAuctionUpdate);
+    return () => {
+      websocketService.unsubscribe(channel, onAuctionUpdate);
+    };
+  }, [tradingPair, tradingPairStatus]);
+
+  // Fall back to the first listed pair if the selected one is not (or no longer) listed
+  useEffect(() => {
+    if (availablePairs.length > 0 && !availablePairs.includes(tradingPair)) {
+      setTradingPair(availablePairs[0]);
+    }
+  }, [availablePairs, tradingPair]);
+
+  // 24h ticker — REST snapshot, then pushes on ticker:<pair>
+  useEffect(() => {
+    let cancelled = false;
+    setTicker(null);
+    if (!tradingPair) return undefined;
+
+    // Keep whichever of the snapshot and the first push is newer
+    const applyTicker = (next) => {
+      setTicker(prev => (prev && prev.timestamp > next.timestamp ? prev : next));
+    };
+
+    apiClient.get(API_ROUTES.TICKERS)
+      .then((result) => {
+        const match = (result?.data || []).find(t => t.symbol === tradingPair);
+        if (!cancelled && match) applyTicker(match);
+      })
+      .catch((err) => console.warn('[TradingInterface] Failed to load ticker:', err.message));
+
+    const channel = `ticker:${tradingPair}`;
+    const onTickerUpdate = (data) => {
+      if (data?.symbol === tradingPair) applyTicker(data);
+    };
+    websocketService.subscribe(channel, onTickerUpdate);
+    return () => {
+      cancelled = true;
+      websocketService.unsubscribe(channel, onTickerUpdate);
+    };
+  }, [tradingPair]);
+
+  useEffect(() => {
+    if (!partyId || !tradingPair) return;
 
     // ═══════════════════════════════════════════════════════════════════
     // PURE WEBSOCKET architecture — no polling fallback
@@ -714,35 +886,14 @@ export default function TradingInterface({ partyId }) {
     }
 
     // ── WebSocket handlers for real-time push ──
-    const onOrderBookUpdate = (data) => {
-      if (data?.type === 'ORDER_CREATED' && data.order) {
-        setOrderBook(prev => {
-          const order = data.order;
-          if (order.orderType === 'BUY') {
-            const updated = [...prev.buys, order].sort((a, b) => parseFloat(b.price || 0) - parseFloat(a.price || 0));
-            return { ...prev, buys: updated };
-          } else if (order.orderType === 'SELL') {
-            const updated = [...prev.sells, order].sort((a, b) => parseFloat(a.price || 0) - parseFloat(b.price || 0));
-            return { ...prev, sells: updated };
-          }
-          return prev;
-        });
-      } else if (data?.type === 'ORDER_ARCHIVED' && data.contractId) {
-        setOrderBook(prev => ({
-          buys: prev.buys.filter(o => o.contractId !== data.contractId),
-          sells: prev.sells.filter(o => o.contractId !== data.contractId),
-        }));
-      } else if (data?.type === 'TRADE_EXECUTED') {
-        // A trade was executed — trigger a full order book refresh
-        getGlobalOrderBook(tradingPair).then(bookData => {
-          if (bookData) {
-            setOrderBook({ buys: bookData.buyOrders || [], sells: bookData.sellOrders || [] });
-          }
-        }).catch(() => {});
-      } else if (data?.type === 'FULL_ORDERBOOK' && data.buys && data.sells) {
-        // Full order book snapshot from backend
-        setOrderBook({ buys: data.buys, sells: data.sells });
-      }
+    // The L2 book is kept in websocketService from the SNAPSHOT + sequenced DELTAs
+    let hasLiveBook = false;
+    const onOrderBook = (book) => {
+      setOrderBookSynced(book.synced);
+      if (!book.synced) return;
+      hasLiveBook = true;
+      setOrderBook({ buys: book.bids, sells: book.asks });
+      setOrderBookLoading(false);
     };
 
     const onTradeUpdate = (data) => {
@@ -771,15 +922,15 @@ export default function TradingInterface({ partyId }) {
     };
 
     // Subscribe to channels for current trading pair
-    websocketService.subscribe(`orderbook:${tradingPair}`, onOrderBookUpdate);
+    websocketService.subscribeOrderBook(tradingPair, onOrderBook);
     websocketService.subscribe(`trades:${tradingPair}`, onTradeUpdate);
     websocketService.subscribe('trades:all', onTradeUpdate);
 
-    // ── Initial load: order book (one-time REST, then WebSocket takes over) ──
+    // ── Initial load: order book (one-time REST until the WebSocket snapshot lands) ──
     const loadInitialOrderBook = async () => {
         try {
           const bookData = await getGlobalOrderBook(tradingPair);
-        if (bookData) {
+        if (bookData && !hasLiveBook) {
           setOrderBook({
             buys: bookData.buyOrders || [],
             sells: bookData.sellOrders || []
@@ -818,7 +969,7 @@ export default function TradingInterface({ partyId }) {
     // No polling — all subsequent updates come via WebSocket
 
     return () => {
-      websocketService.unsubscribe(`orderbook:${tradingPair}`, onOrderBookUpdate);
+      websocketService.unsubscribeOrderBook(tradingPair, onOrderBook);
       websocketService.unsubscribe(`trades:${tradingPair}`, onTradeUpdate);
       websocketService.unsubscribe('trades:all', onTradeUpdate);
     };
@@ -847,7 +998,11 @@ export default function TradingInterface({ partyId }) {
             tradingPair: order.tradingPair,
             timestamp: order.timestamp,
             stopPrice: order.stopPrice || null,
+            limitPrice: order.limitPrice || null,
+            trailingOffset: order.trailingOffset || null,
+            trailingOffsetType: order.trailingOffsetType || null,
             triggeredAt: order.triggeredAt || null,
+            displayQuantity: order.displayQuantity || null,
           }));
           
           setOrders(formattedOrders);
@@ -880,11 +1035,22 @@ export default function TradingInterface({ partyId }) {
             tradingPair: data.order.tradingPair,
             timestamp: data.order.timestamp,
             stopPrice: data.order.stopPrice || null,
+            limitPrice: data.order.limitPrice || null,
+            trailingOffset: data.order.trailingOffset || null,
+            trailingOffsetType: data.order.trailingOffsetType || null,
             triggeredAt: data.order.triggeredAt || null,
           }];
         });
-      } else if (data?.type === 'ORDER_FILLED' || data?.type === 'ORDER_CANCELLED' || data?.type === 'ORDER_ARCHIVED') {
-        // Remove filled/cancelled/archived orders from active list
+      } else if (data?.type === 'ORDER_GROUP_ARMED' && Array.isArray(data.legs)) {
+        // Bracket entry filled — its exit legs need the user's signature now
+        groupLegQueueRef.current = [...groupLegQueueRef.current, ...data.legs.map(groupLegToOrderData)];
+        setGroupLegTick(t => t + 1);
+        toast.info('Entry filled — sign the take-profit and stop-loss orders to protect the position', {
+          title: 'Bracket armed',
+          duration: 8000,
+        });
+      } else if (data?.type === 'ORDER_FILLED' || data?.type === 'ORDER_CANCELLED' || data?.type === 'ORDER_ARCHIVED' || data?.type === 'ORDER_EXPIRED') {
+        // Remove filled/cancelled/archived/expired orders from active list
         const cid = data.contractId || data.order?.contractId;
         if (cid) {
           setOrders(prev => prev.filter(o => o.contractId !== cid));
@@ -904,7 +1070,11 @@ export default function TradingInterface({ partyId }) {
           tradingPair: order.tradingPair,
           timestamp: order.timestamp,
           stopPrice: order.stopPrice || null,
+          limitPrice: order.limitPrice || null,
+          trailingOffset: order.trailingOffset || null,
+          trailingOffsetType: order.trailingOffsetType || null,
           triggeredAt: order.triggeredAt || null,
+          displayQuantity: order.displayQuantity || null,
         })));
       }
     };
@@ -1075,6 +1245,17 @@ export default function TradingInterface({ partyId }) {
     return <TradingPageSkeleton />;
   }
 
+  if (!tradingPair) {
+    return (
+      <div className="flex items-center justify-center min-h-[400px]">
+        <div className="text-center">
+          <AlertCircle className="w-12 h-12 text-muted-foreground mx-auto mb-4" />
+          <p className="text-muted-foreground">No markets are listed yet</p>
+        </div>
+      </div>
+    );
+  }
+
   return (
     <>
       {memoizedModal}
@@ -1123,6 +1304,12 @@ export default function TradingInterface({ partyId }) {
                     <span className="text-muted-foreground">Mode:</span>
                     <span>{signingState.orderMeta.orderMode}</span>
                   </div>
+                  {signingState.orderMeta.displayQuantity && (
+                    <div className="flex justify-between">
+                      <span className="text-muted-foreground">Visible:</span>
+                      <span className="font-mono">{signingState.orderMeta.displayQuantity}</span>
+                    </div>
+                  )}
                 </>
               )}
               {signingState.action === 'CANCEL' && signingState.cancelMeta && (
@@ -1191,6 +1378,8 @@ export default function TradingInterface({ partyId }) {
         </div>
       )}
 
+      <MarketStatusBanner tradingPair={tradingPair} market={markets[tradingPair]} auction={auction} />
+
       {/* ══ MOBILE HEADER (hidden on desktop) ══
            One compact row: pair selector | price + change | live dot
            Matches Binance/OKX mobile header pattern              */}
@@ -1314,11 +1503,18 @@ export default function TradingInterface({ partyId }) {
           <div className="flex-1 min-h-0 overflow-hidden pb-16">
             {/* Chart */}
             <div className={cn("h-full overflow-hidden", mobileTradeTab !== 'chart' && "hidden")}>
-              <PriceChart tradingPair={tradingPair} trades={trades} currentPrice={parseFloat(trades[0]?.price || '0')} />
+              <PriceChart
+                tradingPair={tradingPair}
+                currentPrice={parseFloat(ticker?.lastPrice || trades[0]?.price || '0')}
+                priceChange24h={parseFloat(ticker?.change24h || '0')}
+                high24h={parseFloat(ticker?.high24h || '0')}
+                low24h={parseFloat(ticker?.low24h || '0')}
+                volume24h={parseFloat(ticker?.volume24h || '0')}
+              />
             </div>
             {/* Order Book */}
             <div className={cn("h-full overflow-hidden", mobileTradeTab !== 'book' && "hidden")}>
-              <OrderBookCard orderBook={orderBook} loading={orderBookLoading} tradingPair={tradingPair} userOrders={orders} />
+              <OrderBookCard orderBook={orderBook} loading={orderBookLoading} syncing={!orderBookSynced} tradingPair={tradingPair} userOrders={orders} />
             </div>
             {/* Recent Trades */}
             <div className={cn("h-full overflow-hidden", mobileTradeTab !== 'trades' && "hidden")}>
@@ -1339,6 +1535,8 @@ export default function TradingInterface({ partyId }) {
                 onQuantityChange={setQuantity}
                 onSubmit={handlePlaceOrder}
                 loading={orderPlacing}
+                fieldError={orderFieldError}
+                onFieldErrorClear={() => setOrderFieldError(null)}
                 balance={balance}
                 lockedBalance={lockedBalance}
                 orderBook={orderBook}
@@ -1623,11 +1821,11 @@ export default function TradingInterface({ partyId }) {
              <div className="flex-1 min-h-0 overflow-hidden rounded-[14px] border border-[#21262d]">
                <PriceChart 
                  tradingPair={tradingPair} 
-                 trades={trades} 
-                 currentPrice={parseFloat(trades[0]?.price || '0')}
-                 high24h={trades.length > 0 ? Math.max(...trades.map(t => parseFloat(t.price) || 0)) : 0}
-                 low24h={trades.length > 0 ? Math.min(...trades.filter(t => parseFloat(t.price) > 0).map(t => parseFloat(t.price))) : 0}
-                 volume24h={trades.reduce((sum, t) => sum + (parseFloat(t.quantity) || 0), 0)}
+                 currentPrice={parseFloat(ticker?.lastPrice || trades[0]?.price || '0')}
+                 priceChange24h={parseFloat(ticker?.change24h || '0')}
+                 high24h={parseFloat(ticker?.high24h || '0')}
+                 low24h={parseFloat(ticker?.low24h || '0')}
+                 volume24h={parseFloat(ticker?.volume24h || '0')}
                />
              </div>
           </div>
@@ -1660,6 +1858,7 @@ export default function TradingInterface({ partyId }) {
                 : <OrderBookCard 
                     orderBook={orderBook} 
                     loading={orderBookLoading} 
+                    syncing={!orderBookSynced}
                     tradingPair={tradingPair} 
                     userOrders={orders} 
                     availablePairs={availablePairs}
@@ -1685,6 +1884,8 @@ export default function TradingInterface({ partyId }) {
               onQuantityChange={setQuantity}
               onSubmit={handlePlaceOrder}
               loading={orderPlacing}
+              fieldError={orderFieldError}
+              onFieldErrorClear={() => setOrderFieldError(null)}
               balance={balance}
               lockedBalance={lockedBalance}
               orderBook={orderBook}
@@ -5,12 +5,14 @@ import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { cn } from '@/lib/utils';
 import { Loader2, AlertTriangle, X, ShieldAlert, TrendingUp, BarChart2, Shield } from 'lucide-react';
 
-// Badge showing order mode (LIMIT / MARKET / STOP_LOSS) with distinct colours + icon
-function ModeBadge({ mode }) {
-  if (mode === 'STOP_LOSS') {
+// Badge showing order mode (LIMIT / MARKET / STOP_LOSS / STOP_LIMIT / TRAILING_STOP) with distinct colours + icon
+const STOP_BADGE_LABELS = { STOP_LOSS: 'Stop', STOP_LIMIT: 'Stop Lmt', TRAILING_STOP: 'Trail' };
+
+function ModeBadge({ mode, iceberg = false }) {
+  if (STOP_BADGE_LABELS[mode]) {
     return (
       <span className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[9px] font-black uppercase tracking-wider bg-amber-500/10 text-amber-400 border border-amber-500/20">
-        <Shield className="w-2.5 h-2.5" />Stop
+        <Shield className="w-2.5 h-2.5" />{STOP_BADGE_LABELS[mode]}
       </span>
     );
   }
@@ -21,10 +23,10 @@ function ModeBadge({ mode }) {
       </span>
     );
   }
-  // LIMIT (default)
+  // LIMIT (default); icebergs only show their visible size on the book
   return (
     <span className="inline-flex items-center gap-1 px-1.5 py-0.5 rounded text-[9px] font-black uppercase tracking-wider bg-sky-500/10 text-sky-400 border border-sky-500/20">
-      <TrendingUp className="w-2.5 h-2.5" />Lmt
+      <TrendingUp className="w-2.5 h-2.5" />{iceberg ? 'Ice' : 'Lmt'}
     </span>
   );
 }
@@ -201,8 +203,16 @@ export default function ActiveOrdersTable({ orders, onCancelOrder }) {
       const numPrice = parseFloat(price);
       if (!isNaN(numPrice) && numPrice > 0) return numPrice.toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 8 });
     }
+    const fmt = (v) => parseFloat(v).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 8 });
     if (order.mode === 'STOP_LOSS' && order.stopPrice) {
-      return `SL @ ${parseFloat(order.stopPrice).toLocaleString(undefined, { minimumFractionDigits: 2, maximumFractionDigits: 8 })}`;
+      return `SL @ ${fmt(order.stopPrice)}`;
+    }
+    if (order.mode === 'STOP_LIMIT' && order.stopPrice) {
+      return `SL @ ${fmt(order.stopPrice)} → ${order.limitPrice ? fmt(order.limitPrice) : '-'}`;
+    }
+    if (order.mode === 'TRAILING_STOP' && order.stopPrice) {
+      const trail = order.trailingOffsetType === 'PERCENT' ? `${order.trailingOffset}%` : order.trailingOffset;
+      return `TS @ ${fmt(order.stopPrice)}${trail ? ` (${trail})` : ''}`;
     }
     return order.mode === 'MARKET' ? 'Market' : 'N/A';
   };
@@ -242,7 +252,7 @@ export default function ActiveOrdersTable({ orders, onCancelOrder }) {
                         <td className={cn("py-3 px-4 text-[11px] font-bold", order.type === 'BUY' ? 'text-green-500' : 'text-red-500')}>
                           {order.type}
                         </td>
-                        <td className="py-3 px-4"><ModeBadge mode={order.mode} /></td>
+                        <td className="py-3 px-4"><ModeBadge mode={order.mode} iceberg={!!order.displayQuantity} /></td>
                         <td className="py-3 px-4 text-white font-mono text-[11px] font-bold">{formatOrderPrice(order)}</td>
                         <td className="py-3 px-4 text-white text-[11px] font-mono">{quantity.toFixed(4)}</td>
                         <td className="py-3 px-4 text-white text-[11px] font-mono">{filled.toFixed(4)}</td>
@@ -318,7 +328,7 @@ export default function ActiveOrdersTable({ orders, onCancelOrder }) {
                         )}>
                           {order.type}
                         </span>
-                        <ModeBadge mode={order.mode} />
+                        <ModeBadge mode={order.mode} iceberg={!!order.displayQuantity} />
                         <span className="text-white text-[11px] font-bold uppercase tracking-wider">{order.tradingPair || 'BTC/USDT'}</span>
                       </div>
                       <span className={cn(
@@ -1,46 +1,32 @@
 /**
  * Candlestick Chart Component
- * Displays OHLC (Open, High, Low, Close) price data using lightweight-charts
+ * Displays OHLC (Open, High, Low, Close) price data using lightweight-charts.
+ * Candles come from the backend aggregator (/v1/candles) and follow
+ * live updates on the `candles:<pair>` WebSocket channel.
  */
 
 import React, { useEffect, useRef, useState } from 'react';
 import { createChart } from 'lightweight-charts';
+import { apiClient, API_ROUTES } from '@/config/config';
+import websocketService from '../../services/websocketService';
 
-export default function CandlestickChart({ tradingPair, trades, width = 800, height = 400 }) {
+const INTERVALS = ['1m', '5m', '15m', '1h'];
+
+const toChartCandle = (c) => ({
+  time: c.time,
+  open: parseFloat(c.open),
+  high: parseFloat(c.high),
+  low: parseFloat(c.low),
+  close: parseFloat(c.close),
+});
+
+export default function CandlestickChart({ tradingPair, width = 800, height = 400 }) {
   const chartContainerRef = useRef(null);
   const chartRef = useRef(null);
   const candlestickSeriesRef = useRef(null);
-
-  // Convert trades to OHLC candles
-  const tradesToOHLC = (trades, interval = 60) => {
-    if (!trades || trades.length === 0) return [];
-
-    // Group trades by time interval (default: 1 minute)
-    const candles = {};
-
-    trades.forEach(trade => {
-      const timestamp = Math.floor(trade.timestamp / (interval * 1000)) * interval;
-
-      if (!candles[timestamp]) {
-        candles[timestamp] = {
-          time: timestamp,
-          open: trade.price,
-          high: trade.price,
-          low: trade.price,
-          close: trade.price,
-          volume: 0
-        };
-      }
-
-      const candle = candles[timestamp];
-      candle.high = Math.max(candle.high, trade.price);
-      candle.low = Math.min(candle.low, trade.price);
-      candle.close = trade.price;
-      candle.volume += trade.quantity;
-    });
-
-    return Object.values(candles).sort((a, b) => a.time - b.time);
-  };
+  const lastTimeRef = useRef(0);
+  const [selectedInterval, setSelectedInterval] = useState('1m');
+  const [candles, setCandles] = useState([]);
 
   // Initialize chart
   useEffect(() => {
@@ -102,56 +88,73 @@ export default function CandlestickChart({ tradingPair, trades, width = 800, hei
     };
   }, [width, height]);
 
-  // Update data when trades change
+  // Load candles for the selected interval
+  useEffect(() => {
+    let cancelled = false;
+    apiClient.get(API_ROUTES.CANDLES(tradingPair, { interval: selectedInterval }))
+      .then((result) => {
+        if (!cancelled) setCandles((result?.data?.candles || []).map(toChartCandle));
+      })
+      .catch((err) => {
+        console.warn('[CandlestickChart] Failed to load candles:', err.message);
+        if (!cancelled) setCandles([]);
+      });
+    return () => { cancelled = true; };
+  }, [tradingPair, selectedInterval]);
+
+  // Update data when candles change
   useEffect(() => {
     if (!candlestickSeriesRef.current) return;
 
-    const ohlcData = tradesToOHLC(trades);
-
-    if (ohlcData.length > 0) {
-      candlestickSeriesRef.current.setData(ohlcData);
+    candlestickSeriesRef.current.setData(candles);
+    lastTimeRef.current = candles.length > 0 ? candles[candles.length - 1].time : 0;
 
-      // Fit content to visible range
-      if (chartRef.current) {
-        chartRef.current.timeScale().fitContent();
-      }
+    // Fit content to visible range
+    if (candles.length > 0 && chartRef.current) {
+      chartRef.current.timeScale().fitContent();
     }
-  }, [trades]);
-
-  if (!trades || trades.length === 0) {
-    return (
-      <div className="bg-[#1a1d29] rounded-lg p-8 text-center" style={{ width, height }}>
-        <div className="flex flex-col items-center justify-center h-full">
-          <svg className="w-16 h-16 text-gray-600 mb-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 19v-6a2 2 0 00-2-2H5a2 2 0 00-2 2v6a2 2 0 002 2h2a2 2 0 002-2zm0 0V9a2 2 0 012-2h2a2 2 0 012 2v10m-6 0a2 2 0 002 2h2a2 2 0 002-2m0 0V5a2 2 0 012-2h2a2 2 0 012 2v14a2 2 0 01-2 2h-2a2 2 0 01-2-2z" />
-          </svg>
-          <p className="text-gray-400 text-sm">No trade data available yet</p>
-          <p className="text-gray-500 text-xs mt-2">Chart will appear after first trade</p>
-        </div>
-      </div>
-    );
-  }
+  }, [candles]);
+
+  // Live updates to the current candle
+  useEffect(() => {
+    const channel = `candles:${tradingPair}`;
+    const onCandleUpdate = (data) => {
+      const update = (data?.candles || []).find(c => c.interval === selectedInterval);
+      if (!update || !candlestickSeriesRef.current || update.time < lastTimeRef.current) return;
+      candlestickSeriesRef.current.update(toChartCandle(update));
+      lastTimeRef.current = update.time;
+    };
+    websocketService.subscribe(channel, onCandleUpdate);
+    return () => websocketService.unsubscribe(channel, onCandleUpdate);
+  }, [tradingPair, selectedInterval]);
 
   return (
     <div className="bg-[#1a1d29] rounded-lg p-4">
       <div className="flex justify-between items-center mb-4">
         <h3 className="text-white font-medium">{tradingPair} Price Chart</h3>
         <div className="flex gap-2">
-          <button className="px-3 py-1 text-xs bg-[#2b2f3e] text-gray-400 rounded hover:bg-[#363a4d]">
-            1m
-          </button>
-          <button className="px-3 py-1 text-xs bg-[#2b2f3e] text-gray-400 rounded hover:bg-[#363a4d]">
-            5m
-          </button>
-          <button className="px-3 py-1 text-xs bg-[#2b2f3e] text-gray-400 rounded hover:bg-[#363a4d]">
-            15m
-          </button>
-          <button className="px-3 py-1 text-xs bg-[#2b2f3e] text-gray-400 rounded hover:bg-[#363a4d]">
-            1h
-          </button>
+          {INTERVALS.map((value) => (
+            <button
+              key={value}
+              onClick={() => setSelectedInterval(value)}
+              className={`px-3 py-1 text-xs rounded hover:bg-[#363a4d] ${
+                selectedInterval === value ? 'bg-[#363a4d] text-white' : 'bg-[#2b2f3e] text-gray-400'
+              }`}
+            >
+              {value}
+            </button>
+          ))}
         </div>
       </div>
-      <div ref={chartContainerRef} className="w-full" />
+      <div className="relative">
+        <div ref={chartContainerRef} className="w-full" />
+        {candles.length === 0 && (
+          <div className="absolute inset-0 flex flex-col items-center justify-center pointer-events-none">
+            <p className="text-gray-400 text-sm">No trade data available yet</p>
+            <p className="text-gray-500 text-xs mt-2">Chart will appear after first trade</p>
+          </div>
+        )}
+      </div>
     </div>
   );
 }
@@ -2,54 +2,16 @@ import { TrendingUp, TrendingDown, BarChart3, Volume2 } from 'lucide-react';
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { motion } from 'framer-motion';
 
-export default function MarketData({ tradingPair, orderBook, trades = [] }) {
-  // Calculate 24h stats from trades
-  const calculate24hStats = () => {
-    if (!trades || trades.length === 0) {
-      return {
-        high: 0,
-        low: 0,
-        volume: 0,
-        change: 0,
-        changePercent: 0
-      };
-    }
-
-    const now = Date.now();
-    const oneDayAgo = now - 24 * 60 * 60 * 1000;
-    
-    const recentTrades = trades.filter(trade => {
-      const tradeTime = new Date(trade.timestamp || trade.time || 0).getTime();
-      return tradeTime >= oneDayAgo;
-    });
-
-    if (recentTrades.length === 0) {
-      return {
-        high: 0,
-        low: 0,
-        volume: 0,
-        change: 0,
-        changePercent: 0
-      };
-    }
-
-    const prices = recentTrades.map(t => parseFloat(t.price || 0)).filter(p => p > 0);
-    const volumes = recentTrades.map(t => parseFloat(t.quantity || 0)).filter(v => v > 0);
-    
-    const high = Math.max(...prices, 0);
-    const low = Math.min(...prices, 0);
-    const volume = volumes.reduce((sum, v) => sum + v, 0);
-    
-    // Calculate price change (first vs last trade)
-    const firstPrice = prices[0] || 0;
-    const lastPrice = prices[prices.length - 1] || 0;
-    const change = lastPrice - firstPrice;
-    const changePercent = firstPrice > 0 ? (change / firstPrice) * 100 : 0;
-
-    return { high, low, volume, change, changePercent, lastPrice };
+export default function MarketData({ tradingPair, orderBook, ticker = null }) {
+  // 24h stats come from the backend ticker (GET /v1/tickers, ticker:<pair>)
+  const stats = {
+    high: parseFloat(ticker?.high24h || 0),
+    low: parseFloat(ticker?.low24h || 0),
+    volume: parseFloat(ticker?.volume24h || 0),
+    change: parseFloat(ticker?.change24h || 0),
+    changePercent: parseFloat(ticker?.changePercent24h || 0),
+    lastPrice: parseFloat(ticker?.lastPrice || 0),
   };
-
-  const stats = calculate24hStats();
   const isPositive = stats.change >= 0;
 
   // Get current price — REAL DATA ONLY
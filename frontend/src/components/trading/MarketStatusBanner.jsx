@@ -0,0 +1,54 @@
+import { PauseCircle, Ban, Gavel } from 'lucide-react';
+
+// Trading states that restrict what the user can do (see the backend's marketRegistryService)
+const STATES = {
+  HALTED: {
+    icon: PauseCircle,
+    title: 'Trading halted',
+    detail: 'New orders, amendments and cancellations are paused.',
+    className: 'bg-destructive/10 border-destructive/30 text-destructive',
+  },
+  CANCEL_ONLY: {
+    icon: Ban,
+    title: 'Cancel-only',
+    detail: 'You can cancel or reduce orders; new orders are not accepted.',
+    className: 'bg-yellow-500/10 border-yellow-500/30 text-yellow-500',
+  },
+  AUCTION: {
+    icon: Gavel,
+    title: 'Auction call',
+    detail: 'Limit orders are collected and all cross at one price when the auction ends.',
+    className: 'bg-blue-500/10 border-blue-500/30 text-blue-400',
+  },
+};
+
+export default function MarketStatusBanner({ tradingPair, market, auction = null }) {
+  const state = market && STATES[market.status];
+  if (!state) return null;
+  const Icon = state.icon;
+  const resumeAt = market.resumeAt ? new Date(market.resumeAt) : null;
+
+  return (
+    <div className={`mx-4 mt-3 p-3 border rounded-xl text-sm flex items-start gap-3 ${state.className}`}>
+      <Icon className="w-4 h-4 mt-0.5 flex-shrink-0" />
+      <div>
+        <div className="font-semibold">
+          {tradingPair}: {state.title}
+          {resumeAt && ` until ${resumeAt.toLocaleTimeString()}`}
+        </div>
+        <div className="opacity-80">
+          {state.detail}
+          {market.statusReason && ` Reason: ${market.statusReason}`}
+        </div>
+        {market.status === 'AUCTION' && auction && (
+          <div className="mt-1 font-mono">
+            {auction.indicativePrice
+              ? `Indicative price ${auction.indicativePrice} · volume ${auction.indicativeVolume}`
+              : 'No crossing orders yet'}
+            {auction.surplusSide && ` · ${auction.surplus} ${auction.surplusSide === 'BUY' ? 'bid' : 'offered'} unmatched`}
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
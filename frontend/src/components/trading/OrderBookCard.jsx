@@ -13,6 +13,7 @@ export default function OrderBookCard({
   tradingPair, 
   orderBook, 
   loading, 
+  syncing = false,
   onRefresh,
   userOrders = [],
   availablePairs = [],
@@ -221,7 +222,13 @@ export default function OrderBookCard({
             <span className={`flex-1 text-[13px] font-bold font-mono ${spread > 0 ? 'text-white' : 'text-[#848E9C]'}`}>
               {spread.toFixed(4)}
             </span>
-            <span className="w-24 text-center text-[11px] text-[#848E9C] font-semibold">Spread</span>
+            <span className="w-24 text-center text-[11px] text-[#848E9C] font-semibold">
+              {syncing ? (
+                <span className="inline-flex items-center gap-1 text-[#F7B500]" title="Order book out of sequence — waiting for a fresh snapshot">
+                  <RefreshCw className="w-3 h-3 animate-spin" />Resyncing
+                </span>
+              ) : 'Spread'}
+            </span>
             <span className="w-24 text-right text-[12px] text-white font-bold font-mono">
               {spreadPercent.toFixed(3)}%
             </span>
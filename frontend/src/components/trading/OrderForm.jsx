@@ -7,6 +7,17 @@ import { Select, SelectTrigger, SelectValue, SelectContent, SelectItem } from '.
 import { Slider } from '../ui/slider';
 import { cn } from '@/lib/utils';
 
+// Backend rejection (e.g. off-tick price) shown under the input it concerns
+function FieldError({ message }) {
+  if (!message) return null;
+  return (
+    <div className="flex items-center gap-1.5 px-1 text-[10px] text-red-400 font-bold">
+      <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+      {message}
+    </div>
+  );
+}
+
 export default function OrderForm({ 
   tradingPair,
   availablePairs = ['BTC/USDT'],
@@ -25,13 +36,38 @@ export default function OrderForm({
   balance = { BTC: '0.0', USDT: '0.0' },
   lockedBalance = {},
   orderBook = { buys: [], sells: [] },
-  lastTradePrice = null
+  lastTradePrice = null,
+  fieldError = null, // { field, code, message } from the last rejected placement
+  onFieldErrorClear
 }) {
-  const [timeInForce, setTimeInForce] = useState('GTC'); // GTC, IOC, FOK
+  const [timeInForce, setTimeInForce] = useState('GTC'); // GTC, IOC, FOK, GTD
+  const [expiresAt, setExpiresAt] = useState(''); // datetime-local value, GTD only
+  const [postOnly, setPostOnly] = useState(false); // maker-only, LIMIT only
+  const [iceberg, setIceberg] = useState(false); // LIMIT only: show a peak, hide the rest
+  const [displayQuantity, setDisplayQuantity] = useState('');
+  const [stpMode, setStpMode] = useState('NONE'); // self-trade prevention
+  const [maxSlippagePct, setMaxSlippagePct] = useState('5'); // MARKET only, percent
   const [showAdvanced, setShowAdvanced] = useState(false);
+  const [attachExits, setAttachExits] = useState(false); // take-profit + stop-loss order group
+  const [exitGroupType, setExitGroupType] = useState('BRACKET'); // BRACKET (entry + exits) | OCO (exits only)
   const [stopLoss, setStopLoss] = useState('');
+  const [stopLossLimit, setStopLossLimit] = useState(''); // optional: stop leg becomes a STOP_LIMIT
   const [takeProfit, setTakeProfit] = useState('');
-  const [stopPrice, setStopPrice] = useState(''); // For STOP_LOSS order mode
+  const [stopPrice, setStopPrice] = useState(''); // For STOP_LOSS / STOP_LIMIT order modes
+  const [trailingOffset, setTrailingOffset] = useState(''); // TRAILING_STOP only
+  const [trailingOffsetType, setTrailingOffsetType] = useState('PERCENT'); // PERCENT | ABSOLUTE
+  const isStopMode = ['STOP_LOSS', 'STOP_LIMIT', 'TRAILING_STOP'].includes(orderMode);
+  const hasExits = attachExits && !isStopMode;
+  // OCO: a take-profit and a stop on the selected side, no entry order
+  const isOcoOnly = hasExits && exitGroupType === 'OCO';
+  const isIceberg = orderMode === 'LIMIT' && iceberg && !hasExits;
+
+  const fieldErrorFor = (...fields) => (fieldError && fields.includes(fieldError.field) ? fieldError.message : null);
+
+  // Any edit to the order makes the last rejection stale
+  useEffect(() => {
+    onFieldErrorClear?.();
+  }, [tradingPair, orderMode, price, quantity, stopPrice, trailingOffset, displayQuantity, takeProfit, stopLoss, stopLossLimit]);
 
   // Get base and quote tokens
   const [baseToken, quoteToken] = tradingPair.split('/');
@@ -49,25 +85,66 @@ export default function OrderForm({
     || midPrice 
     || parseFloat(bestBid) || parseFloat(bestAsk) || null;
 
+  // First trigger level of a trailing stop; the backend anchors it to the last trade
+  const trailingStopPreview = useMemo(() => {
+    const offset = parseFloat(trailingOffset);
+    if (orderMode !== 'TRAILING_STOP' || !marketPrice || !(offset > 0)) return null;
+    const distance = trailingOffsetType === 'PERCENT' ? marketPrice * offset / 100 : offset;
+    return orderType === 'SELL' ? marketPrice - distance : marketPrice + distance;
+  }, [orderMode, orderType, marketPrice, trailingOffset, trailingOffsetType]);
+
+  // MARKET orders walk the opposite side level by level, as the backend does
+  const marketSweep = useMemo(() => {
+    if (orderMode !== 'MARKET' || !quantity || parseFloat(quantity) <= 0) return null;
+    const levels = (orderType === 'BUY' ? orderBook.sells : orderBook.buys) || [];
+    const sorted = levels
+      .map(o => ({ price: parseFloat(o.price), qty: parseFloat(o.remaining || o.quantity || 0) }))
+      .filter(l => l.price > 0 && l.qty > 0)
+      .sort((a, b) => orderType === 'BUY' ? a.price - b.price : b.price - a.price);
+    let left = parseFloat(quantity);
+    let notional = 0;
+    let worstPrice = null;
+    for (const level of sorted) {
+      if (left <= 0) break;
+      const take = Math.min(left, level.qty);
+      notional += take * level.price;
+      left -= take;
+      worstPrice = level.price;
+    }
+    if (worstPrice === null) return null;
+    const filled = parseFloat(quantity) - left;
+    const slip = (parseFloat(maxSlippagePct) || 0) / 100;
+    const limitPrice = orderType === 'BUY' ? worstPrice * (1 + slip) : worstPrice * (1 - slip);
+    return { filled, notional, averagePrice: notional / filled, worstPrice, limitPrice, shortfall: left };
+  }, [orderMode, orderType, quantity, orderBook, maxSlippagePct]);
+
   // Calculate estimated cost/value
   const estimatedCost = useMemo(() => {
     if (!quantity || parseFloat(quantity) <= 0) return null;
     const qty = parseFloat(quantity);
+
+    if (isOcoOnly) {
+      // Each leg holds its own lock
+      const tp = parseFloat(takeProfit) || 0;
+      const sl = parseFloat(stopLossLimit) || parseFloat(stopLoss) || 0;
+      return tp > 0 && sl > 0 ? qty * (tp + sl) : null;
+    }
     
     if (orderMode === 'MARKET') {
-      if (orderType === 'BUY' && bestAsk) {
-        return qty * parseFloat(bestAsk);
-      } else if (orderType === 'SELL' && bestBid) {
-        return qty * parseFloat(bestBid);
-      }
-      return null;
+      // A BUY locks quantity × slippage limit; show what has to be available
+      if (!marketSweep) return null;
+      return orderType === 'BUY' ? qty * marketSweep.limitPrice : marketSweep.notional;
+    } else if (orderMode === 'STOP_LOSS') {
+      if (stopPrice && parseFloat(stopPrice) > 0) return qty * parseFloat(stopPrice);
+    } else if (orderMode === 'TRAILING_STOP') {
+      if (trailingStopPreview > 0) return qty * trailingStopPreview;
     } else {
       if (price && parseFloat(price) > 0) {
         return qty * parseFloat(price);
       }
     }
     return null;
-  }, [quantity, price, orderMode, orderType, bestBid, bestAsk]);
+  }, [quantity, price, stopPrice, orderMode, orderType, marketSweep, trailingStopPreview, isOcoOnly, takeProfit, stopLoss, stopLossLimit]);
 
   // Handle percentage changes
   const [sliderPct, setSliderPct] = useState(0);
@@ -111,11 +188,85 @@ export default function OrderForm({
     if (!quantity || qty <= 0) {
       errors.push('Quantity is required');
     }
-    if (orderMode === 'LIMIT' && (!price || parseFloat(price) <= 0)) {
+    if (orderMode === 'LIMIT' && !isOcoOnly && (!price || parseFloat(price) <= 0)) {
       errors.push('Price is required for limit orders');
     }
-    if (orderMode === 'STOP_LOSS' && (!stopPrice || parseFloat(stopPrice) <= 0)) {
-      errors.push('Stop price is required for stop-loss orders');
+    if (hasExits) {
+      const tp = parseFloat(takeProfit);
+      const sl = parseFloat(stopLoss);
+      const exitSide = isOcoOnly ? orderType : (orderType === 'BUY' ? 'SELL' : 'BUY');
+      if (!(tp > 0) || !(sl > 0)) {
+        errors.push('Take-profit and stop-loss prices are required');
+      } else if (exitSide === 'SELL' ? tp <= sl : tp >= sl) {
+        errors.push(`Take-profit must be ${exitSide === 'SELL' ? 'above' : 'below'} the stop-loss`);
+      } else if (!isOcoOnly && orderMode === 'LIMIT' && parseFloat(price) > 0) {
+        const entry = parseFloat(price);
+        if (exitSide === 'SELL' ? !(sl < entry && entry < tp) : !(tp < entry && entry < sl)) {
+          errors.push('Limit price must lie between the stop-loss and the take-profit');
+        }
+      }
+      if (stopLossLimit && !(parseFloat(stopLossLimit) > 0)) {
+        errors.push('Stop-loss limit must be a positive number');
+      }
+      if (isOcoOnly) {
+        warnings.push('Both OCO legs lock funds until one of them is cancelled');
+      }
+    }
+    if ((orderMode === 'STOP_LOSS' || orderMode === 'STOP_LIMIT') && (!stopPrice || parseFloat(stopPrice) <= 0)) {
+      errors.push('Stop price is required for stop orders');
+    }
+    if (orderMode === 'STOP_LIMIT' && (!price || parseFloat(price) <= 0)) {
+      errors.push('Limit price is required for stop-limit orders');
+    }
+    if (orderMode === 'TRAILING_STOP') {
+      const offset = parseFloat(trailingOffset);
+      if (!(offset > 0)) {
+        errors.push('Trailing offset is required');
+      } else if (trailingOffsetType === 'PERCENT' && offset >= 100) {
+        errors.push('Trailing offset must be below 100%');
+      } else if (!marketPrice) {
+        errors.push('No last price to trail yet');
+      } else if (trailingStopPreview !== null && trailingStopPreview <= 0) {
+        errors.push('Trailing offset puts the stop below zero');
+      }
+    }
+    if (orderMode === 'LIMIT' && postOnly && !hasExits) {
+      if (timeInForce === 'IOC' || timeInForce === 'FOK') {
+        errors.push(`Post-only cannot be combined with ${timeInForce}`);
+      }
+      const limit = parseFloat(price);
+      if (limit > 0 && orderType === 'BUY' && bestAsk && limit >= parseFloat(bestAsk)) {
+        errors.push('Post-only buy would cross the best ask');
+      }
+      if (limit > 0 && orderType === 'SELL' && bestBid && limit <= parseFloat(bestBid)) {
+        errors.push('Post-only sell would cross the best bid');
+      }
+    }
+    if (isIceberg) {
+      const peak = parseFloat(displayQuantity);
+      if (!(peak > 0)) {
+        errors.push('Visible size is required for iceberg orders');
+      } else if (qty > 0 && peak >= qty) {
+        errors.push('Visible size must be smaller than the order amount');
+      }
+      if (timeInForce === 'IOC' || timeInForce === 'FOK') {
+        errors.push(`Iceberg orders cannot be combined with ${timeInForce}`);
+      }
+    }
+    if (orderMode === 'MARKET') {
+      const pct = parseFloat(maxSlippagePct);
+      if (isNaN(pct) || pct < 0 || pct > 50) {
+        errors.push('Max slippage must be between 0% and 50%');
+      }
+      if (marketSweep && marketSweep.shortfall > 0) {
+        warnings.push(`Only ${marketSweep.filled.toFixed(8)} ${baseToken} available in the book — the rest will expire`);
+      }
+    }
+    if (!isStopMode && !hasExits && timeInForce === 'GTD') {
+      const expiry = expiresAt ? new Date(expiresAt).getTime() : NaN;
+      if (isNaN(expiry) || expiry <= Date.now()) {
+        errors.push('Expiry must be in the future for GTD orders');
+      }
     }
 
     if (qty > 0) {
@@ -124,14 +275,14 @@ export default function OrderForm({
           errors.push(`Insufficient ${quoteToken} balance`);
         }
       } else {
-        if (qty > baseBalance) {
+        if (qty * (isOcoOnly ? 2 : 1) > baseBalance) {
           errors.push(`Insufficient ${baseToken} balance`);
         }
       }
     }
 
     return { errors, warnings, isValid: errors.length === 0 };
-  }, [orderType, orderMode, price, quantity, stopPrice, estimatedCost, baseBalance, quoteBalance, baseToken, quoteToken]);
+  }, [orderType, orderMode, isStopMode, price, quantity, stopPrice, trailingOffset, trailingOffsetType, trailingStopPreview, marketPrice, timeInForce, expiresAt, postOnly, maxSlippagePct, marketSweep, bestBid, bestAsk, estimatedCost, baseBalance, quoteBalance, baseToken, quoteToken, hasExits, isOcoOnly, takeProfit, stopLoss, stopLossLimit, isIceberg, displayQuantity]);
 
   const formatNumber = (num, decimals = 8) => {
     if (!num || isNaN(num)) return '0';
@@ -145,7 +296,7 @@ export default function OrderForm({
     <div className="flex flex-col bg-[#0E1116] h-full overflow-y-auto scrollbar-thin transition-all">
       {/* Order Mode tabs - Underline Tab Style Matching Reference */}
       <div className="flex items-stretch border-b border-[#21262d] flex-shrink-0 bg-[#06080A]">
-        {['MARKET', 'LIMIT', 'STOP_LOSS'].map(mode => (
+        {['MARKET', 'LIMIT', 'STOP_LOSS', 'STOP_LIMIT', 'TRAILING_STOP'].map(mode => (
           <button
             key={mode}
             type="button"
@@ -157,7 +308,7 @@ export default function OrderForm({
                 : "text-[#B7BDC6] hover:text-white"
             )}
           >
-            {mode === 'STOP_LOSS' ? 'Stop-Loss' : mode.charAt(0) + mode.slice(1).toLowerCase()}
+            {{ STOP_LOSS: 'Stop-Loss', STOP_LIMIT: 'Stop-Limit', TRAILING_STOP: 'Trailing' }[mode] || mode.charAt(0) + mode.slice(1).toLowerCase()}
             {orderMode === mode && (
               <span className="absolute bottom-[-1px] left-0 right-0 h-[3px] bg-[#626AEB] rounded-t-sm" />
             )}
@@ -200,10 +351,23 @@ export default function OrderForm({
               orderMode,
               price: orderMode === 'LIMIT' ? price : null,
               quantity,
-              timeInForce,
-              stopPrice: orderMode === 'STOP_LOSS' ? stopPrice : (showAdvanced && stopLoss ? stopLoss : null),
-              stopLoss: showAdvanced ? stopLoss : null,
-              takeProfit: showAdvanced ? takeProfit : null,
+              // Stop orders and group legs are always GTC; the other modes carry the selected TIF
+              timeInForce: isStopMode || hasExits ? 'GTC' : timeInForce,
+              expiresAt: !isStopMode && !hasExits && timeInForce === 'GTD' ? new Date(expiresAt).toISOString() : null,
+              postOnly: orderMode === 'LIMIT' && postOnly && !hasExits,
+              displayQuantity: isIceberg ? displayQuantity : null,
+              stpMode,
+              maxSlippageBps: orderMode === 'MARKET' ? Math.round(parseFloat(maxSlippagePct) * 100) : null,
+              stopPrice: orderMode === 'STOP_LOSS' || orderMode === 'STOP_LIMIT' ? stopPrice : null,
+              limitPrice: orderMode === 'STOP_LIMIT' ? price : null,
+              trailingOffset: orderMode === 'TRAILING_STOP' ? trailingOffset : null,
+              trailingOffsetType: orderMode === 'TRAILING_STOP' ? trailingOffsetType : null,
+              bracket: hasExits ? {
+                groupType: exitGroupType,
+                takeProfitPrice: takeProfit,
+                stopPrice: stopLoss,
+                stopLimitPrice: stopLossLimit || null,
+              } : null,
             });
           }
         }}
@@ -221,7 +385,7 @@ export default function OrderForm({
 
         {/* Input Fields Container */}
         <div className="px-4 pb-3 space-y-2">
-          {orderMode === 'LIMIT' && (
+          {((orderMode === 'LIMIT' && !isOcoOnly) || orderMode === 'STOP_LIMIT') && (
             <div className="flex flex-col gap-2">
                <div className="flex items-center justify-between bg-[#131518] rounded-[6px] px-3 h-10 border border-[#1e2329] focus-within:border-[#2b3139] transition-colors">
                  <span className="text-[#848E9C] text-[12px] whitespace-nowrap font-medium">Limit Price</span>
@@ -248,10 +412,11 @@ export default function OrderForm({
                    </button>
                  </div>
                </div>
+               <FieldError message={fieldErrorFor('price', 'limitPrice', 'entryPrice')} />
             </div>
           )}
 
-          {orderMode === 'STOP_LOSS' && (
+          {(orderMode === 'STOP_LOSS' || orderMode === 'STOP_LIMIT') && (
             <div className="flex flex-col gap-2">
                <div className="flex items-center justify-between bg-[#131518] rounded-[6px] px-3 h-10 border border-[#1e2329] focus-within:border-[#2b3139] transition-colors">
                  <span className="text-[#848E9C] text-[12px] whitespace-nowrap font-medium">Stop Price</span>
@@ -278,6 +443,38 @@ export default function OrderForm({
                    </button>
                  </div>
                </div>
+               <FieldError message={fieldErrorFor('stopPrice')} />
+            </div>
+          )}
+
+          {orderMode === 'TRAILING_STOP' && (
+            <div className="flex flex-col gap-1.5">
+               <div className="flex items-center justify-between bg-[#131518] rounded-[6px] px-3 h-10 border border-[#1e2329] focus-within:border-[#2b3139] transition-colors">
+                 <span className="text-[#848E9C] text-[12px] whitespace-nowrap font-medium">Trail By</span>
+                 <div className="flex items-center gap-1.5 flex-1 justify-end min-w-0">
+                   <input
+                     type="text"
+                     value={trailingOffset}
+                     onChange={(e) => setTrailingOffset(e.target.value.replace(/[^0-9.]/g, ''))}
+                     placeholder="0.00"
+                     className="bg-transparent text-white text-right text-[13px] font-mono font-medium flex-1 min-w-0 outline-none focus:ring-0 p-0 shadow-none border-none"
+                   />
+                   <button
+                     type="button"
+                     onClick={() => setTrailingOffsetType(trailingOffsetType === 'PERCENT' ? 'ABSOLUTE' : 'PERCENT')}
+                     className="text-[#626AEB] text-[12px] font-bold ml-1.5 flex items-center shrink-0 hover:text-[#7d85f5] transition-colors"
+                   >
+                     {trailingOffsetType === 'PERCENT' ? '%' : quoteToken}
+                   </button>
+                 </div>
+               </div>
+               <FieldError message={fieldErrorFor('trailingOffset')} />
+               {trailingStopPreview !== null && (
+                 <div className="flex items-center justify-between px-1 text-[11px]">
+                   <span className="text-[#848E9C] font-medium">Initial stop</span>
+                   <span className="text-[#EAECEF] font-mono">{formatNumber(trailingStopPreview, 8)}</span>
+                 </div>
+               )}
             </div>
           )}
 
@@ -322,8 +519,204 @@ export default function OrderForm({
                   </div>
                </div>
              </div>
+             <FieldError message={fieldErrorFor('quantity')} />
           </div>
 
+          {/* Max slippage (MARKET) */}
+          {orderMode === 'MARKET' && (
+            <div className="flex flex-col gap-1.5">
+               <div className="flex items-center justify-between bg-[#131518] rounded-[6px] px-3 h-10 border border-[#1e2329] focus-within:border-[#2b3139] transition-colors">
+                 <span className="text-[#848E9C] text-[12px] whitespace-nowrap font-medium">Max Slippage</span>
+                 <div className="flex items-center gap-1">
+                   <input
+                     type="number"
+                     min="0"
+                     max="50"
+                     step="0.1"
+                     value={maxSlippagePct}
+                     onChange={(e) => setMaxSlippagePct(e.target.value)}
+                     className="bg-transparent text-[#EAECEF] text-right text-[13px] font-mono font-medium w-16 outline-none focus:ring-0 p-0 shadow-none border-none"
+                   />
+                   <span className="text-[#848E9C] text-[12px] font-medium">%</span>
+                 </div>
+               </div>
+               {marketSweep && (
+                 <div className="flex items-center justify-between px-1 text-[11px]">
+                   <span className="text-[#848E9C] font-medium">Est. avg price</span>
+                   <span className="text-[#EAECEF] font-mono">
+                     {formatNumber(marketSweep.averagePrice, 8)}
+                     <span className="text-[#848E9C] ml-1">limit {formatNumber(marketSweep.limitPrice, 8)}</span>
+                   </span>
+                 </div>
+               )}
+            </div>
+          )}
+
+          {/* Take-profit / stop-loss group */}
+          {!isStopMode && (
+            <div className="flex flex-col gap-2">
+               <label className="flex items-center gap-2 px-1 cursor-pointer select-none">
+                 <input
+                   type="checkbox"
+                   checked={attachExits}
+                   onChange={(e) => setAttachExits(e.target.checked)}
+                   className="w-3.5 h-3.5 accent-[#626AEB] cursor-pointer"
+                 />
+                 <span className="text-[#848E9C] text-[12px] font-medium">Take-Profit / Stop-Loss</span>
+               </label>
+               {attachExits && (
+                 <>
+                   <div className="flex bg-[#131518] rounded-[6px] border border-[#1e2329] p-0.5">
+                     {[['BRACKET', 'Bracket'], ['OCO', 'OCO only']].map(([value, label]) => (
+                       <button
+                         key={value}
+                         type="button"
+                         onClick={() => setExitGroupType(value)}
+                         className={cn(
+                           "flex-1 py-1.5 text-[12px] font-semibold rounded-[4px] transition-colors",
+                           exitGroupType === value ? "bg-[#2b3139] text-white" : "text-[#848E9C] hover:text-white"
+                         )}
+                       >
+                         {label}
+                       </button>
+                     ))}
+                   </div>
+                   {[
+                     ['Take Profit', takeProfit, setTakeProfit, 'takeProfitPrice'],
+                     ['Stop Loss', stopLoss, setStopLoss, 'stopPrice'],
+                     ['SL Limit (opt.)', stopLossLimit, setStopLossLimit, 'stopLimitPrice'],
+                   ].map(([label, value, setValue, field]) => (
+                     <div key={label} className="flex flex-col gap-1.5">
+                       <div className="flex items-center justify-between bg-[#131518] rounded-[6px] px-3 h-10 border border-[#1e2329] focus-within:border-[#2b3139] transition-colors">
+                         <span className="text-[#848E9C] text-[12px] whitespace-nowrap font-medium">{label}</span>
+                         <input
+                           type="text"
+                           value={value}
+                           onChange={(e) => setValue(e.target.value.replace(/[^0-9.]/g, ''))}
+                           placeholder="0.00"
+                           className="bg-transparent text-white text-right text-[13px] font-mono font-medium flex-1 min-w-0 outline-none focus:ring-0 p-0 shadow-none border-none"
+                         />
+                       </div>
+                       <FieldError message={fieldErrorFor(field)} />
+                     </div>
+                   ))}
+                   <p className="px-1 text-[11px] text-[#848E9C] leading-snug">
+                     {isOcoOnly
+                       ? `Places a take-profit and a stop ${orderType === 'BUY' ? 'buy' : 'sell'}; when one executes the other is cancelled.`
+                       : `Once this ${orderType === 'BUY' ? 'buy' : 'sell'} fills you sign the take-profit and stop orders; when one executes the other is cancelled.`}
+                   </p>
+                 </>
+               )}
+            </div>
+          )}
+
+          {/* Time in Force */}
+          {!isStopMode && !hasExits && (
+            <div className="flex flex-col gap-2">
+               <div className="flex items-center justify-between bg-[#131518] rounded-[6px] px-3 h-10 border border-[#1e2329] focus-within:border-[#2b3139] transition-colors">
+                 <span className="text-[#848E9C] text-[12px] whitespace-nowrap font-medium">Time in Force</span>
+                 <Select value={timeInForce} onValueChange={setTimeInForce}>
+                   <SelectTrigger className="h-full w-auto bg-transparent border-0 ring-0 focus:ring-0 text-[#EAECEF] font-bold text-[12px] p-0 hover:bg-transparent shadow-none gap-1">
+                     <SelectValue>{timeInForce}</SelectValue>
+                   </SelectTrigger>
+                   <SelectContent
+                     align="end"
+                     sideOffset={4}
+                     collisionPadding={12}
+                     className="bg-[#1e2329] border-[#2B3139] z-[100] min-w-[180px] shadow-2xl"
+                   >
+                     {[
+                       ['GTC', 'Good Till Cancelled'],
+                       ['IOC', 'Immediate or Cancel'],
+                       ['FOK', 'Fill or Kill'],
+                       ['GTD', 'Good Till Date'],
+                     ].map(([value, label]) => (
+                       <SelectItem key={value} value={value} className="text-[12px] font-semibold cursor-pointer focus:bg-[#2b3139]">
+                         {value} <span className="text-[#848E9C] font-medium ml-1">{label}</span>
+                       </SelectItem>
+                     ))}
+                   </SelectContent>
+                 </Select>
+               </div>
+               {orderMode === 'LIMIT' && (
+                 <label className="flex items-center gap-2 px-1 cursor-pointer select-none">
+                   <input
+                     type="checkbox"
+                     checked={postOnly}
+                     onChange={(e) => setPostOnly(e.target.checked)}
+                     className="w-3.5 h-3.5 accent-[#626AEB] cursor-pointer"
+                   />
+                   <span className="text-[#848E9C] text-[12px] font-medium">Post Only</span>
+                 </label>
+               )}
+               {orderMode === 'LIMIT' && (
+                 <label className="flex items-center gap-2 px-1 cursor-pointer select-none">
+                   <input
+                     type="checkbox"
+                     checked={iceberg}
+                     onChange={(e) => setIceberg(e.target.checked)}
+                     className="w-3.5 h-3.5 accent-[#626AEB] cursor-pointer"
+                   />
+                   <span className="text-[#848E9C] text-[12px] font-medium">Iceberg</span>
+                 </label>
+               )}
+               {isIceberg && (
+                 <div className="flex items-center justify-between bg-[#131518] rounded-[6px] px-3 h-10 border border-[#1e2329] focus-within:border-[#2b3139] transition-colors">
+                   <span className="text-[#848E9C] text-[12px] whitespace-nowrap font-medium">Visible Size</span>
+                   <div className="flex items-center gap-1">
+                     <input
+                       type="text"
+                       inputMode="decimal"
+                       value={displayQuantity}
+                       onChange={(e) => setDisplayQuantity(e.target.value.replace(/[^0-9.]/g, ''))}
+                       placeholder="0.00"
+                       className="bg-transparent text-[#EAECEF] text-right text-[13px] font-mono font-medium w-24 outline-none focus:ring-0 p-0 shadow-none border-none"
+                     />
+                     <span className="text-[#848E9C] text-[12px] font-medium">{baseToken}</span>
+                   </div>
+                 </div>
+               )}
+               {isIceberg && <FieldError message={fieldErrorFor('displayQuantity')} />}
+               <div className="flex items-center justify-between bg-[#131518] rounded-[6px] px-3 h-10 border border-[#1e2329] focus-within:border-[#2b3139] transition-colors">
+                 <span className="text-[#848E9C] text-[12px] whitespace-nowrap font-medium">Self-Trade</span>
+                 <Select value={stpMode} onValueChange={setStpMode}>
+                   <SelectTrigger className="h-full w-auto bg-transparent border-0 ring-0 focus:ring-0 text-[#EAECEF] font-bold text-[12px] p-0 hover:bg-transparent shadow-none gap-1">
+                     <SelectValue>{stpMode === 'NONE' ? 'Allow' : stpMode.replace(/_/g, ' ')}</SelectValue>
+                   </SelectTrigger>
+                   <SelectContent
+                     align="end"
+                     sideOffset={4}
+                     collisionPadding={12}
+                     className="bg-[#1e2329] border-[#2B3139] z-[100] min-w-[200px] shadow-2xl"
+                   >
+                     {[
+                       ['NONE', 'Allow'],
+                       ['CANCEL_NEWEST', 'Cancel newest'],
+                       ['CANCEL_OLDEST', 'Cancel oldest'],
+                       ['CANCEL_BOTH', 'Cancel both'],
+                       ['DECREMENT_AND_CANCEL', 'Decrement and cancel'],
+                     ].map(([value, label]) => (
+                       <SelectItem key={value} value={value} className="text-[12px] font-semibold cursor-pointer focus:bg-[#2b3139]">
+                         {label}
+                       </SelectItem>
+                     ))}
+                   </SelectContent>
+                 </Select>
+               </div>
+               {timeInForce === 'GTD' && (
+                 <div className="flex items-center justify-between bg-[#131518] rounded-[6px] px-3 h-10 border border-[#1e2329] focus-within:border-[#2b3139] transition-colors">
+                   <span className="text-[#848E9C] text-[12px] whitespace-nowrap font-medium">Expires</span>
+                   <input
+                     type="datetime-local"
+                     value={expiresAt}
+                     onChange={(e) => setExpiresAt(e.target.value)}
+                     className="bg-transparent text-white text-right text-[12px] font-mono font-medium flex-1 min-w-0 outline-none focus:ring-0 p-0 shadow-none border-none [color-scheme:dark]"
+                   />
+                 </div>
+               )}
+            </div>
+          )}
+
           {/* Percent Slider & Buttons */}
           <div className="pt-3 pb-1 flex items-center gap-4">
              <div className="flex-1 relative h-6 flex items-center group cursor-pointer" onClick={(e) => {
@@ -400,6 +793,21 @@ export default function OrderForm({
               ))}
             </motion.div>
           )}
+          {validation.warnings.length > 0 && quantity && parseFloat(quantity) > 0 && (
+            <motion.div
+              initial={{ height: 0, opacity: 0 }}
+              animate={{ height: 'auto', opacity: 1 }}
+              exit={{ height: 0, opacity: 0 }}
+              className="mx-3 mb-2 p-2 bg-yellow-900/10 border border-yellow-500/20 rounded-md"
+            >
+              {validation.warnings.map((warn, i) => (
+                <div key={i} className="flex items-center gap-1.5 text-[10px] text-yellow-400 font-bold">
+                  <AlertTriangle className="w-3 h-3 flex-shrink-0" />
+                  {warn}
+                </div>
+              ))}
+            </motion.div>
+          )}
         </AnimatePresence>
 
         {/* Submission Button */}
@@ -420,7 +828,7 @@ export default function OrderForm({
                 Processing
               </span>
             ) : (
-              <span>{orderType === 'BUY' ? 'Buy' : 'Sell'}</span>
+              <span>{isOcoOnly ? `Place OCO ${orderType === 'BUY' ? 'Buy' : 'Sell'}` : (orderType === 'BUY' ? 'Buy' : 'Sell')}{hasExits && !isOcoOnly ? ' + TP/SL' : ''}</span>
             )}
           </Button>
         </div>
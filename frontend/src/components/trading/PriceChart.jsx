@@ -3,6 +3,8 @@ import { createChart, CandlestickSeries, LineSeries, AreaSeries, HistogramSeries
 import { Card, CardContent, CardHeader, CardTitle } from '../ui/card';
 import { Button } from '../ui/button';
 import { cn } from '@/lib/utils';
+import { apiClient, API_ROUTES } from '@/config/config';
+import websocketService from '../../services/websocketService';
 import { 
   TrendingUp, 
   TrendingDown, 
@@ -12,17 +14,19 @@ import {
   RefreshCw
 } from 'lucide-react';
 
-// Time interval options
+// Time interval options — `api` is the backend candle interval
 const TIME_INTERVALS = [
-  { label: '1m', value: 60000, displayLabel: '1m' },
-  { label: '5m', value: 300000, displayLabel: '5m' },
-  { label: '15m', value: 900000, displayLabel: '15m' },
-  { label: '1H', value: 3600000, displayLabel: '1H' },
-  { label: '4H', value: 14400000, displayLabel: '4H' },
-  { label: '1D', value: 86400000, displayLabel: '1D' },
-  { label: '1W', value: 604800000, displayLabel: '1W' },
+  { label: '1m', value: 60000, displayLabel: '1m', api: '1m' },
+  { label: '5m', value: 300000, displayLabel: '5m', api: '5m' },
+  { label: '15m', value: 900000, displayLabel: '15m', api: '15m' },
+  { label: '1H', value: 3600000, displayLabel: '1H', api: '1h' },
+  { label: '4H', value: 14400000, displayLabel: '4H', api: '4h' },
+  { label: '1D', value: 86400000, displayLabel: '1D', api: '1d' },
+  { label: '1W', value: 604800000, displayLabel: '1W', api: '1w' },
 ];
 
+const CANDLE_LIMIT = 500;
+
 // Chart type options
 const CHART_TYPES = [
   { label: 'Candles', value: 'candlestick', icon: CandleIcon },
@@ -35,7 +39,6 @@ const CHART_TYPES = [
  */
 function PriceChart({ 
   tradingPair = 'BTC/USDT',
-  trades = [],
   currentPrice = 0,
   priceChange24h = 0,
   high24h = 0,
@@ -71,98 +74,28 @@ function PriceChart({
   const [isLoading, setIsLoading] = useState(true);
   const [lastUpdate, setLastUpdate] = useState(null);
 
-  // Generate OHLC data from trades
-  const generateOHLCData = useCallback((tradesData, intervalMs) => {
-    if (!tradesData || tradesData.length === 0) {
-      return generateSampleData(intervalMs);
-    }
-
-    const sortedTrades = [...tradesData].sort((a, b) => 
-      new Date(a.timestamp) - new Date(b.timestamp)
-    );
-
-    const candles = new Map();
-    
-    sortedTrades.forEach(trade => {
-      const timestamp = new Date(trade.timestamp).getTime();
-      const candleTime = Math.floor(timestamp / intervalMs) * intervalMs;
-      const price = parseFloat(trade.price) || 0;
-      const volume = parseFloat(trade.quantity) || 0;
-      
-      if (price <= 0) return;
-
-      if (candles.has(candleTime)) {
-        const candle = candles.get(candleTime);
-        candle.high = Math.max(candle.high, price);
-        candle.low = Math.min(candle.low, price);
-        candle.close = price;
-        candle.volume += volume;
-      } else {
-        candles.set(candleTime, {
-          time: candleTime / 1000,
-          open: price,
-          high: price,
-          low: price,
-          close: price,
-          volume: volume
-        });
-      }
-    });
-
-    const candleArray = Array.from(candles.values()).sort((a, b) => a.time - b.time);
-    
-    if (candleArray.length > 1) {
-      const filled = [];
-      for (let i = 0; i < candleArray.length; i++) {
-        filled.push(candleArray[i]);
-        
-        if (i < candleArray.length - 1) {
-          const currentTime = candleArray[i].time;
-          const nextTime = candleArray[i + 1].time;
-          const intervalSec = intervalMs / 1000;
-          
-          for (let t = currentTime + intervalSec; t < nextTime; t += intervalSec) {
-            filled.push({
-              time: t,
-              open: candleArray[i].close,
-              high: candleArray[i].close,
-              low: candleArray[i].close,
-              close: candleArray[i].close,
-              volume: 0
-            });
-          }
-        }
-      }
-      return filled;
-    }
-    
-    const normalized = candleArray.map(normalizeCandle).filter(Boolean);
-    return normalized.length > 0 ? normalized : generateSampleData(intervalMs);
-  }, []);
+  // Latest candles, kept in a ref so live updates don't rebuild the series
+  const chartDataRef = useRef([]);
 
-  // Generate sample data for demonstration
-  const generateSampleData = useCallback((intervalMs) => {
-    const now = Date.now();
-    const candles = [];
-    const basePrice = currentPrice || 50000;
-    let price = basePrice * 0.95;
-    
-    for (let i = 100; i >= 0; i--) {
-      const time = Math.floor((now - (i * intervalMs)) / 1000);
-      const volatility = 0.02;
-      const change = (Math.random() - 0.5) * 2 * volatility * price;
-      const open = price;
-      const close = price + change;
-      const high = Math.max(open, close) * (1 + Math.random() * volatility * 0.5);
-      const low = Math.min(open, close) * (1 - Math.random() * volatility * 0.5);
-      const volume = Math.random() * 10 + 1;
-      
-      candles.push({ time, open, high, low, close, volume });
-      price = close;
+  // Candles are aggregated server-side; the chart only loads and follows them
+  const loadCandles = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const result = await apiClient.get(API_ROUTES.CANDLES(tradingPair, {
+        interval: selectedInterval.api,
+        limit: CANDLE_LIMIT,
+      }));
+      const candles = (result?.data?.candles || []).map(normalizeCandle).filter(Boolean);
+      chartDataRef.current = candles;
+      setChartData(candles);
+    } catch (e) {
+      console.warn('[PriceChart] Failed to load candles:', e.message);
+      chartDataRef.current = [];
+      setChartData([]);
+    } finally {
+      setIsLoading(false);
     }
-    
-    return candles.map(normalizeCandle).filter(Boolean);
-  }, [currentPrice, normalizeCandle]);
+  }, [tradingPair, selectedInterval, normalizeCandle]);
 
   // Initialize chart
   useEffect(() => {
@@ -301,7 +234,7 @@ function PriceChart({
     });
 
     // Set data
-    const safeChartData = chartData.map(normalizeCandle).filter(Boolean);
+    const safeChartData = chartDataRef.current;
     if (safeChartData.length > 0 && seriesRef.current) {
       try {
         if (chartType === 'candlestick') {
@@ -328,47 +261,56 @@ function PriceChart({
     }
 
     setLastUpdate(new Date());
-    setIsLoading(false);
-  }, [chartType, chartData, normalizeCandle]);
+  }, [chartType, chartData]);
 
-  // Generate chart data when trades or interval changes
+  // Reload when the market or interval changes
   useEffect(() => {
-    setIsLoading(true);
-    const data = generateOHLCData(trades, selectedInterval.value);
-    setChartData(data);
-  }, [trades, selectedInterval, generateOHLCData]);
+    loadCandles();
+  }, [loadCandles]);
 
-  // Update current candle in real-time
+  // Follow the current candle as trades settle
   useEffect(() => {
-    if (!seriesRef.current || !chartData.length || !currentPrice) return;
-    const parsedCurrentPrice = Number(currentPrice);
-    if (!isFiniteNumber(parsedCurrentPrice) || parsedCurrentPrice <= 0) return;
+    if (!websocketService.isConnected()) {
+      websocketService.connect();
+    }
 
-    try {
-      const now = Math.floor(Date.now() / 1000);
-      const intervalSec = selectedInterval.value / 1000;
-      const currentCandleTime = Math.floor(now / intervalSec) * intervalSec;
-      
-      const lastCandle = normalizeCandle(chartData[chartData.length - 1]);
-      
-      if (lastCandle && lastCandle.time === currentCandleTime) {
-        const updatedCandle = {
-          ...lastCandle,
-          high: Math.max(lastCandle.high, parsedCurrentPrice),
-          low: Math.min(lastCandle.low, parsedCurrentPrice),
-          close: parsedCurrentPrice
-        };
-        
-        if (chartType === 'candlestick') {
-          seriesRef.current.update(updatedCandle);
-        } else {
-          seriesRef.current.update({ time: updatedCandle.time, value: parsedCurrentPrice });
+    const channel = `candles:${tradingPair}`;
+    const onCandleUpdate = (data) => {
+      if (data?.type !== 'CANDLE_UPDATE') return;
+      const candle = normalizeCandle((data.candles || []).find(c => c.interval === selectedInterval.api));
+      if (!candle) return;
+
+      const current = chartDataRef.current;
+      const last = current[current.length - 1];
+      if (last && candle.time < last.time) return;
+      chartDataRef.current = last && last.time === candle.time
+        ? [...current.slice(0, -1), candle]
+        : [...current, candle];
+
+      try {
+        if (seriesRef.current) {
+          seriesRef.current.update(chartType === 'candlestick'
+            ? candle
+            : { time: candle.time, value: candle.close });
+        }
+        if (volumeSeriesRef.current) {
+          volumeSeriesRef.current.update({
+            time: candle.time,
+            value: candle.volume,
+            color: candle.close >= candle.open ? 'rgba(34, 197, 94, 0.3)' : 'rgba(239, 68, 68, 0.3)'
+          });
         }
+        setLastUpdate(new Date());
+      } catch (e) {
+        console.warn('[PriceChart] Error updating candle:', e.message);
       }
-    } catch (e) {
-      console.warn('[PriceChart] Error updating candle:', e.message);
-    }
-  }, [currentPrice, chartData, selectedInterval, chartType, normalizeCandle]);
+    };
+
+    websocketService.subscribe(channel, onCandleUpdate);
+    return () => {
+      websocketService.unsubscribe(channel, onCandleUpdate);
+    };
+  }, [tradingPair, selectedInterval, chartType, normalizeCandle]);
 
   const formatPrice = (price) => {
     if (!price || isNaN(price)) return '--';
@@ -385,7 +327,8 @@ function PriceChart({
     return vol.toFixed(2);
   };
 
-  const priceChangePercent = currentPrice > 0 ? ((priceChange24h / currentPrice) * 100) : 0;
+  const openPrice24h = currentPrice - priceChange24h;
+  const priceChangePercent = openPrice24h > 0 ? ((priceChange24h / openPrice24h) * 100) : 0;
   const isPositiveChange = priceChange24h >= 0;
 
   return (
@@ -441,11 +384,7 @@ function PriceChart({
 
         {/* Refresh */}
         <button
-          onClick={() => {
-            setIsLoading(true);
-            const data = generateOHLCData(trades, selectedInterval.value);
-            setChartData(data);
-          }}
+          onClick={loadCandles}
           className="p-1 text-[#848E9C] hover:text-white hover:bg-[#21262d] rounded transition-colors"
           title="Refresh"
         >
@@ -466,6 +405,11 @@ function PriceChart({
 
       {/* Chart container - fills remaining height */}
       <div ref={chartContainerRef} className="flex-1 min-h-0 relative w-full">
+        {!isLoading && chartData.length === 0 && (
+          <div className="absolute inset-0 flex items-center justify-center z-10 pointer-events-none">
+            <span className="text-xs text-[#848E9C]">No trades yet for {tradingPair}</span>
+          </div>
+        )}
         {isLoading && (
           <div className="absolute inset-0 flex items-center justify-center bg-[#0d1117]/80 backdrop-blur-sm z-10">
             <div className="flex items-center gap-2 text-[#848E9C]">
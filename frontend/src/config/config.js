@@ -83,10 +83,26 @@ export const API_ROUTES = {
     // NOTE: Cancel is POST, not DELETE - use cancelOrder method
     CANCEL: '/orders/cancel',
     CANCEL_BY_ID: (contractId) => `/orders/${encodeURIComponent(contractId)}/cancel`,
+    // Amend in place (new price and/or lower quantity); sign, then EXECUTE_AMEND
+    AMEND: (orderId) => `/orders/${encodeURIComponent(orderId)}/amend`,
+    EXECUTE_AMEND: '/orders/execute-amend',
+    // Several orders in one signature; sign, then EXECUTE_BATCH
+    BATCH: '/orders/batch',
+    EXECUTE_BATCH: '/orders/execute-batch',
+    // Cancel every working order (optionally one pair / side); sign, then EXECUTE_CANCEL_ALL
+    CANCEL_ALL: '/orders/cancel-all',
+    EXECUTE_CANCEL_ALL: '/orders/execute-cancel-all',
+    // OCO / bracket groups: create returns the legs to place via PLACE with groupId
+    GROUPS: '/orders/groups',
     GET_ALL: (params = {}) => {
       const queryString = new URLSearchParams(params).toString();
       return `/v1/orders${queryString ? `?${queryString}` : ''}`;
     },
+    // Own execution reports (live on the executions:<partyId> WebSocket channel)
+    EXECUTIONS: (params = {}) => {
+      const queryString = new URLSearchParams(params).toString();
+      return `/v1/executions${queryString ? `?${queryString}` : ''}`;
+    },
   },
   
   // Orders V2 (Token Standard - Holdings + OrderV3)
@@ -149,6 +165,12 @@ export const API_ROUTES = {
   
   // Tickers
   TICKERS: '/v1/tickers',
+
+  // OHLCV candles (server-side aggregation)
+  CANDLES: (pair, params = {}) => {
+    const queryString = new URLSearchParams(params).toString();
+    return `/v1/candles/${encodeURIComponent(pair)}${queryString ? `?${queryString}` : ''}`;
+  },
 };
 
 // Create axios instance with base configuration
@@ -214,12 +236,18 @@ apiClient.interceptors.response.use(
     }
     
     // Handle other errors
-    const errorMessage = error.response?.data?.error?.message || 
-                        error.response?.data?.error || 
+    const body = error.response?.data;
+    const errorMessage = body?.error?.message || 
+                        body?.error || 
                         error.message || 
                         'An unexpected error occurred';
     
-    return Promise.reject(new Error(errorMessage));
+    // Keep the machine-readable code and the offending field (market-rule
+    // rejections) so forms can point at the right input
+    const apiError = new Error(errorMessage);
+    apiError.code = body?.code || body?.error?.code || null;
+    apiError.field = body?.field || body?.error?.field || null;
+    return Promise.reject(apiError);
   }
 );
 
@@ -48,12 +48,19 @@ export async function placeOrder(orderData) {
   const backendOrderData = {
     pair: orderData.tradingPair,
     side: orderData.orderType, // BUY or SELL
-    type: orderData.orderMode, // LIMIT, MARKET, or STOP_LOSS
+    type: orderData.orderMode, // LIMIT, MARKET, STOP_LOSS, STOP_LIMIT or TRAILING_STOP
     price: orderData.price || null,
     quantity: orderData.quantity,
     timeInForce: orderData.timeInForce || 'GTC',
+    expiresAt: orderData.expiresAt || null, // GTD only
+    postOnly: orderData.postOnly === true,   // maker-only LIMIT
+    stpMode: orderData.stpMode || 'NONE',    // self-trade prevention
+    maxSlippageBps: orderData.maxSlippageBps ?? null, // MARKET slippage cap
     // Stop-loss: send stopPrice for STOP_LOSS orders AND for optional stop-loss on limit/market orders
     stopPrice: orderData.stopPrice || orderData.stopLoss || orderData.stopLossPrice || null,
+    limitPrice: orderData.limitPrice || null,                 // STOP_LIMIT
+    trailingOffset: orderData.trailingOffset || null,         // TRAILING_STOP
+    trailingOffsetType: orderData.trailingOffsetType || null, // ABSOLUTE | PERCENT
     clientOrderId: orderData.clientOrderId || null
   };
 
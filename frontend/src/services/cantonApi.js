@@ -146,7 +146,24 @@ export async function exerciseChoice(contractId, choice, argument, _party = null
   return data.result;
 }
 
+// Listed markets from the backend market registry (delisted pairs excluded)
+export async function getMarkets() {
+  const res = await fetch(`${API_BASE_URL}/markets`, { method: 'GET' });
+  if (!res.ok) throw new Error(`Failed to load markets: ${res.status}`);
+  const json = await res.json().catch(() => ({}));
+  const data = json?.data ?? json;
+  return data?.markets || [];
+}
+
 export async function getAvailableTradingPairs(_party = null) {
+  try {
+    const markets = await getMarkets();
+    if (markets.length > 0) {
+      return markets.map((m) => m.symbol).filter(Boolean);
+    }
+  } catch (_) {
+    // Older backends have no /markets — fall through to the order books
+  }
   const res = await fetch(`${API_BASE_URL}/orderbooks`, { method: 'GET' });
   const json = await res.json().catch(() => ({}));
   const data = json?.data ?? json;
@@ -2,13 +2,18 @@
  * WebSocket Service — Pure Real-time Updates (No Polling)
  * 
  * Connects to the backend WebSocket server at /ws for instant push updates:
- *   - Order book changes (ORDER_CREATED, ORDER_ARCHIVED, FULL_ORDERBOOK)
+ *   - Order book L2 feed (SNAPSHOT on subscribe, then sequenced DELTAs —
+ *     see subscribeOrderBook)
  *   - New trades (NEW_TRADE)
  *   - User orders (ORDER_CREATED, ORDER_FILLED, ORDER_CANCELLED, ORDERS_SNAPSHOT)
  *   - Balance updates (BALANCE_UPDATE)
  *   - Transfer offers (TRANSFER_CREATED, TRANSFER_ACCEPTED, TRANSFER_REJECTED)
  *   - Ledger state changes (LEDGER_UPDATE)
  * 
+ * Party channels (orders:, balance:, transfers:, settlement:) are private:
+ * the connection logs in with the app session JWT ({ type: 'auth' }) before
+ * subscribing to them, and again after every reconnect.
+ *
  * NO polling fallback — all data streams via WebSocket with auto-reconnect.
  * Initial data is loaded via one-time REST calls; all subsequent updates
  * are pushed through this WebSocket connection.
@@ -19,9 +24,30 @@
  * subscribed frontend clients.
  */
 
+import { getStoredSessionToken } from './walletService';
+
 const RECONNECT_DELAY_MS = 3000;
 const RECONNECT_MAX_DELAY_MS = 30000;
 const HEARTBEAT_INTERVAL_MS = 25000;
+const MAX_BUFFERED_DELTAS = 200;
+const PRIVATE_CHANNEL_PREFIXES = ['orders:', 'executions:', 'balance:', 'transfers:', 'settlement:'];
+
+const isPrivateChannel = (channel) => PRIVATE_CHANNEL_PREFIXES.some(p => channel.startsWith(p));
+
+const toLevelList = (side, descending) =>
+  Array.from(side.values())
+    .sort((a, b) => (descending ? b.priceNum - a.priceNum : a.priceNum - b.priceNum))
+    .map(({ price, quantity, orderCount }) => ({ price, quantity, remaining: parseFloat(quantity), orderCount }));
+
+const applyLevels = (side, levels) => {
+  for (const level of levels || []) {
+    if (parseFloat(level.quantity) > 0) {
+      side.set(level.price, { ...level, priceNum: parseFloat(level.price) });
+    } else {
+      side.delete(level.price);
+    }
+  }
+};
 
 class WebSocketService {
   constructor() {
@@ -34,6 +60,9 @@ class WebSocketService {
     this._heartbeatTimer = null;
     this._url = null;
     this._manualDisconnect = false;
+    this._books = new Map(); // tradingPair → local L2 book (see subscribeOrderBook)
+    this._authToken = null;  // session JWT this connection has logged in with
+    this.partyId = null;     // party the server confirmed for this connection
   }
 
   /**
@@ -80,6 +109,12 @@ class WebSocketService {
         this.connectionFailed = false;
         this._reconnectAttempts = 0;
 
+        // A new connection starts anonymous — log in again before the
+        // private channels are re-subscribed
+        this._authToken = null;
+        this.partyId = null;
+        this._authenticate();
+
         // Re-subscribe to all active channels
         for (const channel of this._callbacks.keys()) {
           this._sendSubscribe(channel);
@@ -100,6 +135,19 @@ class WebSocketService {
           }
           if (msg.type === 'subscribed') return;
           if (msg.type === 'unsubscribed') return;
+          if (msg.type === 'authenticated') {
+            this.partyId = msg.partyId;
+            return;
+          }
+          if (msg.type === 'error') {
+            console.warn(`[WS] ${msg.code}${msg.channel ? ` (${msg.channel})` : ''}: ${msg.message}`);
+            // Let the next private subscribe retry with whatever token is stored then
+            if (['INVALID_SESSION_TOKEN', 'SESSION_EXPIRED'].includes(msg.code)) {
+              this._authToken = null;
+              this.partyId = null;
+            }
+            return;
+          }
           
           // Broadcast update to channel subscribers
           if (msg.type === 'update' && msg.channel) {
@@ -119,6 +167,12 @@ class WebSocketService {
         console.log(`[WS] Disconnected (code: ${event.code})`);
         this._degraded = true;
         this._stopHeartbeat();
+        // Deltas were missed while offline; the re-subscribe brings a snapshot
+        for (const [tradingPair, book] of this._books) {
+          book.synced = false;
+          book.pending = [];
+          this._emitOrderBook(tradingPair, book);
+        }
         
         if (!this._manualDisconnect) {
           this._scheduleReconnect();
@@ -199,6 +253,53 @@ class WebSocketService {
     }
   }
 
+  /**
+   * Follow a market's L2 order book. The server sends a SNAPSHOT when the
+   * channel is subscribed and then DELTAs of changed price levels, each one
+   * carrying `prevSeq`/`seq`. The book is kept here; a DELTA that does not
+   * continue from the last seq is a gap and triggers a resync request.
+   *
+   * @param {string} tradingPair
+   * @param {Function} callback - called with { tradingPair, seq, synced, bids, asks }
+   *   (bids best-first descending, asks ascending; levels are { price, quantity, remaining, orderCount })
+   */
+  subscribeOrderBook(tradingPair, callback) {
+    let book = this._books.get(tradingPair);
+    if (!book) {
+      book = {
+        seq: null,
+        synced: false,
+        bids: new Map(),
+        asks: new Map(),
+        pending: [],
+        listeners: new Set(),
+        handler: (data) => this._onOrderBookMessage(tradingPair, data),
+      };
+      this._books.set(tradingPair, book);
+      this.subscribe(`orderbook:${tradingPair}`, book.handler);
+    } else if (book.synced) {
+      callback(this._orderBookView(tradingPair, book));
+    }
+    book.listeners.add(callback);
+  }
+
+  unsubscribeOrderBook(tradingPair, callback) {
+    const book = this._books.get(tradingPair);
+    if (!book) return;
+    book.listeners.delete(callback);
+    if (book.listeners.size === 0) {
+      this.unsubscribe(`orderbook:${tradingPair}`, book.handler);
+      this._books.delete(tradingPair);
+    }
+  }
+
+  /**
+   * Ask the server for a fresh snapshot of a sequenced channel
+   */
+  resync(channel) {
+    this._send({ type: 'resync', channel });
+  }
+
   /**
    * Send raw data
    */
@@ -226,9 +327,84 @@ class WebSocketService {
   }
 
   _sendSubscribe(channel) {
+    if (isPrivateChannel(channel)) this._authenticate();
     this._send({ type: 'subscribe', channel });
   }
 
+  /**
+   * Log this connection in with the stored session token, unless it already
+   * did with the same one. Messages are handled in order server-side, so a
+   * subscribe sent right after is checked against the new login.
+   */
+  _authenticate() {
+    const { sessionToken } = getStoredSessionToken();
+    if (!sessionToken || sessionToken === this._authToken) return;
+    this._authToken = sessionToken;
+    this._send({ type: 'auth', token: sessionToken });
+  }
+
+  _onOrderBookMessage(tradingPair, data) {
+    const book = this._books.get(tradingPair);
+    if (!book) return;
+
+    if (data?.type === 'SNAPSHOT') {
+      book.bids = new Map();
+      book.asks = new Map();
+      applyLevels(book.bids, data.bids);
+      applyLevels(book.asks, data.asks);
+      book.seq = data.seq;
+      book.synced = true;
+
+      // Deltas that raced ahead of the snapshot
+      const buffered = book.pending.filter(d => d.seq > book.seq).sort((a, b) => a.seq - b.seq);
+      book.pending = [];
+      for (const delta of buffered) {
+        if (!this._applyOrderBookDelta(tradingPair, book, delta)) break;
+      }
+    } else if (data?.type === 'DELTA') {
+      if (!book.synced) {
+        if (book.pending.length < MAX_BUFFERED_DELTAS) book.pending.push(data);
+        return;
+      }
+      this._applyOrderBookDelta(tradingPair, book, data);
+    } else {
+      return;
+    }
+
+    this._emitOrderBook(tradingPair, book);
+  }
+
+  _emitOrderBook(tradingPair, book) {
+    const view = this._orderBookView(tradingPair, book);
+    for (const cb of book.listeners) {
+      try { cb(view); } catch (e) { /* subscriber error */ }
+    }
+  }
+
+  _applyOrderBookDelta(tradingPair, book, delta) {
+    if (delta.prevSeq !== book.seq) {
+      console.warn(`[WS] Order book gap on ${tradingPair} (have ${book.seq}, got ${delta.prevSeq}→${delta.seq}) — resyncing`);
+      book.synced = false;
+      book.pending = [delta];
+      this.resync(`orderbook:${tradingPair}`);
+      return false;
+    }
+    applyLevels(book.bids, delta.bids);
+    applyLevels(book.asks, delta.asks);
+    book.seq = delta.seq;
+    return true;
+  }
+
+  _orderBookView(tradingPair, book) {
+    return {
+      tradingPair,
+      seq: book.seq,
+      synced: book.synced,
+      bids: toLevelList(book.bids, true),
+      asks: toLevelList(book.asks, false),
+    };
+  }
+
   _startHeartbeat() {
     this._stopHeartbeat();
     this._heartbeatTimer = setInterval(() => {